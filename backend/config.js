@@ -0,0 +1,83 @@
+/**
+ * TerraCare Ledger v2.0 - Server Configuration
+ *
+ * Loads .env once and exposes the settings the server bootstrap needs.
+ * Import this before any other backend module so their env reads see .env values.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const list = (value, fallback = []) =>
+  value ? value.split(',').map(v => v.trim()).filter(Boolean) : fallback;
+
+// Rate limit budget of a route class: RATE_LIMIT_<NAME>_MAX per RATE_LIMIT_<NAME>_WINDOW_MS, and
+// RATE_LIMIT_<NAME>_ROLES (e.g. Admin:120,System:600) for roles with their own budget
+const budget = (name, windowMs, max, roles = '') => ({
+  windowMs: Number(process.env[`RATE_LIMIT_${name}_WINDOW_MS`] || windowMs),
+  max: Number(process.env[`RATE_LIMIT_${name}_MAX`] || max),
+  roles: Object.fromEntries(list(process.env[`RATE_LIMIT_${name}_ROLES`] ?? roles).map(entry => {
+    const [role, limit] = entry.split(':');
+    return [role.trim(), Number(limit)];
+  }))
+});
+
+const config = {
+  env: process.env.NODE_ENV || 'development',
+  port: Number(process.env.PORT || 4000),
+
+  // Sofie-Systems/Heartware UI origins
+  corsOrigins: list(process.env.CORS_ORIGINS, ['http://localhost:3000']),
+
+  // Rate limits (middleware/rateLimit.js): the global per-IP limit, then one budget per route class.
+  // store: memory (per instance) or redis (shared); failOpen lets requests through when it is down
+  rateLimit: {
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000),
+    max: Number(process.env.RATE_LIMIT_MAX || 100),
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    redisUrl: process.env.RATE_LIMIT_REDIS_URL || 'redis://127.0.0.1:6379',
+    redisPrefix: process.env.RATE_LIMIT_REDIS_PREFIX || 'terracare:rl:',
+    failOpen: process.env.RATE_LIMIT_FAIL_OPEN !== 'false',
+    classes: {
+      webhooks: budget('WEBHOOKS', 60 * 1000, 120),
+      oracle: budget('ORACLE', 60 * 1000, 100),
+      writes: budget('WRITES', 60 * 1000, 30, 'Admin:120,System:600'),
+      reads: budget('READS', 60 * 1000, 300, 'Admin:1200,System:3000')
+    }
+  },
+
+  // Sign-In with Ethereum (EIP-4361)
+  siwe: {
+    domain: process.env.SIWE_DOMAIN || 'localhost:4000',
+    chainId: Number(process.env.TERRACARE_CHAIN_ID || 1337),
+    nonceTtlMs: Number(process.env.SIWE_NONCE_TTL_MS || 10 * 60 * 1000)
+  },
+
+  // Refresh-token sessions (access token lifetime is ACCESS_TOKEN_TTL in middleware/auth.js)
+  sessions: {
+    refreshTtlMs: Number(process.env.REFRESH_TOKEN_TTL_MS || 7 * 24 * 60 * 60 * 1000),
+    cacheTtlMs: Number(process.env.SESSION_CACHE_TTL_MS || 5000)
+  },
+
+  // Service API keys: lifetime when an admin does not set one, and how long validity is cached per instance
+  apiKeys: {
+    defaultTtlDays: Number(process.env.API_KEY_DEFAULT_TTL_DAYS || 90),
+    cacheTtlMs: Number(process.env.API_KEY_CACHE_TTL_MS || 5000)
+  },
+
+  // Startup check that manifest addresses, artifact ABIs and on-chain code agree
+  // (services/deploymentRegistry.js): strict refuses to start on drift, warn only logs it, off skips it
+  deployments: {
+    check: process.env.DEPLOYMENT_CHECK || 'strict'
+  },
+
+  indexer: {
+    enabled: process.env.INDEXER_ENABLED !== 'false'
+  },
+
+  // Time allowed for in-flight requests on SIGTERM before forcing exit
+  shutdownTimeoutMs: Number(process.env.SHUTDOWN_TIMEOUT_MS || 10000)
+};
+
+export default config;
@@ -0,0 +1,31 @@
+/**
+ * TerraCare Ledger v2.0 - Database Client
+ *
+ * Single Prisma client shared by the server, services and indexer.
+ * The client is created on first use, so modules whose services are given their own `prisma`
+ * (e.g. the unit tests' in-memory client) load without a generated Prisma client.
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+let client = null;
+
+export function getPrisma() {
+  if (!client) {
+    const { PrismaClient } = require('@prisma/client');
+    client = new PrismaClient();
+  }
+  return client;
+}
+
+const prisma = new Proxy({}, {
+  get(target, prop) {
+    const instance = getPrisma();
+    const value = instance[prop];
+    return typeof value === 'function' ? value.bind(instance) : value;
+  }
+});
+
+export default prisma;
@@ -7,6 +7,10 @@ module.exports = {
       autorestart: true,
       watch: false,
       max_memory_restart: '512M',
+      // index.js signals 'ready' once listening and drains on SIGTERM
+      wait_ready: true,
+      listen_timeout: 10000,
+      kill_timeout: 12000,
       env: {
         NODE_ENV: 'production'
       }
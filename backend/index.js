@@ -1,282 +1,283 @@
-// --- Authentication: Login Endpoint ---
-app.post('/api/login', [body('address').isString().isLength({ min: 42, max: 42 })], validateRequest, async (req, res) => {
-  const { address } = req.body;
-  // In production, verify signature or use OAuth2/SSO
-  // Here, issue JWT for any valid address (demo only)
-  const token = jwt.sign({ address }, process.env.JWT_SECRET || 'changeme', { expiresIn: '12h' });
-  res.json({ token });
-});
-
+// index.js
+// Terracare Ledger backend server (ESM entrypoint)
 
-import jwt from 'jsonwebtoken';
+import config from './config.js';
+import express from 'express';
+import helmet from 'helmet';
+import cors from 'cors';
 import logger from './logger.js';
-// --- JWT Authentication Middleware ---
-function authenticateJWT(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.split(' ')[1];
-    jwt.verify(token, process.env.JWT_SECRET || 'changeme', (err, user) => {
-      if (err) {
-        return res.sendStatus(403);
-      }
-      req.user = user;
-      next();
-    });
-  } else {
-    res.sendStatus(401);
-  }
+import prisma from './db.js';
+import ContractService from './services/contractService.js';
+import AISignerService from './services/aiSignerService.js';
+import SiweService from './services/siweService.js';
+import SessionService from './services/sessionService.js';
+import ActivityBatcherService from './services/activityBatcherService.js';
+import SubmissionGuardService from './services/submissionGuardService.js';
+import { createAntiGamingStore } from './services/antiGamingStore.js';
+import GamingFlagService from './services/gamingFlagService.js';
+import TherapySessionService from './services/therapySessionService.js';
+import DataContributionService from './services/dataContributionService.js';
+import OracleQuorumService from './services/oracleQuorumService.js';
+import MetricsService from './services/metricsService.js';
+import HoldingsService from './services/holdingsService.js';
+import ApiKeyService from './services/apiKeyService.js';
+import SignerRotationService, { SIGNERS } from './services/signerRotationService.js';
+import { loadSigner } from './services/signerProvider.js';
+import { MultiChainConfig } from './multiChainConfig.js';
+import { DeploymentError } from './services/deploymentRegistry.js';
+import {
+  startTransactionManagers,
+  stopTransactionManagers,
+  getTransactionManagersHealth
+} from './services/transactionManagerService.js';
+import { configureAuth } from './middleware/auth.js';
+import { configureRateLimits, createLimiter, routeClassLimiter } from './middleware/rateLimit.js';
+import createAuthRouter from './routes/auth.js';
+import createCoreRouter from './routes/core.js';
+import createUserRouter from './routes/user.js';
+import createActivityRouter from './routes/activity.js';
+import createGovernanceRouter from './routes/governance.js';
+import createRevenueRouter from './routes/revenue.js';
+import createRelayRouter from './routes/relay.js';
+import createTransactionRouter from './routes/transactions.js';
+import createAdminRouter from './routes/admin.js';
+import createOracleRouter from './routes/oracle.js';
+import createMetricsRouter from './routes/metrics.js';
+
+// --- Signing Keys (dev key, encrypted keystore or remote signer; see services/signerProvider.js) ---
+const [backendKey, aiKey] = await Promise.all([loadSigner('BACKEND'), loadSigner('AI_SIGNER')]);
+
+// Core writes on TerraCare use the backend signer unless TERRACARE_SIGNER_PRIVATE_KEY is set
+if (backendKey && !process.env.TERRACARE_SIGNER_PRIVATE_KEY) {
+  MultiChainConfig.setSigner('terracare', backendKey.signer);
 }
 
-import dotenv from 'dotenv';
-dotenv.config();
-
-const prisma = new PrismaClient();
-// --- User Profile & Extension Management (Database) ---
-
-// Get user profile
-app.get('/api/user/:address', async (req, res) => {
-  const { address } = req.params;
-  const user = await prisma.user.findUnique({ where: { address } });
-  res.json({ user });
-});
-
-// Update user settings
-app.post('/api/user/:address/settings', async (req, res) => {
-  const { address } = req.params;
-  const { settings } = req.body;
-  const user = await prisma.user.upsert({
-    where: { address },
-    update: { settings },
-    create: { address, role: 'Unknown', settings },
-  });
-  res.json({ user });
-});
-
-// List extensions for user
-app.get('/api/user/:address/extensions', async (req, res) => {
-  const { address } = req.params;
-  const user = await prisma.user.findUnique({ where: { address }, include: { extensions: true } });
-  res.json({ extensions: user?.extensions || [] });
-});
+// --- Deployments (manifest addresses, artifact ABIs and on-chain code must agree) ---
+if (config.deployments.check !== 'off') {
+  const reports = await MultiChainConfig.verifyDeployments();
+  for (const report of reports) {
+    for (const problem of report.problems) {
+      const drift = report.drift.includes(problem);
+      logger[drift ? 'error' : 'warn']({
+        message: 'Deployment check failed',
+        chain: report.id,
+        code: problem.code,
+        contract: problem.contract,
+        reason: problem.message,
+        missing: problem.missing
+      });
+    }
+    logger.info({
+      message: 'Deployments checked',
+      chain: report.id,
+      manifest: report.manifest,
+      contracts: report.contracts.length,
+      problems: report.problems.length
+    });
+  }
 
-// Enable/disable extension
-app.post('/api/user/:address/extensions/:name', async (req, res) => {
-  const { address, name } = req.params;
-  const { enabled } = req.body;
-  const user = await prisma.user.upsert({
-    where: { address },
-    update: {},
-    create: { address, role: 'Unknown' },
-  });
-  const ext = await prisma.extension.upsert({
-    where: { userId_name: { userId: user.id, name } },
-    update: { enabled },
-    create: { userId: user.id, name, enabled },
-  });
-  res.json({ extension: ext });
-});
+  const drift = reports.flatMap(report => report.drift);
+  if (drift.length && config.deployments.check === 'strict') {
+    throw new DeploymentError(
+      'DEPLOYMENT_DRIFT',
+      `${drift.length} deployment problem(s); fix the manifest, artifacts or env vars, or set DEPLOYMENT_CHECK=warn`
+    );
+  }
+}
 
-// Log analytics event
-app.post('/api/analytics', async (req, res) => {
-  const { userId, type, data } = req.body;
-  const event = await prisma.analyticsEvent.create({ data: { userId, type, data } });
-  res.json({ event });
+// --- Shared Services ---
+const contractService = new ContractService({ prisma, signer: backendKey?.signer || null });
+const aiSigner = new AISignerService({ signer: aiKey?.signer || null, store: createAntiGamingStore({ prisma }) });
+const siwe = new SiweService({ prisma, contractService, ...config.siwe });
+const sessions = new SessionService({ prisma, contractService, ...config.sessions });
+contractService.indexer.useSessions(sessions);
+const submissionGuard = new SubmissionGuardService({ prisma });
+const activityBatcher = new ActivityBatcherService({ prisma, contractService, submissionGuard });
+const gamingFlags = new GamingFlagService({ prisma, contractService });
+const therapySessions = new TherapySessionService({ prisma });
+const dataContributions = new DataContributionService({ prisma });
+const oracleQuorum = new OracleQuorumService({ aiSigner, contractService, therapySessions });
+const signerRotation = new SignerRotationService({
+  contractService,
+  aiSigner,
+  sources: { backend: backendKey?.source, ai: aiKey?.source }
 });
-
-
+const holdings = new HoldingsService({ contractService });
+const apiKeys = new ApiKeyService({ prisma, ...config.apiKeys });
+const metrics = new MetricsService();
+const services = {
+  prisma,
+  contractService,
+  aiSigner,
+  siwe,
+  sessions,
+  activityBatcher,
+  submissionGuard,
+  gamingFlags,
+  therapySessions,
+  dataContributions,
+  oracleQuorum,
+  signerRotation,
+  holdings,
+  apiKeys,
+  metrics
+};
+
+configureAuth({ sessions, holdings, apiKeys });
+configureRateLimits(config.rateLimit);
 
 const app = express();
 
-// --- Logging Middleware ---
-app.use((req, res, next) => {
-  logger.info({
-    message: 'Request',
-    method: req.method,
-    url: req.url,
-    body: req.body,
-    ip: req.ip
-  });
-  next();
-});
-
 // --- Security Middleware ---
 app.use(helmet()); // Secure HTTP headers
 app.use(express.json()); // Parse JSON bodies
 app.use(cors({
-  origin: [
-    'http://localhost:3000', // Sofie-Systems/Heartware local dev
-    // Add production UI origins here
-  ],
+  origin: config.corsOrigins,
   credentials: true
 }));
-app.use(rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  standardHeaders: true,
-  legacyHeaders: false,
+app.use(createLimiter({
+  name: 'global',
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max // limit each IP per windowMs
 }));
+app.use('/api', routeClassLimiter(config.rateLimit.classes)); // webhooks, oracle, writes, reads
 
-// --- Input Validation Example Middleware ---
-function validateRequest(req, res, next) {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+// --- Logging Middleware ---
+app.use((req, res, next) => {
+  logger.info({
+    message: 'Request',
+    method: req.method,
+    url: req.url,
+    ip: req.ip
+  });
   next();
-}
-
-// Example: List supported chains
-app.get('/api/chains', (req, res) => {
-  res.json({ chains: MultiChainConfig.listChains() });
 });
 
-// Example: Get chain status
-app.get('/api/chain/:chainId/status', async (req, res) => {
-  const { chainId } = req.params;
+// --- Health ---
+app.get('/api/health', async (req, res) => {
   try {
-    const status = await MultiChainConfig.getChainStatus(chainId);
-    res.json({ status });
+    const [signer, indexer, transactions, activityBatches] = await Promise.all([
+      aiSigner.healthCheck(),
+      contractService.indexer.healthCheck(),
+      getTransactionManagersHealth(),
+      activityBatcher.healthCheck()
+    ]);
+    res.json({ status: 'ok', signer, oracleQuorum: oracleQuorum.healthCheck(), indexer, transactions, activityBatches });
   } catch (e) {
-    res.status(400).json({ error: e.message });
+    res.status(503).json({ status: 'degraded', error: e.message });
   }
 });
 
-
-// --- Core API Endpoints (Stub Implementations) ---
-
-
-// Register identity (stub, with input validation & JWT auth)
-app.post(
-  '/api/identity/register',
-  authenticateJWT,
-  [
-    body('address').isString().isLength({ min: 42, max: 42 }),
-    body('role').isString().notEmpty(),
-  ],
-  validateRequest,
-   async (req, res) => {
-     // Example: Call IdentityRegistry contract (stub, update ABI and address as needed)
-     const { address, role, chainId = 'terracare' } = req.body;
-     try {
-       const abi = MultiChainConfig.abis.IdentityRegistry.abi;
-       const contract = MultiChainConfig.getContract(chainId, 'IdentityRegistry', abi);
-       // Example: call contract.register(address, role) (role as uint8)
-       // const tx = await contract.register(address, role);
-       // await tx.wait();
-       res.json({ message: 'Identity registration transaction sent (stub)' });
-     } catch (e) {
-      logger.error({ message: 'Error in /api/identity/register', error: e.message });
-      res.status(500).json({ error: e.message });
-     }
+// --- Routes ---
+app.use('/api/auth', createAuthRouter(services));
+app.use('/api', createCoreRouter(services));
+app.use('/api/user', createUserRouter(services));
+app.use('/api/activity', createActivityRouter(services));
+app.use('/api/governance', createGovernanceRouter(services));
+app.use('/api/revenue', createRevenueRouter(services));
+app.use('/api/relay', createRelayRouter(services));
+app.use('/api/tx', createTransactionRouter(services));
+app.use('/api/admin', createAdminRouter(services));
+app.use('/api/oracle', createOracleRouter(services));
+app.use('/api/metrics', createMetricsRouter(services));
+
+// --- Startup ---
+const server = app.listen(config.port, () => {
+  logger.info({ message: `Terracare Ledger backend running on port ${config.port}`, env: config.env });
+
+  if (config.indexer.enabled) {
+    contractService.indexer.start();
   }
-);
-
 
+  // Resume queued/submitted backend transactions from the outbox
+  startTransactionManagers().catch(e => {
+    logger.error({ message: 'Failed to start transaction managers', error: e.message });
+  });
+  activityBatcher.start().catch(e => {
+    logger.error({ message: 'Failed to start activity batcher', error: e.message });
+  });
 
-// Grant access (wired to AccessControl contract, stub)
-app.post(
-  '/api/access/grant',
-  authenticateJWT,
-  [body('caregiver').isString().isLength({ min: 42, max: 42 })],
-  validateRequest,
-  async (req, res) => {
-    const { caregiver, chainId = 'terracare' } = req.body;
-    try {
-      const abi = MultiChainConfig.abis.AccessControl.abi;
-      const contract = MultiChainConfig.getContract(chainId, 'AccessControl', abi);
-      // Example: call contract.grant(caregiver)
-      // const tx = await contract.grant(caregiver);
-      // await tx.wait();
-      res.json({ message: 'Access grant transaction sent (stub)' });
-    } catch (e) {
-      logger.error({ message: 'Error in /api/access/grant', error: e.message });
-      res.status(500).json({ error: e.message });
+  // Proofs carry the scoring model hash; LlamaAdapter should hold it as an approved model
+  const scoringModel = aiSigner.getScoringModel();
+  contractService.getScoringModelStatus(scoringModel.hash).then(status => {
+    if (status.registered !== null && !status.approved) {
+      logger.warn({
+        message: 'Active scoring model is not approved in LlamaAdapter; run scripts/register-scoring-models.js',
+        model: scoringModel.key,
+        hash: scoringModel.hash,
+        registered: status.registered
+      });
     }
-  }
-);
-
-
+  }).catch(e => {
+    logger.error({ message: 'Failed to check scoring model registration', error: e.message });
+  });
 
-// Revoke access (wired to AccessControl contract, stub)
-app.post(
-  '/api/access/revoke',
-  authenticateJWT,
-  [body('caregiver').isString().isLength({ min: 42, max: 42 })],
-  validateRequest,
-  async (req, res) => {
-    const { caregiver, chainId = 'terracare' } = req.body;
-    try {
-      const abi = MultiChainConfig.abis.AccessControl.abi;
-      const contract = MultiChainConfig.getContract(chainId, 'AccessControl', abi);
-      // Example: call contract.revoke(caregiver)
-      // const tx = await contract.revoke(caregiver);
-      // await tx.wait();
-      res.json({ message: 'Access revoke transaction sent (stub)' });
-    } catch (e) {
-      logger.error({ message: 'Error in /api/access/revoke', error: e.message });
-      res.status(500).json({ error: e.message });
+  // High-value proofs need the same oracle quorum the registry enforces
+  contractService.getValidatorQuorum().then(onChain => {
+    if (onChain && onChain.quorum > 1 && (
+      oracleQuorum.quorum < onChain.quorum || oracleQuorum.minValueScore > onChain.minValueScore
+    )) {
+      logger.warn({
+        message: 'ORACLE_QUORUM/ORACLE_QUORUM_MIN_SCORE are weaker than ActivityRegistry.validatorQuorum; high-value activities will revert',
+        onChain,
+        quorum: oracleQuorum.quorum,
+        minValueScore: oracleQuorum.minValueScore
+      });
     }
-  }
-);
-
-
+  }).catch(e => {
+    logger.error({ message: 'Failed to check validator quorum', error: e.message });
+  });
 
-// Update record (wired to RecordRegistry contract, stub)
-app.post(
-  '/api/record/update',
-  authenticateJWT,
-  [body('dataHash').isString().isLength({ min: 66, max: 66 })],
-  validateRequest,
-  async (req, res) => {
-    const { dataHash, chainId = 'terracare' } = req.body;
-    try {
-      const abi = MultiChainConfig.abis.RecordRegistry.abi;
-      const contract = MultiChainConfig.getContract(chainId, 'RecordRegistry', abi);
-      // Example: call contract.updateRecord(dataHash)
-      // const tx = await contract.updateRecord(dataHash);
-      // await tx.wait();
-      res.json({ message: 'Record update transaction sent (stub)' });
-    } catch (e) {
-      logger.error({ message: 'Error in /api/record/update', error: e.message });
-      res.status(500).json({ error: e.message });
+  // Loaded keys need their ActivityRegistry roles, e.g. after switching to a new keystore
+  signerRotation.status().then(signers => {
+    for (const signer of signers) {
+      const missing = signer.roles && SIGNERS[signer.name].roles.filter(role => !signer.roles.includes(role));
+      if (missing?.length) {
+        logger.warn({
+          message: 'Signer is missing its ActivityRegistry roles; grant them or rotate via /api/admin/signers',
+          signer: signer.name,
+          address: signer.address,
+          missing
+        });
+      }
     }
-  }
-);
+  }).catch(e => {
+    logger.error({ message: 'Failed to check signer roles', error: e.message });
+  });
 
-// Get record (stub)
-app.get('/api/record/:patient', (req, res) => {
-  // TODO: Connect to RecordRegistry contract
-  res.json({ record: null, message: 'Record fetched (stub)' });
+  // PM2 wait_ready
+  if (process.send) process.send('ready');
 });
 
+// --- Graceful Shutdown ---
+let shuttingDown = false;
+
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
 
+  logger.info({ message: 'Shutting down', signal });
+  contractService.indexer.stop();
+  stopTransactionManagers();
+  activityBatcher.stop();
 
-// Log audit event (wired to AuditLog contract, stub)
-app.post(
-  '/api/audit/log',
-  authenticateJWT,
-  [
-    body('subject').isString().isLength({ min: 42, max: 42 }),
-    body('action').isString().notEmpty(),
-    body('refHash').isString().isLength({ min: 66, max: 66 })
-  ],
-  validateRequest,
-  async (req, res) => {
-    const { subject, action, refHash, chainId = 'terracare' } = req.body;
+  const forceExit = setTimeout(() => {
+    logger.error({ message: 'Shutdown timed out, forcing exit' });
+    process.exit(1);
+  }, config.shutdownTimeoutMs);
+  forceExit.unref();
+
+  server.close(async (err) => {
     try {
-      const abi = MultiChainConfig.abis.AuditLog.abi;
-      const contract = MultiChainConfig.getContract(chainId, 'AuditLog', abi);
-      // Example: call contract.logAccess(subject, action, refHash)
-      // const tx = await contract.logAccess(subject, action, refHash);
-      // await tx.wait();
-      res.json({ message: 'Audit log transaction sent (stub)' });
+      await prisma.$disconnect();
     } catch (e) {
-      logger.error({ message: 'Error in /api/audit/log', error: e.message });
-      res.status(500).json({ error: e.message });
+      logger.error({ message: 'Error disconnecting database', error: e.message });
     }
-  }
-);
+    process.exit(err ? 1 : 0);
+  });
+}
 
-app.listen(4000, () => {
-  console.log('Terracare Ledger backend running on port 4000');
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+export default app;
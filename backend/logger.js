@@ -1,7 +1,7 @@
-const winston = require('winston');
+import winston from 'winston';
 
 const logger = winston.createLogger({
-  level: 'info',
+  level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.json()
@@ -13,4 +13,4 @@ const logger = winston.createLogger({
   ]
 });
 
-module.exports = logger;
+export default logger;
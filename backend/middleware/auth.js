@@ -3,10 +3,37 @@
  */
 
 import jwt from 'jsonwebtoken';
+import { ethers } from 'ethers';
 import { validationResult } from 'express-validator';
 import logger from '../logger.js';
+import { ACCESS_TIERS } from '../services/contractService.js';
+import { ApiKeyError, API_KEY_ERROR_STATUS } from '../services/apiKeyService.js';
+import { createLimiter } from './rateLimit.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'terracare-development-secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// API-key principals' role; not an IdentityRegistry role, so requireRole only admits them by scope
+export const SERVICE_ROLE = 'Service';
+
+// Session store consulted for revocation, on-chain holdings for token gates and service API keys
+// (set at startup via configureAuth)
+let sessionStore = null;
+let holdingsService = null;
+let apiKeyService = null;
+
+/**
+ * Wire server-side services into the auth middleware
+ * @param {Object} services - { sessions, holdings, apiKeys }
+ *   sessions: SessionService exposing isActive(sessionId)
+ *   holdings: HoldingsService backing requireMINE/requireWELL/requireAccessTier
+ *   apiKeys: ApiKeyService backing authenticate
+ */
+export function configureAuth({ sessions, holdings = null, apiKeys = null }) {
+  sessionStore = sessions;
+  holdingsService = holdings;
+  apiKeyService = apiKeys;
+}
 
 /**
  * JWT Authentication Middleware
@@ -17,7 +44,7 @@ export function authenticateJWT(req, res, next) {
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.split(' ')[1];
     
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
       if (err) {
         logger.warn({ error: err.message }, 'JWT verification failed');
         return res.status(403).json({
@@ -25,6 +52,23 @@ export function authenticateJWT(req, res, next) {
           code: 'INVALID_TOKEN'
         });
       }
+
+      if (sessionStore) {
+        try {
+          if (!user.sid || !(await sessionStore.isActive(user.sid))) {
+            return res.status(401).json({
+              error: 'Session has been revoked or has expired',
+              code: 'SESSION_REVOKED'
+            });
+          }
+        } catch (error) {
+          logger.error({ error: error.message }, 'Error checking session revocation');
+          return res.status(500).json({
+            error: 'Failed to verify session',
+            code: 'SESSION_CHECK_FAILED'
+          });
+        }
+      }
       
       req.user = user;
       next();
@@ -37,6 +81,86 @@ export function authenticateJWT(req, res, next) {
   }
 }
 
+/**
+ * JWT or service API key (X-API-Key header) authentication, for routes machine clients may call.
+ * API-key principals get req.user = { address, role: SERVICE_ROLE, apiKeyId, service, scopes };
+ * routes using this must follow it with requireScope or requireRole(roles, scope), which admit
+ * them only with the route's scope.
+ */
+export async function authenticate(req, res, next) {
+  const key = req.headers['x-api-key'];
+  if (!key) {
+    return authenticateJWT(req, res, next);
+  }
+
+  if (!apiKeyService) {
+    return res.status(401).json({
+      error: 'API keys are not accepted',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  try {
+    const apiKey = await apiKeyService.authenticate(key, { ip: req.ip });
+    req.user = {
+      address: apiKey.address,
+      role: SERVICE_ROLE,
+      userId: null,
+      apiKeyId: apiKey.id,
+      service: apiKey.name,
+      scopes: apiKey.scopes
+    };
+    next();
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      logger.warn({ code: error.code, ip: req.ip }, 'API key rejected');
+      return res.status(API_KEY_ERROR_STATUS[error.code] || 401).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error({ error: error.message }, 'Error checking API key');
+    res.status(500).json({
+      error: 'Failed to verify API key',
+      code: 'API_KEY_CHECK_FAILED'
+    });
+  }
+}
+
+// 403 unless an API-key principal holds `scope`
+function checkScope(req, res, next, scope) {
+  if (req.user.scopes?.includes(scope)) {
+    return next();
+  }
+
+  logger.warn({ apiKeyId: req.user.apiKeyId, scopes: req.user.scopes, required: scope }, 'Insufficient scope');
+  res.status(403).json({
+    error: 'API key lacks the required scope',
+    code: 'INSUFFICIENT_SCOPE',
+    required: scope,
+    current: req.user.scopes || []
+  });
+}
+
+/**
+ * Scope check for API-key principals (see authenticate); users authenticated by JWT pass
+ * @param {string} scope - One of API_KEY_SCOPES, e.g. 'records:read'
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        code: 'NO_TOKEN'
+      });
+    }
+
+    if (req.user.role !== SERVICE_ROLE) return next();
+    checkScope(req, res, next, scope);
+  };
+}
+
 /**
  * Request Validation Middleware
  */
@@ -55,8 +179,10 @@ export function validateRequest(req, res, next) {
 /**
  * Role-based Access Control Middleware
  * @param {string[]} allowedRoles - Array of allowed roles
+ * @param {string} scope - API-key scope admitting service principals instead (see authenticate);
+ *   without it they are refused like any other role not in allowedRoles
  */
-export function requireRole(allowedRoles) {
+export function requireRole(allowedRoles, scope = null) {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -65,6 +191,10 @@ export function requireRole(allowedRoles) {
       });
     }
 
+    if (req.user.role === SERVICE_ROLE && scope) {
+      return checkScope(req, res, next, scope);
+    }
+
     const userRole = req.user.role || 'Unknown';
     
     if (!allowedRoles.includes(userRole)) {
@@ -86,10 +216,15 @@ export function requireRole(allowedRoles) {
   };
 }
 
+// Whole tokens (number or string, e.g. 500 or '0.5'), or wei as a bigint
+const toWei = (amount) => (typeof amount === 'bigint' ? amount : ethers.parseEther(String(amount)));
+
 /**
- * Token-gated access middleware (require MINE)
+ * Gate on req.user's on-chain holdings (HoldingsService, cached per block)
+ * @param {Function} check - async (holdings) => shortfall details, or null when the user qualifies
+ * @param {Object} options - { accessTier } whether the check needs AccessControl
  */
-export function requireMINE(minBalance) {
+function requireHoldings(check, { accessTier = false } = {}) {
   return async (req, res, next) => {
     if (!req.user || !req.user.address) {
       return res.status(401).json({
@@ -98,12 +233,33 @@ export function requireMINE(minBalance) {
       });
     }
 
+    if (!holdingsService?.isEnabled({ accessTier })) {
+      return res.status(503).json({
+        error: 'Token balances cannot be checked',
+        code: 'BALANCE_CHECK_UNAVAILABLE'
+      });
+    }
+
     try {
-      // This would check MINE balance via contract service
-      // For now, just pass through
+      const holdings = await holdingsService.get(req.user.address);
+      const shortfall = await check(holdings);
+
+      if (shortfall) {
+        const { error, ...details } = shortfall;
+        logger.warn({ user: req.user.address, ...details }, 'Insufficient token balance');
+        return res.status(403).json({
+          error,
+          code: 'INSUFFICIENT_BALANCE',
+          ...details,
+          blockNumber: holdings.blockNumber
+        });
+      }
+
+      // Handlers can reuse what was read
+      req.holdings = holdings;
       next();
     } catch (error) {
-      logger.error({ error: error.message }, 'Error checking MINE balance');
+      logger.error({ error: error.message }, 'Error checking token balance');
       res.status(500).json({
         error: 'Failed to verify token balance',
         code: 'BALANCE_CHECK_FAILED'
@@ -113,50 +269,87 @@ export function requireMINE(minBalance) {
 }
 
 /**
- * Rate limiting by user (stricter than IP-based)
+ * Token-gated access middleware: at least `minBalance` MINE (TokenEngine.getTotalMINE, staked included)
+ * @param {number|string|bigint} minBalance - Whole MINE, or wei as a bigint
  */
-export function userRateLimit(windowMs = 60000, maxRequests = 10) {
-  const requests = new Map();
+export function requireMINE(minBalance) {
+  const required = toWei(minBalance);
 
-  return (req, res, next) => {
-    const userId = req.user?.address || req.ip;
-    const now = Date.now();
+  return requireHoldings(({ mine }) => (mine >= required ? null : {
+    error: 'Insufficient MINE balance',
+    token: 'MINE',
+    required: required.toString(),
+    balance: mine.toString()
+  }));
+}
 
-    if (!requests.has(userId)) {
-      requests.set(userId, []);
-    }
+/**
+ * Token-gated access middleware: at least `minBalance` WELL (TokenEngine.balanceOf)
+ * @param {number|string|bigint} minBalance - Whole WELL, or wei as a bigint
+ */
+export function requireWELL(minBalance) {
+  const required = toWei(minBalance);
 
-    const userRequests = requests.get(userId);
-    
-    // Clean old requests
-    const validRequests = userRequests.filter(time => now - time < windowMs);
-    
-    if (validRequests.length >= maxRequests) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        code: 'RATE_LIMIT',
-        retryAfter: Math.ceil((validRequests[0] + windowMs - now) / 1000)
-      });
-    }
+  return requireHoldings(({ well }) => (well >= required ? null : {
+    error: 'Insufficient WELL balance',
+    token: 'WELL',
+    required: required.toString(),
+    balance: well.toString()
+  }));
+}
 
-    validRequests.push(now);
-    requests.set(userId, validRequests);
-    next();
-  };
+/**
+ * Token-gated access middleware: AccessControl.getAccessTier at or above `tier`
+ * (Premium from PREMIUM_THRESHOLD MINE, Enterprise from ENTERPRISE_THRESHOLD MINE)
+ * @param {string} tier - One of ACCESS_TIERS
+ */
+export function requireAccessTier(tier) {
+  if (!ACCESS_TIERS.includes(tier)) {
+    throw new Error(`Unknown access tier: ${tier}`);
+  }
+
+  return requireHoldings(async ({ mine, accessTier }) => {
+    if (ACCESS_TIERS.indexOf(accessTier) >= ACCESS_TIERS.indexOf(tier)) return null;
+
+    const thresholds = await holdingsService.getTierThresholds();
+    return {
+      error: `${tier} access tier required`,
+      token: 'MINE',
+      requiredTier: tier,
+      accessTier,
+      required: thresholds[tier].toString(),
+      balance: mine.toString()
+    };
+  }, { accessTier: true });
+}
+
+/**
+ * Rate limiting by user (stricter than IP-based); counted in the shared rate limit store
+ * (middleware/rateLimit.js), per authenticated address, else per IP
+ * @param {string} name - Stable limiter name, unique per route (e.g. 'data-contribution'); it keys
+ *   the counters in a shared store, so it must not depend on the order limiters are created in
+ */
+export function userRateLimit(name, windowMs = 60000, maxRequests = 10) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('userRateLimit requires a limiter name');
+  }
+  return createLimiter({ name: `user-${name}`, windowMs, max: maxRequests, key: 'user' });
 }
 
 /**
- * Generate JWT token for user
+ * Generate short-lived access token for user
+ * @param {Object} user - { address, role, userId, sid } where sid is the server-side session ID
  */
 export function generateToken(user) {
   return jwt.sign(
     {
       address: user.address,
       role: user.role || 'Unknown',
-      userId: user.userId
+      userId: user.userId,
+      sid: user.sid
     },
     JWT_SECRET,
-    { expiresIn: '12h' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 }
 
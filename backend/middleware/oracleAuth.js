@@ -1,7 +1,7 @@
 /**
  * TerraCare Ledger v2.0 - Oracle Authentication Middleware
  * 
- * Validates AI Oracle / Backend service signatures
+ * Validates AI Oracle / Backend service and validator request signatures
  */
 
 import { ethers } from 'ethers';
@@ -11,6 +11,44 @@ import logger from '../logger.js';
 const ORACLE_PUBLIC_KEYS = (process.env.ORACLE_PUBLIC_KEYS || '').split(',').filter(Boolean);
 const AI_SIGNER_ADDRESS = process.env.AI_SIGNER_ADDRESS || '';
 
+// Signed requests older (or further in the future) than this are rejected as replays
+const MAX_REQUEST_AGE_SECONDS = 300;
+
+// Rejected validator standing (see ContractService.getValidatorStatus) => error code
+const VALIDATOR_STATUS_ERRORS = {
+  Inactive: { error: 'Not an active validator', code: 'NOT_VALIDATOR' },
+  Suspended: { error: 'Validator is suspended', code: 'VALIDATOR_SUSPENDED' },
+  Revoked: { error: 'Validator has been revoked', code: 'VALIDATOR_REVOKED' }
+};
+
+/**
+ * Check a signed request: `${method}:${originalUrl}:${timestamp}:${JSON.stringify(body)}` signed
+ * (personal_sign) by `address` within MAX_REQUEST_AGE_SECONDS (see generateOracleSignature)
+ * @param {string} signerKind - 'oracle' or 'validator', for the error message
+ * @returns {Object|null} { status, error, code } rejection, or null when the signature is valid
+ */
+function checkSignedRequest(req, signerKind, { address, signature, timestamp }) {
+  const requestTime = Number(timestamp);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!Number.isInteger(requestTime) || Math.abs(now - requestTime) > MAX_REQUEST_AGE_SECONDS) {
+    return { status: 401, error: 'Request timestamp too old', code: 'STALE_REQUEST' };
+  }
+
+  try {
+    const message = `${req.method}:${req.originalUrl}:${timestamp}:${JSON.stringify(req.body)}`;
+    const recoveredAddress = ethers.verifyMessage(message, signature);
+
+    if (recoveredAddress.toLowerCase() !== address.toLowerCase()) {
+      return { status: 401, error: `Invalid ${signerKind} signature`, code: 'INVALID_SIGNATURE' };
+    }
+    return null;
+  } catch (error) {
+    logger.error({ error: error.message }, 'Request signature verification failed');
+    return { status: 401, error: 'Signature verification failed', code: 'SIGNATURE_FAILED' };
+  }
+}
+
 /**
  * Middleware to validate oracle requests
  * Oracles sign requests with their private key, we verify with public key
@@ -36,59 +74,31 @@ export function requireOracle(req, res, next) {
     });
   }
 
-  // Verify timestamp (prevent replay attacks)
-  const requestTime = parseInt(timestamp);
-  const now = Math.floor(Date.now() / 1000);
-  
-  if (Math.abs(now - requestTime) > 300) { // 5 minute window
-    return res.status(401).json({
-      error: 'Request timestamp too old',
-      code: 'STALE_REQUEST'
+  // Verify timestamp (prevent replay attacks) and signature
+  const rejection = checkSignedRequest(req, 'oracle', { address: oracleAddress, signature, timestamp });
+  if (rejection) {
+    return res.status(rejection.status).json({
+      error: rejection.error,
+      code: rejection.code
     });
   }
 
-  // Verify signature
-  try {
-    const message = `${req.method}:${req.originalUrl}:${timestamp}:${JSON.stringify(req.body)}`;
-    const recoveredAddress = ethers.verifyMessage(message, signature);
-
-    if (recoveredAddress.toLowerCase() !== oracleAddress.toLowerCase()) {
-      return res.status(401).json({
-        error: 'Invalid oracle signature',
-        code: 'INVALID_SIGNATURE'
-      });
-    }
-
-    req.oracle = { address: oracleAddress };
-    next();
-  } catch (error) {
-    logger.error({ error: error.message }, 'Oracle signature verification failed');
-    return res.status(401).json({
-      error: 'Signature verification failed',
-      code: 'SIGNATURE_FAILED'
-    });
-  }
+  req.oracle = { address: oracleAddress };
+  next();
 }
 
 /**
  * Validate device signature from wearable/IoT device
+ * The signer must be the key bound to `userId` for a currently certified HarmonicAdapter device.
+ * @param {ContractService} contractService - Shared contract service (holds the HarmonicAdapter)
  */
-export async function validateDeviceSignature(deviceId, userId, data, signature) {
+export async function validateDeviceSignature(contractService, deviceId, userId, data, timestamp, signature) {
   try {
-    // Create message hash
-    const message = ethers.keccak256(
-      ethers.solidityPacked(
-        ['string', 'bytes32', 'bytes'],
-        [deviceId, ethers.encodeBytes32String(userId), ethers.toUtf8Bytes(JSON.stringify(data))]
-      )
-    );
-
-    // Recover signer
-    const recoveredAddress = ethers.verifyMessage(ethers.getBytes(message), signature);
-
-    // In production: Check if recoveredAddress is a registered device for this user
-    // For now, accept any valid signature
-    return recoveredAddress !== ethers.ZeroAddress;
+    const { valid, code } = await contractService.verifyDevice(deviceId, userId, data, timestamp, signature);
+    if (!valid) {
+      logger.warn({ deviceId, userId, code }, 'Device signature rejected');
+    }
+    return valid;
   } catch (error) {
     logger.error({ error: error.message, deviceId }, 'Device signature validation failed');
     return false;
@@ -97,29 +107,64 @@ export async function validateDeviceSignature(deviceId, userId, data, signature)
 
 /**
  * Generate oracle signature (for backend use)
+ * @param {Object|string} signer - ethers Signer (see signerProvider.js) or private key
  */
-export async function generateOracleSignature(privateKey, method, url, body, timestamp) {
-  const wallet = new ethers.Wallet(privateKey);
+export async function generateOracleSignature(signer, method, url, body, timestamp) {
+  const wallet = typeof signer === 'string' ? new ethers.Wallet(signer) : signer;
   const message = `${method}:${url}:${timestamp}:${JSON.stringify(body)}`;
   return wallet.signMessage(message);
 }
 
 /**
- * Middleware to check if request is from authorized validator
+ * Middleware to check if request is from an active validator
+ * Validators sign requests like oracles do (x-validator-address, x-validator-timestamp,
+ * x-validator-signature; see generateOracleSignature); the signer must be active in PoAConsensus,
+ * or a GovernanceBridge validator when PoAConsensus does not know it.
+ * @param {ContractService} contractService - Shared contract service (holds PoAConsensus and GovernanceBridge)
  */
-export function requireValidator(req, res, next) {
-  const validatorAddress = req.headers['x-validator-address'];
-  const signature = req.headers['x-validator-signature'];
+export function requireValidator(contractService) {
+  return async (req, res, next) => {
+    const validatorAddress = req.headers['x-validator-address'];
+    const signature = req.headers['x-validator-signature'];
+    const timestamp = req.headers['x-validator-timestamp'];
 
-  if (!validatorAddress || !signature) {
-    return res.status(401).json({
-      error: 'Validator authentication required',
-      code: 'VALIDATOR_AUTH_REQUIRED'
-    });
-  }
+    if (!validatorAddress || !signature || !timestamp) {
+      return res.status(401).json({
+        error: 'Validator authentication required',
+        code: 'VALIDATOR_AUTH_REQUIRED'
+      });
+    }
 
-  // In production: Check against on-chain validator list
-  // For now, just pass through if headers present
-  req.validator = { address: validatorAddress };
-  next();
+    const rejection = checkSignedRequest(req, 'validator', { address: validatorAddress, signature, timestamp });
+    if (rejection) {
+      return res.status(rejection.status).json({
+        error: rejection.error,
+        code: rejection.code
+      });
+    }
+
+    try {
+      const validator = await contractService.getValidatorStatus(validatorAddress);
+      if (!validator) {
+        return res.status(503).json({
+          error: 'Validator set cannot be checked',
+          code: 'VALIDATOR_CHECK_UNAVAILABLE'
+        });
+      }
+
+      if (validator.status !== 'Active') {
+        logger.warn({ validatorAddress, status: validator.status, source: validator.source }, 'Unauthorized validator attempt');
+        return res.status(403).json(VALIDATOR_STATUS_ERRORS[validator.status]);
+      }
+
+      req.validator = { address: ethers.getAddress(validatorAddress), ...validator };
+      next();
+    } catch (error) {
+      logger.error({ error: error.message, validatorAddress }, 'Validator check failed');
+      return res.status(500).json({
+        error: 'Failed to verify validator',
+        code: 'VALIDATOR_CHECK_FAILED'
+      });
+    }
+  };
 }
@@ -0,0 +1,128 @@
+/**
+ * TerraCare Ledger v2.0 - Rate Limiting Middleware
+ *
+ * express-rate-limit limiters on a shared store (services/rateLimitStore.js):
+ * - Global: per IP across the API (RATE_LIMIT_MAX per RATE_LIMIT_WINDOW_MS)
+ * - Route classes: separate budgets for webhooks, oracle requests, writes and reads
+ *   (RATE_LIMIT_<CLASS>_*), per authenticated address (else per IP), with larger budgets per role
+ * - userRateLimit (middleware/auth.js): per-user limits on single routes, named by the caller
+ *
+ * Every limiter sends RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (and Retry-After
+ * with a 429), and answers `429 { code: 'RATE_LIMIT', retryAfter }` once the budget is spent. While the
+ * store is unreachable, requests pass (RATE_LIMIT_FAIL_OPEN, default) or get `503 RATE_LIMIT_UNAVAILABLE`.
+ */
+
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
+import logger from '../logger.js';
+import RespClient from '../services/respClient.js';
+import { createRateLimitStore } from '../services/rateLimitStore.js';
+import { verifyToken } from './auth.js';
+
+// First match wins; paths are relative to the /api mount
+export const ROUTE_CLASSES = [
+  ['webhooks', req => req.path === '/revenue/webhook'],
+  ['oracle', req => req.path.startsWith('/oracle/')],
+  ['reads', req => ['GET', 'HEAD', 'OPTIONS'].includes(req.method)],
+  ['writes', () => true]
+];
+
+// Store settings (set at startup via configureRateLimits)
+let storeOptions = { driver: 'memory' };
+let failOpen = true;
+const limiterNames = new Set();
+
+/**
+ * Select the store every limiter created afterwards uses
+ * @param {Object} options - { store, redisUrl, redisPrefix, failOpen } (config.rateLimit)
+ *   failOpen: let requests through when the store cannot be reached
+ */
+export function configureRateLimits({ store = 'memory', redisUrl, redisPrefix = 'terracare:rl:', failOpen: open = true } = {}) {
+  storeOptions = store === 'redis'
+    ? { driver: 'redis', client: new RespClient(redisUrl), keyPrefix: redisPrefix }
+    : { driver: store };
+  failOpen = open;
+  logger.info({ store, redis: storeOptions.client?.label }, 'Rate limit store configured');
+}
+
+/**
+ * Authenticated address and role for keying and role budgets: req.user after authenticateJWT, else
+ * the bearer token. Before authenticateJWT only the JWT signature and expiry are checked, not the
+ * session; authenticateJWT still decides whether the request is allowed.
+ */
+function identify(req) {
+  if (req.user?.address) {
+    return { address: req.user.address.toLowerCase(), role: req.user.role };
+  }
+  if (req.rateLimitIdentity === undefined) {
+    const header = req.headers.authorization || '';
+    const user = header.startsWith('Bearer ') ? verifyToken(header.slice(7)) : null;
+    req.rateLimitIdentity = user?.address ? { address: user.address.toLowerCase(), role: user.role } : null;
+  }
+  return req.rateLimitIdentity;
+}
+
+function rejectOverLimit(name) {
+  return (req, res, next, options) => {
+    const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 0);
+    logger.warn({ limiter: name, key: req.rateLimit.key, limit: req.rateLimit.limit }, 'Rate limit exceeded');
+    res.status(options.statusCode).json({
+      error: 'Rate limit exceeded',
+      code: 'RATE_LIMIT',
+      limiter: name,
+      retryAfter
+    });
+  };
+}
+
+/**
+ * Create a limiter on the configured store
+ * @param {Object} options - { name, windowMs, max, roles, key }
+ *   name: unique per limiter; prefixes its keys in a shared store
+ *   roles: { Role: max } budgets replacing `max` for authenticated users with that JWT role
+ *   key: 'ip' (default) or 'user' (authenticated address, else IP)
+ */
+export function createLimiter({ name, windowMs, max, roles = {}, key = 'ip' }) {
+  if (limiterNames.has(name)) {
+    throw new Error(`Rate limiter ${name} already exists`);
+  }
+  limiterNames.add(name);
+
+  const { keyPrefix = '', ...options } = storeOptions;
+  const limiter = rateLimit({
+    windowMs,
+    limit: req => roles[identify(req)?.role] ?? max,
+    keyGenerator: req => (key === 'user' && identify(req)?.address) || ipKeyGenerator(req.ip),
+    store: createRateLimitStore({ ...options, prefix: `${keyPrefix}${name}:` }),
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    handler: rejectOverLimit(name)
+  });
+
+  // Store errors reach next(error)
+  return (req, res, next) => limiter(req, res, error => {
+    if (!error) return next();
+
+    logger.warn({ limiter: name, error: error.message, failOpen }, 'Rate limit store unavailable');
+    if (failOpen) return next();
+    res.status(503).json({
+      error: 'Rate limiting unavailable',
+      code: 'RATE_LIMIT_UNAVAILABLE'
+    });
+  });
+}
+
+/**
+ * One limiter per route class (ROUTE_CLASSES), each request counted against its class only
+ * @param {Object} budgets - { webhooks, oracle, writes, reads }: { windowMs, max, roles }
+ */
+export function routeClassLimiter(budgets) {
+  const limiters = Object.fromEntries(ROUTE_CLASSES.map(([name]) => [
+    name,
+    createLimiter({ name, key: 'user', ...budgets[name] })
+  ]));
+
+  return (req, res, next) => {
+    const [name] = ROUTE_CLASSES.find(([, matches]) => matches(req));
+    return limiters[name](req, res, next);
+  };
+}
@@ -1,23 +1,71 @@
 // MultiChainConfig.js
-// Example config and stub logic for multi-chain support
+// Multi-chain config: one cached RPC pool per chain (failover across rpcUrls, quorum reads),
+// signers, live chain status, and contract addresses/ABIs from deployment manifests and
+// Hardhat artifacts (services/deploymentRegistry.js; env vars for contracts a manifest does not list)
+
+import { ethers } from 'ethers';
+import RpcPoolProvider from './services/rpcPoolProvider.js';
+import DeploymentRegistry, { DRIFT_PROBLEMS } from './services/deploymentRegistry.js';
+
+// Status checks give up on an unresponsive RPC after this long; results are reused for STATUS_CACHE_MS
+const STATUS_TIMEOUT_MS = Number(process.env.CHAIN_STATUS_TIMEOUT_MS || 5000);
+const STATUS_CACHE_MS = Number(process.env.CHAIN_STATUS_CACHE_MS || 5000);
+// A chain whose latest block is older than this is reported as degraded (stalled or lagging)
+const MAX_BLOCK_AGE_SECONDS = Number(process.env.CHAIN_MAX_BLOCK_AGE_SECONDS || 120);
+// Fewer peers than this is reported as degraded; 0 for single-node development chains
+const MIN_PEERS = Number(process.env.CHAIN_MIN_PEERS || 1);
+
+// <CHAIN>_RPC_URLS is a comma-separated list, most preferred first; otherwise the single URL
+function rpcUrls(list, single) {
+  const urls = (list || '').split(',').map(url => url.trim()).filter(Boolean);
+  return urls.length ? urls : [single];
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
 export const MultiChainConfig = {
   chains: [
     {
       id: 'terracare',
       name: 'Terracare Chain',
-      rpcUrl: process.env.TERRACARE_RPC || 'https://rpc.terracare.org',
+      chainId: Number(process.env.TERRACARE_CHAIN_ID || 1337),
+      rpcUrls: rpcUrls(
+        process.env.TERRACARE_RPC_URLS,
+        process.env.TERRACARE_RPC || process.env.TERRACARE_RPC_URL || 'https://rpc.terracare.org'
+      ),
+      // Endpoints that must agree on critical reads (balances, access checks); 1 disables quorum
+      rpcQuorum: Number(process.env.TERRACARE_RPC_QUORUM || 1),
+      signerKey: process.env.TERRACARE_SIGNER_PRIVATE_KEY || process.env.BACKEND_PRIVATE_KEY || '',
+      txOverrides: { gasPrice: 0 }, // PoA network
       contracts: {
         IdentityRegistry: process.env.TERRACARE_IDENTITY_REGISTRY || '',
         AccessControl: process.env.TERRACARE_ACCESS_CONTROL || '',
         RecordRegistry: process.env.TERRACARE_RECORD_REGISTRY || '',
-        AuditLog: process.env.TERRACARE_AUDIT_LOG || ''
+        AuditLog: process.env.TERRACARE_AUDIT_LOG || '',
+        TokenEngine: process.env.TERRACARE_TOKEN_ENGINE || '',
+        ActivityRegistry: process.env.TERRACARE_ACTIVITY_REGISTRY || '',
+        RevenueDistributor: process.env.TERRACARE_REVENUE_DISTRIBUTOR || '',
+        GovernanceBridge: process.env.TERRACARE_GOVERNANCE_BRIDGE || '',
+        HarmonicAdapter: process.env.TERRACARE_HARMONIC_ADAPTER || '',
+        LlamaAdapter: process.env.TERRACARE_LLAMA_ADAPTER || '',
+        TerracareForwarder: process.env.TERRACARE_FORWARDER || '',
+        PoAConsensus: process.env.TERRACARE_POA_CONSENSUS || ''
       }
     },
     {
       id: 'ethereum',
       name: 'Ethereum Mainnet',
-      rpcUrl: process.env.ETHEREUM_RPC || 'https://mainnet.infura.io/v3/YOUR_INFURA_KEY',
+      chainId: 1,
+      rpcUrls: rpcUrls(process.env.ETHEREUM_RPC_URLS, process.env.ETHEREUM_RPC || 'https://mainnet.infura.io/v3/YOUR_INFURA_KEY'),
+      rpcQuorum: Number(process.env.ETHEREUM_RPC_QUORUM || 1),
+      signerKey: process.env.ETHEREUM_SIGNER_PRIVATE_KEY || '',
+      txOverrides: {},
       contracts: {
         IdentityRegistry: process.env.ETHEREUM_IDENTITY_REGISTRY || '',
         AccessControl: process.env.ETHEREUM_ACCESS_CONTROL || '',
@@ -28,7 +76,11 @@ export const MultiChainConfig = {
     {
       id: 'polygon',
       name: 'Polygon',
-      rpcUrl: process.env.POLYGON_RPC || 'https://polygon-rpc.com',
+      chainId: 137,
+      rpcUrls: rpcUrls(process.env.POLYGON_RPC_URLS, process.env.POLYGON_RPC || 'https://polygon-rpc.com'),
+      rpcQuorum: Number(process.env.POLYGON_RPC_QUORUM || 1),
+      signerKey: process.env.POLYGON_SIGNER_PRIVATE_KEY || '',
+      txOverrides: {},
       contracts: {
         IdentityRegistry: process.env.POLYGON_IDENTITY_REGISTRY || '',
         AccessControl: process.env.POLYGON_ACCESS_CONTROL || '',
@@ -37,37 +89,205 @@ export const MultiChainConfig = {
       }
     }
   ],
+  deployments: new DeploymentRegistry(),
+  providers: new Map(), // chainId -> RpcPoolProvider
+  quorumProviders: new Map(), // chainId -> RpcPoolProvider sharing the pool's endpoints, with rpcQuorum
+  statusCache: new Map(), // chainId -> { at, promise }
+
+  // Merge each chain's manifest over its env-configured addresses (once, at import)
+  _loadDeployments() {
+    for (const chain of this.chains) {
+      const { contracts, sources, conflicts } = this.deployments.resolveAddresses(chain.chainId, chain.contracts);
+      chain.contracts = contracts;
+      chain.deployment = { sources, conflicts };
+    }
+  },
+
+  /**
+   * Check every chain with contracts against its manifest, artifacts and on-chain code
+   * @returns {Array} deploymentRegistry verify() reports with `id`; `drift` lists problems that
+   *   mean the wrong contract (DRIFT_PROBLEMS)
+   */
+  async verifyDeployments() {
+    const chains = this.chains.filter(chain => Object.values(chain.contracts).some(Boolean));
+    return await Promise.all(chains.map(async chain => {
+      const report = await this.deployments.verify(chain.chainId, this.getProvider(chain.id), {
+        contracts: chain.contracts,
+        ...chain.deployment
+      });
+      return {
+        id: chain.id,
+        ...report,
+        drift: report.problems.filter(problem => DRIFT_PROBLEMS.includes(problem.code))
+      };
+    }));
+  },
+
   listChains() {
-    return this.chains.map(c => ({ id: c.id, name: c.name }));
+    return this.chains.map(c => ({ id: c.id, name: c.name, chainId: c.chainId }));
   },
-  async getChainStatus(chainId) {
+
+  /**
+   * Live chain status, cached for CHAIN_STATUS_CACHE_MS (concurrent callers share one check)
+   * @returns {Object} { id, name, status: ok|degraded|down, issues, chainId, latestBlock, peers,
+   *   syncing, contracts, endpoints, rpcQuorum, latencyMs, checkedAt }
+   *   Down only when no endpoint answers; a failed or lagging endpoint makes the chain degraded
+   */
+  async getChainStatus(chainId, { refresh = false } = {}) {
     const chain = this.chains.find(c => c.id === chainId);
     if (!chain) throw new Error('Chain not found');
-    // In real code, ping the RPC or check contract status
-    return { id: chain.id, name: chain.name, status: 'ok' };
+
+    const cached = this.statusCache.get(chainId);
+    if (!refresh && cached && Date.now() - cached.at < STATUS_CACHE_MS) {
+      return await cached.promise;
+    }
+
+    const promise = this._checkChain(chain);
+    this.statusCache.set(chainId, { at: Date.now(), promise });
+    return await promise;
+  },
+
+  async _checkChain(chain) {
+    const provider = this.getProvider(chain.id);
+    const started = Date.now();
+    const status = {
+      id: chain.id,
+      name: chain.name,
+      status: 'ok',
+      issues: [],
+      checkedAt: new Date(started).toISOString()
+    };
+
+    // Probe every endpoint of the pool; failover would otherwise hide a dead or lagging node
+    const endpoints = withTimeout(provider.probe(), STATUS_TIMEOUT_MS, 'Endpoint probe timed out')
+      .catch(() => null)
+      .then(() => provider.endpointHealth().map(endpoint => ({ ...endpoint, up: endpoint.consecutiveFailures === 0 })));
+
+    try {
+      const [actualChainId, block, peers, syncing] = await withTimeout(Promise.all([
+        provider.send('eth_chainId', []),
+        provider.getBlock('latest'),
+        // Not every node exposes net_peerCount / eth_syncing
+        provider.send('net_peerCount', []).catch(() => null),
+        provider.send('eth_syncing', []).catch(() => null)
+      ]), STATUS_TIMEOUT_MS, `RPC did not answer within ${STATUS_TIMEOUT_MS}ms`);
+      status.latencyMs = Date.now() - started;
+
+      const actual = Number(actualChainId);
+      status.chainId = { expected: chain.chainId, actual, match: actual === chain.chainId };
+      if (!status.chainId.match) status.issues.push('CHAIN_ID_MISMATCH');
+
+      const ageSeconds = Math.max(0, Math.floor(Date.now() / 1000) - block.timestamp);
+      status.latestBlock = { number: block.number, hash: block.hash, timestamp: block.timestamp, ageSeconds };
+      if (ageSeconds > MAX_BLOCK_AGE_SECONDS) status.issues.push('STALE_BLOCK');
+
+      status.peers = peers === null ? null : Number(peers);
+      if (status.peers !== null && status.peers < MIN_PEERS) status.issues.push('LOW_PEER_COUNT');
+
+      // eth_syncing is false, or { currentBlock, highestBlock, ... } while catching up
+      status.syncing = syncing && typeof syncing === 'object'
+        ? { currentBlock: Number(syncing.currentBlock), highestBlock: Number(syncing.highestBlock) }
+        : syncing === null ? null : false;
+      if (status.syncing) status.issues.push('SYNCING');
+    } catch (error) {
+      return { ...status, status: 'down', issues: ['RPC_UNAVAILABLE'], error: error.message, endpoints: await endpoints };
+    }
+
+    status.endpoints = await endpoints;
+    if (status.endpoints.some(endpoint => !endpoint.up)) status.issues.push('RPC_ENDPOINT_DOWN');
+    if (status.endpoints.some(endpoint => endpoint.lagging)) status.issues.push('RPC_ENDPOINT_LAGGING');
+    status.rpcQuorum = chain.rpcQuorum;
+    if (status.endpoints.filter(endpoint => endpoint.available).length < chain.rpcQuorum) {
+      status.issues.push('RPC_QUORUM_UNAVAILABLE');
+    }
+
+    // Configured contracts must have code on this chain
+    const contracts = await Promise.all(Object.entries(chain.contracts || {}).map(async ([name, address]) => {
+      if (!address) return [name, { address: null, deployed: null }];
+      try {
+        const code = await withTimeout(provider.getCode(address), STATUS_TIMEOUT_MS, 'getCode timed out');
+        return [name, { address, deployed: code !== '0x' }];
+      } catch (error) {
+        return [name, { address, deployed: false, error: error.message }];
+      }
+    }));
+    status.contracts = Object.fromEntries(contracts);
+    if (contracts.some(([, contract]) => contract.deployed === false)) status.issues.push('CONTRACT_NOT_DEPLOYED');
+
+    if (status.issues.length) status.status = 'degraded';
+    return status;
   },
 
-  // --- Ethers.js Contract Adapter (Stub) ---
+  // --- Ethers.js Contract Adapter ---
+  // One pool per chain, failing over between its rpcUrls; the configured chain ID is used as-is
+  // (getChainStatus reports a mismatch)
   getProvider(chainId) {
-    const { ethers } = require('ethers');
     const chain = this.chains.find(c => c.id === chainId);
     if (!chain) throw new Error('Chain not found');
-    return new ethers.JsonRpcProvider(chain.rpcUrl);
+    if (!this.providers.has(chainId)) {
+      this.providers.set(chainId, new RpcPoolProvider(chain.rpcUrls, chain.chainId));
+    }
+    return this.providers.get(chainId);
   },
 
-  getContract(chainId, contractName, abi, addressOverride) {
-    const provider = this.getProvider(chainId);
+  // For critical reads: rpcQuorum endpoints must return the same answer (the failover pool when rpcQuorum is 1)
+  getQuorumProvider(chainId) {
     const chain = this.chains.find(c => c.id === chainId);
-    const address = addressOverride || (chain.contracts && chain.contracts[contractName]);
-    if (!address) throw new Error('Contract address not set');
-    return new (require('ethers').Contract)(address, abi, provider);
+    if (!chain) throw new Error('Chain not found');
+    if (chain.rpcQuorum <= 1) return this.getProvider(chainId);
+    if (!this.quorumProviders.has(chainId)) {
+      this.quorumProviders.set(chainId, this.getProvider(chainId).withQuorum(chain.rpcQuorum));
+    }
+    return this.quorumProviders.get(chainId);
+  },
+
+  hasSigner(chainId) {
+    const chain = this.chains.find(c => c.id === chainId);
+    return Boolean(chain && (chain.signer || chain.signerKey));
+  },
+
+  // Use a loaded signer (keystore, remote signer; see services/signerProvider.js) instead of signerKey
+  setSigner(chainId, signer) {
+    const chain = this.chains.find(c => c.id === chainId);
+    if (!chain) throw new Error('Chain not found');
+    chain.signer = signer;
+  },
+
+  // Wallet that submits transactions for this chain (backend-subsidised)
+  getSigner(chainId) {
+    const chain = this.chains.find(c => c.id === chainId);
+    if (!chain) throw new Error('Chain not found');
+    if (chain.signer) return chain.signer.connect(this.getProvider(chainId));
+    if (!chain.signerKey) throw new Error('Signer not configured for chain');
+    return new ethers.Wallet(chain.signerKey, this.getProvider(chainId));
+  },
+
+  getTxOverrides(chainId) {
+    const chain = this.chains.find(c => c.id === chainId);
+    return { ...(chain?.txOverrides || {}) };
+  },
+
+  getAddress(chainId, contractName) {
+    const chain = this.chains.find(c => c.id === chainId);
+    if (!chain) throw new Error('Chain not found');
+    return chain.contracts[contractName] || '';
   },
 
-  // ABIs for contracts (replace with actual ABIs or import from JSON)
-  abis: {
-    IdentityRegistry: require('../contracts/abi/IdentityRegistry.json'),
-    AccessControl: require('../contracts/abi/AccessControl.json'),
-    RecordRegistry: require('../contracts/abi/RecordRegistry.json'),
-    AuditLog: require('../contracts/abi/AuditLog.json')
+  // ABI from the contract's Hardhat artifact
+  getAbi(chainId, contractName) {
+    const chain = this.chains.find(c => c.id === chainId);
+    if (!chain) throw new Error('Chain not found');
+    return this.deployments.getAbi(chain.chainId, contractName);
+  },
+
+  getContract(chainId, contractName, abi, addressOverride, { withSigner = false, quorum = false } = {}) {
+    const runner = withSigner
+      ? this.getSigner(chainId)
+      : quorum ? this.getQuorumProvider(chainId) : this.getProvider(chainId);
+    const address = addressOverride || this.getAddress(chainId, contractName);
+    if (!address) throw new Error('Contract address not set');
+    return new ethers.Contract(address, abi || this.getAbi(chainId, contractName), runner);
   }
 };
+
+MultiChainConfig._loadDeployments();
@@ -2,417 +2,799 @@
  * TerraCare Ledger v2.0 - Activity API Routes
  * 
  * Handles:
- * - POST /activity/biometric: Receive bracelet streams, validate device signature
+ * - POST /activity/biometric: Receive bracelet streams, validate device signature, reject replays (recorded in batches)
+ * - GET /activity/status/:activityId: Status of a batched biometric activity
+ *   (both also open to service API keys with activity:write / activity:read)
  * - POST /activity/therapy: Caregiver marks therapy completion
- * - GET /user/balance/:id: Return MINE and WELL balances
+ * - POST /activity/data-contribution/prepare: Record update for a contributed dataset, signed by the user and relayed
+ * - POST /activity/data-contribution: Reward the user's pending contribution (DataValidation activity)
+ *
+ * All submissions pass AISignerService.detectGaming: HIGH alerts block the submission,
+ * MEDIUM alerts reduce its value score; either raises a flag for admin review.
+ * High-value proofs are co-signed by peer oracles (OracleQuorumService) before submission.
  */
 
 import { Router } from 'express';
-import { body, param, validationResult } from 'express-validator';
+import { body, param } from 'express-validator';
 import { ethers } from 'ethers';
 import logger from '../logger.js';
-import { authenticateJWT, validateRequest, requireRole } from '../middleware/auth.js';
-import { requireOracle } from '../middleware/oracleAuth.js';
-import ContractService from '../services/contractService.js';
-import AISignerService from '../services/aiSignerService.js';
-
-const router = Router();
-
-// Initialize services
-const contractService = new ContractService();
-const aiSigner = new AISignerService();
+import { authenticate, authenticateJWT, validateRequest, requireRole, requireScope } from '../middleware/auth.js';
+import { DEVICE_CHECK_STATUS } from '../services/contractService.js';
+import { SubmissionGuardError, SUBMISSION_ERROR_STATUS } from '../services/submissionGuardService.js';
+import { TherapySessionError, THERAPY_SESSION_ERROR_STATUS } from '../services/therapySessionService.js';
+import { DataContributionError, DATA_CONTRIBUTION_ERROR_STATUS } from '../services/dataContributionService.js';
+import { OracleQuorumError, ORACLE_QUORUM_ERROR_STATUS } from '../services/oracleQuorumService.js';
+import { RelayerError, RELAYER_ERROR_STATUS } from '../services/relayerService.js';
 
 /**
- * POST /api/activity/biometric
- * Receive biometric streams from wearable devices
- * Requires device signature validation
+ * Create activity router
+ * @param {Object} services - { contractService, aiSigner, activityBatcher, submissionGuard, gamingFlags, therapySessions,
+ *   dataContributions, oracleQuorum } shared by the server
+ * @returns {Router} Express router
  */
-router.post(
-  '/biometric',
-  authenticateJWT,
-  [
-    body('deviceId').isString().notEmpty().trim(),
-    body('userId').isString().notEmpty().trim(),
-    body('data').isObject(),
-    body('signature').isString().isLength({ min: 132, max: 132 }), // 0x + 130 hex chars
-    body('timestamp').isInt({ min: 0 }),
-  ],
-  validateRequest,
-  async (req, res) => {
-    try {
-      const { deviceId, userId, data, signature, timestamp } = req.body;
-
-      // 1. Validate device signature against IdentityRegistry
-      const isValidDevice = await contractService.validateDeviceSignature(
-        deviceId,
-        userId,
-        data,
-        signature
-      );
-
-      if (!isValidDevice) {
-        logger.warn({ deviceId, userId }, 'Invalid device signature');
-        return res.status(403).json({ 
-          error: 'Invalid device signature',
-          code: 'INVALID_SIGNATURE'
+export default function createActivityRouter({
+  contractService,
+  aiSigner,
+  activityBatcher,
+  submissionGuard,
+  gamingFlags,
+  therapySessions,
+  dataContributions,
+  oracleQuorum
+}) {
+  const router = Router();
+
+  // Run gaming detection for a submission and queue a review flag when it is suspicious
+  const screenActivity = async ({ userId, userAddress, activityId, activityType, deviceId }) => {
+    const detection = await aiSigner.detectGaming({ userId, activityType, deviceId });
+    if (!detection.isSuspicious) return { detection, flag: null };
+
+    const flag = await gamingFlags.record({
+      userId,
+      userAddress,
+      activityId,
+      activityType,
+      deviceId,
+      detection,
+      action: detection.shouldBlock ? 'BLOCKED' : 'REDUCED'
+    });
+    return { detection, flag };
+  };
+
+  const gamingBlocked = (res, { detection, flag }) => res.status(403).json({
+    error: 'Submission blocked by gaming detection',
+    code: 'GAMING_DETECTED',
+    flagId: flag.flagId,
+    alerts: detection.alerts.filter(a => a.severity === 'HIGH').map(a => a.type)
+  });
+
+  const quorumFailed = (res, error) => res.status(ORACLE_QUORUM_ERROR_STATUS[error.code]).json({
+    error: error.message,
+    code: error.code,
+    ...error.details
+  });
+
+  // Activity ID of a dataset: a dataset is rewarded once per user and data type
+  const contributionId = (userId, datasetHash, dataType) => ethers.keccak256(
+    ethers.solidityPacked(
+      ['bytes32', 'bytes32', 'bytes32'],
+      [ethers.encodeBytes32String(userId), datasetHash, ethers.id(dataType)]
+    )
+  );
+
+  // Contributor must be the authenticated user; sends the error response and returns null otherwise
+  const contributorAddress = async (req, res, userId) => {
+    const userAddress = await contractService.getUserAddress(userId);
+    if (!userAddress || userAddress === ethers.ZeroAddress) {
+      res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+      return null;
+    }
+    if (userAddress.toLowerCase() !== req.user.address.toLowerCase()) {
+      res.status(403).json({
+        error: 'Only the data owner can contribute this dataset',
+        code: 'NOT_DATA_OWNER'
+      });
+      return null;
+    }
+    return userAddress;
+  };
+
+  const contributionError = (res, error) => res.status(DATA_CONTRIBUTION_ERROR_STATUS[error.code]).json({
+    error: error.message,
+    code: error.code,
+    ...error.details
+  });
+
+  /**
+   * POST /api/activity/biometric
+   * Receive biometric streams from wearable devices
+   * Requires device signature validation; each signed reading is accepted once
+   */
+  router.post(
+    '/biometric',
+    authenticate,
+    requireScope('activity:write'),
+    [
+      body('deviceId').isString().notEmpty().trim(),
+      body('userId').isString().notEmpty().trim(),
+      body('data').isObject(),
+      body('signature').isString().isLength({ min: 132, max: 132 }), // 0x + 130 hex chars
+      body('timestamp').isInt({ min: 0 }),
+    ],
+    validateRequest,
+    async (req, res) => {
+      let claimedActivityId = null;
+      let accepted = false;
+
+      try {
+        const { deviceId, userId, data, signature, timestamp } = req.body;
+
+        // 1. Validate device signature (covering the reading and its timestamp) against the
+        //    HarmonicAdapter certification and key binding
+        const { valid, code, device } = await contractService.verifyDevice(
+          deviceId,
+          userId,
+          data,
+          timestamp,
+          signature
+        );
+
+        if (!valid) {
+          logger.warn({ deviceId, userId, code }, 'Device verification failed');
+          return res.status(DEVICE_CHECK_STATUS[code] || 403).json({ 
+            error: 'Device verification failed',
+            code
+          });
+        }
+
+        // 2. Derive the activity ID from the reading itself, so the same data re-signed
+        //    with a later timestamp still maps to the same ID
+        const dataHash = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(data)));
+        const activityId = ethers.keccak256(
+          ethers.solidityPacked(
+            ['bytes32', 'bytes32', 'bytes32'],
+            [ethers.encodeBytes32String(userId), ethers.id(deviceId), dataHash]
+          )
+        );
+
+        // 3. Reject stale readings and replays; the signed timestamp keeps a reading stale once
+        //    its seen entry has expired
+        await submissionGuard.claim({ activityId, deviceId, userId, timestamp });
+        claimedActivityId = activityId;
+
+        // 4. Check user identity
+        const userAddress = await contractService.getUserAddress(userId);
+        if (!userAddress) {
+          return res.status(404).json({ 
+            error: 'User not found',
+            code: 'USER_NOT_FOUND'
+          });
+        }
+
+        // 5. Gaming detection
+        const screening = await screenActivity({
+          userId,
+          userAddress,
+          activityId,
+          activityType: 0, // BiometricStream
+          deviceId
         });
-      }
+        if (screening.detection.shouldBlock) {
+          return gamingBlocked(res, screening);
+        }
 
-      // 2. Check user identity
-      const userAddress = await contractService.getUserAddress(userId);
-      if (!userAddress) {
-        return res.status(404).json({ 
-          error: 'User not found',
-          code: 'USER_NOT_FOUND'
+        // 6. Check daily rate limit (anti-gaming), counting points still waiting in a batch
+        const [onChainRemaining, pendingPoints] = await Promise.all([
+          contractService.getRemainingDailyPoints(userId),
+          activityBatcher.getPendingPoints(userId)
+        ]);
+        const remainingPoints = onChainRemaining - pendingPoints;
+        if (remainingPoints <= 0) {
+          return res.status(429).json({
+            error: 'Daily points cap reached',
+            code: 'DAILY_CAP_REACHED',
+            retryAfter: await contractService.getSecondsUntilNextDay(userId)
+          });
+        }
+
+        // 7. AI Oracle calculates value score with the active scoring model, reduced for MEDIUM gaming alerts
+        const scoringModel = aiSigner.getScoringModel();
+        const baseScore = await aiSigner.calculateBiometricValueScore({
+          deviceId,
+          device,
+          userId,
+          data,
+          timestamp,
+          dataQuality: data.quality || 0,
+          completeness: data.completeness || 0
         });
-      }
+        const valueScore = Math.floor(baseScore * screening.detection.scoreMultiplier);
+
+        // Cap value score to remaining points
+        const actualValueScore = Math.min(valueScore, remainingPoints);
+
+        // 8. AI Oracle signs the EIP-712 activity proof; peer oracles co-sign high-value proofs
+        const proof = await aiSigner.signActivityProof({
+          activityId,
+          userId,
+          activityType: 0, // BiometricStream
+          dataHash,
+          valueScore: actualValueScore,
+          userAddress,
+          modelHash: scoringModel.hash
+        });
+        const attestedProof = await oracleQuorum.attest(proof, { userId, deviceId, data, signature, timestamp });
+
+        // 9. Buffer for the next batchRecordActivities call (backend pays gas, subsidizes for user)
+        const item = await activityBatcher.enqueue({
+          activityId,
+          userId,
+          activityType: 0, // BiometricStream
+          dataHash,
+          valueScore: actualValueScore,
+          userAddress,
+          deviceId,
+          modelHash: scoringModel.hash,
+          proof: attestedProof
+        });
+        accepted = true;
+
+        logger.info({
+          activityId,
+          userId,
+          deviceId,
+          valueScore: actualValueScore,
+          scoringModel: scoringModel.key
+        }, 'Biometric activity buffered');
+
+        // Accepted, not yet recorded: poll GET /api/activity/status/:activityId
+        res.status(202).json({
+          success: true,
+          activityId,
+          valueScore: actualValueScore,
+          mineEarned: actualValueScore * 10, // 10 MINE per point
+          scoringModel: { key: scoringModel.key, hash: scoringModel.hash },
+          status: item.status,
+          flagId: screening.flag?.flagId,
+          remainingPoints: remainingPoints - actualValueScore
+        });
+
+      } catch (error) {
+        if (error instanceof SubmissionGuardError) {
+          return res.status(SUBMISSION_ERROR_STATUS[error.code]).json({
+            error: error.message,
+            code: error.code
+          });
+        }
+
+        if (error instanceof OracleQuorumError) {
+          return quorumFailed(res, error);
+        }
 
-      // 3. Check daily rate limit (anti-gaming)
-      const remainingPoints = await contractService.getRemainingDailyPoints(userId);
-      if (remainingPoints <= 0) {
-        return res.status(429).json({
-          error: 'Daily points cap reached',
-          code: 'DAILY_CAP_REACHED',
-          retryAfter: await contractService.getSecondsUntilNextDay(userId)
+        logger.error({ error: error.message, stack: error.stack }, 'Error recording biometric activity');
+        res.status(500).json({ 
+          error: 'Failed to record activity',
+          code: 'RECORD_FAILED'
         });
+
+      } finally {
+        // Rejected or failed after claiming the reading: let the device retry it
+        if (claimedActivityId && !accepted) {
+          await submissionGuard.release(claimedActivityId).catch(() => {});
+        }
       }
+    }
+  );
+
+  /**
+   * GET /api/activity/status/:activityId
+   * Status of a buffered biometric activity: BUFFERED, SUBMITTED, RECORDED, SKIPPED or FAILED
+   */
+  router.get(
+    '/status/:activityId',
+    authenticate,
+    requireScope('activity:read'),
+    [
+      param('activityId').matches(/^0x[0-9a-fA-F]{64}$/),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const item = await activityBatcher.getStatus(req.params.activityId.toLowerCase());
+        if (!item) {
+          return res.status(404).json({
+            error: 'Activity not found',
+            code: 'ACTIVITY_NOT_FOUND'
+          });
+        }
 
-      // 4. AI Oracle calculates value score
-      const valueScore = await aiSigner.calculateBiometricValueScore({
-        deviceId,
-        userId,
-        data,
-        timestamp,
-        dataQuality: data.quality || 0,
-        completeness: data.completeness || 0
-      });
+        res.json({ activity: item });
 
-      // Cap value score to remaining points
-      const actualValueScore = Math.min(valueScore, remainingPoints);
-
-      // 5. Generate activity ID
-      const activityId = ethers.keccak256(
-        ethers.solidityPacked(
-          ['bytes32', 'uint256', 'bytes32', 'uint256'],
-          [ethers.encodeBytes32String(userId), timestamp, ethers.encodeBytes32String(deviceId), block.timestamp]
-        )
-      );
-
-      // 6. AI Oracle signs the activity proof
-      const dataHash = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(data)));
-      const validatorSignature = await aiSigner.signActivityProof({
-        activityId,
-        userId,
-        activityType: 0, // BiometricStream
-        dataHash,
-        valueScore: actualValueScore
-      });
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching activity status');
+        res.status(500).json({
+          error: 'Failed to fetch activity status',
+          code: 'FETCH_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/activity/therapy
+   * Caregiver marks therapy completion
+   * Validates AccessControl permissions; scored from duration, adherence and outcome metrics
+   */
+  router.post(
+    '/therapy',
+    authenticateJWT,
+    requireRole(['Caregiver', 'Admin', 'System']),
+    [
+      body('patientUserId').isString().notEmpty().trim(),
+      body('therapyType').isString().notEmpty().trim(),
+      body('duration').isInt({ min: 1 }).toInt(),
+      body('completionDate').isISO8601(),
+      body('adherenceScore').isFloat({ min: 0, max: 1 }).toFloat(), // Share of the protocol followed
+      body('outcomeMetrics').optional().isObject(),
+      body(['outcomeMetrics.painReduction', 'outcomeMetrics.mobilityImprovement', 'outcomeMetrics.adherenceRate'])
+        .optional().isFloat({ min: 0, max: 1 }).toFloat(),
+      body('notesHash').isString().isLength({ min: 66, max: 66 }).optional(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      let claimedActivityId = null;
+
+      try {
+        const {
+          patientUserId,
+          therapyType,
+          duration,
+          completionDate,
+          adherenceScore,
+          outcomeMetrics = {},
+          notesHash
+        } = req.body;
+        const caregiverAddress = req.user.address;
+        const completedAt = new Date(completionDate);
+
+        // 1. Reject implausible durations and completion dates
+        therapySessions.assertPlausible({ duration, completedAt });
+
+        // 2. Get patient address
+        const patientAddress = await contractService.getUserAddress(patientUserId);
+        if (!patientAddress) {
+          return res.status(404).json({ 
+            error: 'Patient not found',
+            code: 'PATIENT_NOT_FOUND'
+          });
+        }
 
-      // 7. Record activity on-chain (backend pays gas, subsidizes for user)
-      const tx = await contractService.recordActivity({
-        activityId,
-        userId,
-        activityType: 0, // BiometricStream
-        dataHash,
-        valueScore: actualValueScore,
-        userAddress,
-        validatorSignature
-      });
+        // 3. Check caregiver has access to patient
+        const hasAccess = await contractService.checkAccess(patientAddress, caregiverAddress);
+        if (!hasAccess) {
+          return res.status(403).json({
+            error: 'No access to patient records',
+            code: 'ACCESS_DENIED'
+          });
+        }
 
-      logger.info({
-        activityId,
-        userId,
-        deviceId,
-        valueScore: actualValueScore,
-        txHash: tx.hash
-      }, 'Biometric activity recorded');
-
-      res.json({
-        success: true,
-        activityId,
-        valueScore: actualValueScore,
-        mineEarned: actualValueScore * 10, // 10 MINE per point
-        txHash: tx.hash,
-        remainingPoints: remainingPoints - actualValueScore
-      });
+        // 4. Generate activity ID (deterministic: the same completion always maps to the same ID)
+        const dataHash = notesHash || ethers.keccak256(ethers.toUtf8Bytes(therapyType));
+        const activityId = ethers.keccak256(
+          ethers.solidityPacked(
+            ['bytes32', 'address', 'uint256', 'bytes32'],
+            [
+              ethers.encodeBytes32String(patientUserId),
+              caregiverAddress,
+              Date.parse(completionDate),
+              dataHash
+            ]
+          )
+        );
+
+        // 5. Gaming detection for the patient
+        const screening = await screenActivity({
+          userId: patientUserId,
+          userAddress: patientAddress,
+          activityId,
+          activityType: 1 // TherapyCompletion
+        });
+        if (screening.detection.shouldBlock) {
+          return gamingBlocked(res, screening);
+        }
 
-    } catch (error) {
-      logger.error({ error: error.message, stack: error.stack }, 'Error recording biometric activity');
-      res.status(500).json({ 
-        error: 'Failed to record activity',
-        code: 'RECORD_FAILED'
-      });
-    }
-  }
-);
+        // 6. Check daily rate limit for patient
+        const remainingPoints = await contractService.getRemainingDailyPoints(patientUserId);
+        if (remainingPoints <= 0) {
+          return res.status(429).json({
+            error: 'Patient daily points cap reached',
+            code: 'DAILY_CAP_REACHED',
+            retryAfter: await contractService.getSecondsUntilNextDay(patientUserId)
+          });
+        }
 
-/**
- * POST /api/activity/therapy
- * Caregiver marks therapy completion
- * Validates AccessControl permissions
- */
-router.post(
-  '/therapy',
-  authenticateJWT,
-  requireRole(['Caregiver', 'Admin', 'System']),
-  [
-    body('patientUserId').isString().notEmpty().trim(),
-    body('therapyType').isString().notEmpty().trim(),
-    body('duration').isInt({ min: 1 }),
-    body('completionDate').isISO8601(),
-    body('notesHash').isString().isLength({ min: 66, max: 66 }).optional(),
-  ],
-  validateRequest,
-  async (req, res) => {
-    try {
-      const { patientUserId, therapyType, duration, completionDate, notesHash } = req.body;
-      const caregiverAddress = req.user.address;
-
-      // 1. Get patient address
-      const patientAddress = await contractService.getUserAddress(patientUserId);
-      if (!patientAddress) {
-        return res.status(404).json({ 
-          error: 'Patient not found',
-          code: 'PATIENT_NOT_FOUND'
+        // 7. AI Oracle scores the session with the active scoring model, reduced for MEDIUM gaming alerts
+        const scoringModel = aiSigner.getScoringModel();
+        const baseScore = await aiSigner.calculateTherapyValueScore({
+          duration,
+          adherenceScore,
+          outcomeMetrics,
+          therapyType
         });
-      }
+        const valueScore = Math.min(
+          Math.floor(baseScore * screening.detection.scoreMultiplier),
+          remainingPoints
+        );
+        if (valueScore <= 0) {
+          return res.status(422).json({
+            error: 'Therapy session earned no value points',
+            code: 'ZERO_VALUE_SCORE'
+          });
+        }
 
-      // 2. Check caregiver has access to patient
-      const hasAccess = await contractService.checkAccess(patientAddress, caregiverAddress);
-      if (!hasAccess) {
-        return res.status(403).json({
-          error: 'No access to patient records',
-          code: 'ACCESS_DENIED'
+        // 8. Record the session for the caregiver (rejects duplicates and overlapping sessions)
+        await therapySessions.claim({
+          activityId,
+          caregiverAddress,
+          patientUserId,
+          therapyType,
+          duration,
+          completedAt,
+          valueScore
+        });
+        claimedActivityId = activityId;
+
+        // 9. AI Oracle signs, recording the active scoring model; peer oracles co-sign high-value proofs
+        const proof = await aiSigner.signActivityProof({
+          activityId,
+          userId: patientUserId,
+          activityType: 1, // TherapyCompletion
+          dataHash,
+          valueScore,
+          userAddress: patientAddress,
+          modelHash: scoringModel.hash
+        });
+        const attestedProof = await oracleQuorum.attest(proof, {
+          userId: patientUserId,
+          caregiver: caregiverAddress,
+          completionDate,
+          adherenceScore,
+          outcomeMetrics
         });
-      }
 
-      // 3. Check daily rate limit for patient
-      const remainingPoints = await contractService.getRemainingDailyPoints(patientUserId);
-      if (remainingPoints < 20) { // Minimum for therapy completion
-        return res.status(429).json({
-          error: 'Patient daily points cap reached',
-          code: 'DAILY_CAP_REACHED'
+        // 10. Queue the activity record (MINE minted to patient)
+        const job = await contractService.recordActivity({
+          activityId,
+          userId: patientUserId,
+          activityType: 1, // TherapyCompletion
+          dataHash,
+          valueScore,
+          userAddress: patientAddress,
+          proof: attestedProof
+        });
+        await therapySessions.attachJob(activityId, job.jobId);
+
+        logger.info({
+          activityId,
+          patientUserId,
+          caregiverAddress,
+          therapyType,
+          duration,
+          valueScore,
+          jobId: job.jobId
+        }, 'Therapy completion queued');
+
+        res.status(202).json({
+          success: true,
+          activityId,
+          patientUserId,
+          therapyType,
+          duration,
+          baseScore,
+          valueScore,
+          mineEarned: valueScore * 10,
+          scoringModel: { key: scoringModel.key, hash: scoringModel.hash },
+          jobId: job.jobId,
+          status: job.status,
+          flagId: screening.flag?.flagId,
+          remainingPoints: remainingPoints - valueScore
         });
-      }
 
-      // 4. Calculate value score based on therapy
-      const valueScore = Math.min(20, remainingPoints); // Therapy completion = 20 points max
-
-      // 5. Generate activity ID
-      const activityId = ethers.keccak256(
-        ethers.solidityPacked(
-          ['bytes32', 'address', 'uint256', 'uint256'],
-          [
-            ethers.encodeBytes32String(patientUserId),
-            caregiverAddress,
-            Date.parse(completionDate),
-            block.timestamp
-          ]
-        )
-      );
-
-      const dataHash = notesHash || ethers.keccak256(ethers.toUtf8Bytes(therapyType));
-
-      // 6. AI Oracle signs
-      const validatorSignature = await aiSigner.signActivityProof({
-        activityId,
-        userId: patientUserId,
-        activityType: 1, // TherapyCompletion
-        dataHash,
-        valueScore
-      });
+      } catch (error) {
+        if (error instanceof TherapySessionError) {
+          return res.status(THERAPY_SESSION_ERROR_STATUS[error.code]).json({
+            error: error.message,
+            code: error.code,
+            ...error.details
+          });
+        }
 
-      // 7. Record activity (MINE minted to patient)
-      const tx = await contractService.recordActivity({
-        activityId,
-        userId: patientUserId,
-        activityType: 1, // TherapyCompletion
-        dataHash,
-        valueScore,
-        userAddress: patientAddress,
-        validatorSignature
-      });
+        // Unexpected failure or missing oracle quorum: let the caregiver resubmit the session
+        if (claimedActivityId) {
+          await therapySessions.release(claimedActivityId).catch(() => {});
+        }
 
-      logger.info({
-        activityId,
-        patientUserId,
-        caregiverAddress,
-        therapyType,
-        duration,
-        valueScore,
-        txHash: tx.hash
-      }, 'Therapy completion recorded');
-
-      res.json({
-        success: true,
-        activityId,
-        patientUserId,
-        therapyType,
-        duration,
-        valueScore,
-        mineEarned: valueScore * 10,
-        txHash: tx.hash,
-        remainingPoints: remainingPoints - valueScore
-      });
+        if (error instanceof OracleQuorumError) {
+          return quorumFailed(res, error);
+        }
 
-    } catch (error) {
-      logger.error({ error: error.message }, 'Error recording therapy completion');
-      res.status(500).json({ 
-        error: 'Failed to record therapy',
-        code: 'RECORD_FAILED'
-      });
+        logger.error({ error: error.message }, 'Error recording therapy completion');
+        res.status(500).json({ 
+          error: 'Failed to record therapy',
+          code: 'RECORD_FAILED'
+        });
+      }
     }
-  }
-);
+  );
+
+  /**
+   * POST /api/activity/data-contribution/prepare
+   * Prepare the dataset's record update (RecordRegistry.updateRecordWithContribution) for the user to sign
+   * and post to /api/relay. RecordRegistry holds it pending for a reward when it is at least MIN_DATA_SIZE
+   * and CONTRIBUTION_REWARD_COOLDOWN has passed since the last rewarded contribution.
+   */
+  router.post(
+    '/data-contribution/prepare',
+    authenticateJWT,
+    [
+      body('userId').isString().notEmpty().trim(),
+      body('datasetHash').isString().matches(/^0x[0-9a-fA-F]{64}$/),
+      body('dataSize').isInt({ min: 1 }).toInt(), // Bytes
+      body('dataType').isString().notEmpty().trim(),
+      body('isAnonymized').isBoolean().toBoolean(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const { userId, datasetHash, dataSize, dataType, isAnonymized } = req.body;
+
+        // 1. Contributor must be the authenticated user
+        const userAddress = await contributorAddress(req, res, userId);
+        if (!userAddress) return;
+
+        // 2. RecordRegistry rules: supported data type and minimum size
+        const [supported, rules] = await Promise.all([
+          contractService.isDataTypeSupported(dataType),
+          contractService.getContributionRules()
+        ]);
+        if (!supported) {
+          return res.status(422).json({
+            error: `Data type '${dataType}' is not supported`,
+            code: 'UNSUPPORTED_DATA_TYPE'
+          });
+        }
+        if (dataSize < rules.minDataSize) {
+          return res.status(422).json({
+            error: `Contributions must be at least ${rules.minDataSize} bytes`,
+            code: 'DATA_TOO_SMALL'
+          });
+        }
 
-/**
- * GET /api/user/balance/:userId
- * Get MINE and WELL balances for a user
- */
-router.get(
-  '/user/balance/:userId',
-  authenticateJWT,
-  [
-    param('userId').isString().notEmpty().trim(),
-  ],
-  validateRequest,
-  async (req, res) => {
-    try {
-      const { userId } = req.params;
-
-      const userAddress = await contractService.getUserAddress(userId);
-      if (!userAddress) {
-        return res.status(404).json({ 
-          error: 'User not found',
-          code: 'USER_NOT_FOUND'
+        // 3. A dataset is rewarded once
+        const activityId = contributionId(userId, datasetHash, dataType);
+        await dataContributions.assertNew(activityId);
+
+        // 4. Reward cooldown as RecordRegistry applies it; an update inside it would not be rewarded
+        const status = await contractService.getContributionStatus(userAddress);
+        if (status.retryAfter > 0) {
+          return res.status(429).json({
+            error: 'Contribution reward cooldown has not elapsed',
+            code: 'CONTRIBUTION_COOLDOWN',
+            nextRewardAt: status.nextRewardAt,
+            retryAfter: status.retryAfter
+          });
+        }
+
+        // 5. Prepare the record update for the user to sign
+        const forwardRequest = await contractService.prepareDataContribution(userAddress, {
+          datasetHash,
+          dataSize,
+          isAnonymized,
+          dataType
         });
-      }
 
-      // Get balances
-      const [mineBalance, wellBalance, stakedMine, votingPower] = await Promise.all([
-        contractService.getMineBalance(userAddress),
-        contractService.getWellBalance(userAddress),
-        contractService.getStakedMine(userAddress),
-        contractService.getVotingPower(userAddress)
-      ]);
-
-      // Get cooperative membership status
-      const isMember = await contractService.isCooperativeMember(userAddress);
-
-      res.json({
-        userId,
-        address: userAddress,
-        balances: {
-          mine: ethers.formatEther(mineBalance),
-          well: ethers.formatEther(wellBalance),
-          stakedMine: ethers.formatEther(stakedMine),
-          votingPower: ethers.formatEther(votingPower)
-        },
-        membership: {
-          isCooperativeMember: isMember,
-          canPropose: votingPower >= ethers.parseEther('1000'),
-          canVote: votingPower > 0
-        },
-        formatted: {
-          mine: Number(ethers.formatEther(mineBalance)).toFixed(2),
-          well: Number(ethers.formatEther(wellBalance)).toFixed(4),
-          staked: Number(ethers.formatEther(stakedMine)).toFixed(2)
+        logger.info({ activityId, userId, dataType, dataSize }, 'Data contribution prepared for signing');
+
+        res.json({
+          success: true,
+          activityId,
+          forwardRequest
+        });
+
+      } catch (error) {
+        if (error instanceof DataContributionError) {
+          return contributionError(res, error);
+        }
+        if (error instanceof RelayerError) {
+          return res.status(RELAYER_ERROR_STATUS[error.code] || 400).json({
+            error: error.message,
+            code: error.code
+          });
         }
-      });
 
-    } catch (error) {
-      logger.error({ error: error.message }, 'Error fetching user balance');
-      res.status(500).json({ 
-        error: 'Failed to fetch balance',
-        code: 'FETCH_FAILED'
-      });
+        logger.error({ error: error.message }, 'Error preparing data contribution');
+        res.status(500).json({
+          error: 'Failed to prepare data contribution',
+          code: 'PREPARE_FAILED'
+        });
+      }
     }
-  }
-);
+  );
+
+  /**
+   * POST /api/activity/data-contribution
+   * Claim the reward for the user's pending contribution once its record update is confirmed.
+   * Size, anonymization and the cooldown come from RecordRegistry; scored for size, anonymization
+   * and uniqueness and logged with RecordRegistry.logDataContribution.
+   */
+  router.post(
+    '/data-contribution',
+    authenticateJWT,
+    [
+      body('userId').isString().notEmpty().trim(),
+      body('datasetHash').isString().matches(/^0x[0-9a-fA-F]{64}$/),
+      body('dataType').isString().notEmpty().trim(),
+      // Hash of the anonymization attestation document; required for anonymized data
+      body('attestationHash').optional().isString().matches(/^0x[0-9a-fA-F]{64}$/),
+    ],
+    validateRequest,
+    async (req, res) => {
+      let claimedActivityId = null;
+      let accepted = false;
+
+      try {
+        const { userId, datasetHash, dataType, attestationHash } = req.body;
+
+        // 1. Contributor must be the authenticated user
+        const userAddress = await contributorAddress(req, res, userId);
+        if (!userAddress) return;
+
+        // 2. RecordRegistry must hold this dataset as the user's pending contribution
+        const status = await contractService.getContributionStatus(userAddress);
+        const { record } = status;
+        if (
+          !status.pending ||
+          record.dataHash.toLowerCase() !== datasetHash.toLowerCase() ||
+          record.dataType !== ethers.id(dataType)
+        ) {
+          return res.status(409).json({
+            error: 'No pending contribution for this dataset',
+            code: 'NO_PENDING_CONTRIBUTION',
+            nextRewardAt: status.nextRewardAt,
+            retryAfter: status.retryAfter
+          });
+        }
+        const { dataSize, isAnonymized } = record;
+        if (isAnonymized && !attestationHash) {
+          return res.status(400).json({
+            error: 'Anonymized contributions need an attestationHash',
+            code: 'ATTESTATION_REQUIRED'
+          });
+        }
 
-/**
- * GET /api/user/activities/:userId
- * Get activity history for a user
- */
-router.get(
-  '/user/activities/:userId',
-  authenticateJWT,
-  [
-    param('userId').isString().notEmpty().trim(),
-  ],
-  validateRequest,
-  async (req, res) => {
-    try {
-      const { userId } = req.params;
-      const { page = 1, limit = 20 } = req.query;
-
-      const activities = await contractService.getUserActivities(userId, page, limit);
-
-      res.json({
-        userId,
-        activities: activities.map(a => ({
-          activityId: a.activityId,
-          type: a.activityType,
-          valueScore: a.valueScore,
-          timestamp: a.timestamp,
-          rewarded: a.rewarded,
-          txHash: a.txHash
-        })),
-        pagination: {
-          page: Number(page),
-          limit: Number(limit),
-          total: activities.total
+        // 3. Reserve the reward (a dataset is rewarded once). Done before scoring: scoring records
+        //    the dataset hash, which would cost a retried contribution its uniqueness score.
+        const activityId = contributionId(userId, datasetHash, dataType);
+        await dataContributions.claim({
+          activityId,
+          userId,
+          userAddress,
+          datasetHash: datasetHash.toLowerCase(),
+          dataType,
+          dataSize,
+          isAnonymized,
+          attestationHash: isAnonymized ? attestationHash : null
+        });
+        claimedActivityId = activityId;
+
+        // 4. Gaming detection
+        const screening = await screenActivity({
+          userId,
+          userAddress,
+          activityId,
+          activityType: 2 // DataValidation
+        });
+        if (screening.detection.shouldBlock) {
+          return gamingBlocked(res, screening);
         }
-      });
 
-    } catch (error) {
-      logger.error({ error: error.message }, 'Error fetching user activities');
-      res.status(500).json({ 
-        error: 'Failed to fetch activities',
-        code: 'FETCH_FAILED'
-      });
-    }
-  }
-);
+        // 5. Check daily rate limit
+        const remainingPoints = await contractService.getRemainingDailyPoints(userId);
+        if (remainingPoints <= 0) {
+          return res.status(429).json({
+            error: 'Daily points cap reached',
+            code: 'DAILY_CAP_REACHED',
+            retryAfter: await contractService.getSecondsUntilNextDay(userId)
+          });
+        }
 
-/**
- * GET /api/user/daily-status/:userId
- * Get daily points status for a user
- */
-router.get(
-  '/user/daily-status/:userId',
-  authenticateJWT,
-  [
-    param('userId').isString().notEmpty().trim(),
-  ],
-  validateRequest,
-  async (req, res) => {
-    try {
-      const { userId } = req.params;
-
-      const [usedPoints, remainingPoints, nextReset] = await Promise.all([
-        contractService.getUsedDailyPoints(userId),
-        contractService.getRemainingDailyPoints(userId),
-        contractService.getSecondsUntilNextDay(userId)
-      ]);
-
-      res.json({
-        userId,
-        dailyCap: 100,
-        usedPoints,
-        remainingPoints,
-        nextResetIn: nextReset,
-        canEarn: remainingPoints > 0
-      });
+        // 6. AI Oracle scores size, anonymization and uniqueness, reduced for MEDIUM gaming alerts
+        const scoringModel = aiSigner.getScoringModel();
+        const baseScore = await aiSigner.calculateDataValueScore({
+          dataSize,
+          isAnonymized,
+          dataHash: datasetHash.toLowerCase(),
+          dataType
+        });
+        const valueScore = Math.min(
+          Math.floor(baseScore * screening.detection.scoreMultiplier),
+          remainingPoints
+        );
+        if (valueScore <= 0) {
+          return res.status(422).json({
+            error: 'Contribution earned no value points',
+            code: 'ZERO_VALUE_SCORE'
+          });
+        }
 
-    } catch (error) {
-      logger.error({ error: error.message }, 'Error fetching daily status');
-      res.status(500).json({ 
-        error: 'Failed to fetch daily status',
-        code: 'FETCH_FAILED'
-      });
+        // 7. AI Oracle signs over the stored record, recording the active scoring model;
+        //    peer oracles co-sign high-value proofs
+        const proof = await aiSigner.signActivityProof({
+          activityId,
+          userId,
+          activityType: 2, // DataValidation
+          dataHash: record.dataHash,
+          valueScore,
+          userAddress,
+          modelHash: scoringModel.hash
+        });
+        const attestedProof = await oracleQuorum.attest(proof, { userId, dataType });
+
+        // 8. Queue RecordRegistry.logDataContribution (MINE minted to the contributor)
+        const job = await contractService.logDataContribution(attestedProof);
+        await dataContributions.attachJob(activityId, { jobId: job.jobId, valueScore });
+        accepted = true;
+
+        logger.info({
+          activityId,
+          userId,
+          dataType,
+          dataSize,
+          isAnonymized,
+          valueScore,
+          jobId: job.jobId
+        }, 'Data contribution queued');
+
+        res.status(202).json({
+          success: true,
+          activityId,
+          dataType,
+          baseScore,
+          valueScore,
+          mineEarned: valueScore * 10,
+          scoringModel: { key: scoringModel.key, hash: scoringModel.hash },
+          jobId: job.jobId,
+          status: job.status,
+          flagId: screening.flag?.flagId,
+          nextRewardAt: status.nextRewardAt,
+          remainingPoints: remainingPoints - valueScore
+        });
+
+      } catch (error) {
+        if (error instanceof DataContributionError) {
+          return contributionError(res, error);
+        }
+        if (error instanceof OracleQuorumError) {
+          return quorumFailed(res, error);
+        }
+
+        logger.error({ error: error.message }, 'Error recording data contribution');
+        res.status(500).json({
+          error: 'Failed to record data contribution',
+          code: 'RECORD_FAILED'
+        });
+
+      } finally {
+        // Rejected after reserving the reward: the chain still holds the contribution pending
+        if (claimedActivityId && !accepted) {
+          await dataContributions.release(claimedActivityId).catch(() => {});
+        }
+      }
     }
-  }
-);
+  );
 
-export default router;
+  return router;
+}
@@ -0,0 +1,383 @@
+/**
+ * TerraCare Ledger v2.0 - Admin API Routes
+ *
+ * Handles:
+ * - GET /admin/flags: Gaming flag review queue
+ * - GET /admin/flags/:flagId: Flag details
+ * - POST /admin/flags/:flagId/clear: Dismiss a flag as a false positive
+ * - POST /admin/flags/:flagId/confirm: Confirm a flag, optionally burning MINE from the user
+ * - GET /admin/signers: Backend and AI signer keys and their ActivityRegistry roles
+ * - POST /admin/signers/:signer/rotate: Switch a signer to its next key
+ * - POST /admin/signers/:signer/retire: Revoke a replaced key's roles
+ * - GET /admin/api-keys: Service API keys
+ * - POST /admin/api-keys: Issue a scoped service API key
+ * - POST /admin/api-keys/:keyId/revoke: Revoke a service API key
+ */
+
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import logger from '../logger.js';
+import { authenticateJWT, validateRequest, requireRole } from '../middleware/auth.js';
+import { GamingFlagError, GAMING_FLAG_ERROR_STATUS } from '../services/gamingFlagService.js';
+import {
+  SIGNERS,
+  SignerRotationError,
+  SIGNER_ROTATION_ERROR_STATUS
+} from '../services/signerRotationService.js';
+import { ApiKeyError, API_KEY_ERROR_STATUS, API_KEY_SCOPES } from '../services/apiKeyService.js';
+
+/**
+ * Create admin router
+ * @param {Object} services - { gamingFlags, signerRotation, apiKeys } shared by the server
+ * @returns {Router} Express router
+ */
+export default function createAdminRouter({ gamingFlags, signerRotation, apiKeys }) {
+  const router = Router();
+
+  const sendFlagError = (res, error, fallback) => {
+    if (error instanceof GamingFlagError) {
+      return res.status(GAMING_FLAG_ERROR_STATUS[error.code] || 400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error({ error: error.message }, fallback.log);
+    res.status(500).json({ error: fallback.error, code: fallback.code });
+  };
+
+  const sendRotationError = (res, error, fallback) => {
+    if (error instanceof SignerRotationError) {
+      return res.status(SIGNER_ROTATION_ERROR_STATUS[error.code] || 400).json({
+        error: error.message,
+        code: error.code,
+        ...error.details
+      });
+    }
+
+    logger.error({ error: error.message }, fallback.log);
+    res.status(500).json({ error: fallback.error, code: fallback.code });
+  };
+
+  const sendApiKeyError = (res, error, fallback) => {
+    if (error instanceof ApiKeyError) {
+      return res.status(API_KEY_ERROR_STATUS[error.code] || 400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error({ error: error.message }, fallback.log);
+    res.status(500).json({ error: fallback.error, code: fallback.code });
+  };
+
+  /**
+   * GET /api/admin/flags
+   * Flags newest first; filter by status (OPEN, CLEARED, CONFIRMED) and userId
+   */
+  router.get(
+    '/flags',
+    authenticateJWT,
+    requireRole(['Admin']),
+    [
+      query('status').optional().isIn(['OPEN', 'CLEARED', 'CONFIRMED']),
+      query('userId').optional().isString().notEmpty().trim(),
+      query('page').optional().isInt({ min: 1 }).toInt(),
+      query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const { status, userId, page = 1, limit = 20 } = req.query;
+        const flags = await gamingFlags.list({ status, userId, page, limit });
+
+        res.json({
+          flags: flags.items,
+          pagination: {
+            page,
+            limit,
+            total: flags.total
+          }
+        });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching gaming flags');
+        res.status(500).json({
+          error: 'Failed to fetch flags',
+          code: 'FETCH_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/admin/flags/:flagId
+   */
+  router.get(
+    '/flags/:flagId',
+    authenticateJWT,
+    requireRole(['Admin']),
+    [param('flagId').isUUID()],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const flag = await gamingFlags.get(req.params.flagId);
+        if (!flag) {
+          return res.status(404).json({
+            error: 'Gaming flag not found',
+            code: 'FLAG_NOT_FOUND'
+          });
+        }
+
+        res.json({ flag });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching gaming flag');
+        res.status(500).json({
+          error: 'Failed to fetch flag',
+          code: 'FETCH_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/admin/flags/:flagId/clear
+   * Dismiss an OPEN flag
+   */
+  router.post(
+    '/flags/:flagId/clear',
+    authenticateJWT,
+    requireRole(['Admin']),
+    [
+      param('flagId').isUUID(),
+      body('note').optional().isString().isLength({ max: 1000 }),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const flag = await gamingFlags.clear(req.params.flagId, {
+          reviewer: req.user.address,
+          note: req.body.note
+        });
+
+        res.json({ success: true, flag });
+
+      } catch (error) {
+        sendFlagError(res, error, {
+          log: 'Error clearing gaming flag',
+          error: 'Failed to clear flag',
+          code: 'REVIEW_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/admin/flags/:flagId/confirm
+   * Confirm an OPEN flag; burnAmount (MINE) queues TokenEngine.adminBurnMINE, tracked via burnJobId
+   */
+  router.post(
+    '/flags/:flagId/confirm',
+    authenticateJWT,
+    requireRole(['Admin']),
+    [
+      param('flagId').isUUID(),
+      body('note').optional().isString().isLength({ max: 1000 }),
+      body('burnAmount').optional().isDecimal({ decimal_digits: '0,18' }),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const flag = await gamingFlags.confirm(req.params.flagId, {
+          reviewer: req.user.address,
+          note: req.body.note,
+          burnAmount: req.body.burnAmount
+        });
+
+        res.status(flag.burnJobId ? 202 : 200).json({ success: true, flag });
+
+      } catch (error) {
+        sendFlagError(res, error, {
+          log: 'Error confirming gaming flag',
+          error: 'Failed to confirm flag',
+          code: 'REVIEW_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/admin/signers
+   * Current backend/AI signer keys, their ActivityRegistry roles, next keys and keys awaiting retirement
+   */
+  router.get(
+    '/signers',
+    authenticateJWT,
+    requireRole(['Admin']),
+    async (req, res) => {
+      try {
+        res.json({ signers: await signerRotation.status() });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching signers');
+        res.status(500).json({
+          error: 'Failed to fetch signers',
+          code: 'FETCH_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/admin/signers/:signer/rotate
+   * Grant the next key (<PREFIX>_NEXT_*) the signer's roles, then sign with it; returns retireAfter
+   */
+  router.post(
+    '/signers/:signer/rotate',
+    authenticateJWT,
+    requireRole(['Admin']),
+    [
+      param('signer').isIn(Object.keys(SIGNERS)),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const rotation = await signerRotation.rotate(req.params.signer);
+
+        res.json({ success: true, rotation });
+
+      } catch (error) {
+        sendRotationError(res, error, {
+          log: 'Error rotating signer',
+          error: 'Failed to rotate signer',
+          code: 'ROTATION_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/admin/signers/:signer/retire
+   * Body: { address } - a replaced key; its ActivityRegistry roles are revoked
+   */
+  router.post(
+    '/signers/:signer/retire',
+    authenticateJWT,
+    requireRole(['Admin']),
+    [
+      param('signer').isIn(Object.keys(SIGNERS)),
+      body('address').isEthereumAddress(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const retired = await signerRotation.retire(req.params.signer, req.body.address);
+
+        res.json({ success: true, retired });
+
+      } catch (error) {
+        sendRotationError(res, error, {
+          log: 'Error retiring signer',
+          error: 'Failed to retire signer',
+          code: 'RETIRE_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/admin/api-keys
+   * Service API keys newest first (never the key itself); includeRevoked=true lists revoked keys too
+   */
+  router.get(
+    '/api-keys',
+    authenticateJWT,
+    requireRole(['Admin']),
+    [
+      query('includeRevoked').optional().isBoolean().toBoolean(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const keys = await apiKeys.list({ includeRevoked: req.query.includeRevoked });
+
+        res.json({ apiKeys: keys, scopes: API_KEY_SCOPES });
+
+      } catch (error) {
+        sendApiKeyError(res, error, {
+          log: 'Error fetching API keys',
+          error: 'Failed to fetch API keys',
+          code: 'FETCH_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/admin/api-keys
+   * Body: { name, scopes, address?, expiresInDays? } - the response's `key` is shown only once
+   */
+  router.post(
+    '/api-keys',
+    authenticateJWT,
+    requireRole(['Admin']),
+    [
+      body('name').isString().trim().isLength({ min: 1, max: 100 }),
+      body('scopes').isArray({ min: 1 }),
+      body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)),
+      body('address').optional().isEthereumAddress(),
+      body('expiresInDays').optional().isInt({ min: 1, max: 3650 }).toInt(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const { name, scopes, address, expiresInDays } = req.body;
+        const { key, apiKey } = await apiKeys.create({
+          name,
+          scopes,
+          address,
+          expiresInDays,
+          createdBy: req.user.address
+        });
+
+        res.status(201).json({ success: true, key, apiKey });
+
+      } catch (error) {
+        sendApiKeyError(res, error, {
+          log: 'Error creating API key',
+          error: 'Failed to create API key',
+          code: 'CREATE_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/admin/api-keys/:keyId/revoke
+   * Rejected by every instance within API_KEY_CACHE_TTL_MS
+   */
+  router.post(
+    '/api-keys/:keyId/revoke',
+    authenticateJWT,
+    requireRole(['Admin']),
+    [param('keyId').isUUID()],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const apiKey = await apiKeys.revoke(req.params.keyId, { revokedBy: req.user.address });
+
+        res.json({ success: true, apiKey });
+
+      } catch (error) {
+        sendApiKeyError(res, error, {
+          log: 'Error revoking API key',
+          error: 'Failed to revoke API key',
+          code: 'REVOKE_FAILED'
+        });
+      }
+    }
+  );
+
+  return router;
+}
@@ -0,0 +1,173 @@
+/**
+ * TerraCare Ledger v2.0 - Auth API Routes
+ * 
+ * Handles:
+ * - GET /auth/nonce: Issue a Sign-In with Ethereum nonce
+ * - POST /auth/verify: Verify a signed EIP-4361 message and open a session
+ * - POST /auth/refresh: Rotate refresh token, issue new access token
+ * - POST /auth/logout: Revoke the session
+ */
+
+import { Router } from 'express';
+import { body } from 'express-validator';
+import logger from '../logger.js';
+import { validateRequest } from '../middleware/auth.js';
+import { SiweError } from '../services/siweService.js';
+import { SessionError } from '../services/sessionService.js';
+
+// SIWE failures that are the client's fault
+const SIWE_ERROR_STATUS = {
+  INVALID_MESSAGE: 400,
+  DOMAIN_MISMATCH: 401,
+  CHAIN_MISMATCH: 401,
+  MESSAGE_EXPIRED: 401,
+  MESSAGE_NOT_YET_VALID: 401,
+  INVALID_SIGNATURE: 401,
+  INVALID_NONCE: 401
+};
+
+// Refresh failures; all mean "log in again"
+const SESSION_ERROR_STATUS = {
+  INVALID_REFRESH_TOKEN: 401,
+  REFRESH_TOKEN_EXPIRED: 401,
+  REFRESH_TOKEN_REUSED: 401,
+  SESSION_REVOKED: 401
+};
+
+/**
+ * Create auth router
+ * @param {Object} services - { siwe, sessions } shared by the server
+ * @returns {Router} Express router
+ */
+export default function createAuthRouter({ siwe, sessions }) {
+  const router = Router();
+
+  /**
+   * GET /api/auth/nonce
+   * Issue a single-use nonce to embed in the SIWE message
+   */
+  router.get(
+    '/nonce',
+    async (req, res) => {
+      try {
+        const nonce = await siwe.createNonce();
+        res.json(nonce);
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error issuing SIWE nonce');
+        res.status(500).json({
+          error: 'Failed to issue nonce',
+          code: 'NONCE_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/verify
+   * Verify a signed SIWE message; role comes from IdentityRegistry
+   */
+  router.post(
+    '/verify',
+    [
+      body('message').isString().notEmpty(),
+      body('signature').isString().isLength({ min: 132, max: 132 }), // 0x + 130 hex chars
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const { message, signature } = req.body;
+
+        const identity = await siwe.verify(message, signature);
+        const session = await sessions.createSession(identity);
+
+        res.json({
+          token: session.accessToken,
+          refreshToken: session.refreshToken,
+          refreshExpiresAt: session.refreshExpiresAt,
+          address: identity.address,
+          role: identity.role,
+          userId: identity.userId
+        });
+
+      } catch (error) {
+        if (error instanceof SiweError) {
+          logger.warn({ code: error.code, error: error.message }, 'SIWE verification failed');
+          return res.status(SIWE_ERROR_STATUS[error.code] || 401).json({
+            error: error.message,
+            code: error.code
+          });
+        }
+
+        logger.error({ error: error.message }, 'Error verifying SIWE message');
+        res.status(500).json({
+          error: 'Failed to verify sign-in',
+          code: 'VERIFY_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/refresh
+   * Exchange a refresh token for a new access token and refresh token
+   */
+  router.post(
+    '/refresh',
+    [
+      body('refreshToken').isString().notEmpty(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const session = await sessions.refresh(req.body.refreshToken);
+
+        res.json({
+          token: session.accessToken,
+          refreshToken: session.refreshToken,
+          refreshExpiresAt: session.refreshExpiresAt,
+          role: session.role
+        });
+
+      } catch (error) {
+        if (error instanceof SessionError) {
+          return res.status(SESSION_ERROR_STATUS[error.code] || 401).json({
+            error: error.message,
+            code: error.code
+          });
+        }
+
+        logger.error({ error: error.message }, 'Error refreshing session');
+        res.status(500).json({
+          error: 'Failed to refresh session',
+          code: 'REFRESH_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/auth/logout
+   * Revoke the session behind a refresh token; its access tokens stop working too
+   */
+  router.post(
+    '/logout',
+    [
+      body('refreshToken').isString().notEmpty(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        await sessions.revokeByRefreshToken(req.body.refreshToken, 'LOGOUT');
+        res.json({ success: true });
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error revoking session');
+        res.status(500).json({
+          error: 'Failed to log out',
+          code: 'LOGOUT_FAILED'
+        });
+      }
+    }
+  );
+
+  return router;
+}
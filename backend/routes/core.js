@@ -0,0 +1,289 @@
+/**
+ * TerraCare Ledger - Core API Routes
+ * 
+ * Handles:
+ * - GET /chains, GET /chain/:chainId/status: Multi-chain info
+ * - Identity and audit endpoints (v1.0 contracts, signed by the chain's backend signer; Admin/System only)
+ * - Access and record endpoints: prepared for the patient to sign and relay via POST /relay, so the
+ *   contracts apply them to the patient rather than the backend wallet
+ * - POST /analytics: Log analytics event
+ */
+
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import logger from '../logger.js';
+import { authenticate, authenticateJWT, validateRequest, requireRole, requireScope } from '../middleware/auth.js';
+import { MultiChainConfig } from '../multiChainConfig.js';
+import { IDENTITY_ROLES } from '../services/contractService.js';
+import { RelayerError, RELAYER_ERROR_STATUS } from '../services/relayerService.js';
+import { getTransactionManager } from '../services/transactionManagerService.js';
+
+// A write that reverted or could not be mined
+class TransactionFailedError extends Error {
+  constructor(job) {
+    super(job.error || 'Transaction failed');
+    this.name = 'TransactionFailedError';
+    this.jobId = job.jobId;
+  }
+}
+
+/**
+ * Queue a contract write with the chain signer's transaction manager and wait for it to be mined
+ * @returns {Object} { jobId, status, txHash, blockNumber, from, events }; events only once confirmed
+ */
+async function submitTransaction(prisma, chainId, contractName, method, args) {
+  const contract = MultiChainConfig.getContract(chainId, contractName);
+  const txManager = getTransactionManager({
+    prisma,
+    signer: MultiChainConfig.getSigner(chainId),
+    chain: chainId,
+    txOverrides: MultiChainConfig.getTxOverrides(chainId)
+  });
+
+  const submitted = await txManager.submit({
+    to: await contract.getAddress(),
+    data: contract.interface.encodeFunctionData(method, args),
+    kind: `${contractName}.${method}`
+  });
+  const job = await txManager.wait(submitted.jobId);
+
+  if (job.status === 'FAILED') {
+    throw new TransactionFailedError(job);
+  }
+
+  const result = {
+    jobId: job.jobId,
+    status: job.status,
+    txHash: job.txHash,
+    blockNumber: job.blockNumber,
+    from: job.from
+  };
+  if (job.status !== 'CONFIRMED') return result;
+
+  logger.info({ message: 'Transaction confirmed', chainId, contractName, method, txHash: job.txHash });
+
+  const receipt = await txManager.provider.getTransactionReceipt(job.txHash);
+  return { ...result, events: decodeEvents(contract, receipt) };
+}
+
+// Confirmed writes answer 200; ones still pending after the wait answer 202 with the job to poll
+function sendResult(res, message, result) {
+  res.status(result.status === 'CONFIRMED' ? 200 : 202).json({ message, ...result });
+}
+
+// Decode receipt logs emitted by `contract` into { event, args } with JSON-safe values
+function decodeEvents(contract, receipt) {
+  const events = [];
+  for (const log of receipt.logs) {
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed) continue;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name || i] = typeof value === 'bigint' ? value.toString() : value;
+    });
+    events.push({ event: parsed.name, args });
+  }
+  return events;
+}
+
+function handleTransactionError(res, route, e) {
+  if (e instanceof TransactionFailedError) {
+    logger.warn({ message: `Transaction failed in ${route}`, jobId: e.jobId, reason: e.message });
+    return res.status(422).json({ error: e.message, code: 'TX_REVERTED', jobId: e.jobId });
+  }
+  if (e.message === 'Signer not configured for chain') {
+    return res.status(503).json({ error: e.message, code: 'SIGNER_NOT_CONFIGURED' });
+  }
+  logger.error({ message: `Error in ${route}`, error: e.message });
+  res.status(500).json({ error: e.message });
+}
+
+function handlePrepareError(res, route, e) {
+  if (e instanceof RelayerError) {
+    return res.status(RELAYER_ERROR_STATUS[e.code] || 400).json({ error: e.message, code: e.code });
+  }
+  logger.error({ message: `Error in ${route}`, error: e.message });
+  res.status(500).json({ error: e.message });
+}
+
+/**
+ * Create core router
+ * @param {Object} services - { prisma, contractService } shared by the server
+ * @returns {Router} Express router
+ */
+export default function createCoreRouter({ prisma, contractService }) {
+  const router = Router();
+
+  // Log analytics event
+  router.post('/analytics', async (req, res) => {
+    const { userId, type, data } = req.body;
+    const event = await prisma.analyticsEvent.create({ data: { userId, type, data } });
+    res.json({ event });
+  });
+
+  // List supported chains
+  router.get('/chains', (req, res) => {
+    res.json({ chains: MultiChainConfig.listChains() });
+  });
+
+  // Live chain status (RPC, chain ID, latest block, peers, sync, contract code); 503 when the RPC is down
+  router.get('/chain/:chainId/status', async (req, res) => {
+    const { chainId } = req.params;
+    try {
+      const status = await MultiChainConfig.getChainStatus(chainId);
+      res.status(status.status === 'down' ? 503 : 200).json({ status });
+    } catch (e) {
+      if (e.message === 'Chain not found') {
+        return res.status(404).json({ error: e.message, code: 'CHAIN_NOT_FOUND' });
+      }
+      logger.error({ message: 'Error checking chain status', chainId, error: e.message });
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // --- Core API Endpoints ---
+
+  // Register identity (owner-only on-chain, so restricted to Admin/System here)
+  router.post(
+    '/identity/register',
+    authenticateJWT,
+    requireRole(['Admin', 'System']),
+    [
+      body('address').isEthereumAddress(),
+      body('role').isIn(IDENTITY_ROLES),
+    ],
+    validateRequest,
+    async (req, res) => {
+      const { address, role, chainId = 'terracare' } = req.body;
+      try {
+        const result = await submitTransaction(prisma, chainId, 'IdentityRegistry', 'register', [
+          address,
+          IDENTITY_ROLES.indexOf(role)
+        ]);
+        sendResult(res, 'Identity registered', result);
+      } catch (e) {
+        handleTransactionError(res, '/api/identity/register', e);
+      }
+    }
+  );
+
+  // Grant access (AccessControl.grant) as the signed-in patient
+  router.post(
+    '/access/grant',
+    authenticateJWT,
+    [body('caregiver').isEthereumAddress()],
+    validateRequest,
+    async (req, res) => {
+      const { caregiver } = req.body;
+      try {
+        const forwardRequest = await contractService.grantAccess(req.user.address, caregiver);
+        res.json({ success: true, patient: req.user.address, caregiver, forwardRequest });
+      } catch (e) {
+        handlePrepareError(res, '/api/access/grant', e);
+      }
+    }
+  );
+
+  // Revoke access (AccessControl.revoke) the signed-in patient granted
+  router.post(
+    '/access/revoke',
+    authenticateJWT,
+    [body('caregiver').isEthereumAddress()],
+    validateRequest,
+    async (req, res) => {
+      const { caregiver } = req.body;
+      try {
+        if (!(await contractService.isAccessGranted(req.user.address, caregiver))) {
+          return res.status(409).json({
+            error: 'Caregiver has no access grant from this patient',
+            code: 'ACCESS_NOT_GRANTED'
+          });
+        }
+
+        const forwardRequest = await contractService.revokeAccess(req.user.address, caregiver);
+        res.json({ success: true, patient: req.user.address, caregiver, forwardRequest });
+      } catch (e) {
+        handlePrepareError(res, '/api/access/revoke', e);
+      }
+    }
+  );
+
+  // Update the signed-in patient's record (RecordRegistry.updateRecord)
+  router.post(
+    '/record/update',
+    authenticateJWT,
+    [body('dataHash').isString().matches(/^0x[0-9a-fA-F]{64}$/)],
+    validateRequest,
+    async (req, res) => {
+      const { dataHash } = req.body;
+      try {
+        const forwardRequest = await contractService.updateRecord(req.user.address, dataHash);
+        res.json({ success: true, patient: req.user.address, dataHash, forwardRequest });
+      } catch (e) {
+        handlePrepareError(res, '/api/record/update', e);
+      }
+    }
+  );
+
+  // Get record (read as the caller, so RecordRegistry's access check applies; a quorum read, see <CHAIN>_RPC_QUORUM).
+  // Service API keys with records:read read as the key's address
+  router.get(
+    '/record/:patient',
+    authenticate,
+    requireScope('records:read'),
+    [param('patient').isEthereumAddress()],
+    validateRequest,
+    async (req, res) => {
+      const { patient } = req.params;
+      const { chainId = 'terracare' } = req.query;
+      try {
+        const contract = MultiChainConfig.getContract(chainId, 'RecordRegistry', null, undefined, { quorum: true });
+        const record = await contract.getRecord(patient, { from: req.user.address });
+
+        res.json({
+          record: {
+            patient,
+            dataHash: record.dataHash,
+            version: record.version.toString(),
+            updatedAt: new Date(Number(record.updatedAt) * 1000).toISOString(),
+            dataSize: record.dataSize.toString(),
+            isAnonymized: record.isAnonymized,
+            dataType: record.dataType
+          }
+        });
+      } catch (e) {
+        if (e.code === 'CALL_EXCEPTION' && e.reason === 'No access') {
+          return res.status(403).json({ error: 'No access to patient record', code: 'ACCESS_DENIED' });
+        }
+        logger.error({ message: 'Error in /api/record/:patient', error: e.message });
+        res.status(500).json({ error: e.message });
+      }
+    }
+  );
+
+  // Log audit event (AuditLog.logAccess; the backend signer is the recorded actor)
+  router.post(
+    '/audit/log',
+    authenticateJWT,
+    requireRole(['Admin', 'System']),
+    [
+      body('subject').isEthereumAddress(),
+      body('action').isString().notEmpty(),
+      body('refHash').matches(/^0x[0-9a-fA-F]{64}$/)
+    ],
+    validateRequest,
+    async (req, res) => {
+      const { subject, action, refHash, chainId = 'terracare' } = req.body;
+      try {
+        const result = await submitTransaction(prisma, chainId, 'AuditLog', 'logAccess', [subject, action, refHash]);
+        sendResult(res, 'Audit event logged', result);
+      } catch (e) {
+        handleTransactionError(res, '/api/audit/log', e);
+      }
+    }
+  );
+
+  return router;
+}
@@ -0,0 +1,43 @@
+/**
+ * TerraCare Ledger v2.0 - Metrics Route
+ *
+ * Handles:
+ * - GET /metrics: Prometheus scrape endpoint (bearer METRICS_TOKEN when configured)
+ */
+
+import { Router } from 'express';
+import logger from '../logger.js';
+
+/**
+ * Create metrics router
+ * @param {Object} services - { metrics } shared by the server
+ * @returns {Router} Express router
+ */
+export default function createMetricsRouter({ metrics }) {
+  const router = Router();
+
+  /**
+   * GET /api/metrics
+   */
+  router.get('/', async (req, res) => {
+    if (!metrics.isAuthorized(req.headers.authorization)) {
+      return res.status(401).json({
+        error: 'Metrics token required',
+        code: 'METRICS_AUTH_REQUIRED'
+      });
+    }
+
+    try {
+      res.type('text/plain; version=0.0.4; charset=utf-8').send(await metrics.collect());
+
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error collecting metrics');
+      res.status(500).json({
+        error: 'Failed to collect metrics',
+        code: 'METRICS_FAILED'
+      });
+    }
+  });
+
+  return router;
+}
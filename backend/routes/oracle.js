@@ -0,0 +1,76 @@
+/**
+ * TerraCare Ledger v2.0 - Oracle API Routes
+ *
+ * Handles:
+ * - POST /oracle/cosign: Another oracle asks this one to co-sign a high-value activity proof
+ *
+ * Callers authenticate with an oracle request signature (requireOracle).
+ */
+
+import { Router } from 'express';
+import { body } from 'express-validator';
+import logger from '../logger.js';
+import { validateRequest } from '../middleware/auth.js';
+import { requireOracle } from '../middleware/oracleAuth.js';
+import { OracleQuorumError, ORACLE_QUORUM_ERROR_STATUS } from '../services/oracleQuorumService.js';
+
+const BYTES32 = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Create oracle router
+ * @param {Object} services - { oracleQuorum } shared by the server
+ * @returns {Router} Express router
+ */
+export default function createOracleRouter({ oracleQuorum }) {
+  const router = Router();
+
+  /**
+   * POST /api/oracle/cosign
+   * Body: { proof, evidence } - proof as signed by the requesting oracle, evidence the scoring inputs
+   * Returns this oracle's signature when its own scoring supports the proof
+   */
+  router.post(
+    '/cosign',
+    requireOracle,
+    [
+      body(['proof.activityId', 'proof.userId', 'proof.dataHash', 'proof.modelHash']).matches(BYTES32),
+      body('proof.activityType').isInt({ min: 0, max: 5 }),
+      body('proof.valueScore').isInt({ min: 1, max: 100 }),
+      body('proof.userAddress').isEthereumAddress(),
+      body('proof.timestamp').isInt({ min: 0 }),
+      body('proof.nonce').isNumeric({ no_symbols: true }),
+      body('proof.signature').matches(/^0x[0-9a-fA-F]{130}$/), // The requesting oracle's own signature
+      body('evidence').isObject(),
+      body('evidence.userId').isString().notEmpty(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const signature = await oracleQuorum.cosign({
+          proof: req.body.proof,
+          evidence: req.body.evidence,
+          requester: req.oracle.address
+        });
+
+        res.json({ success: true, activityId: req.body.proof.activityId, signature });
+
+      } catch (error) {
+        if (error instanceof OracleQuorumError) {
+          return res.status(ORACLE_QUORUM_ERROR_STATUS[error.code]).json({
+            error: error.message,
+            code: error.code,
+            ...error.details
+          });
+        }
+
+        logger.error({ error: error.message }, 'Error co-signing activity proof');
+        res.status(500).json({
+          error: 'Failed to co-sign activity proof',
+          code: 'COSIGN_FAILED'
+        });
+      }
+    }
+  );
+
+  return router;
+}
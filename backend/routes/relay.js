@@ -0,0 +1,105 @@
+/**
+ * TerraCare Ledger v2.0 - Relay API Routes
+ *
+ * Handles:
+ * - POST /relay: Submit a signed ERC-2771 forward request through TerracareForwarder
+ *
+ * Forward requests are prepared by the action endpoints (e.g. /governance/vote,
+ * /revenue/sell-well, /access/revoke); the user signs them with eth_signTypedData_v4 and posts them here.
+ *
+ * A confirmed AccessControl.revoke also ends the caregiver's open sessions. Only the
+ * AccessRevoked event in that receipt triggers it, and its patient must be the signer.
+ * A revoke that is still pending (202) ends them once it is mined: the event indexer
+ * revokes the sessions when it indexes the AccessRevoked event.
+ */
+
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import { authenticateJWT, validateRequest } from '../middleware/auth.js';
+import { RelayerError, RELAYER_ERROR_STATUS } from '../services/relayerService.js';
+
+/**
+ * Create relay router
+ * @param {Object} services - { contractService, sessions } shared by the server
+ * @returns {Router} Express router
+ */
+export default function createRelayRouter({ contractService, sessions }) {
+  const router = Router();
+
+  // Caregivers whose access the signer revoked in this confirmed relay
+  const revokedCaregivers = (result) => {
+    if (result.status !== 'CONFIRMED' || result.contract !== 'AccessControl' || result.method !== 'revoke') {
+      return [];
+    }
+    return (result.events || [])
+      .filter(e => e.event === 'AccessRevoked' && ethers.getAddress(e.args.patient) === result.from)
+      .map(e => ethers.getAddress(e.args.caregiver));
+  };
+
+  /**
+   * POST /api/relay
+   * Verify and submit a user-signed forward request; gas is paid by the backend
+   */
+  router.post(
+    '/',
+    authenticateJWT,
+    [
+      body('request.from').isEthereumAddress(),
+      body('request.to').isEthereumAddress(),
+      body('request.value').isNumeric(),
+      body('request.gas').isNumeric(),
+      body('request.nonce').isNumeric(),
+      body('request.deadline').isInt({ min: 0 }),
+      body('request.data').isString().matches(/^0x[0-9a-fA-F]*$/),
+      body('signature').isString().isLength({ min: 132, max: 132 }), // 0x + 130 hex chars
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const { request, signature } = req.body;
+
+        // Users may only relay their own requests
+        if (ethers.getAddress(request.from) !== ethers.getAddress(req.user.address)) {
+          return res.status(403).json({
+            error: 'Forward request sender does not match authenticated user',
+            code: 'SENDER_MISMATCH'
+          });
+        }
+
+        const result = await contractService.relayer.relay(request, signature);
+
+        const caregivers = revokedCaregivers(result);
+        let sessionsRevoked = 0;
+        for (const caregiver of caregivers) {
+          sessionsRevoked += await sessions.revokeAllForAddress(caregiver, 'ACCESS_REVOKED');
+        }
+
+        // Not mined in time: the job keeps running, poll GET /api/tx/:jobId
+        res.status(result.status === 'CONFIRMED' ? 200 : 202).json({
+          success: true,
+          ...result,
+          ...(caregivers.length > 0 && { sessionsRevoked })
+        });
+
+      } catch (error) {
+        if (error instanceof RelayerError) {
+          logger.warn({ code: error.code, error: error.message }, 'Forward request rejected');
+          return res.status(RELAYER_ERROR_STATUS[error.code] || 400).json({
+            error: error.message,
+            code: error.code
+          });
+        }
+
+        logger.error({ error: error.message }, 'Error relaying forward request');
+        res.status(500).json({
+          error: 'Failed to relay request',
+          code: 'RELAY_FAILED'
+        });
+      }
+    }
+  );
+
+  return router;
+}
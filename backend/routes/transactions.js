@@ -0,0 +1,57 @@
+/**
+ * TerraCare Ledger v2.0 - Transaction Job API Routes
+ *
+ * Handles:
+ * - GET /tx/:jobId: Status of a queued backend transaction
+ *
+ * Write endpoints (activity, revenue webhook, governance execute, relay, core writes)
+ * return a jobId; clients poll here until the job is CONFIRMED or FAILED.
+ */
+
+import { Router } from 'express';
+import { param } from 'express-validator';
+import logger from '../logger.js';
+import { authenticateJWT, validateRequest } from '../middleware/auth.js';
+import { getTransactionJob } from '../services/transactionManagerService.js';
+
+/**
+ * Create transaction job router
+ * @param {Object} services - { prisma } shared by the server
+ * @returns {Router} Express router
+ */
+export default function createTransactionRouter({ prisma }) {
+  const router = Router();
+
+  /**
+   * GET /api/tx/:jobId
+   * Job status: QUEUED, SUBMITTED (broadcast, awaiting receipt), CONFIRMED or FAILED
+   */
+  router.get(
+    '/:jobId',
+    authenticateJWT,
+    [param('jobId').isUUID()],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const job = await getTransactionJob(req.params.jobId, prisma);
+        if (!job) {
+          return res.status(404).json({
+            error: 'Transaction job not found',
+            code: 'JOB_NOT_FOUND'
+          });
+        }
+
+        res.json({ job });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching transaction job');
+        res.status(500).json({
+          error: 'Failed to fetch transaction job',
+          code: 'FETCH_FAILED'
+        });
+      }
+    }
+  );
+
+  return router;
+}
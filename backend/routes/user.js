@@ -0,0 +1,287 @@
+/**
+ * TerraCare Ledger v2.0 - User API Routes
+ * 
+ * Handles:
+ * - GET /user/balance/:id: Return MINE and WELL balances
+ * - GET /user/activities/:id: Indexed activity history
+ * - GET /user/daily-status/:id: Daily points status
+ * - GET /user/access: Caller's on-chain holdings and access tier (what token gates check)
+ * - Profile settings, extensions and analytics (database)
+ */
+
+import { Router } from 'express';
+import { param, query } from 'express-validator';
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import { authenticateJWT, validateRequest } from '../middleware/auth.js';
+
+// User IDs are stored on-chain as bytes32 strings (encodeBytes32String), so at most 31 bytes of UTF-8
+const userIdParam = () => param('userId')
+  .isString()
+  .trim()
+  .notEmpty()
+  .custom(userId => Buffer.byteLength(userId) <= 31)
+  .withMessage('userId must be at most 31 bytes');
+
+/**
+ * Create user router
+ * @param {Object} services - { contractService, holdings, prisma } shared by the server
+ * @returns {Router} Express router
+ */
+export default function createUserRouter({ contractService, holdings, prisma }) {
+  const router = Router();
+
+  /**
+   * GET /api/user/balance/:userId
+   * Get MINE and WELL balances for a user
+   */
+  router.get(
+    '/balance/:userId',
+    authenticateJWT,
+    [
+      userIdParam(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const { userId } = req.params;
+
+        const userAddress = await contractService.getUserAddress(userId);
+        if (!userAddress) {
+          return res.status(404).json({ 
+            error: 'User not found',
+            code: 'USER_NOT_FOUND'
+          });
+        }
+
+        // Get balances
+        const [mineBalance, wellBalance, stakedMine, votingPower] = await Promise.all([
+          contractService.getMineBalance(userAddress),
+          contractService.getWellBalance(userAddress),
+          contractService.getStakedMine(userAddress),
+          contractService.getVotingPower(userAddress)
+        ]);
+
+        // Get cooperative membership status
+        const isMember = await contractService.isCooperativeMember(userAddress);
+
+        res.json({
+          userId,
+          address: userAddress,
+          balances: {
+            mine: ethers.formatEther(mineBalance),
+            well: ethers.formatEther(wellBalance),
+            stakedMine: ethers.formatEther(stakedMine),
+            votingPower: ethers.formatEther(votingPower)
+          },
+          membership: {
+            isCooperativeMember: isMember,
+            canPropose: votingPower >= ethers.parseEther('1000'),
+            canVote: votingPower > 0
+          },
+          formatted: {
+            mine: Number(ethers.formatEther(mineBalance)).toFixed(2),
+            well: Number(ethers.formatEther(wellBalance)).toFixed(4),
+            staked: Number(ethers.formatEther(stakedMine)).toFixed(2)
+          }
+        });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching user balance');
+        res.status(500).json({ 
+          error: 'Failed to fetch balance',
+          code: 'FETCH_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/user/activities/:userId
+   * Get activity history for a user
+   */
+  router.get(
+    '/activities/:userId',
+    authenticateJWT,
+    [
+      userIdParam(),
+      query('page').optional().isInt({ min: 1 }).toInt(),
+      query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+      query('type').optional().isInt({ min: 0, max: 5 }).toInt(),
+      query('rewarded').optional().isBoolean().toBoolean(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const { userId } = req.params;
+        const { page = 1, limit = 20, type, rewarded } = req.query;
+
+        const activities = await contractService.getUserActivities(userId, {
+          page,
+          limit,
+          type,
+          rewarded
+        });
+
+        res.json({
+          userId,
+          activities: activities.items.map(a => ({
+            activityId: a.activityId,
+            type: a.activityType,
+            valueScore: a.valueScore,
+            timestamp: a.timestamp,
+            rewarded: a.rewarded,
+            txHash: a.txHash
+          })),
+          pagination: {
+            page,
+            limit,
+            total: activities.total
+          }
+        });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching user activities');
+        res.status(500).json({ 
+          error: 'Failed to fetch activities',
+          code: 'FETCH_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/user/daily-status/:userId
+   * Get daily points status for a user
+   */
+  router.get(
+    '/daily-status/:userId',
+    authenticateJWT,
+    [
+      userIdParam(),
+    ],
+    validateRequest,
+    async (req, res) => {
+      try {
+        const { userId } = req.params;
+
+        const [usedPoints, remainingPoints, nextReset] = await Promise.all([
+          contractService.getUsedDailyPoints(userId),
+          contractService.getRemainingDailyPoints(userId),
+          contractService.getSecondsUntilNextDay(userId)
+        ]);
+
+        res.json({
+          userId,
+          dailyCap: 100,
+          usedPoints,
+          remainingPoints,
+          nextResetIn: nextReset,
+          canEarn: remainingPoints > 0
+        });
+
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching daily status');
+        res.status(500).json({ 
+          error: 'Failed to fetch daily status',
+          code: 'FETCH_FAILED'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/user/access
+   * MINE, WELL and access tier of the authenticated user, as requireMINE/requireWELL/requireAccessTier see them
+   */
+  router.get('/access', authenticateJWT, async (req, res) => {
+    if (!holdings.isEnabled()) {
+      return res.status(503).json({
+        error: 'Token balances cannot be checked',
+        code: 'BALANCE_CHECK_UNAVAILABLE'
+      });
+    }
+
+    try {
+      const [current, thresholds] = await Promise.all([
+        holdings.get(req.user.address),
+        holdings.isEnabled({ accessTier: true }) ? holdings.getTierThresholds() : null
+      ]);
+
+      res.json({
+        address: current.address,
+        blockNumber: current.blockNumber,
+        mine: ethers.formatEther(current.mine),
+        well: ethers.formatEther(current.well),
+        accessTier: current.accessTier,
+        tierThresholds: thresholds && Object.fromEntries(
+          Object.entries(thresholds).map(([tier, mine]) => [tier, ethers.formatEther(mine)])
+        )
+      });
+
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error fetching access tier');
+      res.status(500).json({
+        error: 'Failed to fetch access tier',
+        code: 'FETCH_FAILED'
+      });
+    }
+  });
+
+  /**
+   * GET /api/user/:address
+   * Get user profile
+   */
+  router.get('/:address', async (req, res) => {
+    const { address } = req.params;
+    const user = await prisma.user.findUnique({ where: { address } });
+    res.json({ user });
+  });
+
+  /**
+   * POST /api/user/:address/settings
+   * Update user settings
+   */
+  router.post('/:address/settings', async (req, res) => {
+    const { address } = req.params;
+    const { settings } = req.body;
+    const user = await prisma.user.upsert({
+      where: { address },
+      update: { settings },
+      create: { address, role: 'Unknown', settings },
+    });
+    res.json({ user });
+  });
+
+  /**
+   * GET /api/user/:address/extensions
+   * List extensions for user
+   */
+  router.get('/:address/extensions', async (req, res) => {
+    const { address } = req.params;
+    const user = await prisma.user.findUnique({ where: { address }, include: { extensions: true } });
+    res.json({ extensions: user?.extensions || [] });
+  });
+
+  /**
+   * POST /api/user/:address/extensions/:name
+   * Enable/disable extension
+   */
+  router.post('/:address/extensions/:name', async (req, res) => {
+    const { address, name } = req.params;
+    const { enabled } = req.body;
+    const user = await prisma.user.upsert({
+      where: { address },
+      update: {},
+      create: { address, role: 'Unknown' },
+    });
+    const ext = await prisma.extension.upsert({
+      where: { userId_name: { userId: user.id, name } },
+      update: { enabled },
+      create: { userId: user.id, name, enabled },
+    });
+    res.json({ extension: ext });
+  });
+
+  return router;
+}
@@ -0,0 +1,309 @@
+/**
+ * TerraCare Ledger v2.0 - Activity Batcher Service
+ *
+ * Buffers validated biometric activities and records them with ActivityRegistry.batchRecordActivities:
+ * - Each activity is stored as a BatchedActivity row when accepted (status BUFFERED)
+ * - Flushes when ACTIVITY_BATCH_SIZE items are buffered or every ACTIVITY_BATCH_WINDOW_MS
+ * - Items carry the AI oracle's signed proof, so batches go through batchRecordActivitiesWithProof
+ * - Submits each batch as one transaction job and maps the receipt's events back to the items
+ * - One invalid proof fails the whole batch, so the items of a failed batch are resubmitted one per
+ *   job; an item that fails on its own is FAILED and its submission claim released for a retry
+ */
+
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import defaultPrisma from '../db.js';
+import { getTransactionJob } from './transactionManagerService.js';
+
+// BUFFERED -> SUBMITTED -> RECORDED | SKIPPED (already on-chain) | FAILED (reverted on its own)
+const PENDING_STATUSES = ['BUFFERED', 'SUBMITTED'];
+
+// Idempotency key of a batch job: the same items always map to the same job
+const batchReference = (activityIds) => ethers.keccak256(ethers.concat(activityIds));
+
+class ActivityBatcherService {
+  /**
+   * @param {Object} options - { contractService, prisma, submissionGuard, maxBatchSize, flushIntervalMs }
+   *   submissionGuard: releases the replay claim of an item that fails, so the device can resubmit it
+   */
+  constructor({
+    contractService,
+    prisma = defaultPrisma,
+    submissionGuard = null,
+    maxBatchSize = Number(process.env.ACTIVITY_BATCH_SIZE || 50),
+    flushIntervalMs = Number(process.env.ACTIVITY_BATCH_WINDOW_MS || 5000)
+  } = {}) {
+    if (!contractService) {
+      throw new Error('ActivityBatcherService requires a ContractService');
+    }
+
+    this.contractService = contractService;
+    this.prisma = prisma;
+    this.submissionGuard = submissionGuard;
+    this.maxBatchSize = maxBatchSize;
+    this.flushIntervalMs = flushIntervalMs;
+
+    // Serializes flushes so a size-triggered flush never overlaps the timer
+    this.flushing = Promise.resolve();
+    this.buffered = 0;
+
+    this.running = false;
+    this.timer = null;
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+   * Start the flush/settle loop; items buffered before a restart go out in the first batch
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.buffered = await this.prisma.batchedActivity.count({ where: { status: 'BUFFERED' } });
+    logger.info({ buffered: this.buffered, maxBatchSize: this.maxBatchSize }, 'Activity batcher started');
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.flush();
+        await this.settle();
+      } catch (error) {
+        logger.error({ error: error.message }, 'Activity batcher tick failed');
+      } finally {
+        if (this.running) this._schedule(this.flushIntervalMs);
+      }
+    }, delay);
+  }
+
+  // ============ Buffering ============
+
+  /**
+   * Buffer a validated activity for the next batch
+   * @param {Object} activity - { activityId, userId, activityType, dataHash, valueScore, userAddress, deviceId, modelHash, proof }
+   *   proof is the AI oracle's signed activity proof (AISignerService.signActivityProof)
+   * @returns {Object} Item status (see getStatus)
+   */
+  async enqueue({
+    activityId,
+    userId,
+    activityType,
+    dataHash,
+    valueScore,
+    userAddress,
+    deviceId = null,
+    modelHash = null,
+    proof = null
+  }) {
+    const existing = await this.prisma.batchedActivity.findUnique({ where: { activityId } });
+    if (existing) return this._serialize(existing);
+
+    const item = await this.prisma.batchedActivity.create({
+      data: { activityId, userId, activityType, dataHash, valueScore, userAddress, deviceId, modelHash, proof }
+    });
+
+    if (++this.buffered >= this.maxBatchSize) {
+      this.flush().catch(error => {
+        logger.error({ error: error.message }, 'Activity batch flush failed');
+      });
+    }
+
+    return this._serialize(item);
+  }
+
+  /**
+   * Points buffered or submitted for a user but not yet counted on-chain
+   */
+  async getPendingPoints(userId) {
+    const result = await this.prisma.batchedActivity.aggregate({
+      where: { userId, status: { in: PENDING_STATUSES } },
+      _sum: { valueScore: true }
+    });
+    return result._sum.valueScore || 0;
+  }
+
+  /**
+   * Item status by activity ID
+   * @returns {Object|null} { activityId, status, valueScore, recordedScore, mineAmount, jobId, txHash, error, ... }
+   */
+  async getStatus(activityId) {
+    const item = await this.prisma.batchedActivity.findUnique({ where: { activityId } });
+    return item ? this._serialize(item) : null;
+  }
+
+  // ============ Flushing ============
+
+  /**
+   * Submit everything buffered, maxBatchSize items per transaction
+   */
+  flush() {
+    // A failed flush must not block later ones; its items are still BUFFERED
+    this.flushing = this.flushing.catch(() => {}).then(() => this._flush());
+    return this.flushing;
+  }
+
+  async _flush() {
+    for (;;) {
+      const items = await this.prisma.batchedActivity.findMany({
+        where: { status: 'BUFFERED' },
+        orderBy: { createdAt: 'asc' },
+        take: this.maxBatchSize
+      });
+      if (items.length === 0) break;
+
+      const activityIds = items.map(item => item.activityId);
+
+      // Same items, same reference: a retried flush gets the existing job back
+      const job = await this.contractService.recordActivityBatch(items, batchReference(activityIds));
+
+      await this.prisma.batchedActivity.updateMany({
+        where: { activityId: { in: activityIds }, status: 'BUFFERED' },
+        data: { status: 'SUBMITTED', jobId: job.jobId }
+      });
+      this.buffered = Math.max(0, this.buffered - items.length);
+
+      logger.info({ jobId: job.jobId, size: items.length }, 'Activity batch submitted');
+
+      if (items.length < this.maxBatchSize) break;
+    }
+  }
+
+  // ============ Settlement ============
+
+  /**
+   * Map finished batch jobs back onto their items
+   */
+  async settle() {
+    const pending = await this.prisma.batchedActivity.findMany({
+      where: { status: 'SUBMITTED' },
+      select: { jobId: true },
+      distinct: ['jobId']
+    });
+
+    for (const { jobId } of pending) {
+      const job = await getTransactionJob(jobId, this.prisma);
+      if (!job || job.status === 'QUEUED' || job.status === 'SUBMITTED') continue;
+
+      if (job.status === 'FAILED') {
+        await this._settleFailed(job);
+        continue;
+      }
+
+      await this._settleConfirmed(job);
+    }
+  }
+
+  async _settleFailed(job) {
+    const items = await this.prisma.batchedActivity.findMany({
+      where: { jobId: job.jobId, status: 'SUBMITTED' }
+    });
+
+    // Resubmit each item alone, so only the items that are invalid themselves fail
+    if (items.length > 1) {
+      for (const item of items) {
+        const single = await this.contractService.recordActivityBatch([item], batchReference([item.activityId]));
+        await this.prisma.batchedActivity.updateMany({
+          where: { activityId: item.activityId, jobId: job.jobId, status: 'SUBMITTED' },
+          data: { jobId: single.jobId }
+        });
+      }
+      logger.warn({ jobId: job.jobId, size: items.length, error: job.error }, 'Activity batch failed, resubmitting its items one by one');
+      return;
+    }
+
+    for (const item of items) {
+      await this.prisma.batchedActivity.update({
+        where: { activityId: item.activityId },
+        data: { status: 'FAILED', error: job.error || 'Batch transaction failed' }
+      });
+      if (this.submissionGuard) {
+        await this.submissionGuard.release(item.activityId);
+      }
+      logger.error({ jobId: job.jobId, activityId: item.activityId, error: job.error }, 'Activity failed');
+    }
+  }
+
+  async _settleConfirmed(job) {
+    const registry = this.contractService.contracts.ActivityRegistry;
+    const receipt = await this.contractService.provider.getTransactionReceipt(job.txHash);
+
+    // The registry skips activity IDs that are already recorded, so only emitted IDs count
+    const recorded = new Map();
+    const rewarded = new Map();
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== String(registry.target).toLowerCase()) continue;
+      const parsed = registry.interface.parseLog(log);
+      if (parsed?.name === 'ActivityRecorded') {
+        recorded.set(parsed.args.activityId, Number(parsed.args.valueScore));
+      } else if (parsed?.name === 'ActivityRewarded') {
+        rewarded.set(parsed.args.activityId, parsed.args.mineAmount.toString());
+      }
+    }
+
+    const items = await this.prisma.batchedActivity.findMany({
+      where: { jobId: job.jobId, status: 'SUBMITTED' }
+    });
+
+    for (const item of items) {
+      const wasRecorded = recorded.has(item.activityId);
+      await this.prisma.batchedActivity.update({
+        where: { activityId: item.activityId },
+        data: wasRecorded
+          ? {
+            status: 'RECORDED',
+            recordedScore: recorded.get(item.activityId),
+            mineAmount: rewarded.get(item.activityId) || '0',
+            txHash: job.txHash
+          }
+          : { status: 'SKIPPED', error: 'Activity already recorded', txHash: job.txHash }
+      });
+    }
+
+    logger.info({ jobId: job.jobId, recorded: recorded.size, skipped: items.length - recorded.size }, 'Activity batch settled');
+  }
+
+  // ============ Helpers ============
+
+  _serialize(item) {
+    return {
+      activityId: item.activityId,
+      userId: item.userId,
+      status: item.status,
+      valueScore: item.valueScore,
+      modelHash: item.modelHash,
+      recordedScore: item.recordedScore,
+      mineAmount: item.mineAmount,
+      jobId: item.jobId,
+      txHash: item.txHash,
+      error: item.error,
+      createdAt: item.createdAt,
+      updatedAt: item.updatedAt
+    };
+  }
+
+  async healthCheck() {
+    const [buffered, submitted] = await Promise.all([
+      this.prisma.batchedActivity.count({ where: { status: 'BUFFERED' } }),
+      this.prisma.batchedActivity.count({ where: { status: 'SUBMITTED' } })
+    ]);
+    return {
+      status: this.running ? 'running' : 'stopped',
+      maxBatchSize: this.maxBatchSize,
+      flushIntervalMs: this.flushIntervalMs,
+      buffered,
+      submitted
+    };
+  }
+}
+
+export default ActivityBatcherService;
@@ -0,0 +1,115 @@
+/**
+ * TerraCare Ledger v2.0 - Activity Proofs
+ *
+ * EIP-712 typed data for validator-signed activities, matching ActivityRegistry:
+ * - Domain: name "TerraCare ActivityRegistry", version "1", chain ID, ActivityRegistry address
+ * - ActivityProof: the recorded activity plus modelHash, the signing timestamp and a single-use nonce
+ * - A quorum proof carries several 65-byte signatures, concatenated in ascending signer address order
+ *
+ * Shared by AISignerService and the contract tests (test/ActivityProofs.test.js), so only depends on ethers.
+ */
+
+import { ethers } from 'ethers';
+
+export const ACTIVITY_PROOF_DOMAIN_NAME = 'TerraCare ActivityRegistry';
+export const ACTIVITY_PROOF_DOMAIN_VERSION = '1';
+
+export const ACTIVITY_PROOF_TYPES = {
+  ActivityProof: [
+    { name: 'activityId', type: 'bytes32' },
+    { name: 'userId', type: 'bytes32' },
+    { name: 'activityType', type: 'uint8' },
+    { name: 'dataHash', type: 'bytes32' },
+    { name: 'valueScore', type: 'uint256' },
+    { name: 'modelHash', type: 'bytes32' },
+    { name: 'userAddress', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+/**
+ * EIP-712 domain for an ActivityRegistry deployment
+ */
+export function activityProofDomain({ chainId, verifyingContract }) {
+  return {
+    name: ACTIVITY_PROOF_DOMAIN_NAME,
+    version: ACTIVITY_PROOF_DOMAIN_VERSION,
+    chainId,
+    verifyingContract
+  };
+}
+
+/**
+ * Random single-use nonce (uint256, as a decimal string so proofs stay JSON-safe)
+ */
+export function newProofNonce() {
+  return BigInt(ethers.hexlify(ethers.randomBytes(32))).toString();
+}
+
+/**
+ * The ActivityProof message; extra fields (e.g. signature) are dropped
+ */
+export function toActivityProofMessage(proof) {
+  return Object.fromEntries(ACTIVITY_PROOF_TYPES.ActivityProof.map(({ name }) => [name, proof[name]]));
+}
+
+/**
+ * EIP-712 digest, equal to ActivityRegistry.hashActivityProof
+ */
+export function hashActivityProof(domain, proof) {
+  return ethers.TypedDataEncoder.hash(domain, ACTIVITY_PROOF_TYPES, toActivityProofMessage(proof));
+}
+
+/**
+ * Sign an ActivityProof with an ethers signer (Wallet or provider signer)
+ * @returns {string} Signature
+ */
+export async function signActivityProof(signer, domain, proof) {
+  return await signer.signTypedData(domain, ACTIVITY_PROOF_TYPES, toActivityProofMessage(proof));
+}
+
+/**
+ * Address that signed an ActivityProof
+ * @returns {string} Checksummed signer address
+ */
+export function recoverActivityProofSigner(domain, proof, signature) {
+  return ethers.verifyTypedData(domain, ACTIVITY_PROOF_TYPES, toActivityProofMessage(proof), signature);
+}
+
+/**
+ * Concatenate validator signatures over the same proof in the order ActivityRegistry expects
+ * (ascending signer address); duplicate signers are dropped
+ * @returns {Object} { signature, signers }
+ */
+export function combineActivityProofSignatures(domain, proof, signatures) {
+  const bySigner = new Map();
+  for (const signature of signatures) {
+    const signer = recoverActivityProofSigner(domain, proof, signature);
+    bySigner.set(signer.toLowerCase(), { signer, signature: ethers.Signature.from(signature).serialized });
+  }
+
+  // Lowercase addresses of equal length sort lexicographically in numeric order
+  const sorted = [...bySigner.keys()].sort().map(k => bySigner.get(k));
+  return {
+    signature: ethers.concat(sorted.map(s => s.signature)),
+    signers: sorted.map(s => s.signer)
+  };
+}
+
+/**
+ * Signers of a (possibly concatenated) proof signature, in signature order
+ * @returns {string[]} Checksummed signer addresses
+ */
+export function recoverActivityProofSigners(domain, proof, signature) {
+  const bytes = ethers.getBytes(signature);
+  if (bytes.length === 0 || bytes.length % 65 !== 0) {
+    throw new Error('Activity proof signature must be a multiple of 65 bytes');
+  }
+
+  const signers = [];
+  for (let i = 0; i < bytes.length; i += 65) {
+    signers.push(recoverActivityProofSigner(domain, proof, ethers.hexlify(bytes.slice(i, i + 65))));
+  }
+  return signers;
+}
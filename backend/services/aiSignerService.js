@@ -2,58 +2,70 @@
  * TerraCare Ledger v2.0 - AI Signer Service
  * 
  * AI engine that:
- * - Calculates valueScore based on biometric quality, therapy adherence, data uniqueness
- * - Signs activity proofs with validator key before on-chain submission
- * - Provides anti-gaming detection
+ * - Calculates valueScore based on biometric quality, therapy adherence, data uniqueness,
+ *   using the active versioned scoring model (see scoringModelRegistry.js)
+ * - Signs EIP-712 activity proofs (see activityProof.js), including the scoring model hash, with the
+ *   validator key before on-chain submission; ActivityRegistry verifies them against VALIDATOR_ROLE
+ * - Provides anti-gaming detection (state kept in an anti-gaming store shared across instances)
  */
 
 import { ethers } from 'ethers';
 import crypto from 'crypto';
 import logger from '../logger.js';
+import { MultiChainConfig } from '../multiChainConfig.js';
+import { MemoryAntiGamingStore } from './antiGamingStore.js';
+import ScoringModelRegistry, { evaluateCurve } from './scoringModelRegistry.js';
+import {
+  activityProofDomain,
+  newProofNonce,
+  recoverActivityProofSigner,
+  signActivityProof
+} from './activityProof.js';
 
 class AISignerService {
-  constructor() {
-    // AI Oracle private key for signing
-    this.privateKey = process.env.AI_SIGNER_PRIVATE_KEY;
-    this.wallet = this.privateKey ? new ethers.Wallet(this.privateKey) : null;
+  /**
+   * @param {Object} options - { signer, store, models, chainId, activityRegistry }
+   *   signer: validator key (see signerProvider.js); defaults to AI_SIGNER_PRIVATE_KEY
+   *   store: anti-gaming state store (see antiGamingStore.js); defaults to in-memory
+   *   models: ScoringModelRegistry; defaults to the models in SCORING_MODELS_DIR
+   *   chainId/activityRegistry: EIP-712 domain of the ActivityRegistry that verifies the proofs
+   */
+  constructor({
+    signer = process.env.AI_SIGNER_PRIVATE_KEY ? new ethers.Wallet(process.env.AI_SIGNER_PRIVATE_KEY) : null,
+    store = new MemoryAntiGamingStore(),
+    models = new ScoringModelRegistry(),
+    chainId = Number(process.env.TERRACARE_CHAIN_ID || 1337),
+    activityRegistry = MultiChainConfig.getAddress('terracare', 'ActivityRegistry')
+  } = {}) {
+    // AI Oracle signer (local key, keystore or remote signer)
+    this.wallet = signer;
+
+    // Activity proofs are only valid for this chain and registry
+    this.proofDomain = activityProofDomain({
+      chainId,
+      verifyingContract: activityRegistry || ethers.ZeroAddress
+    });
     
-    // Quality scoring weights
-    this.weights = {
-      biometric: {
-        dataCompleteness: 0.3,
-        signalQuality: 0.4,
-        timestampConsistency: 0.2,
-        deviceTrust: 0.1
-      },
-      therapy: {
-        sessionDuration: 0.3,
-        adherenceScore: 0.4,
-        outcomeMetrics: 0.3
-      },
-      data: {
-        dataSize: 0.2,
-        anonymizationLevel: 0.3,
-        uniquenessScore: 0.5
-      }
-    };
+    // Quality scoring weights and curves come from the active model
+    this.models = models;
+    this.model = models.getActive();
 
-    // Cache for uniqueness detection
-    this.dataHashCache = new Map();
-    this.CACHE_SIZE = 10000;
-    this.CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+    // Activity patterns and seen data hashes for sybil/uniqueness detection
+    this.store = store;
 
     // Sybil detection tracking
-    this.userActivityPatterns = new Map();
     this.SYBIL_THRESHOLD = 50; // Max activities per hour before flagging
+    this.MEDIUM_ALERT_PENALTY = 0.5; // Value score multiplier per MEDIUM alert
   }
 
   /**
    * Calculate value score for biometric stream data
-   * @param {Object} params - Biometric data parameters
+   * @param {Object} params - Biometric data parameters; `device` is ContractService.getDevice() output
    * @returns {number} Value score (0-100)
    */
   async calculateBiometricValueScore({
     deviceId,
+    device,
     userId,
     data,
     timestamp,
@@ -73,11 +85,11 @@ class AISignerService {
       timestampConsistency: this._calculateTimestampScore(timestamp),
       
       // Device trust score (based on device history)
-      deviceTrust: await this._calculateDeviceTrust(deviceId)
+      deviceTrust: this._calculateDeviceTrust(device)
     };
 
     // Calculate weighted score
-    const weights = this.weights.biometric;
+    const weights = this.model.weights.biometric;
     const valueScore = Math.round(
       scores.completeness * weights.dataCompleteness +
       scores.signalQuality * weights.signalQuality +
@@ -120,7 +132,7 @@ class AISignerService {
       outcome: this._calculateOutcomeScore(outcomeMetrics)
     };
 
-    const weights = this.weights.therapy;
+    const weights = this.model.weights.therapy;
     const valueScore = Math.round(
       scores.sessionDuration * weights.sessionDuration +
       scores.adherence * weights.adherenceScore +
@@ -132,21 +144,23 @@ class AISignerService {
 
   /**
    * Calculate value score for data contribution
-   * @param {Object} params - Data contribution parameters
+   * @param {Object} params - Data contribution parameters; a given uniquenessScore (0-100) skips the
+   *   seen-hash lookup and leaves the hash unrecorded
    * @returns {number} Value score (0-100)
    */
   async calculateDataValueScore({
     dataSize,
     isAnonymized,
     dataHash,
-    dataType
+    dataType,
+    uniquenessScore: fixedUniqueness
   }) {
     // Check uniqueness
-    const uniquenessScore = await this._calculateUniquenessScore(dataHash);
+    const uniquenessScore = fixedUniqueness ?? await this._calculateUniquenessScore(dataHash);
 
     const scores = {
       // Data size (larger datasets more valuable, but diminishing returns)
-      size: Math.min(100, Math.log2(dataSize / 1024 + 1) * 10),
+      size: Math.min(100, Math.log2(dataSize / 1024 + 1) * this.model.curves.dataSize.log2Multiplier),
       
       // Anonymization bonus
       anonymization: isAnonymized ? 100 : 0,
@@ -155,7 +169,7 @@ class AISignerService {
       uniqueness: uniquenessScore
     };
 
-    const weights = this.weights.data;
+    const weights = this.model.weights.data;
     const valueScore = Math.round(
       scores.size * weights.dataSize +
       scores.anonymization * weights.anonymizationLevel +
@@ -163,80 +177,81 @@ class AISignerService {
     );
 
     // Store hash for future uniqueness checks
-    this._cacheDataHash(dataHash);
+    if (fixedUniqueness === undefined) {
+      await this.store.recordDataHash(dataHash);
+    }
 
     return Math.min(100, Math.max(0, valueScore));
   }
 
   /**
-   * Sign activity proof with AI Oracle key
-   * @param {Object} activity - Activity to sign
-   * @returns {string} Signature
+   * Sign an EIP-712 activity proof with the AI Oracle key
+   * @param {Object} activity - Activity to sign; modelHash is the scoring model that produced valueScore
+   *   and userAddress receives the MINE
+   * @returns {Object} Proof { activityId, userId (bytes32), activityType, dataHash, valueScore, modelHash,
+   *   userAddress, timestamp, nonce, validator, signature }, as submitted to ActivityRegistry
    */
   async signActivityProof({
     activityId,
     userId,
     activityType,
     dataHash,
-    valueScore
+    valueScore,
+    userAddress,
+    modelHash = this.model.hash
   }) {
     if (!this.wallet) {
       throw new Error('AI Signer not initialized - no private key');
     }
 
-    // Create structured hash for signing
-    const messageHash = ethers.keccak256(
-      ethers.solidityPacked(
-        ['bytes32', 'bytes32', 'uint8', 'bytes32', 'uint256', 'uint256'],
-        [
-          activityId,
-          ethers.encodeBytes32String(userId),
-          activityType,
-          dataHash,
-          valueScore,
-          Math.floor(Date.now() / 1000) // Timestamp for replay protection
-        ]
-      )
-    );
-
-    // Sign with Ethereum personal sign
-    const signature = await this.wallet.signMessage(ethers.getBytes(messageHash));
+    const proof = {
+      activityId,
+      userId: ethers.encodeBytes32String(userId),
+      activityType,
+      dataHash,
+      valueScore,
+      modelHash,
+      userAddress: ethers.getAddress(userAddress),
+      timestamp: Math.floor(Date.now() / 1000), // ActivityRegistry rejects proofs older than proofValidity
+      nonce: newProofNonce() // Single-use per validator
+    };
+    const signature = await signActivityProof(this.wallet, this.proofDomain, proof);
 
     logger.debug({
       activityId,
       userId,
+      modelHash,
+      nonce: proof.nonce,
       validator: this.wallet.address
     }, 'Activity proof signed');
 
+    return { ...proof, validator: this.wallet.address, signature };
+  }
+
+  /**
+   * Add this oracle's signature to a proof signed by another oracle (quorum attestation)
+   * @param {Object} proof - ActivityProof fields, unchanged from the original signer's
+   * @returns {string} Signature
+   */
+  async cosignActivityProof(proof) {
+    if (!this.wallet) {
+      throw new Error('AI Signer not initialized - no private key');
+    }
+
+    const signature = await signActivityProof(this.wallet, this.proofDomain, proof);
+    logger.debug({ activityId: proof.activityId, nonce: proof.nonce, validator: this.wallet.address }, 'Activity proof co-signed');
     return signature;
   }
 
   /**
-   * Verify activity signature
-   * @param {Object} activity - Activity to verify
-   * @param {string} signature - Signature to verify
+   * Verify an activity proof signed by this oracle
+   * @param {Object} proof - Proof as returned by signActivityProof
+   * @param {string} signature - Signature to verify (defaults to proof.signature)
    * @returns {boolean} Is valid
    */
-  async verifyActivitySignature(activity, signature) {
+  async verifyActivitySignature(proof, signature = proof.signature) {
     try {
-      const messageHash = ethers.keccak256(
-        ethers.solidityPacked(
-          ['bytes32', 'bytes32', 'uint8', 'bytes32', 'uint256', 'uint256'],
-          [
-            activity.activityId,
-            ethers.encodeBytes32String(activity.userId),
-            activity.activityType,
-            activity.dataHash,
-            activity.valueScore,
-            activity.timestamp
-          ]
-        )
-      );
-
-      const recoveredAddress = ethers.verifyMessage(
-        ethers.getBytes(messageHash),
-        signature
-      );
+      const recoveredAddress = recoverActivityProofSigner(this.proofDomain, proof, signature);
 
       // Check if recovered address is an authorized validator
       return recoveredAddress === this.wallet?.address;
@@ -248,32 +263,16 @@ class AISignerService {
 
   /**
    * Anti-gaming: Detect suspicious activity patterns
+   * HIGH alerts block the submission; each MEDIUM alert halves its value score
    * @param {string} userId - User to check
-   * @param {Object} activity - Activity data
-   * @returns {Object} Detection result
+   * @param {Object} activity - Activity data (deviceId is optional)
+   * @returns {Object} Detection result { isSuspicious, shouldBlock, scoreMultiplier, alerts, activityCount }
    */
   async detectGaming({ userId, activityType, timestamp, deviceId }) {
-    const now = Date.now();
-    const hourAgo = now - 60 * 60 * 1000;
-
-    // Get or initialize user pattern
-    if (!this.userActivityPatterns.has(userId)) {
-      this.userActivityPatterns.set(userId, []);
-    }
-
-    const patterns = this.userActivityPatterns.get(userId);
-    
-    // Clean old entries
-    const recentPatterns = patterns.filter(p => p.timestamp > hourAgo);
-    
-    // Add current activity
-    recentPatterns.push({
-      activityType,
-      timestamp: now,
-      deviceId
-    });
+    const hourAgo = Date.now() - 60 * 60 * 1000;
 
-    this.userActivityPatterns.set(userId, recentPatterns);
+    // Log the current activity and get the last hour's, across all instances
+    const recentPatterns = await this.store.recordActivity(userId, { activityType, deviceId }, hourAgo);
 
     // Detect patterns
     const alerts = [];
@@ -289,7 +288,7 @@ class AISignerService {
     }
 
     // 2. Rapid-fire from same device
-    const deviceActivities = recentPatterns.filter(p => p.deviceId === deviceId);
+    const deviceActivities = deviceId ? recentPatterns.filter(p => p.deviceId === deviceId) : [];
     if (deviceActivities.length > 20) {
       alerts.push({
         type: 'DEVICE_SPAM',
@@ -317,8 +316,9 @@ class AISignerService {
       });
     }
 
-    const isSuspicious = alerts.some(a => a.severity === 'HIGH');
-    const shouldBlock = alerts.filter(a => a.severity === 'HIGH').length >= 2;
+    const isSuspicious = alerts.some(a => a.severity === 'HIGH' || a.severity === 'MEDIUM');
+    const shouldBlock = alerts.some(a => a.severity === 'HIGH');
+    const scoreMultiplier = this.MEDIUM_ALERT_PENALTY ** alerts.filter(a => a.severity === 'MEDIUM').length;
 
     if (alerts.length > 0) {
       logger.warn({
@@ -332,6 +332,7 @@ class AISignerService {
     return {
       isSuspicious,
       shouldBlock,
+      scoreMultiplier,
       alerts,
       activityCount: recentPatterns.length
     };
@@ -341,76 +342,79 @@ class AISignerService {
 
   _calculateTimestampScore(timestamp) {
     const now = Math.floor(Date.now() / 1000);
-    const age = now - timestamp;
-    
-    // Data should be recent (within last hour)
-    if (age < 300) return 100; // < 5 minutes: perfect
-    if (age < 3600) return 80; // < 1 hour: good
-    if (age < 86400) return 50; // < 1 day: acceptable
-    return 20; // > 1 day: stale
+    return evaluateCurve(this.model.curves.timestampAge, now - timestamp);
   }
 
-  async _calculateDeviceTrust(deviceId) {
-    // In production: query device registry for trust score
-    // For now, return high trust for known device patterns
-    if (deviceId.startsWith('0x') && deviceId.length === 42) {
-      return 90; // Blockchain-registered device
-    }
-    return 70; // Unknown device
+  _calculateDeviceTrust(device) {
+    if (!device || !device.certified) return 0;
+
+    const trust = this.model.curves.deviceTrust;
+
+    // Base trust by HarmonicAdapter certification tier
+    let score = trust.tiers[device.tier] ?? trust.tiers.Uncertified;
+
+    // Long-standing certifications earn a bonus
+    const ageDays = (Date.now() / 1000 - device.certifiedAt) / 86400;
+    score += Math.min(trust.ageBonusMax, Math.max(0, Math.floor(ageDays / trust.ageBonusDaysPerPoint)));
+
+    // Each revoked device previously bound to this user costs a penalty
+    score -= device.userRevocations * trust.revocationPenalty;
+
+    return Math.min(100, Math.max(0, score));
   }
 
   _calculateDurationScore(durationMinutes) {
-    // Optimal therapy session: 30-60 minutes
-    if (durationMinutes >= 30 && durationMinutes <= 60) return 100;
-    if (durationMinutes >= 20 && durationMinutes < 30) return 80;
-    if (durationMinutes > 60 && durationMinutes <= 90) return 70;
-    if (durationMinutes < 20) return durationMinutes * 3; // Too short
-    return Math.max(0, 100 - (durationMinutes - 90)); // Too long
+    return Math.max(0, evaluateCurve(this.model.curves.sessionDuration, durationMinutes));
   }
 
   _calculateOutcomeScore(metrics) {
     // Calculate based on improvement in health metrics
-    let score = 50; // Baseline
-    
-    if (metrics.painReduction) score += metrics.painReduction * 20;
-    if (metrics.mobilityImprovement) score += metrics.mobilityImprovement * 20;
-    if (metrics.adherenceRate) score += metrics.adherenceRate * 10;
-    
+    const outcome = this.model.curves.outcome;
+    let score = outcome.baseline;
+
+    for (const [metric, weight] of Object.entries(outcome.metrics)) {
+      if (metrics[metric]) score += metrics[metric] * weight;
+    }
+
     return Math.min(100, Math.max(0, score));
   }
 
   async _calculateUniquenessScore(dataHash) {
+    const uniqueness = this.model.curves.uniqueness;
+
     // Check if we've seen this hash before
-    const cached = this.dataHashCache.get(dataHash);
+    const cached = await this.store.getDataHash(dataHash);
     
     if (cached) {
       // Data is not unique
-      const age = Date.now() - cached.timestamp;
-      if (age < this.CACHE_TTL) {
-        return 20; // Recent duplicate: low score
+      const age = Date.now() - cached.lastSeenAt;
+      if (age < uniqueness.recentWindowMs) {
+        return uniqueness.recentDuplicate;
       }
-      return 50; // Old duplicate: medium score
+      return uniqueness.staleDuplicate;
     }
     
     // Data is unique
-    return 100;
+    return uniqueness.unique;
   }
 
-  _cacheDataHash(dataHash) {
-    // Clean cache if too large
-    if (this.dataHashCache.size >= this.CACHE_SIZE) {
-      const now = Date.now();
-      for (const [hash, entry] of this.dataHashCache.entries()) {
-        if (now - entry.timestamp > this.CACHE_TTL) {
-          this.dataHashCache.delete(hash);
-        }
-      }
-    }
+  /**
+   * Active scoring model: { key, id, version, name, hash }
+   */
+  getScoringModel() {
+    const { key, id, version, name, hash } = this.model;
+    return { key, id, version, name, hash };
+  }
 
-    this.dataHashCache.set(dataHash, {
-      timestamp: Date.now(),
-      count: (this.dataHashCache.get(dataHash)?.count || 0) + 1
-    });
+  /**
+   * Sign new proofs with another validator key (key rotation)
+   * @returns {Object|null} Previous signer
+   */
+  setSigner(signer) {
+    const previous = this.wallet;
+    this.wallet = signer;
+    logger.info({ from: previous?.address, to: signer?.address }, 'AI signer switched');
+    return previous;
   }
 
   /**
@@ -424,11 +428,15 @@ class AISignerService {
    * Health check
    */
   async healthCheck() {
+    const { driver, trackedUsers, dataHashes } = await this.store.stats();
     return {
       status: this.wallet ? 'healthy' : 'not_configured',
       validatorAddress: this.wallet?.address,
-      cacheSize: this.dataHashCache.size,
-      trackedUsers: this.userActivityPatterns.size
+      scoringModel: this.model.key,
+      scoringModelHash: this.model.hash,
+      store: driver,
+      cacheSize: dataHashes,
+      trackedUsers
     };
   }
 }
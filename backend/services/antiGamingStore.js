@@ -0,0 +1,225 @@
+/**
+ * TerraCare Ledger v2.0 - Anti-Gaming State Store
+ *
+ * Shared state behind AISignerService's sybil and duplicate-data detection:
+ * - Per-user activity log (rate, device spam and distribution checks)
+ * - Seen data hashes (uniqueness scoring)
+ *
+ * Adapters (ANTI_GAMING_STORE):
+ * - memory: process-local Maps; state is lost on restart and not shared between instances
+ * - prisma: AntiGamingActivity / AntiGamingDataHash tables, shared by every instance
+ *
+ * Both evict entries past their TTL.
+ */
+
+import logger from '../logger.js';
+
+// Expired entries are purged at most this often
+const EVICT_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_ACTIVITY_TTL_MS = 60 * 60 * 1000; // detectGaming looks back one hour
+const DEFAULT_HASH_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export class MemoryAntiGamingStore {
+  /**
+   * @param {Object} options - { activityTtlMs, hashTtlMs, maxHashes }
+   */
+  constructor({
+    activityTtlMs = DEFAULT_ACTIVITY_TTL_MS,
+    hashTtlMs = DEFAULT_HASH_TTL_MS,
+    maxHashes = 10000
+  } = {}) {
+    this.driver = 'memory';
+    this.activityTtlMs = activityTtlMs;
+    this.hashTtlMs = hashTtlMs;
+    this.maxHashes = maxHashes;
+
+    this.activities = new Map(); // userId -> [{ activityType, deviceId, timestamp }]
+    this.dataHashes = new Map(); // dataHash -> { lastSeenAt, count, expiresAt }
+    this.lastEviction = 0;
+  }
+
+  /**
+   * Log an activity and return the user's activities since `since` (ms), including this one
+   */
+  async recordActivity(userId, { activityType, deviceId }, since) {
+    this._maybeEvict();
+
+    const now = Date.now();
+    const entries = (this.activities.get(userId) || []).filter(e => e.timestamp > now - this.activityTtlMs);
+    entries.push({ activityType, deviceId, timestamp: now });
+    this.activities.set(userId, entries);
+
+    return entries.filter(e => e.timestamp > since);
+  }
+
+  /**
+   * @returns {Object|null} { lastSeenAt (ms), count }
+   */
+  async getDataHash(dataHash) {
+    const entry = this.dataHashes.get(dataHash);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return { lastSeenAt: entry.lastSeenAt, count: entry.count };
+  }
+
+  async recordDataHash(dataHash) {
+    this._maybeEvict();
+
+    const now = Date.now();
+    const previous = this.dataHashes.get(dataHash);
+
+    // Re-insert so Map order stays least-recently-seen first
+    this.dataHashes.delete(dataHash);
+    this.dataHashes.set(dataHash, {
+      lastSeenAt: now,
+      count: (previous?.count || 0) + 1,
+      expiresAt: now + this.hashTtlMs
+    });
+
+    // Bounded: drop the least recently seen hashes
+    for (const hash of this.dataHashes.keys()) {
+      if (this.dataHashes.size <= this.maxHashes) break;
+      this.dataHashes.delete(hash);
+    }
+  }
+
+  _maybeEvict() {
+    const now = Date.now();
+    if (now - this.lastEviction < EVICT_INTERVAL_MS) return;
+    this.lastEviction = now;
+
+    for (const [userId, entries] of this.activities) {
+      const live = entries.filter(e => e.timestamp > now - this.activityTtlMs);
+      if (live.length === 0) {
+        this.activities.delete(userId);
+      } else {
+        this.activities.set(userId, live);
+      }
+    }
+    for (const [hash, entry] of this.dataHashes) {
+      if (entry.expiresAt <= now) this.dataHashes.delete(hash);
+    }
+  }
+
+  async stats() {
+    return {
+      driver: this.driver,
+      trackedUsers: this.activities.size,
+      dataHashes: this.dataHashes.size
+    };
+  }
+}
+
+export class PrismaAntiGamingStore {
+  /**
+   * @param {Object} options - { prisma, activityTtlMs, hashTtlMs }
+   */
+  constructor({
+    prisma,
+    activityTtlMs = DEFAULT_ACTIVITY_TTL_MS,
+    hashTtlMs = DEFAULT_HASH_TTL_MS
+  } = {}) {
+    if (!prisma) {
+      throw new Error('PrismaAntiGamingStore requires a Prisma client');
+    }
+
+    this.driver = 'prisma';
+    this.prisma = prisma;
+    this.activityTtlMs = activityTtlMs;
+    this.hashTtlMs = hashTtlMs;
+    this.lastEviction = 0;
+  }
+
+  async recordActivity(userId, { activityType, deviceId }, since) {
+    await this._maybeEvict();
+
+    const now = Date.now();
+    await this.prisma.antiGamingActivity.create({
+      data: {
+        userId,
+        activityType,
+        deviceId: deviceId ?? null,
+        expiresAt: new Date(now + this.activityTtlMs)
+      }
+    });
+
+    const entries = await this.prisma.antiGamingActivity.findMany({
+      where: { userId, createdAt: { gt: new Date(since) } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return entries.map(e => ({
+      activityType: e.activityType,
+      deviceId: e.deviceId,
+      timestamp: e.createdAt.getTime()
+    }));
+  }
+
+  async getDataHash(dataHash) {
+    const entry = await this.prisma.antiGamingDataHash.findUnique({ where: { dataHash } });
+    if (!entry || entry.expiresAt.getTime() <= Date.now()) return null;
+    return { lastSeenAt: entry.lastSeenAt.getTime(), count: entry.count };
+  }
+
+  async recordDataHash(dataHash) {
+    await this._maybeEvict();
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.hashTtlMs);
+    await this.prisma.antiGamingDataHash.upsert({
+      where: { dataHash },
+      create: { dataHash, lastSeenAt: now, expiresAt },
+      update: { lastSeenAt: now, expiresAt, count: { increment: 1 } }
+    });
+  }
+
+  async _maybeEvict() {
+    if (Date.now() - this.lastEviction < EVICT_INTERVAL_MS) return;
+    this.lastEviction = Date.now();
+
+    const now = new Date();
+    const [activities, hashes] = await Promise.all([
+      this.prisma.antiGamingActivity.deleteMany({ where: { expiresAt: { lt: now } } }),
+      this.prisma.antiGamingDataHash.deleteMany({ where: { expiresAt: { lt: now } } })
+    ]);
+
+    if (activities.count || hashes.count) {
+      logger.debug({ activities: activities.count, dataHashes: hashes.count }, 'Anti-gaming state evicted');
+    }
+  }
+
+  async stats() {
+    const [users, dataHashes] = await Promise.all([
+      this.prisma.antiGamingActivity.groupBy({
+        by: ['userId'],
+        where: { expiresAt: { gt: new Date() } }
+      }),
+      this.prisma.antiGamingDataHash.count({ where: { expiresAt: { gt: new Date() } } })
+    ]);
+    return {
+      driver: this.driver,
+      trackedUsers: users.length,
+      dataHashes
+    };
+  }
+}
+
+/**
+ * Create the store selected by ANTI_GAMING_STORE (default: prisma)
+ * @param {Object} options - { driver, prisma, activityTtlMs, hashTtlMs }
+ */
+export function createAntiGamingStore({
+  driver = process.env.ANTI_GAMING_STORE || 'prisma',
+  prisma,
+  activityTtlMs = Number(process.env.ANTI_GAMING_ACTIVITY_TTL_MS || DEFAULT_ACTIVITY_TTL_MS),
+  hashTtlMs = Number(process.env.ANTI_GAMING_HASH_TTL_MS || DEFAULT_HASH_TTL_MS)
+} = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryAntiGamingStore({ activityTtlMs, hashTtlMs });
+    case 'prisma':
+      return new PrismaAntiGamingStore({ prisma, activityTtlMs, hashTtlMs });
+    default:
+      throw new Error(`Unknown ANTI_GAMING_STORE: ${driver}`);
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * TerraCare Ledger v2.0 - API Key Service
+ *
+ * Service accounts for machine clients (Heartware, Sofie-Systems integrations):
+ * - Admins issue keys with scopes (API_KEY_SCOPES), an expiry and optionally the on-chain address the
+ *   key acts as; the plaintext key is returned once and only its SHA-256 hash is stored
+ * - Keys are checked by authenticate (middleware/auth.js) from the X-API-Key header; validity is
+ *   briefly cached per instance, like session revocation
+ * - Last use (time and IP) is recorded at most once per LAST_USED_RESOLUTION_MS per key
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+
+export class ApiKeyError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+  }
+}
+
+export const API_KEY_ERROR_STATUS = {
+  INVALID_API_KEY: 401,
+  API_KEY_REVOKED: 401,
+  API_KEY_EXPIRED: 401,
+  UNKNOWN_SCOPE: 400,
+  ADDRESS_REQUIRED: 422,
+  API_KEY_NOT_FOUND: 404,
+  API_KEY_ALREADY_REVOKED: 409
+};
+
+// Scope => what it opens (routes opt in with requireScope or requireRole(roles, scope))
+export const API_KEY_SCOPES = {
+  'activity:write': 'POST /api/activity/biometric',
+  'activity:read': 'GET /api/activity/status/:activityId',
+  'records:read': 'GET /api/record/:patient (as the key\'s address)',
+  'revenue:read': 'GET /api/revenue/distribution, GET /api/revenue/investor/:address'
+};
+
+// Scopes whose routes act as an on-chain account
+const ADDRESS_SCOPES = ['records:read'];
+
+const KEY_PREFIX = 'tcl_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService {
+  /**
+   * @param {Object} options - { prisma, defaultTtlDays, cacheTtlMs }
+   */
+  constructor({ prisma, defaultTtlDays = 90, cacheTtlMs = 5000 }) {
+    this.prisma = prisma;
+    this.defaultTtlDays = defaultTtlDays;
+
+    // keyHash => { apiKey | null, checkedAt }
+    this.cache = new Map();
+    this.cacheTtlMs = cacheTtlMs;
+    this.CACHE_SIZE = 10000;
+
+    // keyId => last time lastUsedAt was written
+    this.lastUsedWrites = new Map();
+  }
+
+  /**
+   * Issue a key
+   * @param {Object} options - { name, scopes, address, expiresInDays, createdBy }
+   *   address: on-chain account the key acts as (required by records:read)
+   * @returns {Object} { key, apiKey } the plaintext key (shown once) and the stored key's public fields
+   */
+  async create({ name, scopes, address = null, expiresInDays = this.defaultTtlDays, createdBy }) {
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknown.length) {
+      throw new ApiKeyError('UNKNOWN_SCOPE', `Unknown scope(s): ${unknown.join(', ')}`);
+    }
+    const needsAddress = scopes.filter(scope => ADDRESS_SCOPES.includes(scope));
+    if (needsAddress.length && !address) {
+      throw new ApiKeyError('ADDRESS_REQUIRED', `Scope(s) ${needsAddress.join(', ')} need the address the key acts as`);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await this.prisma.serviceApiKey.create({
+      data: {
+        name,
+        scopes: [...new Set(scopes)],
+        address: address ? ethers.getAddress(address) : null,
+        keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+        keyHash: hashKey(key),
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+        createdBy
+      }
+    });
+
+    logger.info({ keyId: apiKey.id, name, scopes: apiKey.scopes, createdBy }, 'API key created');
+    return { key, apiKey: this._public(apiKey) };
+  }
+
+  /**
+   * @param {Object} options - { includeRevoked }
+   * @returns {Array} Keys newest first (public fields only)
+   */
+  async list({ includeRevoked = false } = {}) {
+    const keys = await this.prisma.serviceApiKey.findMany({
+      where: includeRevoked ? {} : { revokedAt: null },
+      orderBy: { createdAt: 'desc' }
+    });
+    return keys.map(apiKey => this._public(apiKey));
+  }
+
+  /**
+   * @returns {Object} Revoked key (public fields)
+   */
+  async revoke(keyId, { revokedBy }) {
+    const apiKey = await this.prisma.serviceApiKey.findUnique({ where: { id: keyId } });
+    if (!apiKey) {
+      throw new ApiKeyError('API_KEY_NOT_FOUND', 'API key not found');
+    }
+    if (apiKey.revokedAt) {
+      throw new ApiKeyError('API_KEY_ALREADY_REVOKED', 'API key is already revoked');
+    }
+
+    const revoked = await this.prisma.serviceApiKey.update({
+      where: { id: keyId },
+      data: { revokedAt: new Date(), revokedBy }
+    });
+    this.cache.set(apiKey.keyHash, { apiKey: revoked, checkedAt: Date.now() });
+
+    logger.info({ keyId, name: apiKey.name, revokedBy }, 'API key revoked');
+    return this._public(revoked);
+  }
+
+  /**
+   * Check a presented key and record its use
+   * @param {string} key - Plaintext key from the X-API-Key header
+   * @param {Object} context - { ip }
+   * @returns {Object} { id, name, address, scopes }
+   * @throws {ApiKeyError} INVALID_API_KEY, API_KEY_REVOKED, API_KEY_EXPIRED
+   */
+  async authenticate(key, { ip } = {}) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      throw new ApiKeyError('INVALID_API_KEY', 'Invalid API key');
+    }
+
+    const apiKey = await this._lookup(hashKey(key));
+    if (!apiKey) {
+      throw new ApiKeyError('INVALID_API_KEY', 'Invalid API key');
+    }
+    if (apiKey.revokedAt) {
+      throw new ApiKeyError('API_KEY_REVOKED', 'API key has been revoked');
+    }
+    if (apiKey.expiresAt <= new Date()) {
+      throw new ApiKeyError('API_KEY_EXPIRED', 'API key has expired');
+    }
+
+    this._recordUse(apiKey, ip);
+    return { id: apiKey.id, name: apiKey.name, address: apiKey.address, scopes: apiKey.scopes };
+  }
+
+  // ============ Helpers ============
+
+  async _lookup(keyHash) {
+    const cached = this.cache.get(keyHash);
+    if (cached && Date.now() - cached.checkedAt < this.cacheTtlMs) {
+      return cached.apiKey;
+    }
+
+    const apiKey = await this.prisma.serviceApiKey.findUnique({ where: { keyHash } });
+
+    this._pruneCache();
+    this.cache.set(keyHash, { apiKey, checkedAt: Date.now() });
+    return apiKey;
+  }
+
+  _recordUse(apiKey, ip) {
+    const now = Date.now();
+    if (now - (this.lastUsedWrites.get(apiKey.id) || 0) < LAST_USED_RESOLUTION_MS) return;
+    this.lastUsedWrites.set(apiKey.id, now);
+
+    this.prisma.serviceApiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date(now), lastUsedIp: ip || null }
+    }).catch(error => {
+      logger.warn({ keyId: apiKey.id, error: error.message }, 'Failed to record API key use');
+    });
+  }
+
+  _public({ keyHash, ...apiKey }) {
+    return apiKey;
+  }
+
+  _pruneCache() {
+    if (this.cache.size < this.CACHE_SIZE) return;
+
+    const now = Date.now();
+    for (const [keyHash, entry] of this.cache.entries()) {
+      if (now - entry.checkedAt >= this.cacheTtlMs) {
+        this.cache.delete(keyHash);
+      }
+    }
+  }
+}
+
+export default ApiKeyService;
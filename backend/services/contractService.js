@@ -6,100 +6,111 @@
 
 import { ethers } from 'ethers';
 import logger from '../logger.js';
+import { MultiChainConfig } from '../multiChainConfig.js';
+import EventIndexerService from './eventIndexerService.js';
+import RelayerService from './relayerService.js';
+import { getTransactionManager } from './transactionManagerService.js';
+import { toActivityProofMessage } from './activityProof.js';
 
-// Contract ABIs (would be imported from artifacts in production)
-const TokenEngineABI = [
-  "function mineActivity(address to, uint256 valuePoints) external returns (uint256)",
-  "function balanceOfMINE(address account) external view returns (uint256)",
-  "function balanceOf(address account) external view returns (uint256)",
-  "function getTotalMINE(address account) external view returns (uint256)",
-  "function getVotingPower(address account) external view returns (uint256)",
-  "function stakes(address account) external view returns (uint256 amount, uint256 stakedAt, uint256 lockEnd)",
-  "function convertMineToWell(uint256 mineAmount) external",
-  "function burnWELL(uint256 amount) external",
-  "function purchaseWell(address to, uint256 wellAmount) external",
-  "event MineMinted(address indexed to, uint256 amount, uint256 valuePoints)"
-];
-
-const ActivityRegistryABI = [
-  "function recordActivity(bytes32 activityId, bytes32 userId, uint8 activityType, bytes32 dataHash, uint256 valueScore, address userAddress) external",
-  "function getRemainingDailyPoints(bytes32 userId) external view returns (uint256)",
-  "function dailyPoints(bytes32) external view returns (uint256)",
-  "function activityProofs(bytes32) external view returns (bytes32 userId, uint8 activityType, uint256 timestamp, bytes32 dataHash, uint256 valueScore, address validator, bool rewarded)",
-  "function getDailyPoints(bytes32 userId, uint256 day) external view returns (uint256)",
-  "event ActivityRecorded(bytes32 indexed activityId, bytes32 indexed userId, uint8 activityType, uint256 valueScore, bytes32 dataHash)"
-];
-
-const RevenueDistributorABI = [
-  "function distribute() external payable",
-  "function sellWell(uint256 wellAmount) external",
-  "function wellBuybackPrice() external view returns (uint256)",
-  "function addSEALInvestor(address investor, uint256 investmentAmount, uint256 capMultiplier) external",
-  "function sealInvestors(uint256) external view returns (address investorAddress, uint256 initialInvestment, uint256 repaymentCap, uint256 paidAmount, bool capReached, uint256 investmentDate)",
-  "function totalRevenueReceived() external view returns (uint256)",
-  "function totalDistributedToUsers() external view returns (uint256)",
-  "function totalDistributedToInvestors() external view returns (uint256)",
-  "function totalSEALInvested() external view returns (uint256)",
-  "function totalSEALPaid() external view returns (uint256)",
-  "function investorIndex(address) external view returns (uint256)"
-];
-
-const GovernanceBridgeABI = [
-  "function propose(string calldata title, string calldata description, address target, bytes calldata callData) external returns (uint256)",
-  "function castVote(uint256 proposalId, bool support) external",
-  "function execute(uint256 proposalId) external",
-  "function proposals(uint256) external view returns (uint256 id, address proposer, string memory title, string memory description, bytes memory callData, address target, uint256 forVotes, uint256 againstVotes, uint256 startTime, uint256 endTime, bool executed, bool canceled)",
-  "function getProposalState(uint256 proposalId) external view returns (string memory)",
-  "function getVotes(address account) external view returns (uint256)",
-  "function currentPhase() external view returns (uint8)",
-  "function validators(uint256) external view returns (address)",
-  "function isValidator(address) external view returns (bool)",
-  "event ProposalCreated(uint256 indexed id, address indexed proposer, string title, uint256 startTime, uint256 endTime)"
-];
-
-const IdentityRegistryABI = [
-  "function get(address account) external view returns (uint8 role, bool active, uint256 createdAt, bytes32 userId, bool isCooperativeMember)",
-  "function getUserId(address account) external view returns (bytes32)",
-  "function getAddressByUserId(bytes32 userId) external view returns (address)",
-  "function isCooperativeMember(address account) external view returns (bool)",
-  "function getMemberVotingPower(address account) external view returns (uint256)"
-];
-
-const AccessControlABI = [
-  "function hasAccess(address patient, address caregiver) external view returns (bool)"
-];
+// ABIs come from the compiled Hardhat artifacts (see deploymentRegistry.js)
+const abi = (contractName) => MultiChainConfig.getAbi('terracare', contractName);
+
+// IdentityRegistry.Role enum order
+export const IDENTITY_ROLES = ['Unknown', 'Patient', 'Caregiver', 'Admin', 'System', 'CooperativeMember'];
+
+// AccessControl.AccessTier enum order
+export const ACCESS_TIERS = ['Basic', 'Premium', 'Enterprise'];
+
+// PoAConsensus.ValidatorStatus enum order
+export const VALIDATOR_STATUSES = ['Inactive', 'Active', 'Suspended', 'Revoked'];
+
+// IHarmonicDevice.CertificationTier enum order
+export const DEVICE_TIERS = ['Uncertified', 'Bronze', 'Silver', 'Gold', 'Platinum'];
+
+// verifyDevice() rejection codes => HTTP status
+export const DEVICE_CHECK_STATUS = {
+  INVALID_SIGNATURE: 403,
+  DEVICE_NOT_CERTIFIED: 403,
+  DEVICE_NOT_BOUND: 403,
+  DEVICE_KEY_MISMATCH: 403,
+  DEVICE_REGISTRY_UNAVAILABLE: 503
+};
+
+// AccessControl role IDs; DEFAULT_ADMIN_ROLE is bytes32(0)
+const roleId = (role) => (role === 'DEFAULT_ADMIN_ROLE' ? ethers.ZeroHash : ethers.id(role));
 
 class ContractService {
-  constructor() {
-    this.provider = new ethers.JsonRpcProvider(
-      process.env.TERRACARE_RPC_URL || 'http://localhost:8545'
-    );
-    
-    // Backend wallet for subsidizing transactions
-    this.backendWallet = process.env.BACKEND_PRIVATE_KEY
-      ? new ethers.Wallet(process.env.BACKEND_PRIVATE_KEY, this.provider)
-      : null;
-
-    // Contract addresses (loaded from environment)
-    this.addresses = {
-      TokenEngine: process.env.TERRACARE_TOKEN_ENGINE,
-      ActivityRegistry: process.env.TERRACARE_ACTIVITY_REGISTRY,
-      RevenueDistributor: process.env.TERRACARE_REVENUE_DISTRIBUTOR,
-      GovernanceBridge: process.env.TERRACARE_GOVERNANCE_BRIDGE,
-      IdentityRegistry: process.env.TERRACARE_IDENTITY_REGISTRY,
-      AccessControl: process.env.TERRACARE_ACCESS_CONTROL
-    };
+  /**
+   * @param {Object} options - { prisma, signer }
+   *   prisma: database client for the event index
+   *   signer: backend signer (see signerProvider.js); defaults to BACKEND_PRIVATE_KEY
+   */
+  constructor(options = {}) {
+    // Terracare RPC pool (failover across TERRACARE_RPC_URLS); balance and access reads go through
+    // the quorum provider, which needs TERRACARE_RPC_QUORUM endpoints to agree
+    this.provider = MultiChainConfig.getProvider('terracare');
+    this.quorumProvider = MultiChainConfig.getQuorumProvider('terracare');
+
+    // Contract addresses (deployment manifest, else TERRACARE_* env vars)
+    this.addresses = Object.fromEntries([
+      'TokenEngine', 'ActivityRegistry', 'RevenueDistributor', 'GovernanceBridge', 'IdentityRegistry',
+      'AccessControl', 'RecordRegistry', 'HarmonicAdapter', 'LlamaAdapter', 'TerracareForwarder', 'PoAConsensus'
+    ].map(name => [name, MultiChainConfig.getAddress('terracare', name)]));
+
+    // Backend wallet for subsidizing transactions; sets up the contracts and the transaction manager
+    this.prisma = options.prisma;
+    const signer = options.signer !== undefined
+      ? options.signer
+      : process.env.BACKEND_PRIVATE_KEY ? new ethers.Wallet(process.env.BACKEND_PRIVATE_KEY) : null;
+    this._useBackendSigner(signer);
+
+    // Event index backing history/listing queries
+    this.indexer = new EventIndexerService({ contractService: this, prisma: options.prisma });
+
+    // ERC-2771 relayer for actions that must be attributed to the user
+    this.relayer = new RelayerService({ contractService: this });
+  }
+
+  _useBackendSigner(signer) {
+    this.backendWallet = signer ? signer.connect(this.provider) : null;
 
-    // Initialize contracts
     this.contracts = {};
     this._initializeContracts();
+
+    // Outbox for backend-wallet writes (nonces, persistence, rebroadcast); null without a wallet
+    this.txManager = getTransactionManager({
+      prisma: this.prisma,
+      signer: this.backendWallet,
+      chain: 'terracare',
+      txOverrides: { gasPrice: 0 } // PoA network
+    });
+  }
+
+  /**
+   * Send backend writes from another signer (key rotation). Jobs already queued by the previous
+   * signer's transaction manager are still sent by that manager.
+   * @returns {Object} { signer, txManager } the previous backend signer and its transaction manager
+   */
+  setBackendSigner(signer) {
+    const previous = { signer: this.backendWallet, txManager: this.txManager };
+    this._useBackendSigner(signer);
+    logger.info({ from: previous.signer?.address, to: this.backendWallet?.address }, 'Backend signer switched');
+    return previous;
   }
 
   _initializeContracts() {
+    // Read-only views for critical reads (balances, access, validator and reward cooldown checks)
+    this.quorumContracts = {};
+    for (const name of ['TokenEngine', 'AccessControl', 'PoAConsensus', 'GovernanceBridge', 'RecordRegistry']) {
+      if (this.addresses[name]) {
+        this.quorumContracts[name] = new ethers.Contract(this.addresses[name], abi(name), this.quorumProvider);
+      }
+    }
+
     if (this.addresses.TokenEngine) {
       this.contracts.TokenEngine = new ethers.Contract(
         this.addresses.TokenEngine,
-        TokenEngineABI,
+        abi('TokenEngine'),
         this.backendWallet || this.provider
       );
     }
@@ -107,7 +118,7 @@ class ContractService {
     if (this.addresses.ActivityRegistry) {
       this.contracts.ActivityRegistry = new ethers.Contract(
         this.addresses.ActivityRegistry,
-        ActivityRegistryABI,
+        abi('ActivityRegistry'),
         this.backendWallet || this.provider
       );
     }
@@ -115,7 +126,7 @@ class ContractService {
     if (this.addresses.RevenueDistributor) {
       this.contracts.RevenueDistributor = new ethers.Contract(
         this.addresses.RevenueDistributor,
-        RevenueDistributorABI,
+        abi('RevenueDistributor'),
         this.backendWallet || this.provider
       );
     }
@@ -123,7 +134,7 @@ class ContractService {
     if (this.addresses.GovernanceBridge) {
       this.contracts.GovernanceBridge = new ethers.Contract(
         this.addresses.GovernanceBridge,
-        GovernanceBridgeABI,
+        abi('GovernanceBridge'),
         this.backendWallet || this.provider
       );
     }
@@ -131,7 +142,7 @@ class ContractService {
     if (this.addresses.IdentityRegistry) {
       this.contracts.IdentityRegistry = new ethers.Contract(
         this.addresses.IdentityRegistry,
-        IdentityRegistryABI,
+        abi('IdentityRegistry'),
         this.provider
       );
     }
@@ -139,7 +150,31 @@ class ContractService {
     if (this.addresses.AccessControl) {
       this.contracts.AccessControl = new ethers.Contract(
         this.addresses.AccessControl,
-        AccessControlABI,
+        abi('AccessControl'),
+        this.provider
+      );
+    }
+
+    if (this.addresses.HarmonicAdapter) {
+      this.contracts.HarmonicAdapter = new ethers.Contract(
+        this.addresses.HarmonicAdapter,
+        abi('HarmonicAdapter'),
+        this.provider
+      );
+    }
+
+    if (this.addresses.RecordRegistry) {
+      this.contracts.RecordRegistry = new ethers.Contract(
+        this.addresses.RecordRegistry,
+        abi('RecordRegistry'),
+        this.provider
+      );
+    }
+
+    if (this.addresses.LlamaAdapter) {
+      this.contracts.LlamaAdapter = new ethers.Contract(
+        this.addresses.LlamaAdapter,
+        abi('LlamaAdapter'),
         this.provider
       );
     }
@@ -147,23 +182,143 @@ class ContractService {
 
   // ============ Activity Registry Methods ============
 
-  async recordActivity({ activityId, userId, activityType, dataHash, valueScore, userAddress }) {
+  /**
+   * Queue ActivityRegistry.recordActivityWithProof, or recordActivity when there is no signed proof;
+   * resubmitting the same activityId returns the existing job
+   * @param {Object} activity - { activityId, userId, activityType, dataHash, valueScore, userAddress, proof }
+   *   proof is AISignerService.signActivityProof output
+   * @returns {Object} Transaction job (see TransactionManagerService.getStatus)
+   */
+  async recordActivity({ activityId, userId, activityType, dataHash, valueScore, userAddress, proof }) {
     if (!this.contracts.ActivityRegistry) {
       throw new Error('ActivityRegistry not initialized');
     }
 
     // Backend subsidizes gas - calls directly
-    const tx = await this.contracts.ActivityRegistry.recordActivity(
+    if (proof) {
+      return await this._submit('ActivityRegistry', 'recordActivityWithProof', [
+        toActivityProofMessage(proof),
+        proof.signature
+      ], { kind: 'activity.record', reference: activityId });
+    }
+
+    return await this._submit('ActivityRegistry', 'recordActivity', [
       activityId,
       ethers.encodeBytes32String(userId),
       activityType,
       dataHash,
       valueScore,
-      userAddress,
-      { gasPrice: 0 } // PoA network
-    );
+      userAddress
+    ], { kind: 'activity.record', reference: activityId });
+  }
+
+  /**
+   * ActivityRegistry's validator quorum for high-value proofs
+   * @returns {Object|null} { quorum, minValueScore }, null without an ActivityRegistry
+   */
+  async getValidatorQuorum() {
+    if (!this.contracts.ActivityRegistry) return null;
+
+    const registry = this.contracts.ActivityRegistry;
+    const [quorum, minValueScore] = await Promise.all([
+      registry.validatorQuorum(),
+      registry.quorumMinValueScore()
+    ]);
+    return { quorum: Number(quorum), minValueScore: Number(minValueScore) };
+  }
+
+  /**
+   * Validator standing of an account: PoAConsensus.getValidator (Active, Suspended, Revoked), or
+   * GovernanceBridge.isValidator for accounts PoAConsensus does not know (or when it is not deployed)
+   * @returns {Object|null} { status, source, name, reputation } (name and reputation from PoAConsensus only);
+   *   null when neither contract is configured
+   */
+  async getValidatorStatus(account) {
+    const { PoAConsensus, GovernanceBridge } = this.quorumContracts;
+    if (!PoAConsensus && !GovernanceBridge) return null;
+
+    if (PoAConsensus) {
+      const validator = await PoAConsensus.getValidator(account);
+      const status = VALIDATOR_STATUSES[Number(validator.status)];
+      if (status !== 'Inactive' || !GovernanceBridge) {
+        return { status, source: 'PoAConsensus', name: validator.name, reputation: Number(validator.reputation) };
+      }
+    }
+
+    const isValidator = await GovernanceBridge.isValidator(account);
+    return { status: isValidator ? 'Active' : 'Inactive', source: 'GovernanceBridge', name: null, reputation: null };
+  }
 
-    return tx;
+  /**
+   * Whether an account holds an ActivityRegistry role
+   * @param {string} role - Role name, e.g. ORACLE_ROLE, VALIDATOR_ROLE, DEFAULT_ADMIN_ROLE
+   */
+  async hasActivityRegistryRole(role, account) {
+    if (!this.contracts.ActivityRegistry) {
+      throw new Error('ActivityRegistry not initialized');
+    }
+    return await this.contracts.ActivityRegistry.hasRole(roleId(role), account);
+  }
+
+  /**
+   * Queue ActivityRegistry.grantRole; the backend wallet needs the role's admin role (DEFAULT_ADMIN_ROLE)
+   * @param {string} reference - Why the role changes (e.g. a key rotation); one live job per reference
+   * @returns {Object} Transaction job
+   */
+  async grantActivityRegistryRole(role, account, reference) {
+    if (!this.contracts.ActivityRegistry) {
+      throw new Error('ActivityRegistry not initialized');
+    }
+
+    return await this._submit('ActivityRegistry', 'grantRole', [roleId(role), account], {
+      kind: 'role.grant',
+      reference: `${reference}:${role}:${account}`
+    });
+  }
+
+  /**
+   * Queue ActivityRegistry.revokeRole; the backend wallet needs the role's admin role (DEFAULT_ADMIN_ROLE)
+   * @param {string} reference - Why the role changes (e.g. a key rotation); one live job per reference
+   * @returns {Object} Transaction job
+   */
+  async revokeActivityRegistryRole(role, account, reference) {
+    if (!this.contracts.ActivityRegistry) {
+      throw new Error('ActivityRegistry not initialized');
+    }
+
+    return await this._submit('ActivityRegistry', 'revokeRole', [roleId(role), account], {
+      kind: 'role.revoke',
+      reference: `${reference}:${role}:${account}`
+    });
+  }
+
+  /**
+   * Queue ActivityRegistry.batchRecordActivitiesWithProof for buffered activities, or
+   * batchRecordActivities if any of them has no signed proof
+   * @param {Array} activities - [{ activityId, userId, activityType, dataHash, valueScore, userAddress, proof }]
+   * @param {string} reference - Idempotency key for the batch
+   * @returns {Object} Transaction job
+   */
+  async recordActivityBatch(activities, reference) {
+    if (!this.contracts.ActivityRegistry) {
+      throw new Error('ActivityRegistry not initialized');
+    }
+
+    if (activities.every(a => a.proof)) {
+      return await this._submit('ActivityRegistry', 'batchRecordActivitiesWithProof', [
+        activities.map(a => toActivityProofMessage(a.proof)),
+        activities.map(a => a.proof.signature)
+      ], { kind: 'activity.batch', reference });
+    }
+
+    return await this._submit('ActivityRegistry', 'batchRecordActivities', [
+      activities.map(a => a.activityId),
+      activities.map(a => ethers.encodeBytes32String(a.userId)),
+      activities.map(a => a.activityType),
+      activities.map(a => a.dataHash),
+      activities.map(a => a.valueScore),
+      activities.map(a => a.userAddress)
+    ], { kind: 'activity.batch', reference });
   }
 
   async getRemainingDailyPoints(userId) {
@@ -205,33 +360,53 @@ class ContractService {
 
   async getMineBalance(address) {
     if (!this.contracts.TokenEngine) return 0n;
-    return await this.contracts.TokenEngine.getTotalMINE(address);
+    return await this.quorumContracts.TokenEngine.getTotalMINE(address);
+  }
+
+  async getLiquidMineBalance(address) {
+    if (!this.contracts.TokenEngine) return 0n;
+    return await this.quorumContracts.TokenEngine.balanceOfMINE(address);
+  }
+
+  /**
+   * Queue TokenEngine.adminBurnMINE (anti-gaming penalty); the backend wallet needs ADMIN_ROLE
+   * @param {string} reference - Why the burn happens (e.g. the gaming flag ID); one live job per reference
+   * @returns {Object} Transaction job
+   */
+  async burnMine(from, amount, reference) {
+    if (!this.contracts.TokenEngine) {
+      throw new Error('TokenEngine not initialized');
+    }
+
+    return await this._submit('TokenEngine', 'adminBurnMINE', [from, amount], {
+      kind: 'mine.burn',
+      reference
+    });
   }
 
   async getWellBalance(address) {
     if (!this.contracts.TokenEngine) return 0n;
-    return await this.contracts.TokenEngine.balanceOf(address);
+    return await this.quorumContracts.TokenEngine.balanceOf(address);
   }
 
   async getStakedMine(address) {
     if (!this.contracts.TokenEngine) return 0n;
-    const stake = await this.contracts.TokenEngine.stakes(address);
+    const stake = await this.quorumContracts.TokenEngine.stakes(address);
     return stake.amount;
   }
 
   async getVotingPower(address) {
     if (!this.contracts.TokenEngine) return 0n;
-    return await this.contracts.TokenEngine.getVotingPower(address);
+    return await this.quorumContracts.TokenEngine.getVotingPower(address);
   }
 
+  /**
+   * Prepare a MINE -> WELL conversion for the user to sign
+   * @returns {Object} Unsigned forward request (see RelayerService.prepare), submitted via POST /api/relay
+   */
   async convertMineToWell(address, mineAmount) {
     if (!this.contracts.TokenEngine) throw new Error('TokenEngine not initialized');
-    
-    const tx = await this.contracts.TokenEngine.convertMineToWell(mineAmount, {
-      from: address,
-      gasPrice: 0
-    });
-    return tx;
+    return await this.relayer.prepare(address, 'TokenEngine', 'convertMineToWell', [mineAmount]);
   }
 
   // ============ Identity Registry Methods ============
@@ -250,46 +425,325 @@ class ContractService {
 
   async isCooperativeMember(address) {
     if (!this.contracts.IdentityRegistry) return false;
-    return await this.contracts.IdentityRegistry.isCooperativeMember(address);
+    return await this.contracts.IdentityRegistry.checkMembershipStatus(address);
+  }
+
+  /**
+   * On-chain identity for an address, with the role as its enum name.
+   * Unregistered or deactivated accounts get role 'Unknown'.
+   */
+  async getIdentity(address) {
+    if (!this.contracts.IdentityRegistry) {
+      throw new Error('IdentityRegistry not initialized');
+    }
+
+    const identity = await this.contracts.IdentityRegistry.get(address);
+    const registered = identity.createdAt > 0n;
+
+    return {
+      registered,
+      active: identity.active,
+      role: registered && identity.active ? (IDENTITY_ROLES[Number(identity.role)] || 'Unknown') : 'Unknown',
+      userId: registered ? identity.userId : null,
+      isCooperativeMember: identity.isCooperativeMember
+    };
   }
 
-  async validateDeviceSignature(deviceId, userId, data, signature) {
-    // In production: verify against registered devices in contract
-    // For now, simulate validation
+  // ============ AI Inference Audit Methods ============
+
+  /**
+   * LlamaAdapter registration of a scoring model hash
+   * @returns {Object} { registered, approved, name, version }; registered is null without TERRACARE_LLAMA_ADAPTER
+   */
+  async getScoringModelStatus(modelHash) {
+    if (!this.contracts.LlamaAdapter) {
+      return { registered: null, approved: false, name: null, version: null };
+    }
+
+    const model = await this.contracts.LlamaAdapter.getModel(modelHash);
+    const registered = model.modelHash !== ethers.ZeroHash;
+    return {
+      registered,
+      approved: model.isApproved,
+      name: registered ? model.modelName : null,
+      version: registered ? Number(model.version) : null
+    };
+  }
+
+  // ============ Device Registry Methods ============
+
+  /**
+   * HarmonicAdapter certification and key binding for a device
+   * @param {string} deviceId - Device ID as sent by the wearable; hashed to the on-chain deviceHash
+   * @returns {Object} { deviceHash, certified, tier, certifiedAt, expiresAt, revoked, deviceKey, userId, boundAt, userRevocations }
+   */
+  async getDevice(deviceId) {
+    if (!this.contracts.HarmonicAdapter) {
+      throw new Error('HarmonicAdapter not initialized');
+    }
+
+    const adapter = this.contracts.HarmonicAdapter;
+    const deviceHash = ethers.id(deviceId);
+    const [certified, certification, binding] = await Promise.all([
+      adapter.isDeviceCertified(deviceHash),
+      adapter.getCertification(deviceHash),
+      adapter.getDeviceBinding(deviceHash)
+    ]);
+
+    const bound = binding.deviceKey !== ethers.ZeroAddress;
+    const userRevocations = bound ? Number(await adapter.userRevocations(binding.userIdentity)) : 0;
+
+    return {
+      deviceHash,
+      certified,
+      tier: DEVICE_TIERS[Number(certification.tier)] || 'Uncertified',
+      certifiedAt: Number(certification.certifiedAt),
+      expiresAt: Number(certification.expiresAt),
+      revoked: certification.isRevoked,
+      deviceKey: bound ? binding.deviceKey : null,
+      userId: bound ? binding.userIdentity : null,
+      boundAt: bound ? Number(binding.boundAt) : 0,
+      userRevocations
+    };
+  }
+
+  /**
+   * Check that a reading was signed by the certified device key bound to `userId`
+   * The device signs keccak256(deviceId, userId, data, timestamp), so the reading time cannot be altered.
+   * @param {number} timestamp - Reading time in Unix seconds
+   * @returns {Object} { valid, code, device } with code one of DEVICE_CHECK_STATUS when invalid
+   */
+  async verifyDevice(deviceId, userId, data, timestamp, signature) {
+    // Without the registry no device can be verified, so nothing is accepted
+    if (!this.contracts.HarmonicAdapter) {
+      return { valid: false, code: 'DEVICE_REGISTRY_UNAVAILABLE', device: null };
+    }
+
+    let recovered;
     try {
       const message = ethers.keccak256(
         ethers.solidityPacked(
-          ['string', 'bytes32', 'bytes'],
-          [deviceId, ethers.encodeBytes32String(userId), ethers.toUtf8Bytes(JSON.stringify(data))]
+          ['string', 'bytes32', 'bytes', 'uint64'],
+          [deviceId, ethers.encodeBytes32String(userId), ethers.toUtf8Bytes(JSON.stringify(data)), timestamp]
         )
       );
-      const recovered = ethers.verifyMessage(ethers.getBytes(message), signature);
-      return recovered !== ethers.ZeroAddress;
+      recovered = ethers.verifyMessage(ethers.getBytes(message), signature);
     } catch (error) {
-      return false;
+      return { valid: false, code: 'INVALID_SIGNATURE', device: null };
+    }
+
+    const device = await this.getDevice(deviceId);
+
+    if (!device.certified) {
+      return { valid: false, code: 'DEVICE_NOT_CERTIFIED', device };
+    }
+    if (device.userId !== ethers.encodeBytes32String(userId)) {
+      return { valid: false, code: 'DEVICE_NOT_BOUND', device };
     }
+    if (device.deviceKey !== recovered) {
+      return { valid: false, code: 'DEVICE_KEY_MISMATCH', device };
+    }
+    return { valid: true, code: null, device };
+  }
+
+  async validateDeviceSignature(deviceId, userId, data, timestamp, signature) {
+    const { valid } = await this.verifyDevice(deviceId, userId, data, timestamp, signature);
+    return valid;
   }
 
   // ============ Access Control Methods ============
 
   async checkAccess(patientAddress, caregiverAddress) {
     if (!this.contracts.AccessControl) return false;
-    return await this.contracts.AccessControl.hasAccess(patientAddress, caregiverAddress);
+    return await this.quorumContracts.AccessControl.hasAccess(patientAddress, caregiverAddress);
+  }
+
+  /**
+   * Whether the patient has granted the caregiver access (AccessControl.access; expired grants included)
+   * @param {Object} options - { blockTag } block to read at (default: latest)
+   */
+  async isAccessGranted(patientAddress, caregiverAddress, { blockTag = 'latest' } = {}) {
+    if (!this.contracts.AccessControl) return false;
+    return await this.quorumContracts.AccessControl.access(patientAddress, caregiverAddress, { blockTag });
+  }
+
+  /**
+   * Prepare an access grant (AccessControl.grant) for the patient to sign
+   * @returns {Object} Unsigned forward request, submitted via POST /api/relay
+   */
+  async grantAccess(patientAddress, caregiverAddress) {
+    if (!this.contracts.AccessControl) throw new Error('AccessControl not initialized');
+    return await this.relayer.prepare(patientAddress, 'AccessControl', 'grant', [caregiverAddress]);
+  }
+
+  /**
+   * Prepare an access revocation (AccessControl.revoke) for the patient to sign
+   * @returns {Object} Unsigned forward request, submitted via POST /api/relay
+   */
+  async revokeAccess(patientAddress, caregiverAddress) {
+    if (!this.contracts.AccessControl) throw new Error('AccessControl not initialized');
+    return await this.relayer.prepare(patientAddress, 'AccessControl', 'revoke', [caregiverAddress]);
+  }
+
+  /**
+   * MINE and WELL holdings and the AccessControl tier, all read at one block
+   * @param {Object} options - { blockTag } block to read at (default: latest)
+   * @returns {Object} { mine, well, accessTier } accessTier is an ACCESS_TIERS name, null without AccessControl
+   */
+  async getTokenHoldings(address, { blockTag = 'latest' } = {}) {
+    if (!this.contracts.TokenEngine) {
+      throw new Error('TokenEngine not initialized');
+    }
+
+    const [mine, well, tier] = await Promise.all([
+      this.quorumContracts.TokenEngine.getTotalMINE(address, { blockTag }),
+      this.quorumContracts.TokenEngine.balanceOf(address, { blockTag }),
+      this.quorumContracts.AccessControl
+        ? this.quorumContracts.AccessControl.getAccessTier(address, { blockTag })
+        : null
+    ]);
+    return { mine, well, accessTier: tier === null ? null : ACCESS_TIERS[Number(tier)] };
+  }
+
+  /**
+   * MINE needed for each AccessControl tier (PREMIUM_THRESHOLD, ENTERPRISE_THRESHOLD; constants, read once)
+   * @returns {Object|null} { Basic, Premium, Enterprise } in wei, null without AccessControl
+   */
+  async getAccessTierThresholds() {
+    if (!this.contracts.AccessControl) return null;
+
+    if (!this.accessTierThresholds) {
+      const [premium, enterprise] = await Promise.all([
+        this.contracts.AccessControl.PREMIUM_THRESHOLD(),
+        this.contracts.AccessControl.ENTERPRISE_THRESHOLD()
+      ]);
+      this.accessTierThresholds = { Basic: 0n, Premium: premium, Enterprise: enterprise };
+    }
+    return this.accessTierThresholds;
+  }
+
+  // ============ Record Registry Methods ============
+
+  /**
+   * Prepare a record update (RecordRegistry.updateRecord) for the patient to sign
+   * @returns {Object} Unsigned forward request, submitted via POST /api/relay
+   */
+  async updateRecord(patientAddress, dataHash) {
+    if (!this.contracts.RecordRegistry) throw new Error('RecordRegistry not initialized');
+    return await this.relayer.prepare(patientAddress, 'RecordRegistry', 'updateRecord', [dataHash]);
+  }
+
+  /**
+   * Prepare a data contribution (RecordRegistry.updateRecordWithContribution) for the patient to sign
+   * @param {Object} contribution - { datasetHash, dataSize, isAnonymized, dataType } dataType is the name
+   * @returns {Object} Unsigned forward request, submitted via POST /api/relay
+   */
+  async prepareDataContribution(patientAddress, { datasetHash, dataSize, isAnonymized, dataType }) {
+    if (!this.contracts.RecordRegistry) throw new Error('RecordRegistry not initialized');
+    return await this.relayer.prepare(patientAddress, 'RecordRegistry', 'updateRecordWithContribution', [
+      datasetHash,
+      dataSize,
+      isAnonymized,
+      ethers.id(dataType)
+    ]);
+  }
+
+  /**
+   * A patient's contribution standing on RecordRegistry (a quorum read, see <CHAIN>_RPC_QUORUM)
+   * @returns {Object} { pending, lastContributionTime (Date|null), nextRewardAt (Date|null), retryAfter (seconds),
+   *   record: { dataHash, dataSize, isAnonymized, dataType } } pending: the current record awaits logDataContribution
+   */
+  async getContributionStatus(patientAddress) {
+    if (!this.contracts.RecordRegistry) {
+      throw new Error('RecordRegistry not initialized');
+    }
+
+    const registry = this.quorumContracts.RecordRegistry;
+    const [contribution, record, { rewardCooldown }] = await Promise.all([
+      registry.getContribution(patientAddress),
+      registry.records(patientAddress),
+      this.getContributionRules()
+    ]);
+
+    const last = Number(contribution.lastContributionTime);
+    const nextRewardAt = last > 0 ? new Date((last + rewardCooldown) * 1000) : null;
+    return {
+      pending: contribution.eligibleForRewards,
+      lastContributionTime: last > 0 ? new Date(last * 1000) : null,
+      nextRewardAt,
+      retryAfter: nextRewardAt ? Math.max(0, Math.ceil((nextRewardAt.getTime() - Date.now()) / 1000)) : 0,
+      record: {
+        dataHash: record.dataHash,
+        dataSize: Number(record.dataSize),
+        isAnonymized: record.isAnonymized,
+        dataType: record.dataType
+      }
+    };
+  }
+
+  /**
+   * Queue RecordRegistry.logDataContribution for a pending contribution; one job per activityId
+   * @param {Object} proof - Signed DataValidation proof over the patient's current record
+   *   (AISignerService.signActivityProof output, attested by OracleQuorumService)
+   * @returns {Object} Transaction job
+   */
+  async logDataContribution(proof) {
+    if (!this.contracts.RecordRegistry) {
+      throw new Error('RecordRegistry not initialized');
+    }
+
+    return await this._submit('RecordRegistry', 'logDataContribution', [
+      toActivityProofMessage(proof),
+      proof.signature
+    ], { kind: 'contribution.log', reference: proof.activityId });
+  }
+
+  /**
+   * RecordRegistry.isDataTypeSupported for a data type name (hashed as keccak256(name))
+   */
+  async isDataTypeSupported(dataType) {
+    if (!this.contracts.RecordRegistry) {
+      throw new Error('RecordRegistry not initialized');
+    }
+    return await this.contracts.RecordRegistry.isDataTypeSupported(ethers.id(dataType));
+  }
+
+  /**
+   * Contribution reward rules (contract constants, read once)
+   * @returns {Object} { minDataSize (bytes), rewardCooldown (seconds) }
+   */
+  async getContributionRules() {
+    if (!this.contracts.RecordRegistry) {
+      throw new Error('RecordRegistry not initialized');
+    }
+
+    if (!this.contributionRules) {
+      const registry = this.contracts.RecordRegistry;
+      const [minDataSize, rewardCooldown] = await Promise.all([
+        registry.MIN_DATA_SIZE(),
+        registry.CONTRIBUTION_REWARD_COOLDOWN()
+      ]);
+      this.contributionRules = { minDataSize: Number(minDataSize), rewardCooldown: Number(rewardCooldown) };
+    }
+    return this.contributionRules;
   }
 
   // ============ Revenue Distributor Methods ============
 
+  /**
+   * Queue RevenueDistributor.distribute; one job per paymentId
+   * @returns {Object} Transaction job
+   */
   async distributeRevenue({ value, source, paymentId }) {
     if (!this.contracts.RevenueDistributor) {
       throw new Error('RevenueDistributor not initialized');
     }
 
-    const tx = await this.contracts.RevenueDistributor.distribute({
+    return await this._submit('RevenueDistributor', 'distribute', [], {
       value,
-      gasPrice: 0
+      kind: 'revenue.distribute',
+      reference: `${source}:${paymentId}`
     });
-
-    return tx;
   }
 
   async getRevenueStats() {
@@ -368,17 +822,16 @@ class ContractService {
     return await this.contracts.RevenueDistributor.wellBuybackPrice();
   }
 
+  /**
+   * Prepare a WELL buyback for the user to sign
+   * @returns {Object} Unsigned forward request, submitted via POST /api/relay
+   */
   async sellWell({ from, amount }) {
     if (!this.contracts.RevenueDistributor) {
       throw new Error('RevenueDistributor not initialized');
     }
 
-    const tx = await this.contracts.RevenueDistributor.sellWell(amount, {
-      from,
-      gasPrice: 0
-    });
-
-    return tx;
+    return await this.relayer.prepare(from, 'RevenueDistributor', 'sellWell', [amount]);
   }
 
   async getETHPriceInUSD() {
@@ -395,42 +848,48 @@ class ContractService {
 
   // ============ Governance Methods ============
 
+  /**
+   * Prepare a proposal for the proposer to sign
+   * @returns {Object} Unsigned forward request, submitted via POST /api/relay
+   */
   async createProposal({ proposer, title, description, target, callData }) {
     if (!this.contracts.GovernanceBridge) {
       throw new Error('GovernanceBridge not initialized');
     }
 
-    const tx = await this.contracts.GovernanceBridge.propose(
+    return await this.relayer.prepare(proposer, 'GovernanceBridge', 'propose', [
       title,
       description,
       target,
-      callData,
-      { from: proposer, gasPrice: 0 }
-    );
-
-    return tx;
+      callData
+    ]);
   }
 
+  /**
+   * Prepare a vote for the voter to sign
+   * @returns {Object} Unsigned forward request, submitted via POST /api/relay
+   */
   async castVote({ voter, proposalId, support }) {
     if (!this.contracts.GovernanceBridge) {
       throw new Error('GovernanceBridge not initialized');
     }
 
-    const tx = await this.contracts.GovernanceBridge.castVote(proposalId, support, {
-      from: voter,
-      gasPrice: 0
-    });
-
-    return tx;
+    return await this.relayer.prepare(voter, 'GovernanceBridge', 'castVote', [proposalId, support]);
   }
 
+  /**
+   * Queue GovernanceBridge.execute; one live job per proposal
+   * @returns {Object} Transaction job
+   */
   async executeProposal(proposalId) {
     if (!this.contracts.GovernanceBridge) {
       throw new Error('GovernanceBridge not initialized');
     }
 
-    const tx = await this.contracts.GovernanceBridge.execute(proposalId, { gasPrice: 0 });
-    return tx;
+    return await this._submit('GovernanceBridge', 'execute', [proposalId], {
+      kind: 'governance.execute',
+      reference: proposalId
+    });
   }
 
   async getProposalState(proposalId) {
@@ -451,9 +910,7 @@ class ContractService {
   }
 
   async getProposals({ page, limit, state }) {
-    // In production: query events for all proposals
-    // For now, return mock data
-    return { items: [], total: 0 };
+    return await this.indexer.getProposals({ page, limit, state });
   }
 
   async hasVoted(proposalId, voter) {
@@ -521,9 +978,26 @@ class ContractService {
 
   // ============ User Activity Methods ============
 
-  async getUserActivities(userId, page, limit) {
-    // In production: query ActivityRecorded events
-    return { items: [], total: 0 };
+  async getUserActivities(userId, { page, limit, type, rewarded } = {}) {
+    return await this.indexer.getUserActivities(userId, { page, limit, type, rewarded });
+  }
+
+  // ============ Transaction Helpers ============
+
+  // Encode a backend-wallet call and hand it to the transaction manager
+  async _submit(contractName, method, args, { value = 0n, kind, reference }) {
+    if (!this.txManager) {
+      throw new Error('Backend wallet not configured');
+    }
+
+    const contract = this.contracts[contractName];
+    return await this.txManager.submit({
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(method, args),
+      value: BigInt(value),
+      kind,
+      reference
+    });
   }
 }
 
@@ -0,0 +1,86 @@
+/**
+ * TerraCare Ledger v2.0 - Data Contribution Service
+ *
+ * Bookkeeping for rewarded data contributions (POST /api/activity/data-contribution):
+ * - A dataset (user + dataset hash + data type) is rewarded once
+ * - Each rewarded contribution is a DataContribution row holding its score and logDataContribution job
+ *
+ * The reward cooldown is RecordRegistry's: a contribution is only rewarded while the chain holds it
+ * pending (see ContractService.getContributionStatus).
+ */
+
+import defaultPrisma from '../db.js';
+
+export class DataContributionError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'DataContributionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const DATA_CONTRIBUTION_ERROR_STATUS = {
+  DUPLICATE_CONTRIBUTION: 409
+};
+
+class DataContributionService {
+  /**
+   * @param {Object} options - { prisma }
+   */
+  constructor({ prisma = defaultPrisma } = {}) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Reject a dataset that was already rewarded, before the patient signs its record update
+   * @throws {DataContributionError} DUPLICATE_CONTRIBUTION
+   */
+  async assertNew(activityId) {
+    const existing = await this.prisma.dataContribution.findUnique({ where: { activityId } });
+    if (existing) {
+      throw new DataContributionError('DUPLICATE_CONTRIBUTION', 'This dataset has already been contributed', {
+        activityId: existing.activityId,
+        jobId: existing.jobId
+      });
+    }
+  }
+
+  /**
+   * Reserve a contribution's reward, before it is scored
+   * @param {Object} contribution - { activityId, userId, userAddress, datasetHash, dataType, dataSize,
+   *   isAnonymized, attestationHash }
+   * @throws {DataContributionError} DUPLICATE_CONTRIBUTION
+   */
+  async claim(contribution) {
+    await this.assertNew(contribution.activityId);
+
+    try {
+      await this.prisma.dataContribution.create({ data: contribution });
+    } catch (error) {
+      // Unique constraint on activityId
+      if (error.code === 'P2002') {
+        throw new DataContributionError('DUPLICATE_CONTRIBUTION', 'This dataset has already been contributed', {
+          activityId: contribution.activityId
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store the score and logDataContribution job of a reserved contribution
+   */
+  async attachJob(activityId, { jobId, valueScore }) {
+    await this.prisma.dataContribution.update({ where: { activityId }, data: { jobId, valueScore } });
+  }
+
+  /**
+   * Drop a contribution that was rejected or could not be queued, so the pending reward can be retried
+   */
+  async release(activityId) {
+    await this.prisma.dataContribution.deleteMany({ where: { activityId } });
+  }
+}
+
+export default DataContributionService;
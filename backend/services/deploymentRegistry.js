@@ -0,0 +1,248 @@
+/**
+ * TerraCare Ledger v2.0 - Deployment Registry
+ *
+ * Contract addresses and ABIs from what the deploy scripts produced, instead of env vars and
+ * hand-typed ABIs:
+ * - Manifests: DEPLOYMENTS_DIR/<chainId>.json (default: deployments/ at the repo root), written by
+ *   scripts/deploy.js and scripts/deploy-participation-layer.js (scripts/deployment-manifest.js).
+ *   Each contract records its address, Hardhat artifact, ABI hash and runtime code hash
+ * - ABIs: the compiled Hardhat artifacts in HARDHAT_ARTIFACTS_DIR (default: artifacts/ at the repo
+ *   root; run `npx hardhat compile`)
+ *
+ * verify() compares the three: every contract must have code, the code the manifest recorded and
+ * every function of its artifact's ABI; the artifact must still have the ABI that was deployed.
+ * Contracts a manifest does not list may still come from env vars (TERRACARE_TOKEN_ENGINE, ...),
+ * which are checked against their artifact the same way; an env var that disagrees with the
+ * manifest is drift.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Artifact of each contract the backend uses, for contracts a manifest does not list
+export const CONTRACT_ARTIFACTS = {
+  IdentityRegistry: 'contracts/IdentityRegistry.sol:IdentityRegistry',
+  AccessControl: 'contracts/AccessControl.sol:TerracareAccessControl',
+  RecordRegistry: 'contracts/RecordRegistry.sol:RecordRegistry',
+  AuditLog: 'contracts/AuditLog.sol:AuditLog',
+  TokenEngine: 'contracts/TokenEngine.sol:TokenEngine',
+  ActivityRegistry: 'contracts/ActivityRegistry.sol:ActivityRegistry',
+  RevenueDistributor: 'contracts/RevenueDistributor.sol:RevenueDistributor',
+  GovernanceBridge: 'contracts/GovernanceBridge.sol:GovernanceBridge',
+  TerracareForwarder: 'contracts/TerracareForwarder.sol:TerracareForwarder',
+  PoAConsensus: 'contracts/validators/PoAConsensus.sol:PoAConsensus',
+  HarmonicAdapter: 'contracts/adapters/HarmonicAdapter.sol:HarmonicAdapter',
+  LlamaAdapter: 'contracts/adapters/LlamaAdapter.sol:LlamaAdapter'
+};
+
+// Problems that mean the backend would talk to the wrong contract (the rest are warnings)
+export const DRIFT_PROBLEMS = [
+  'MANIFEST_CHAIN_MISMATCH',
+  'ADDRESS_CONFLICT',
+  'ARTIFACT_NOT_FOUND',
+  'ABI_MISMATCH',
+  'NO_CODE',
+  'CODE_MISMATCH',
+  'SELECTORS_MISSING'
+];
+
+export class DeploymentError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'DeploymentError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Same hash scripts/deployment-manifest.js records
+export function abiHash(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+class DeploymentRegistry {
+  /**
+   * @param {Object} options - { deploymentsDir, artifactsDir }
+   */
+  constructor({
+    deploymentsDir = process.env.DEPLOYMENTS_DIR || path.join(REPO_ROOT, 'deployments'),
+    artifactsDir = process.env.HARDHAT_ARTIFACTS_DIR || path.join(REPO_ROOT, 'artifacts')
+  } = {}) {
+    this.deploymentsDir = deploymentsDir;
+    this.artifactsDir = artifactsDir;
+    this.manifests = new Map(); // chainId -> manifest | null
+    this.artifacts = new Map(); // artifact name -> { abi, ... }
+  }
+
+  /**
+   * @returns {Object|null} Manifest for a chain ({ chainId, network, updatedAt, contracts }), null if none
+   * @throws {DeploymentError} MANIFEST_INVALID
+   */
+  getManifest(chainId) {
+    if (this.manifests.has(chainId)) return this.manifests.get(chainId);
+
+    const file = path.join(this.deploymentsDir, `${chainId}.json`);
+    let manifest = null;
+    if (fs.existsSync(file)) {
+      try {
+        manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new DeploymentError('MANIFEST_INVALID', `Deployment manifest ${file} is not valid JSON: ${error.message}`);
+      }
+      if (!manifest.contracts || typeof manifest.contracts !== 'object') {
+        throw new DeploymentError('MANIFEST_INVALID', `Deployment manifest ${file} has no contracts`);
+      }
+      manifest.file = file;
+    }
+
+    this.manifests.set(chainId, manifest);
+    return manifest;
+  }
+
+  /**
+   * Hardhat artifact by fully qualified name (contracts/X.sol:X)
+   * @throws {DeploymentError} ARTIFACT_NOT_FOUND
+   */
+  getArtifact(name) {
+    if (this.artifacts.has(name)) return this.artifacts.get(name);
+
+    const [sourceName, contractName] = name.split(':');
+    const file = path.join(this.artifactsDir, sourceName, `${contractName}.json`);
+    if (!contractName || !fs.existsSync(file)) {
+      throw new DeploymentError('ARTIFACT_NOT_FOUND', `No Hardhat artifact for ${name} in ${this.artifactsDir}; run npx hardhat compile`);
+    }
+
+    const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.artifacts.set(name, artifact);
+    return artifact;
+  }
+
+  /**
+   * Artifact name for a contract: the manifest's entry, else CONTRACT_ARTIFACTS
+   */
+  artifactName(chainId, contractName) {
+    return this.getManifest(chainId)?.contracts[contractName]?.artifact || CONTRACT_ARTIFACTS[contractName];
+  }
+
+  /**
+   * @returns {Array} ABI of a contract on a chain
+   * @throws {DeploymentError} UNKNOWN_CONTRACT, ARTIFACT_NOT_FOUND
+   */
+  getAbi(chainId, contractName) {
+    const artifact = this.artifactName(chainId, contractName);
+    if (!artifact) {
+      throw new DeploymentError('UNKNOWN_CONTRACT', `No artifact known for ${contractName}`);
+    }
+    return this.getArtifact(artifact).abi;
+  }
+
+  /**
+   * Addresses for a chain: the manifest's, plus env-configured contracts it does not list
+   * @param {Object} envAddresses - { contractName: address } from env vars ('' when unset)
+   * @returns {Object} { contracts: { name: address }, sources: { name: manifest|env }, conflicts }
+   */
+  resolveAddresses(chainId, envAddresses = {}) {
+    const manifest = this.getManifest(chainId);
+    const contracts = { ...envAddresses };
+    const sources = Object.fromEntries(Object.entries(envAddresses).filter(([, a]) => a).map(([name]) => [name, 'env']));
+    const conflicts = [];
+
+    for (const [name, entry] of Object.entries(manifest?.contracts || {})) {
+      const fromEnv = envAddresses[name];
+      if (fromEnv && fromEnv.toLowerCase() !== entry.address.toLowerCase()) {
+        conflicts.push({ contract: name, manifest: entry.address, env: fromEnv });
+      }
+      contracts[name] = entry.address;
+      sources[name] = 'manifest';
+    }
+
+    return { contracts, sources, conflicts };
+  }
+
+  /**
+   * Check a chain's contracts against their manifest entries, artifacts and on-chain code
+   * @param {number} chainId - Chain ID (manifest file name)
+   * @param {Object} provider - ethers provider for the chain
+   * @param {Object} addresses - resolveAddresses() result
+   * @returns {Object} { chainId, manifest, contracts: [{ name, address, source, artifact }], problems: [{ code, contract, message }] }
+   */
+  async verify(chainId, provider, { contracts, sources, conflicts }) {
+    const manifest = this.getManifest(chainId);
+    const problems = conflicts.map(conflict => ({
+      code: 'ADDRESS_CONFLICT',
+      contract: conflict.contract,
+      message: `Env var sets ${conflict.env}, manifest has ${conflict.manifest}`
+    }));
+
+    if (manifest && Number(manifest.chainId) !== Number(chainId)) {
+      problems.push({
+        code: 'MANIFEST_CHAIN_MISMATCH',
+        contract: null,
+        message: `${manifest.file} is for chain ${manifest.chainId}`
+      });
+    }
+
+    const checked = [];
+    for (const [name, address] of Object.entries(contracts)) {
+      if (!address) continue;
+      const entry = manifest?.contracts[name];
+      const artifactName = this.artifactName(chainId, name);
+      checked.push({ name, address, source: sources[name], artifact: artifactName || null });
+
+      // Contracts the backend does not use and no manifest describes (e.g. AuditLog on Ethereum)
+      if (!artifactName) continue;
+
+      let abi;
+      try {
+        abi = this.getArtifact(artifactName).abi;
+      } catch (error) {
+        problems.push({ code: error.code, contract: name, message: error.message });
+        continue;
+      }
+      if (entry?.abiHash && entry.abiHash !== abiHash(abi)) {
+        problems.push({
+          code: 'ABI_MISMATCH',
+          contract: name,
+          message: `${artifactName} changed since ${address} was deployed; redeploy or restore the artifact`
+        });
+      }
+
+      let code;
+      try {
+        code = await provider.getCode(address);
+      } catch (error) {
+        problems.push({ code: 'RPC_UNAVAILABLE', contract: name, message: error.shortMessage || error.message });
+        continue;
+      }
+      if (code === '0x') {
+        problems.push({ code: 'NO_CODE', contract: name, message: `No contract at ${address}` });
+        continue;
+      }
+      if (entry?.codeHash && entry.codeHash !== ethers.keccak256(code)) {
+        problems.push({ code: 'CODE_MISMATCH', contract: name, message: `Code at ${address} is not what was deployed` });
+      }
+
+      // The dispatcher pushes every function selector (leading zero bytes dropped)
+      const missing = [];
+      new ethers.Interface(abi).forEachFunction(fn => {
+        if (!code.includes(fn.selector.slice(2).replace(/^(00)+/, ''))) missing.push(fn.format());
+      });
+      if (missing.length) {
+        problems.push({
+          code: 'SELECTORS_MISSING',
+          contract: name,
+          message: `${address} does not implement ${missing.length} function(s) of ${artifactName}`,
+          missing
+        });
+      }
+    }
+
+    return { chainId, manifest: manifest?.file || null, contracts: checked, problems };
+  }
+}
+
+export default DeploymentRegistry;
@@ -0,0 +1,506 @@
+/**
+ * TerraCare Ledger v2.0 - Event Indexer Service
+ *
+ * Follows ActivityRegistry and GovernanceBridge logs into the database:
+ * - ActivityRecorded / ActivityRewarded -> IndexedActivity
+ * - ProposalCreated / VoteCast / ProposalExecuted / ProposalCanceled -> IndexedProposal, IndexedVote
+ * - AccessControl AccessRevoked -> ends the caregiver's open sessions (once a SessionService is attached)
+ * - Keeps a checkpointed block cursor so restarts resume and reorgs rewind
+ */
+
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import defaultPrisma from '../db.js';
+
+// Mirrors GovernanceBridge.QUORUM_VOTES
+const QUORUM_VOTES = ethers.parseEther('10000');
+
+const ACTIVITY_EVENTS = ['ActivityRecorded', 'ActivityRewarded'];
+const GOVERNANCE_EVENTS = ['ProposalCreated', 'VoteCast', 'ProposalExecuted', 'ProposalCanceled'];
+const ACCESS_EVENTS = ['AccessRevoked'];
+
+export const PROPOSAL_STATES = ['Pending', 'Active', 'Succeeded', 'Defeated', 'Executed', 'Canceled'];
+
+class EventIndexerService {
+  constructor({ contractService, prisma = defaultPrisma } = {}) {
+    if (!contractService) {
+      throw new Error('EventIndexerService requires a ContractService');
+    }
+
+    this.contractService = contractService;
+    this.provider = contractService.provider;
+    this.prisma = prisma;
+
+    this.checkpointId = process.env.INDEXER_CHECKPOINT_ID || 'participation-layer';
+    this.startBlock = Number(process.env.INDEXER_START_BLOCK || 0);
+    this.confirmations = Number(process.env.INDEXER_CONFIRMATIONS || 2);
+    this.reorgDepth = Number(process.env.INDEXER_REORG_DEPTH || 12);
+    this.batchSize = Number(process.env.INDEXER_BATCH_SIZE || 2000);
+    this.pollInterval = Number(process.env.INDEXER_POLL_INTERVAL_MS || 5000);
+
+    this.running = false;
+    this.timer = null;
+
+    // Set by useSessions(); AccessControl is only followed while it is
+    this.sessions = null;
+  }
+
+  /**
+   * End caregiver sessions when their access is revoked on-chain, however the revoke was sent
+   * and however long it took to mine
+   * @param {SessionService} sessions
+   */
+  useSessions(sessions) {
+    this.sessions = sessions;
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+   * Start polling for new blocks
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    logger.info({ checkpoint: this.checkpointId }, 'Event indexer started');
+    this._schedule(0);
+  }
+
+  /**
+   * Stop polling (an in-flight batch still completes)
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        logger.error({ error: error.message }, 'Event indexer sync failed');
+      } finally {
+        if (this.running) this._schedule(this.pollInterval);
+      }
+    }, delay);
+  }
+
+  // ============ Sync ============
+
+  /**
+   * Index every confirmed block after the checkpoint
+   * @returns {number} Block number the cursor now points at
+   */
+  async sync() {
+    const contracts = this._sourceContracts();
+    if (contracts.length === 0) {
+      logger.debug('Event indexer has no contracts configured');
+      return null;
+    }
+
+    let cursor = await this._loadCheckpoint();
+    cursor = await this._rewindOnReorg(cursor);
+
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+
+    while (cursor.blockNumber < target) {
+      const fromBlock = cursor.blockNumber + 1;
+      const toBlock = Math.min(target, fromBlock + this.batchSize - 1);
+
+      const logs = await this._fetchLogs(contracts, fromBlock, toBlock);
+      const decoded = await this._decodeLogs(logs);
+      const block = await this.provider.getBlock(toBlock);
+
+      await this.prisma.$transaction(async (tx) => {
+        for (const event of decoded) {
+          await this._applyEvent(tx, event);
+        }
+        await this._saveCheckpoint(tx, toBlock, block.hash);
+      });
+
+      cursor = { blockNumber: toBlock, blockHash: block.hash };
+
+      logger.info({
+        fromBlock,
+        toBlock,
+        events: decoded.length
+      }, 'Indexed block range');
+    }
+
+    return cursor.blockNumber;
+  }
+
+  _sourceContracts() {
+    const { ActivityRegistry, GovernanceBridge, AccessControl } = this.contractService.contracts;
+    const sources = [];
+
+    if (ActivityRegistry) sources.push({ contract: ActivityRegistry, events: ACTIVITY_EVENTS });
+    if (GovernanceBridge) sources.push({ contract: GovernanceBridge, events: GOVERNANCE_EVENTS });
+    if (AccessControl && this.sessions) sources.push({ contract: AccessControl, events: ACCESS_EVENTS });
+
+    return sources;
+  }
+
+  async _fetchLogs(sources, fromBlock, toBlock) {
+    const batches = await Promise.all(sources.map(async ({ contract, events }) => {
+      const topics = events.map(name => contract.interface.getEvent(name).topicHash);
+      const logs = await this.provider.getLogs({
+        address: await contract.getAddress(),
+        topics: [topics],
+        fromBlock,
+        toBlock
+      });
+      return logs.map(log => ({ log, contract }));
+    }));
+
+    return batches
+      .flat()
+      .sort((a, b) => (a.log.blockNumber - b.log.blockNumber) || (a.log.index - b.log.index));
+  }
+
+  async _decodeLogs(entries) {
+    const timestamps = new Map();
+    const decoded = [];
+
+    for (const { log, contract } of entries) {
+      const parsed = contract.interface.parseLog(log);
+      if (!parsed) continue;
+
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+      }
+
+      decoded.push({
+        name: parsed.name,
+        args: parsed.args,
+        blockNumber: log.blockNumber,
+        blockTimestamp: timestamps.get(log.blockNumber),
+        txHash: log.transactionHash,
+        logIndex: log.index
+      });
+    }
+
+    return decoded;
+  }
+
+  async _applyEvent(tx, event) {
+    const { name, args } = event;
+
+    switch (name) {
+      case 'ActivityRecorded':
+        await tx.indexedActivity.upsert({
+          where: { activityId: args.activityId },
+          update: {},
+          create: {
+            activityId: args.activityId,
+            userId: args.userId,
+            activityType: Number(args.activityType),
+            valueScore: Number(args.valueScore),
+            dataHash: args.dataHash,
+            timestamp: new Date(event.blockTimestamp * 1000),
+            blockNumber: event.blockNumber,
+            txHash: event.txHash,
+            logIndex: event.logIndex
+          }
+        });
+        break;
+
+      case 'ActivityRewarded':
+        await tx.indexedActivity.updateMany({
+          where: { activityId: args.activityId },
+          data: { rewarded: true, mineAmount: args.mineAmount.toString() }
+        });
+        break;
+
+      case 'ProposalCreated': {
+        const proposalId = Number(args.id);
+        const details = await this.contractService.contracts.GovernanceBridge.proposals(args.id);
+        await tx.indexedProposal.upsert({
+          where: { proposalId },
+          update: {},
+          create: {
+            proposalId,
+            proposer: args.proposer,
+            title: args.title,
+            description: details.description,
+            target: details.target,
+            callData: details.callData,
+            startTime: new Date(Number(args.startTime) * 1000),
+            endTime: new Date(Number(args.endTime) * 1000),
+            blockNumber: event.blockNumber,
+            txHash: event.txHash
+          }
+        });
+        break;
+      }
+
+      case 'VoteCast': {
+        const proposalId = Number(args.proposalId);
+        await tx.indexedVote.upsert({
+          where: { txHash_logIndex: { txHash: event.txHash, logIndex: event.logIndex } },
+          update: {},
+          create: {
+            proposalId,
+            voter: args.voter,
+            support: args.support,
+            votes: args.votes.toString(),
+            blockNumber: event.blockNumber,
+            txHash: event.txHash,
+            logIndex: event.logIndex
+          }
+        });
+        await this._refreshTally(tx, proposalId);
+        break;
+      }
+
+      case 'ProposalExecuted':
+        await tx.indexedProposal.updateMany({
+          where: { proposalId: Number(args.proposalId) },
+          data: { executed: true, executedBlock: event.blockNumber }
+        });
+        break;
+
+      case 'ProposalCanceled':
+        await tx.indexedProposal.updateMany({
+          where: { proposalId: Number(args.proposalId) },
+          data: { canceled: true, canceledBlock: event.blockNumber }
+        });
+        break;
+
+      // Not rolled back with the batch: a re-indexed revoke finds no open sessions left
+      case 'AccessRevoked':
+        await this.sessions.revokeAllForAddress(args.caregiver, 'ACCESS_REVOKED');
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Recompute vote totals from indexed votes (also used after a rewind)
+   */
+  async _refreshTally(tx, proposalId) {
+    const votes = await tx.indexedVote.findMany({ where: { proposalId } });
+
+    let forVotes = 0n;
+    let againstVotes = 0n;
+    for (const vote of votes) {
+      if (vote.support) forVotes += BigInt(vote.votes);
+      else againstVotes += BigInt(vote.votes);
+    }
+
+    await tx.indexedProposal.updateMany({
+      where: { proposalId },
+      data: {
+        forVotes: forVotes.toString(),
+        againstVotes: againstVotes.toString(),
+        passing: forVotes > againstVotes && forVotes + againstVotes >= QUORUM_VOTES
+      }
+    });
+  }
+
+  // ============ Checkpoint & Reorgs ============
+
+  async _loadCheckpoint() {
+    const checkpoint = await this.prisma.indexerCheckpoint.findUnique({
+      where: { id: this.checkpointId }
+    });
+
+    if (!checkpoint) {
+      return { blockNumber: this.startBlock - 1, blockHash: null };
+    }
+
+    return { blockNumber: checkpoint.blockNumber, blockHash: checkpoint.blockHash };
+  }
+
+  async _saveCheckpoint(tx, blockNumber, blockHash) {
+    await tx.indexerCheckpoint.upsert({
+      where: { id: this.checkpointId },
+      update: { blockNumber, blockHash },
+      create: { id: this.checkpointId, blockNumber, blockHash }
+    });
+  }
+
+  /**
+   * If the checkpointed block is no longer canonical, drop everything
+   * indexed in the last `reorgDepth` blocks and resume from there
+   */
+  async _rewindOnReorg(cursor) {
+    if (!cursor.blockHash) return cursor;
+
+    const block = await this.provider.getBlock(cursor.blockNumber);
+    if (block && block.hash === cursor.blockHash) return cursor;
+
+    const rewindTo = Math.max(this.startBlock - 1, cursor.blockNumber - this.reorgDepth);
+    const rewindBlock = rewindTo >= 0 ? await this.provider.getBlock(rewindTo) : null;
+
+    logger.warn({
+      checkpoint: cursor.blockNumber,
+      expectedHash: cursor.blockHash,
+      actualHash: block?.hash,
+      rewindTo
+    }, 'Chain reorg detected, rewinding indexer');
+
+    await this.prisma.$transaction(async (tx) => {
+      const above = { blockNumber: { gt: rewindTo } };
+
+      const touched = await tx.indexedVote.findMany({
+        where: above,
+        select: { proposalId: true },
+        distinct: ['proposalId']
+      });
+
+      await tx.indexedActivity.deleteMany({ where: above });
+      await tx.indexedVote.deleteMany({ where: above });
+      await tx.indexedProposal.deleteMany({ where: above });
+      await tx.indexedProposal.updateMany({
+        where: { executedBlock: { gt: rewindTo } },
+        data: { executed: false, executedBlock: null }
+      });
+      await tx.indexedProposal.updateMany({
+        where: { canceledBlock: { gt: rewindTo } },
+        data: { canceled: false, canceledBlock: null }
+      });
+
+      for (const { proposalId } of touched) {
+        await this._refreshTally(tx, proposalId);
+      }
+
+      if (rewindBlock) {
+        await this._saveCheckpoint(tx, rewindTo, rewindBlock.hash);
+      } else {
+        await tx.indexerCheckpoint.deleteMany({ where: { id: this.checkpointId } });
+      }
+    });
+
+    return { blockNumber: rewindTo, blockHash: rewindBlock?.hash || null };
+  }
+
+  // ============ Queries ============
+
+  /**
+   * Paginated activity history for a user
+   * @param {string} userId - Off-chain user identifier
+   * @param {Object} options - { page, limit, type, rewarded }
+   * @returns {Object} { items, total }
+   */
+  async getUserActivities(userId, { page = 1, limit = 20, type, rewarded } = {}) {
+    const where = { userId: ethers.encodeBytes32String(userId) };
+    if (type !== undefined) where.activityType = Number(type);
+    if (rewarded !== undefined) where.rewarded = rewarded;
+
+    const [rows, total] = await Promise.all([
+      this.prisma.indexedActivity.findMany({
+        where,
+        orderBy: [{ blockNumber: 'desc' }, { logIndex: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.indexedActivity.count({ where })
+    ]);
+
+    return {
+      items: rows.map(row => ({
+        activityId: row.activityId,
+        activityType: row.activityType,
+        valueScore: row.valueScore,
+        timestamp: Math.floor(row.timestamp.getTime() / 1000),
+        rewarded: row.rewarded,
+        mineAmount: row.mineAmount,
+        txHash: row.txHash
+      })),
+      total
+    };
+  }
+
+  /**
+   * Paginated proposal list, optionally filtered by governance state
+   * @param {Object} options - { page, limit, state }
+   * @returns {Object} { items, total }
+   */
+  async getProposals({ page = 1, limit = 10, state } = {}) {
+    const now = new Date();
+    const where = state ? this._stateFilter(state, now) : {};
+
+    const [rows, total] = await Promise.all([
+      this.prisma.indexedProposal.findMany({
+        where,
+        orderBy: { proposalId: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.indexedProposal.count({ where })
+    ]);
+
+    return {
+      items: rows.map(row => ({
+        id: row.proposalId,
+        proposer: row.proposer,
+        title: row.title,
+        description: row.description,
+        target: row.target,
+        forVotes: BigInt(row.forVotes),
+        againstVotes: BigInt(row.againstVotes),
+        startTime: Math.floor(row.startTime.getTime() / 1000),
+        endTime: Math.floor(row.endTime.getTime() / 1000),
+        executed: row.executed,
+        canceled: row.canceled,
+        state: this._proposalState(row, now)
+      })),
+      total
+    };
+  }
+
+  /**
+   * Same ordering as GovernanceBridge.getProposalState
+   */
+  _proposalState(row, now) {
+    if (row.canceled) return 'Canceled';
+    if (row.executed) return 'Executed';
+    if (now <= row.startTime) return 'Pending';
+    if (now <= row.endTime) return 'Active';
+    return row.passing ? 'Succeeded' : 'Defeated';
+  }
+
+  _stateFilter(state, now) {
+    const open = { canceled: false, executed: false };
+
+    switch (state) {
+      case 'Canceled':
+        return { canceled: true };
+      case 'Executed':
+        return { canceled: false, executed: true };
+      case 'Pending':
+        return { ...open, startTime: { gte: now } };
+      case 'Active':
+        return { ...open, startTime: { lt: now }, endTime: { gte: now } };
+      case 'Succeeded':
+        return { ...open, endTime: { lt: now }, passing: true };
+      case 'Defeated':
+        return { ...open, endTime: { lt: now }, passing: false };
+      default:
+        throw new Error(`Unknown proposal state: ${state}`);
+    }
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    const cursor = await this._loadCheckpoint();
+    return {
+      status: this.running ? 'running' : 'stopped',
+      checkpoint: cursor.blockNumber,
+      confirmations: this.confirmations
+    };
+  }
+}
+
+export default EventIndexerService;
@@ -0,0 +1,201 @@
+/**
+ * TerraCare Ledger v2.0 - Gaming Flag Service
+ *
+ * Review queue for submissions caught by AISignerService.detectGaming:
+ * - Blocked (HIGH alert) and reduced (MEDIUM alert) submissions are stored as OPEN flags
+ * - Admins clear a flag (false positive) or confirm it
+ * - Confirming can burn MINE from the flagged user with TokenEngine.adminBurnMINE
+ */
+
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import defaultPrisma from '../db.js';
+
+export class GamingFlagError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'GamingFlagError';
+    this.code = code;
+  }
+}
+
+export const GAMING_FLAG_ERROR_STATUS = {
+  FLAG_NOT_FOUND: 404,
+  FLAG_ALREADY_REVIEWED: 409,
+  USER_ADDRESS_UNKNOWN: 422,
+  INSUFFICIENT_MINE: 422
+};
+
+class GamingFlagService {
+  /**
+   * @param {Object} options - { prisma, contractService }
+   */
+  constructor({ prisma = defaultPrisma, contractService } = {}) {
+    if (!contractService) {
+      throw new Error('GamingFlagService requires a ContractService');
+    }
+
+    this.prisma = prisma;
+    this.contractService = contractService;
+  }
+
+  /**
+   * Queue a detection result for review
+   * @param {Object} event - { userId, userAddress, activityId, activityType, deviceId, detection, action }
+   *   action is BLOCKED (submission rejected) or REDUCED (value score cut)
+   * @returns {Object} Flag
+   */
+  async record({ userId, userAddress = null, activityId = null, activityType, deviceId = null, detection, action }) {
+    const alerts = detection.alerts.filter(a => a.severity !== 'LOW');
+    const flag = await this.prisma.gamingFlag.create({
+      data: {
+        userId,
+        userAddress,
+        activityId,
+        activityType,
+        deviceId,
+        action,
+        severity: alerts.some(a => a.severity === 'HIGH') ? 'HIGH' : 'MEDIUM',
+        alerts,
+        activityCount: detection.activityCount
+      }
+    });
+
+    logger.warn({ flagId: flag.id, userId, action, alerts: alerts.map(a => a.type) }, 'Gaming flag raised');
+    return this._serialize(flag);
+  }
+
+  /**
+   * Paginated flag list, newest first
+   * @param {Object} filters - { status, userId, page, limit }
+   */
+  async list({ status, userId, page = 1, limit = 20 } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (userId) where.userId = userId;
+
+    const [rows, total] = await Promise.all([
+      this.prisma.gamingFlag.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.gamingFlag.count({ where })
+    ]);
+
+    return { items: rows.map(row => this._serialize(row)), total };
+  }
+
+  async get(flagId) {
+    const flag = await this.prisma.gamingFlag.findUnique({ where: { id: flagId } });
+    return flag ? this._serialize(flag) : null;
+  }
+
+  /**
+   * Dismiss a flag as a false positive
+   */
+  async clear(flagId, { reviewer, note = null }) {
+    await this._review(flagId, { status: 'CLEARED', reviewedBy: reviewer, reviewNote: note });
+
+    logger.info({ flagId, reviewer }, 'Gaming flag cleared');
+    return await this.get(flagId);
+  }
+
+  /**
+   * Confirm a flag; with burnAmount (MINE, decimal string) also queue adminBurnMINE.
+   * The flag is claimed (OPEN -> CONFIRMED) before the burn is queued, so concurrent confirms
+   * cannot both burn; if queueing fails the flag is reopened.
+   */
+  async confirm(flagId, { reviewer, note = null, burnAmount = null }) {
+    const flag = await this._getOpen(flagId);
+
+    let amount = null;
+    if (burnAmount) {
+      if (!flag.userAddress) {
+        throw new GamingFlagError('USER_ADDRESS_UNKNOWN', 'Flag has no user address to burn from');
+      }
+
+      amount = ethers.parseEther(burnAmount);
+      const balance = await this.contractService.getLiquidMineBalance(flag.userAddress);
+      if (balance < amount) {
+        throw new GamingFlagError(
+          'INSUFFICIENT_MINE',
+          `User holds ${ethers.formatEther(balance)} liquid MINE`
+        );
+      }
+    }
+
+    await this._review(flagId, {
+      status: 'CONFIRMED',
+      reviewedBy: reviewer,
+      reviewNote: note,
+      burnAmount: amount?.toString() ?? null
+    });
+
+    let job = null;
+    if (amount !== null) {
+      try {
+        job = await this.contractService.burnMine(flag.userAddress, amount, flagId);
+      } catch (error) {
+        await this.prisma.gamingFlag.updateMany({
+          where: { id: flagId, status: 'CONFIRMED', burnJobId: null },
+          data: { status: 'OPEN', reviewedBy: null, reviewNote: null, reviewedAt: null, burnAmount: null }
+        });
+        throw error;
+      }
+
+      await this.prisma.gamingFlag.update({ where: { id: flagId }, data: { burnJobId: job.jobId } });
+    }
+
+    logger.info({ flagId, reviewer, burnAmount: amount?.toString(), jobId: job?.jobId }, 'Gaming flag confirmed');
+    return await this.get(flagId);
+  }
+
+  async _getOpen(flagId) {
+    const flag = await this.prisma.gamingFlag.findUnique({ where: { id: flagId } });
+    if (!flag) {
+      throw new GamingFlagError('FLAG_NOT_FOUND', 'Gaming flag not found');
+    }
+    if (flag.status !== 'OPEN') {
+      throw new GamingFlagError('FLAG_ALREADY_REVIEWED', `Flag is already ${flag.status}`);
+    }
+    return flag;
+  }
+
+  // Conditional on OPEN so two reviewers cannot both act on one flag
+  async _review(flagId, data) {
+    const { count } = await this.prisma.gamingFlag.updateMany({
+      where: { id: flagId, status: 'OPEN' },
+      data: { ...data, reviewedAt: new Date() }
+    });
+
+    if (count === 0) {
+      await this._getOpen(flagId); // Throws the specific error
+    }
+  }
+
+  _serialize(flag) {
+    return {
+      flagId: flag.id,
+      userId: flag.userId,
+      userAddress: flag.userAddress,
+      activityId: flag.activityId,
+      activityType: flag.activityType,
+      deviceId: flag.deviceId,
+      action: flag.action,
+      severity: flag.severity,
+      alerts: flag.alerts,
+      activityCount: flag.activityCount,
+      status: flag.status,
+      reviewedBy: flag.reviewedBy,
+      reviewNote: flag.reviewNote,
+      reviewedAt: flag.reviewedAt,
+      burnAmount: flag.burnAmount,
+      burnJobId: flag.burnJobId,
+      createdAt: flag.createdAt
+    };
+  }
+}
+
+export default GamingFlagService;
@@ -0,0 +1,86 @@
+/**
+ * TerraCare Ledger v2.0 - Holdings Service
+ *
+ * On-chain MINE/WELL holdings and AccessControl tier of an address, for token-gated endpoints
+ * (requireMINE, requireWELL, requireAccessTier in middleware/auth.js):
+ * - Reads are pinned to the latest block (refreshed at most every HOLDINGS_BLOCK_CACHE_MS) and go
+ *   through the quorum provider, so every endpoint is asked about the same block
+ * - Results are cached until the next block; concurrent requests for an address share one read
+ */
+
+import { ethers } from 'ethers';
+
+class HoldingsService {
+  /**
+   * @param {Object} options - { contractService, blockCacheMs }
+   *   blockCacheMs: how long the latest block number is reused before asking the RPC again
+   */
+  constructor({
+    contractService,
+    blockCacheMs = Number(process.env.HOLDINGS_BLOCK_CACHE_MS || 2000)
+  } = {}) {
+    if (!contractService) {
+      throw new Error('HoldingsService requires a ContractService');
+    }
+
+    this.contractService = contractService;
+    this.blockCacheMs = blockCacheMs;
+
+    this.block = null; // { at, promise } latest block number
+    this.cacheBlock = null;
+    this.cache = new Map(); // address -> Promise<holdings> at cacheBlock
+  }
+
+  /**
+   * @param {Object} options - { accessTier } whether AccessControl tiers are needed too
+   */
+  isEnabled({ accessTier = false } = {}) {
+    const { contracts } = this.contractService;
+    return Boolean(contracts.TokenEngine && (!accessTier || contracts.AccessControl));
+  }
+
+  async _latestBlock() {
+    if (!this.block || Date.now() - this.block.at >= this.blockCacheMs) {
+      const block = { at: Date.now(), promise: this.contractService.provider.getBlockNumber() };
+      block.promise.catch(() => {
+        if (this.block === block) this.block = null;
+      });
+      this.block = block;
+    }
+    return await this.block.promise;
+  }
+
+  /**
+   * @returns {Object} { address, blockNumber, mine, well, accessTier } balances in wei;
+   *   accessTier is null without AccessControl
+   */
+  async get(address) {
+    address = ethers.getAddress(address);
+    const blockNumber = await this._latestBlock();
+
+    // Entries are only valid for the block they were read at
+    if (blockNumber !== this.cacheBlock) {
+      this.cache.clear();
+      this.cacheBlock = blockNumber;
+    }
+
+    if (!this.cache.has(address)) {
+      const promise = this.contractService.getTokenHoldings(address, { blockTag: blockNumber })
+        .then(holdings => ({ address, blockNumber, ...holdings }));
+      promise.catch(() => {
+        if (this.cache.get(address) === promise) this.cache.delete(address);
+      });
+      this.cache.set(address, promise);
+    }
+    return await this.cache.get(address);
+  }
+
+  /**
+   * MINE needed per access tier, in wei (see ContractService.getAccessTierThresholds)
+   */
+  async getTierThresholds() {
+    return await this.contractService.getAccessTierThresholds();
+  }
+}
+
+export default HoldingsService;
@@ -0,0 +1,98 @@
+/**
+ * TerraCare Ledger v2.0 - Metrics Service
+ *
+ * Prometheus text exposition (format 0.0.4) served at GET /api/metrics:
+ * - terracare_chain_* gauges for every chain in MultiChainConfig, from getChainStatus
+ *   (RPC reachability, chain ID match, latest block and its age, peers, sync state, contract code)
+ * - terracare_rpc_endpoint_* gauges for each RPC endpoint of a chain (up, health score, lagging)
+ *
+ * Scrapes share getChainStatus's cache (CHAIN_STATUS_CACHE_MS), so they never hit the RPC more often.
+ * With METRICS_TOKEN set, scrapers must send it as a bearer token.
+ */
+
+import crypto from 'crypto';
+import { MultiChainConfig } from '../multiChainConfig.js';
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const GAUGES = {
+  terracare_chain_up: 'Whether the chain RPC answered the status check',
+  terracare_chain_id_match: 'Whether the RPC reports the configured chain ID',
+  terracare_chain_latest_block: 'Latest block number',
+  terracare_chain_block_age_seconds: 'Seconds since the latest block',
+  terracare_chain_peers: 'Peers reported by net_peerCount',
+  terracare_chain_syncing: 'Whether the node reports it is syncing',
+  terracare_chain_rpc_latency_seconds: 'Time the status check took',
+  terracare_chain_contract_deployed: 'Whether a configured contract address has code',
+  terracare_rpc_endpoint_up: 'Whether the RPC endpoint answered its last request',
+  terracare_rpc_endpoint_score: 'RPC endpoint health score (0-100) used to rank failover',
+  terracare_rpc_endpoint_lagging: 'Whether the RPC endpoint is too many blocks behind the others'
+};
+
+class MetricsService {
+  /**
+   * @param {Object} options - { chains, token }
+   *   chains: MultiChainConfig (or anything with listChains/getChainStatus)
+   *   token: bearer token scrapers must send; unset leaves the endpoint open
+   */
+  constructor({ chains = MultiChainConfig, token = process.env.METRICS_TOKEN || '' } = {}) {
+    this.chains = chains;
+    this.token = token;
+  }
+
+  /**
+   * Check an Authorization header against METRICS_TOKEN
+   */
+  isAuthorized(authorization = '') {
+    if (!this.token) return true;
+
+    const expected = Buffer.from(`Bearer ${this.token}`);
+    const actual = Buffer.from(authorization);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * @returns {string} Metrics in the Prometheus text format
+   */
+  async collect() {
+    const statuses = await Promise.all(this.chains.listChains().map(({ id }) => this.chains.getChainStatus(id)));
+
+    const samples = Object.fromEntries(Object.keys(GAUGES).map(name => [name, []]));
+    const add = (name, labels, value) => {
+      if (value === null || value === undefined) return;
+      const labelText = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+      samples[name].push(`${name}{${labelText}} ${Number(value)}`);
+    };
+
+    for (const status of statuses) {
+      const chain = { chain: status.id };
+      add('terracare_chain_up', chain, status.status !== 'down' ? 1 : 0);
+
+      for (const endpoint of status.endpoints || []) {
+        const labels = { ...chain, endpoint: endpoint.endpoint };
+        add('terracare_rpc_endpoint_up', labels, endpoint.up ? 1 : 0);
+        add('terracare_rpc_endpoint_score', labels, endpoint.score);
+        add('terracare_rpc_endpoint_lagging', labels, endpoint.lagging ? 1 : 0);
+      }
+      if (status.status === 'down') continue;
+
+      add('terracare_chain_id_match', chain, status.chainId.match ? 1 : 0);
+      add('terracare_chain_latest_block', chain, status.latestBlock.number);
+      add('terracare_chain_block_age_seconds', chain, status.latestBlock.ageSeconds);
+      add('terracare_chain_peers', chain, status.peers);
+      add('terracare_chain_syncing', chain, status.syncing === null ? null : status.syncing ? 1 : 0);
+      add('terracare_chain_rpc_latency_seconds', chain, status.latencyMs / 1000);
+
+      for (const [contract, { deployed }] of Object.entries(status.contracts)) {
+        if (deployed === null) continue; // Address not configured
+        add('terracare_chain_contract_deployed', { ...chain, contract }, deployed ? 1 : 0);
+      }
+    }
+
+    return Object.entries(GAUGES)
+      .map(([name, help]) => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, ...samples[name]].join('\n'))
+      .join('\n') + '\n';
+  }
+}
+
+export default MetricsService;
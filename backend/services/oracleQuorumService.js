@@ -0,0 +1,361 @@
+/**
+ * TerraCare Ledger v2.0 - Oracle Quorum Service
+ *
+ * M-of-N oracle attestation for high-value activities:
+ * - Proofs scoring ORACLE_QUORUM_MIN_SCORE or more need ORACLE_QUORUM distinct oracle signatures
+ *   (ActivityRegistry.validatorQuorum / quorumMinValueScore enforce the same on-chain)
+ * - The signing oracle asks each peer in ORACLE_PEERS to co-sign via POST /api/oracle/cosign,
+ *   authenticated with the oracle request signature checked by requireOracle
+ * - A co-signer checks the proof against the chain (the user's registered address, the caregiver's
+ *   access grant and recorded therapy session, the RecordRegistry record), re-scores the activity
+ *   with its own model and only signs if the proof does not claim more than that score, so one
+ *   compromised signer cannot mint alone
+ */
+
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import { generateOracleSignature } from '../middleware/oracleAuth.js';
+import { combineActivityProofSignatures, recoverActivityProofSigners, recoverActivityProofSigner } from './activityProof.js';
+
+const list = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+export class OracleQuorumError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'OracleQuorumError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const ORACLE_QUORUM_ERROR_STATUS = {
+  QUORUM_NOT_REACHED: 503,
+  UNKNOWN_ORACLE: 403,
+  INVALID_PROOF: 400,
+  STALE_PROOF: 400,
+  MODEL_MISMATCH: 409,
+  EVIDENCE_MISMATCH: 422,
+  SCORE_NOT_SUPPORTED: 422
+};
+
+class OracleQuorumService {
+  /**
+   * @param {Object} options - { aiSigner, contractService, therapySessions, quorum, minValueScore, peers,
+   *   oracles, timeoutMs, maxProofAgeSeconds, scoreTolerance }
+   *   therapySessions: recorded therapy sessions, checked before co-signing a therapy completion
+   *   peers: co-signing endpoints of the other oracle services
+   *   oracles: addresses whose signatures count towards the quorum (this oracle's current key is always included)
+   */
+  constructor({
+    aiSigner,
+    contractService,
+    therapySessions = null,
+    quorum = Number(process.env.ORACLE_QUORUM || 1),
+    minValueScore = Number(process.env.ORACLE_QUORUM_MIN_SCORE || 100),
+    peers = list(process.env.ORACLE_PEERS),
+    oracles = list(process.env.ORACLE_PUBLIC_KEYS),
+    timeoutMs = Number(process.env.ORACLE_COSIGN_TIMEOUT_MS || 5000),
+    maxProofAgeSeconds = Number(process.env.ORACLE_COSIGN_MAX_AGE_SECONDS || 300),
+    scoreTolerance = Number(process.env.ORACLE_QUORUM_SCORE_TOLERANCE || 5)
+  } = {}) {
+    if (!aiSigner || !contractService) {
+      throw new Error('OracleQuorumService requires an AISignerService and a ContractService');
+    }
+
+    this.aiSigner = aiSigner;
+    this.contractService = contractService;
+    this.therapySessions = therapySessions;
+    this.quorum = quorum;
+    this.minValueScore = minValueScore;
+    this.peers = peers;
+    this.timeoutMs = timeoutMs;
+    this.maxProofAgeSeconds = maxProofAgeSeconds;
+    this.scoreTolerance = scoreTolerance;
+
+    this.oracles = new Set(oracles.map(a => a.toLowerCase()));
+
+    if (quorum > 1 && peers.length < quorum - 1) {
+      logger.warn({ quorum, peers: peers.length }, 'Fewer oracle peers than the quorum needs');
+    }
+  }
+
+  /**
+   * Oracle signatures a proof with this value score needs
+   */
+  requiredSignatures(valueScore) {
+    return this.quorum > 1 && valueScore >= this.minValueScore ? this.quorum : 1;
+  }
+
+  isOracle(address) {
+    const own = this.aiSigner.getValidatorAddress();
+    const normalized = String(address).toLowerCase();
+    return this.oracles.has(normalized) || (own !== null && own.toLowerCase() === normalized);
+  }
+
+  // ============ Signing oracle ============
+
+  /**
+   * Collect peer co-signatures for a high-value proof; other proofs are returned unchanged
+   * @param {Object} proof - AISignerService.signActivityProof output
+   * @param {Object} evidence - Scoring inputs peers re-score from (see _rescore)
+   * @returns {Object} Proof whose signature holds the quorum (ascending signer order) and `signers`
+   * @throws {OracleQuorumError} QUORUM_NOT_REACHED
+   */
+  async attest(proof, evidence) {
+    const required = this.requiredSignatures(proof.valueScore);
+    if (required <= 1) return proof;
+
+    const { signature, validator, signers, ...message } = proof;
+    const results = await Promise.allSettled(
+      this.peers.map(peer => this._requestCosignature(peer, { ...message, signature }, evidence))
+    );
+
+    const signatures = [signature];
+    for (const [i, result] of results.entries()) {
+      if (result.status === 'rejected') {
+        logger.warn({
+          peer: this.peers[i],
+          activityId: proof.activityId,
+          error: result.reason.message
+        }, 'Oracle peer did not co-sign');
+        continue;
+      }
+      const peerSigner = recoverActivityProofSigner(this.aiSigner.proofDomain, message, result.value);
+      if (!this.isOracle(peerSigner)) {
+        logger.warn({ peer: this.peers[i], signer: peerSigner }, 'Co-signature from an unknown oracle ignored');
+        continue;
+      }
+      signatures.push(result.value);
+    }
+
+    const combined = combineActivityProofSignatures(this.aiSigner.proofDomain, message, signatures);
+    const attested = { ...message, validator, signature: combined.signature, signers: combined.signers };
+    if (!this.verifyQuorum(attested).valid) {
+      throw new OracleQuorumError('QUORUM_NOT_REACHED', 'Not enough oracles co-signed this activity', {
+        required,
+        collected: combined.signers.length
+      });
+    }
+
+    logger.info({ activityId: proof.activityId, signers: combined.signers }, 'Oracle quorum reached');
+    return attested;
+  }
+
+  async _requestCosignature(peer, proof, evidence) {
+    const body = { proof, evidence };
+    const timestamp = Math.floor(Date.now() / 1000);
+    const url = new URL(peer);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-oracle-address': this.aiSigner.wallet.address,
+        'x-oracle-timestamp': String(timestamp),
+        'x-oracle-signature': await generateOracleSignature(
+          this.aiSigner.wallet,
+          'POST',
+          url.pathname + url.search,
+          body,
+          timestamp
+        )
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${response.status} ${result.code || 'COSIGN_FAILED'}`);
+    }
+    return result.signature;
+  }
+
+  /**
+   * Check that a proof carries the signatures its value score needs, as ActivityRegistry will:
+   * known oracles, ascending signer order (so no duplicates), at least the required count
+   * @returns {Object} { valid, signers, required }
+   */
+  verifyQuorum(proof) {
+    const required = this.requiredSignatures(proof.valueScore);
+    try {
+      const signers = recoverActivityProofSigners(this.aiSigner.proofDomain, proof, proof.signature);
+      const ascending = signers.every((s, i) => i === 0 || BigInt(signers[i - 1]) < BigInt(s));
+      const valid = ascending
+        && signers.every(s => this.isOracle(s))
+        && signers.length >= required;
+      return { valid, signers, required };
+    } catch (error) {
+      return { valid: false, signers: [], required };
+    }
+  }
+
+  // ============ Co-signing oracle ============
+
+  /**
+   * Co-sign another oracle's proof after independently re-scoring it
+   * @param {Object} request - { proof, evidence, requester } requester is the authenticated oracle address
+   * @returns {string} This oracle's signature over the proof
+   * @throws {OracleQuorumError}
+   */
+  async cosign({ proof, evidence, requester }) {
+    let signer;
+    try {
+      signer = recoverActivityProofSigner(this.aiSigner.proofDomain, proof, proof.signature);
+    } catch (error) {
+      throw new OracleQuorumError('INVALID_PROOF', 'Activity proof signature is malformed');
+    }
+    if (signer.toLowerCase() !== String(requester).toLowerCase() || !this.isOracle(signer)) {
+      throw new OracleQuorumError('UNKNOWN_ORACLE', 'Proof is not signed by the requesting oracle');
+    }
+
+    const age = Math.floor(Date.now() / 1000) - Number(proof.timestamp);
+    if (age > this.maxProofAgeSeconds || age < -300) {
+      throw new OracleQuorumError('STALE_PROOF', `Proofs must be co-signed within ${this.maxProofAgeSeconds} seconds`);
+    }
+
+    if (proof.modelHash !== this.aiSigner.getScoringModel().hash) {
+      throw new OracleQuorumError('MODEL_MISMATCH', 'Proof was scored with a different scoring model', {
+        modelHash: proof.modelHash,
+        expected: this.aiSigner.getScoringModel().hash
+      });
+    }
+
+    if (ethers.encodeBytes32String(String(evidence.userId)) !== proof.userId) {
+      throw new OracleQuorumError('EVIDENCE_MISMATCH', 'Evidence is for a different user');
+    }
+
+    const userAddress = await this.contractService.getUserAddress(evidence.userId);
+    if (!userAddress || userAddress === ethers.ZeroAddress || userAddress.toLowerCase() !== String(proof.userAddress).toLowerCase()) {
+      throw new OracleQuorumError('EVIDENCE_MISMATCH', 'Proof does not pay the user\'s registered address');
+    }
+
+    const score = await this._rescore(proof, evidence, userAddress);
+    if (proof.valueScore > score + this.scoreTolerance) {
+      logger.warn({ activityId: proof.activityId, requester, claimed: proof.valueScore, score }, 'Co-signature refused');
+      throw new OracleQuorumError('SCORE_NOT_SUPPORTED', 'Evidence does not support the claimed value score', {
+        claimed: proof.valueScore,
+        score
+      });
+    }
+
+    const { signature, validator, signers, ...message } = proof;
+    return await this.aiSigner.cosignActivityProof(message);
+  }
+
+  /**
+   * Score the evidence with this oracle's model; an upper bound on what the proof may claim
+   * @param {string} userAddress - The user's registered address (IdentityRegistry)
+   */
+  async _rescore(proof, evidence, userAddress) {
+    switch (Number(proof.activityType)) {
+      case 0: { // BiometricStream: evidence is the device-signed reading
+        const { deviceId, userId, data, signature, timestamp } = evidence;
+        const { valid, code, device } = await this.contractService.verifyDevice(deviceId, userId, data, timestamp, signature);
+        if (!valid) {
+          throw new OracleQuorumError('EVIDENCE_MISMATCH', `Device verification failed: ${code}`);
+        }
+
+        const dataHash = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(data)));
+        const activityId = ethers.keccak256(
+          ethers.solidityPacked(
+            ['bytes32', 'bytes32', 'bytes32'],
+            [ethers.encodeBytes32String(userId), ethers.id(deviceId), dataHash]
+          )
+        );
+        if (dataHash !== proof.dataHash || activityId !== proof.activityId) {
+          throw new OracleQuorumError('EVIDENCE_MISMATCH', 'Reading does not match the proof');
+        }
+
+        return await this.aiSigner.calculateBiometricValueScore({
+          deviceId,
+          device,
+          userId,
+          data,
+          timestamp,
+          dataQuality: data.quality || 0,
+          completeness: data.completeness || 0
+        });
+      }
+
+      case 1: { // TherapyCompletion: evidence is the caregiver's report; the session must be on record
+        const { userId, caregiver, completionDate } = evidence;
+        if (!ethers.isAddress(caregiver) || Number.isNaN(Date.parse(completionDate))) {
+          throw new OracleQuorumError('EVIDENCE_MISMATCH', 'Therapy evidence needs a caregiver and completion date');
+        }
+
+        const activityId = ethers.keccak256(
+          ethers.solidityPacked(
+            ['bytes32', 'address', 'uint256', 'bytes32'],
+            [ethers.encodeBytes32String(userId), caregiver, Date.parse(completionDate), proof.dataHash]
+          )
+        );
+        if (activityId !== proof.activityId) {
+          throw new OracleQuorumError('EVIDENCE_MISMATCH', 'Therapy session does not match the proof');
+        }
+
+        if (!(await this.contractService.checkAccess(userAddress, caregiver))) {
+          throw new OracleQuorumError('EVIDENCE_MISMATCH', 'Caregiver has no access to the patient');
+        }
+
+        const session = this.therapySessions ? await this.therapySessions.get(activityId) : null;
+        if (
+          !session ||
+          session.caregiverAddress !== caregiver.toLowerCase() ||
+          session.patientUserId !== userId
+        ) {
+          throw new OracleQuorumError('EVIDENCE_MISMATCH', 'No therapy session recorded for this activity');
+        }
+
+        return await this.aiSigner.calculateTherapyValueScore({
+          duration: session.duration,
+          adherenceScore: evidence.adherenceScore,
+          outcomeMetrics: evidence.outcomeMetrics,
+          therapyType: session.therapyType
+        });
+      }
+
+      case 2: { // DataValidation: scored from the pending RecordRegistry record. The signing oracle
+        //         already recorded the hash, so assume it was unique
+        const { userId, dataType } = evidence;
+        const { pending, record } = await this.contractService.getContributionStatus(userAddress);
+        const activityId = ethers.keccak256(
+          ethers.solidityPacked(
+            ['bytes32', 'bytes32', 'bytes32'],
+            [ethers.encodeBytes32String(userId), record.dataHash, ethers.id(String(dataType))]
+          )
+        );
+        if (
+          !pending ||
+          record.dataHash !== proof.dataHash ||
+          record.dataType !== ethers.id(String(dataType)) ||
+          activityId !== proof.activityId
+        ) {
+          throw new OracleQuorumError('EVIDENCE_MISMATCH', 'No pending contribution matches the proof');
+        }
+
+        return await this.aiSigner.calculateDataValueScore({
+          dataSize: record.dataSize,
+          isAnonymized: record.isAnonymized,
+          dataHash: record.dataHash.toLowerCase(),
+          dataType,
+          uniquenessScore: 100
+        });
+      }
+
+      default:
+        throw new OracleQuorumError('EVIDENCE_MISMATCH', `Activity type ${proof.activityType} cannot be co-signed`);
+    }
+  }
+
+  healthCheck() {
+    return {
+      quorum: this.quorum,
+      minValueScore: this.minValueScore,
+      peers: this.peers.length,
+      oracles: new Set([...this.oracles, this.aiSigner.getValidatorAddress()?.toLowerCase()].filter(Boolean)).size
+    };
+  }
+}
+
+export default OracleQuorumService;
@@ -0,0 +1,179 @@
+/**
+ * TerraCare Ledger v2.0 - Rate Limit Store
+ *
+ * Hit counters behind the rate limiters (middleware/rateLimit.js), as express-rate-limit stores.
+ * Counters use fixed windows: a client's first request starts a window of `windowMs`, and the count
+ * resets when it ends.
+ *
+ * Adapters (RATE_LIMIT_STORE):
+ * - memory: process-local; expired windows are evicted and at most maxKeys clients are tracked (the
+ *   least recently started windows go first). Each instance counts on its own
+ * - redis: counters on a Redis-compatible server (RATE_LIMIT_REDIS_URL), shared by every instance;
+ *   keys expire with their window
+ *
+ * Each limiter needs its own store; stores of one adapter can share a RespClient.
+ */
+
+import RespClient from './respClient.js';
+
+// Expired windows are purged at most this often
+const EVICT_INTERVAL_MS = 60 * 1000;
+
+export class MemoryRateLimitStore {
+  /**
+   * @param {Object} options - { prefix, maxKeys }
+   */
+  constructor({ prefix = '', maxKeys = 100000 } = {}) {
+    this.driver = 'memory';
+    this.prefix = prefix;
+    this.maxKeys = maxKeys;
+    this.localKeys = true;
+
+    this.windows = new Map(); // key -> { hits, resetTime (ms) }, oldest window first
+    this.lastEviction = 0;
+  }
+
+  // express-rate-limit passes its options once
+  init({ windowMs }) {
+    this.windowMs = windowMs;
+  }
+
+  _current(key, now) {
+    const window = this.windows.get(key);
+    return window && window.resetTime > now ? window : null;
+  }
+
+  async get(key) {
+    const window = this._current(key, Date.now());
+    return window ? { totalHits: window.hits, resetTime: new Date(window.resetTime) } : undefined;
+  }
+
+  async increment(key) {
+    this._maybeEvict();
+
+    const now = Date.now();
+    let window = this._current(key, now);
+    if (!window) {
+      // Re-insert so Map order stays oldest window first
+      this.windows.delete(key);
+      window = { hits: 0, resetTime: now + this.windowMs };
+      this.windows.set(key, window);
+
+      for (const oldest of this.windows.keys()) {
+        if (this.windows.size <= this.maxKeys) break;
+        this.windows.delete(oldest);
+      }
+    }
+
+    window.hits++;
+    return { totalHits: window.hits, resetTime: new Date(window.resetTime) };
+  }
+
+  async decrement(key) {
+    const window = this._current(key, Date.now());
+    if (window && window.hits > 0) window.hits--;
+  }
+
+  async resetKey(key) {
+    this.windows.delete(key);
+  }
+
+  async resetAll() {
+    this.windows.clear();
+  }
+
+  _maybeEvict() {
+    const now = Date.now();
+    if (now - this.lastEviction < EVICT_INTERVAL_MS) return;
+    this.lastEviction = now;
+
+    for (const [key, window] of this.windows) {
+      if (window.resetTime <= now) this.windows.delete(key);
+    }
+  }
+}
+
+export class RedisRateLimitStore {
+  /**
+   * @param {Object} options - { client, prefix }
+   *   client: RespClient for the shared server
+   *   prefix: key prefix, unique per limiter (e.g. terracare:rl:writes:)
+   */
+  constructor({ client, prefix = '' } = {}) {
+    if (!client) {
+      throw new Error('RedisRateLimitStore requires a RespClient');
+    }
+
+    this.driver = 'redis';
+    this.client = client;
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init({ windowMs }) {
+    this.windowMs = windowMs;
+  }
+
+  _key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  _resetTime(ttlMs) {
+    return new Date(Date.now() + (ttlMs > 0 ? ttlMs : this.windowMs));
+  }
+
+  async get(key) {
+    const [hits, ttlMs] = await this.client.pipeline([['GET', this._key(key)], ['PTTL', this._key(key)]]);
+    return hits === null ? undefined : { totalHits: Number(hits), resetTime: this._resetTime(ttlMs) };
+  }
+
+  async increment(key) {
+    const redisKey = this._key(key);
+    // The first hit of a window creates the key with the window's expiry
+    const [, hits, ttlMs] = await this.client.pipeline([
+      ['SET', redisKey, 0, 'PX', this.windowMs, 'NX'],
+      ['INCR', redisKey],
+      ['PTTL', redisKey]
+    ]);
+
+    // The window ended between SET and INCR, so INCR created a key without expiry
+    if (ttlMs < 0) {
+      await this.client.command('PEXPIRE', redisKey, this.windowMs);
+    }
+    return { totalHits: hits, resetTime: this._resetTime(ttlMs) };
+  }
+
+  async decrement(key) {
+    const redisKey = this._key(key);
+    // Below zero means the window had already ended: drop the key DECR created
+    if (await this.client.command('DECR', redisKey) < 0) {
+      await this.client.command('DEL', redisKey);
+    }
+  }
+
+  async resetKey(key) {
+    await this.client.command('DEL', this._key(key));
+  }
+}
+
+/**
+ * Create the store selected by RATE_LIMIT_STORE (default: memory)
+ * @param {Object} options - { driver, prefix, client, redisUrl, maxKeys }
+ *   client: RespClient to share between redis stores (default: a new one for redisUrl)
+ */
+export function createRateLimitStore({
+  driver = process.env.RATE_LIMIT_STORE || 'memory',
+  prefix = '',
+  client,
+  redisUrl = process.env.RATE_LIMIT_REDIS_URL || 'redis://127.0.0.1:6379',
+  maxKeys = Number(process.env.RATE_LIMIT_MAX_KEYS || 100000)
+} = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryRateLimitStore({ prefix, maxKeys });
+    case 'redis':
+      return new RedisRateLimitStore({ client: client || new RespClient(redisUrl), prefix });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${driver}`);
+  }
+}
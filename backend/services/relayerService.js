@@ -0,0 +1,279 @@
+/**
+ * TerraCare Ledger v2.0 - Meta-Transaction Relayer Service
+ *
+ * ERC-2771 relaying through TerracareForwarder:
+ * - Prepares EIP-712 forward requests for the user to sign
+ * - Checks target/method allowlist, deadline, forwarder nonce and signature before submitting
+ * - Submits through the backend wallet's transaction manager, so users act as themselves while gas stays subsidised
+ */
+
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import { MultiChainConfig } from '../multiChainConfig.js';
+
+// ERC2771Forwarder typed-data layout
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// User actions that may be relayed, by target contract
+const RELAYABLE_CALLS = {
+  TokenEngine: ['convertMineToWell'],
+  RevenueDistributor: ['sellWell'],
+  GovernanceBridge: ['propose', 'castVote'],
+  AccessControl: ['grant', 'revoke'],
+  RecordRegistry: ['updateRecord', 'updateRecordWithContribution']
+};
+
+// Headroom over the estimated gas so the forwarder's EIP-150 check passes
+const GAS_BUFFER_PERCENT = 25n;
+
+export class RelayerError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RelayerError';
+    this.code = code;
+  }
+}
+
+export const RELAYER_ERROR_STATUS = {
+  RELAYER_NOT_CONFIGURED: 503,
+  CALL_NOT_ALLOWED: 403,
+  VALUE_NOT_ALLOWED: 400,
+  REQUEST_EXPIRED: 400,
+  INVALID_NONCE: 409,
+  INVALID_SIGNATURE: 401,
+  FORWARD_REJECTED: 400,
+  CALL_REVERTED: 422
+};
+
+class RelayerService {
+  /**
+   * @param {Object} options - { contractService, forwarderAddress, requestTtlSeconds }
+   */
+  constructor({
+    contractService,
+    forwarderAddress = contractService?.addresses.TerracareForwarder,
+    requestTtlSeconds = Number(process.env.RELAY_REQUEST_TTL_SECONDS || 600)
+  } = {}) {
+    if (!contractService) {
+      throw new Error('RelayerService requires a ContractService');
+    }
+
+    this.contractService = contractService;
+    this.requestTtlSeconds = requestTtlSeconds;
+
+    this.forwarder = forwarderAddress
+      ? new ethers.Contract(
+        forwarderAddress,
+        MultiChainConfig.getAbi('terracare', 'TerracareForwarder'),
+        contractService.provider
+      )
+      : null;
+
+    this.domain = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.forwarder && this.contractService.txManager);
+  }
+
+  /**
+   * Build an unsigned forward request for `from` calling `contractName.method(...args)`
+   * @returns {Object} { domain, types, request } ready for eth_signTypedData_v4
+   */
+  async prepare(from, contractName, method, args) {
+    this._assertEnabled();
+    if (!RELAYABLE_CALLS[contractName]?.includes(method)) {
+      throw new RelayerError('CALL_NOT_ALLOWED', `${contractName}.${method} cannot be relayed`);
+    }
+
+    const target = this.contractService.contracts[contractName];
+    if (!target) throw new Error(`${contractName} not initialized`);
+
+    const to = await target.getAddress();
+    const data = target.interface.encodeFunctionData(method, args);
+
+    // Estimating as the user doubles as a preflight: reverts surface before the user signs
+    let estimate;
+    try {
+      estimate = await this.contractService.provider.estimateGas({ from, to, data });
+    } catch (error) {
+      throw new RelayerError('CALL_REVERTED', error.reason || error.shortMessage || error.message);
+    }
+
+    const [domain, nonce] = await Promise.all([
+      this._getDomain(),
+      this.forwarder.nonces(from)
+    ]);
+
+    return {
+      domain,
+      types: FORWARD_REQUEST_TYPES,
+      request: {
+        from: ethers.getAddress(from),
+        to,
+        value: '0',
+        gas: (estimate * (100n + GAS_BUFFER_PERCENT) / 100n).toString(),
+        nonce: nonce.toString(),
+        deadline: Math.floor(Date.now() / 1000) + this.requestTtlSeconds,
+        data
+      }
+    };
+  }
+
+  /**
+   * Verify a signed forward request and submit it through the forwarder
+   * @param {Object} request - Forward request as returned by prepare()
+   * @param {string} signature - EIP-712 signature by request.from
+   * @returns {Object} { jobId, status, txHash, blockNumber, from, contract, method, events }
+   *   status is SUBMITTED/QUEUED (no receipt yet) when the transaction is not mined within TX_WAIT_TIMEOUT_MS
+   */
+  async relay(request, signature) {
+    this._assertEnabled();
+
+    const { contractName, method, target } = this._resolveCall(request.to, request.data);
+
+    if (BigInt(request.value) !== 0n) {
+      throw new RelayerError('VALUE_NOT_ALLOWED', 'Relayed calls cannot carry value');
+    }
+    if (Number(request.deadline) <= Math.floor(Date.now() / 1000)) {
+      throw new RelayerError('REQUEST_EXPIRED', 'Forward request deadline has passed');
+    }
+
+    const [domain, currentNonce] = await Promise.all([
+      this._getDomain(),
+      this.forwarder.nonces(request.from)
+    ]);
+    if (BigInt(request.nonce) !== currentNonce) {
+      throw new RelayerError('INVALID_NONCE', `Expected nonce ${currentNonce}`);
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, request, signature);
+    } catch (error) {
+      throw new RelayerError('INVALID_SIGNATURE', 'Signature could not be recovered');
+    }
+    if (signer !== ethers.getAddress(request.from)) {
+      throw new RelayerError('INVALID_SIGNATURE', 'Signature does not match request sender');
+    }
+
+    // Nonce is implied by the forwarder's own counter, so it is not part of the call data
+    const requestData = {
+      from: request.from,
+      to: request.to,
+      value: 0n,
+      gas: BigInt(request.gas),
+      deadline: Number(request.deadline),
+      data: request.data,
+      signature
+    };
+
+    if (!(await this.forwarder.verify(requestData))) {
+      throw new RelayerError('FORWARD_REJECTED', 'Forwarder rejected the request');
+    }
+
+    const txManager = this.contractService.txManager;
+    const submitted = await txManager.submit({
+      to: await this.forwarder.getAddress(),
+      data: this.forwarder.interface.encodeFunctionData('execute', [requestData]),
+      kind: 'relay.forward',
+      reference: `${signer}:${request.nonce}`
+    });
+    const job = await txManager.wait(submitted.jobId);
+
+    if (job.status === 'FAILED') {
+      throw new RelayerError('CALL_REVERTED', job.error || 'Relayed call reverted');
+    }
+
+    logger.info({
+      from: signer,
+      contract: contractName,
+      method,
+      jobId: job.jobId,
+      txHash: job.txHash
+    }, 'Forward request relayed');
+
+    const result = {
+      jobId: job.jobId,
+      status: job.status,
+      txHash: job.txHash,
+      blockNumber: job.blockNumber,
+      from: signer,
+      contract: contractName,
+      method
+    };
+
+    if (job.status !== 'CONFIRMED') return result;
+
+    const receipt = await this.contractService.provider.getTransactionReceipt(job.txHash);
+    return { ...result, events: this._decodeEvents(target, receipt) };
+  }
+
+  // ============ Helpers ============
+
+  _assertEnabled() {
+    if (!this.isEnabled()) {
+      throw new RelayerError('RELAYER_NOT_CONFIGURED', 'Forwarder address or backend wallet not configured');
+    }
+  }
+
+  // Map request.to/data back to an allowlisted contract method
+  _resolveCall(to, data) {
+    for (const [contractName, methods] of Object.entries(RELAYABLE_CALLS)) {
+      const address = this.contractService.addresses[contractName];
+      const target = this.contractService.contracts[contractName];
+      if (!address || !target || address.toLowerCase() !== String(to).toLowerCase()) continue;
+
+      let parsed = null;
+      try {
+        parsed = target.interface.parseTransaction({ data });
+      } catch (error) {
+        // Malformed call data falls through to CALL_NOT_ALLOWED
+      }
+      if (parsed && methods.includes(parsed.name)) {
+        return { contractName, method: parsed.name, target };
+      }
+    }
+    throw new RelayerError('CALL_NOT_ALLOWED', 'Target contract or method cannot be relayed');
+  }
+
+  async _getDomain() {
+    if (!this.domain) {
+      const domain = await this.forwarder.eip712Domain();
+      this.domain = {
+        name: domain.name,
+        version: domain.version,
+        chainId: Number(domain.chainId),
+        verifyingContract: domain.verifyingContract
+      };
+    }
+    return this.domain;
+  }
+
+  _decodeEvents(target, receipt) {
+    const targetAddress = String(target.target).toLowerCase();
+    return receipt.logs
+      .filter(log => log.address.toLowerCase() === targetAddress)
+      .map(log => target.interface.parseLog(log))
+      .filter(Boolean)
+      .map(parsed => ({
+        event: parsed.name,
+        args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => {
+          const value = parsed.args[i];
+          return [input.name || i, typeof value === 'bigint' ? value.toString() : value];
+        }))
+      }));
+  }
+}
+
+export default RelayerService;
@@ -0,0 +1,222 @@
+/**
+ * TerraCare Ledger v2.0 - RESP Client
+ *
+ * Minimal client for Redis-compatible servers (Redis, Valkey, KeyDB, Dragonfly), enough for the
+ * shared rate limiter (services/rateLimitStore.js):
+ * - One connection (redis:// or rediss://, optional user/password and database), opened on the first
+ *   command and again after it drops
+ * - Commands are pipelined and answered in order; a command without an answer within
+ *   commandTimeoutMs drops the connection, failing everything still pending on it
+ * - Replies: simple strings, errors (rejected), integers, bulk strings and arrays (RESP2)
+ */
+
+import net from 'net';
+import tls from 'tls';
+import logger from '../logger.js';
+
+export class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one reply at `offset`
+ * @returns {Object|null} { value, offset } (offset past the reply), null if the buffer ends first
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RespError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RespError(`Unexpected RESP reply type: ${type}`);
+  }
+}
+
+class RespClient {
+  /**
+   * @param {string} url - redis://[user:password@]host[:port][/db], or rediss:// for TLS
+   * @param {Object} options - { connectTimeoutMs, commandTimeoutMs }
+   */
+  constructor(url, { connectTimeoutMs = 2000, commandTimeoutMs = 1000 } = {}) {
+    const parsed = new URL(url);
+    if (!['redis:', 'rediss:'].includes(parsed.protocol)) {
+      throw new Error(`Unsupported Redis URL protocol: ${parsed.protocol}`);
+    }
+
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port || 6379);
+    this.tls = parsed.protocol === 'rediss:';
+    this.username = decodeURIComponent(parsed.username);
+    this.password = decodeURIComponent(parsed.password);
+    this.db = Number(parsed.pathname.slice(1) || 0);
+    this.label = `${parsed.protocol}//${parsed.host}`; // without credentials, for logs
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.commandTimeoutMs = commandTimeoutMs;
+
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = []; // [{ resolve, reject, timer }] in send order
+  }
+
+  async _connect() {
+    if (this.socket) return;
+    if (!this.connecting) {
+      this.connecting = this._open().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  async _open() {
+    const socket = await new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port };
+      const socket = this.tls
+        ? tls.connect({ ...options, servername: this.host }, () => resolve(socket))
+        : net.connect(options, () => resolve(socket));
+      socket.setTimeout(this.connectTimeoutMs, () => {
+        socket.destroy(new Error(`Connection to ${this.label} timed out`));
+      });
+      socket.once('error', reject);
+    });
+
+    socket.setTimeout(0);
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this._onData(chunk));
+    socket.on('error', error => logger.warn({ redis: this.label, error: error.message }, 'Redis connection error'));
+    socket.on('close', () => this._onClose(socket));
+
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    try {
+      if (this.password) {
+        await this._send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+      }
+      if (this.db) {
+        await this._send(['SELECT', this.db]);
+      }
+    } catch (error) {
+      socket.destroy();
+      throw error;
+    }
+  }
+
+  _onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let reply;
+    try {
+      while (this.buffer.length && (reply = parseReply(this.buffer, 0))) {
+        this.buffer = this.buffer.subarray(reply.offset);
+        const request = this.pending.shift();
+        if (!request) continue;
+        clearTimeout(request.timer);
+        if (reply.value instanceof RespError) {
+          request.reject(reply.value);
+        } else {
+          request.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      this.socket?.destroy(error);
+    }
+  }
+
+  _onClose(socket) {
+    if (this.socket !== socket) return;
+    this.socket = null;
+
+    const error = new Error(`Connection to ${this.label} closed`);
+    for (const request of this.pending.splice(0)) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+  }
+
+  _send(args) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socket;
+      const timer = setTimeout(() => {
+        // A late answer would be matched to the next command: start over on a new connection
+        socket.destroy(new Error(`${args[0]} timed out after ${this.commandTimeoutMs}ms`));
+      }, this.commandTimeoutMs);
+      timer.unref();
+
+      this.pending.push({ resolve, reject, timer });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * @param {...(string|number)} args - Command and arguments, e.g. command('INCR', key)
+   */
+  async command(...args) {
+    await this._connect();
+    return await this._send(args);
+  }
+
+  /**
+   * Send several commands in one write
+   * @param {Array[]} commands - e.g. [['INCR', key], ['PTTL', key]]
+   * @returns {Array} Replies in order; rejects with the first error reply
+   */
+  async pipeline(commands) {
+    await this._connect();
+    return await Promise.all(commands.map(args => this._send(args)));
+  }
+
+  async quit() {
+    if (!this.socket) return;
+    try {
+      await this._send(['QUIT']);
+    } catch {
+      // Closed either way
+    }
+    this.socket?.destroy();
+  }
+}
+
+export default RespClient;
@@ -0,0 +1,254 @@
+/**
+ * TerraCare Ledger v2.0 - RPC Pool Provider
+ *
+ * JSON-RPC provider over several endpoints of one chain (MultiChainConfig rpcUrls):
+ * - Failover: each request goes to the best-ranked endpoint and moves on to the next one when the
+ *   transport fails (network error, timeout, HTTP error). JSON-RPC errors such as reverts are answers,
+ *   not failures
+ * - Health scoring: successes raise an endpoint's score and failures halve it and put it in a cooldown
+ *   that grows with consecutive failures; a background probe (eth_blockNumber) keeps scores current and
+ *   demotes endpoints more than RPC_MAX_BLOCK_LAG blocks behind the best one. Endpoints rank by
+ *   availability, then score, then configured order (so the first URL is preferred when healthy)
+ * - Quorum (withQuorum): every available endpoint answers and at least `quorum` must return the same
+ *   result, for critical reads such as balances and access checks
+ *
+ * Being a JsonRpcApiProvider, it works anywhere a JsonRpcProvider does (contracts, signers, send()).
+ */
+
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+
+// Label without path or query, which may carry API keys (e.g. Infura project IDs)
+function endpointLabel(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return `${protocol}//${host}`;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+class RpcPoolProvider extends ethers.JsonRpcApiProvider {
+  /**
+   * @param {string[]} urls - Endpoints, most preferred first
+   * @param {number} chainId - Expected chain ID (used as a static network)
+   * @param {Object} options - { quorum, requestTimeoutMs, cooldownMs, maxBlockLag, healthCheckIntervalMs, pool }
+   *   pool: share this pool's endpoints and health (see withQuorum)
+   */
+  constructor(urls, chainId, {
+    quorum = 1,
+    requestTimeoutMs = Number(process.env.RPC_REQUEST_TIMEOUT_MS || 10000),
+    cooldownMs = Number(process.env.RPC_FAILOVER_COOLDOWN_MS || 5000),
+    maxBlockLag = Number(process.env.RPC_MAX_BLOCK_LAG || 5),
+    healthCheckIntervalMs = Number(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || 15000),
+    pool = null
+  } = {}) {
+    super(chainId, { staticNetwork: true });
+
+    this.chainId = chainId;
+    this.quorum = quorum;
+    this.options = { requestTimeoutMs, cooldownMs, maxBlockLag, healthCheckIntervalMs };
+    this.ownsEndpoints = !pool;
+
+    if (pool) {
+      this.endpoints = pool.endpoints;
+    } else {
+      if (!urls || urls.length === 0) {
+        throw new Error('RpcPoolProvider needs at least one RPC URL');
+      }
+      this.endpoints = urls.map((url, index) => {
+        const request = new ethers.FetchRequest(url);
+        request.timeout = requestTimeoutMs;
+        return {
+          index,
+          label: endpointLabel(url),
+          provider: new ethers.JsonRpcProvider(request, chainId, { staticNetwork: true }),
+          score: 100,
+          latencyMs: null,
+          consecutiveFailures: 0,
+          cooldownUntil: 0,
+          blockNumber: null,
+          lagging: false,
+          requests: 0,
+          errors: 0,
+          lastError: null
+        };
+      });
+
+      // Nothing to fail over to with a single endpoint
+      if (this.endpoints.length > 1 && healthCheckIntervalMs > 0) {
+        this.probeTimer = setInterval(() => {
+          this.probe().catch(error => logger.error({ error: error.message }, 'RPC health probe failed'));
+        }, healthCheckIntervalMs);
+        this.probeTimer.unref();
+      }
+    }
+
+    if (quorum > this.endpoints.length) {
+      throw new Error(`RPC quorum ${quorum} exceeds the ${this.endpoints.length} configured endpoints`);
+    }
+  }
+
+  /**
+   * Provider over the same endpoints (and health) that needs `quorum` matching answers per request
+   */
+  withQuorum(quorum) {
+    return new RpcPoolProvider(null, this.chainId, { ...this.options, quorum, pool: this });
+  }
+
+  // ============ Health ============
+
+  _isAvailable(endpoint, now = Date.now()) {
+    return endpoint.cooldownUntil <= now && !endpoint.lagging;
+  }
+
+  /**
+   * Endpoints best first: available, then by score (in steps of 10, so small differences do not
+   * reorder them), then configured order
+   */
+  rankedEndpoints() {
+    const now = Date.now();
+    return [...this.endpoints].sort((a, b) =>
+      (Number(this._isAvailable(b, now)) - Number(this._isAvailable(a, now)))
+      || (Math.round(b.score / 10) - Math.round(a.score / 10))
+      || (a.index - b.index)
+    );
+  }
+
+  _recordSuccess(endpoint, latencyMs) {
+    endpoint.requests++;
+    endpoint.score += (100 - endpoint.score) * 0.25;
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(endpoint.latencyMs * 0.8 + latencyMs * 0.2);
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+  }
+
+  _recordFailure(endpoint, error) {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.score *= 0.5;
+    endpoint.consecutiveFailures++;
+    endpoint.cooldownUntil = Date.now()
+      + this.options.cooldownMs * Math.min(2 ** (endpoint.consecutiveFailures - 1), 16);
+    endpoint.lastError = error.shortMessage || error.message;
+
+    logger.warn({
+      chainId: this.chainId,
+      endpoint: endpoint.label,
+      failures: endpoint.consecutiveFailures,
+      error: endpoint.lastError
+    }, 'RPC endpoint failed');
+  }
+
+  /**
+   * Ask every endpoint for its block number; updates scores and marks lagging endpoints
+   */
+  async probe() {
+    const blocks = await Promise.all(this.endpoints.map(async endpoint => {
+      try {
+        const [response] = await this._sendTo(endpoint, { method: 'eth_blockNumber', params: [], id: 1, jsonrpc: '2.0' });
+        endpoint.blockNumber = Number(response.result);
+        return endpoint.blockNumber;
+      } catch {
+        return null;
+      }
+    }));
+
+    const best = Math.max(...blocks.filter(block => block !== null));
+    for (const endpoint of this.endpoints) {
+      const lagging = endpoint.blockNumber !== null && best - endpoint.blockNumber > this.options.maxBlockLag;
+      if (lagging && !endpoint.lagging) {
+        logger.warn({ chainId: this.chainId, endpoint: endpoint.label, blockNumber: endpoint.blockNumber, best }, 'RPC endpoint lagging');
+      }
+      endpoint.lagging = lagging;
+    }
+  }
+
+  /**
+   * Health of each endpoint, in configured order
+   */
+  endpointHealth() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => ({
+      endpoint: endpoint.label,
+      available: this._isAvailable(endpoint, now),
+      score: Math.round(endpoint.score),
+      latencyMs: endpoint.latencyMs,
+      blockNumber: endpoint.blockNumber,
+      lagging: endpoint.lagging,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      lastError: endpoint.lastError
+    }));
+  }
+
+  // ============ Transport ============
+
+  async _sendTo(endpoint, payload) {
+    const started = Date.now();
+    try {
+      const response = await endpoint.provider._send(payload);
+      this._recordSuccess(endpoint, Date.now() - started);
+      return response;
+    } catch (error) {
+      this._recordFailure(endpoint, error);
+      throw error;
+    }
+  }
+
+  async _send(payload) {
+    return this.quorum > 1 ? await this._sendQuorum(payload) : await this._sendFailover(payload);
+  }
+
+  async _sendFailover(payload) {
+    let lastError;
+    for (const endpoint of this.rankedEndpoints()) {
+      try {
+        return await this._sendTo(endpoint, payload);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  async _sendQuorum(payload) {
+    const ranked = this.rankedEndpoints();
+    const available = ranked.filter(endpoint => this._isAvailable(endpoint));
+    const candidates = available.length >= this.quorum ? available : ranked;
+
+    const responses = (await Promise.allSettled(candidates.map(endpoint => this._sendTo(endpoint, payload))))
+      .filter(settled => settled.status === 'fulfilled')
+      .map(settled => settled.value);
+
+    // Vote per request ID on the exact result (or JSON-RPC error)
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return requests.map(({ id, method }) => {
+      const votes = new Map();
+      for (const response of responses) {
+        const answer = response.find(item => item.id === id);
+        if (!answer) continue;
+        const key = JSON.stringify('error' in answer ? { error: answer.error } : { result: answer.result });
+        votes.set(key, { answer, count: (votes.get(key)?.count || 0) + 1 });
+      }
+
+      const best = [...votes.values()].sort((a, b) => b.count - a.count)[0];
+      if (!best || best.count < this.quorum) {
+        throw ethers.makeError('RPC quorum not reached', 'SERVER_ERROR', {
+          info: { method, quorum: this.quorum, answered: responses.length, agreeing: best?.count || 0 }
+        });
+      }
+      return best.answer;
+    });
+  }
+
+  destroy() {
+    if (this.probeTimer) clearInterval(this.probeTimer);
+    // Endpoints belong to the pool that created them, not to withQuorum views
+    if (this.ownsEndpoints) this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+    super.destroy();
+  }
+}
+
+export default RpcPoolProvider;
@@ -0,0 +1,135 @@
+/**
+ * TerraCare Ledger v2.0 - Scoring Model Registry
+ *
+ * Versioned value-scoring models for the AI oracle:
+ * - Each model is a JSON file in SCORING_MODELS_DIR (default: backend/scoring-models)
+ * - A model is identified by `${id}@${version}`; its hash is keccak256 of the file bytes
+ * - SCORING_MODEL selects the active model (default: the highest version of the first ID)
+ *
+ * The hash is what LlamaAdapter.registerModel/approveModel record on-chain
+ * (scripts/register-scoring-models.js), so any edit to a model file is a new model.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+
+const DEFAULT_MODELS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../scoring-models');
+
+const REQUIRED_CURVES = ['timestampAge', 'sessionDuration', 'outcome', 'deviceTrust', 'uniqueness', 'dataSize'];
+
+/**
+ * Evaluate a piecewise curve: the first band whose bounds (gt, gte, lt, lte) contain x wins.
+ * A band scores `score + slope * (x - from)`; without slope it is flat.
+ */
+export function evaluateCurve(bands, x) {
+  for (const band of bands) {
+    if (band.gt !== undefined && !(x > band.gt)) continue;
+    if (band.gte !== undefined && !(x >= band.gte)) continue;
+    if (band.lt !== undefined && !(x < band.lt)) continue;
+    if (band.lte !== undefined && !(x <= band.lte)) continue;
+
+    return band.score + (band.slope || 0) * (x - (band.from || 0));
+  }
+  return 0;
+}
+
+/**
+ * Load and validate one model file
+ * @returns {Object} { key, id, version, name, hash, weights, curves, file }
+ */
+export function loadScoringModel(file) {
+  const raw = fs.readFileSync(file);
+  const model = JSON.parse(raw.toString('utf8'));
+
+  if (typeof model.id !== 'string' || !Number.isInteger(model.version) || model.version < 1) {
+    throw new Error(`Scoring model ${file}: id (string) and version (positive integer) are required`);
+  }
+  for (const group of ['biometric', 'therapy', 'data']) {
+    if (!model.weights?.[group]) {
+      throw new Error(`Scoring model ${file}: missing weights.${group}`);
+    }
+  }
+  for (const curve of REQUIRED_CURVES) {
+    if (!model.curves?.[curve]) {
+      throw new Error(`Scoring model ${file}: missing curves.${curve}`);
+    }
+  }
+
+  return Object.freeze({
+    key: `${model.id}@${model.version}`,
+    id: model.id,
+    version: model.version,
+    name: model.name || model.id,
+    hash: ethers.keccak256(raw),
+    trainingDataHash: model.trainingDataHash || ethers.ZeroHash,
+    weights: model.weights,
+    curves: model.curves,
+    file: path.basename(file)
+  });
+}
+
+class ScoringModelRegistry {
+  /**
+   * @param {Object} options - { dir, activeModel } activeModel is `${id}@${version}` or a bare id (latest version)
+   */
+  constructor({
+    dir = process.env.SCORING_MODELS_DIR || DEFAULT_MODELS_DIR,
+    activeModel = process.env.SCORING_MODEL
+  } = {}) {
+    this.models = new Map();
+
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    for (const file of files) {
+      const model = loadScoringModel(path.join(dir, file));
+      if (this.models.has(model.key)) {
+        throw new Error(`Duplicate scoring model ${model.key} (${file})`);
+      }
+      this.models.set(model.key, model);
+    }
+
+    if (this.models.size === 0) {
+      throw new Error(`No scoring models found in ${dir}`);
+    }
+
+    this.active = this.resolve(activeModel || [...this.models.values()][0].id);
+    if (!this.active) {
+      throw new Error(`Unknown SCORING_MODEL: ${activeModel}`);
+    }
+
+    logger.info({
+      models: [...this.models.keys()],
+      active: this.active.key,
+      hash: this.active.hash
+    }, 'Scoring models loaded');
+  }
+
+  /**
+   * Look up a model by `${id}@${version}`, bare id (latest version) or hash
+   * @returns {Object|null} Model
+   */
+  resolve(ref) {
+    if (!ref) return null;
+    if (this.models.has(ref)) return this.models.get(ref);
+
+    const byHash = [...this.models.values()].find(m => m.hash === ref);
+    if (byHash) return byHash;
+
+    const versions = [...this.models.values()].filter(m => m.id === ref);
+    return versions.sort((a, b) => b.version - a.version)[0] || null;
+  }
+
+  getActive() {
+    return this.active;
+  }
+
+  list() {
+    return [...this.models.values()].map(({ key, id, version, name, hash, file }) => ({
+      key, id, version, name, hash, file, active: key === this.active.key
+    }));
+  }
+}
+
+export default ScoringModelRegistry;
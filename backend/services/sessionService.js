@@ -0,0 +1,229 @@
+/**
+ * TerraCare Ledger v2.0 - Session Service
+ *
+ * Server-side sessions behind short-lived access tokens:
+ * - Rotating, single-use refresh tokens (stored hashed)
+ * - Refresh-token reuse revokes the whole session
+ * - Revocation list consulted by authenticateJWT (briefly cached per session)
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import { generateToken } from '../middleware/auth.js';
+
+export class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionService {
+  /**
+   * @param {Object} options - { prisma, contractService, refreshTtlMs, cacheTtlMs }
+   */
+  constructor({ prisma, contractService, refreshTtlMs = 7 * 24 * 60 * 60 * 1000, cacheTtlMs = 5000 }) {
+    this.prisma = prisma;
+    this.contractService = contractService;
+    this.refreshTtlMs = refreshTtlMs;
+
+    // sessionId => { active, checkedAt }
+    this.statusCache = new Map();
+    this.cacheTtlMs = cacheTtlMs;
+    this.CACHE_SIZE = 10000;
+  }
+
+  /**
+   * Open a session after a successful login
+   * @param {Object} user - { address, role, userId }
+   * @returns {Object} { sessionId, accessToken, refreshToken, refreshExpiresAt }
+   */
+  async createSession({ address, role, userId }) {
+    const expiresAt = new Date(Date.now() + this.refreshTtlMs);
+    const session = await this.prisma.authSession.create({
+      data: {
+        address: ethers.getAddress(address),
+        role,
+        userId,
+        expiresAt
+      }
+    });
+
+    const refreshToken = await this._issueRefreshToken(this.prisma, session);
+
+    return {
+      sessionId: session.id,
+      accessToken: this._accessToken(session),
+      refreshToken,
+      refreshExpiresAt: session.expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair
+   * @param {string} refreshToken - Opaque refresh token
+   * @returns {Object} { sessionId, accessToken, refreshToken, refreshExpiresAt, role }
+   */
+  async refresh(refreshToken) {
+    const now = new Date();
+    const stored = await this.prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: { session: true }
+    });
+
+    if (!stored) {
+      throw new SessionError('INVALID_REFRESH_TOKEN', 'Unknown refresh token');
+    }
+
+    const { session } = stored;
+    if (session.revokedAt) {
+      throw new SessionError('SESSION_REVOKED', 'Session has been revoked');
+    }
+    if (stored.usedAt) {
+      // A rotated token came back: assume it was stolen and kill the session
+      await this.revokeSession(session.id, 'REFRESH_TOKEN_REUSED');
+      logger.warn({ sessionId: session.id, address: session.address }, 'Refresh token reuse detected');
+      throw new SessionError('REFRESH_TOKEN_REUSED', 'Refresh token was already used; session revoked');
+    }
+    if (stored.expiresAt <= now || session.expiresAt <= now) {
+      throw new SessionError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+    }
+
+    // Re-read the role so on-chain demotions apply at the next refresh
+    const identity = await this.contractService.getIdentity(session.address);
+
+    const { updated, nextToken } = await this.prisma.$transaction(async (tx) => {
+      const claimed = await tx.refreshToken.updateMany({
+        where: { id: stored.id, usedAt: null },
+        data: { usedAt: now }
+      });
+      if (claimed.count !== 1) {
+        throw new SessionError('REFRESH_TOKEN_REUSED', 'Refresh token was already used');
+      }
+
+      const updated = await tx.authSession.update({
+        where: { id: session.id },
+        data: { role: identity.role, userId: identity.userId }
+      });
+      const nextToken = await this._issueRefreshToken(tx, updated);
+      return { updated, nextToken };
+    });
+
+    return {
+      sessionId: updated.id,
+      accessToken: this._accessToken(updated),
+      refreshToken: nextToken,
+      refreshExpiresAt: updated.expiresAt.toISOString(),
+      role: updated.role
+    };
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout)
+   * @returns {boolean} Whether a session was found
+   */
+  async revokeByRefreshToken(refreshToken, reason = 'LOGOUT') {
+    const stored = await this.prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) }
+    });
+    if (!stored) return false;
+
+    await this.revokeSession(stored.sessionId, reason);
+    return true;
+  }
+
+  async revokeSession(sessionId, reason) {
+    await this.prisma.authSession.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+    this.statusCache.set(sessionId, { active: false, checkedAt: Date.now() });
+  }
+
+  /**
+   * Revoke every open session for an address (e.g. caregiver access revoked)
+   * @returns {number} Sessions revoked
+   */
+  async revokeAllForAddress(address, reason) {
+    const normalized = ethers.getAddress(address);
+    const open = await this.prisma.authSession.findMany({
+      where: { address: normalized, revokedAt: null },
+      select: { id: true }
+    });
+
+    const result = await this.prisma.authSession.updateMany({
+      where: { address: normalized, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    const checkedAt = Date.now();
+    for (const { id } of open) {
+      this.statusCache.set(id, { active: false, checkedAt });
+    }
+
+    logger.info({ address: normalized, reason, count: result.count }, 'Sessions revoked');
+    return result.count;
+  }
+
+  /**
+   * Revocation check for authenticateJWT
+   * @param {string} sessionId - `sid` claim of the access token
+   * @returns {boolean} Session exists, is unexpired and not revoked
+   */
+  async isActive(sessionId) {
+    const cached = this.statusCache.get(sessionId);
+    if (cached && Date.now() - cached.checkedAt < this.cacheTtlMs) {
+      return cached.active;
+    }
+
+    const session = await this.prisma.authSession.findUnique({
+      where: { id: sessionId },
+      select: { revokedAt: true, expiresAt: true }
+    });
+    const active = Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+
+    this._pruneCache();
+    this.statusCache.set(sessionId, { active, checkedAt: Date.now() });
+    return active;
+  }
+
+  // ============ Helpers ============
+
+  _accessToken(session) {
+    return generateToken({
+      address: session.address,
+      role: session.role,
+      userId: session.userId,
+      sid: session.id
+    });
+  }
+
+  async _issueRefreshToken(client, session) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await client.refreshToken.create({
+      data: {
+        sessionId: session.id,
+        tokenHash: hashToken(token),
+        expiresAt: session.expiresAt
+      }
+    });
+    return token;
+  }
+
+  _pruneCache() {
+    if (this.statusCache.size < this.CACHE_SIZE) return;
+
+    const now = Date.now();
+    for (const [id, entry] of this.statusCache.entries()) {
+      if (now - entry.checkedAt >= this.cacheTtlMs) {
+        this.statusCache.delete(id);
+      }
+    }
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,233 @@
+/**
+ * TerraCare Ledger v2.0 - Signer Providers
+ *
+ * Where the backend's signing keys come from. Each key is configured under an env prefix
+ * (BACKEND, AI_SIGNER, and BACKEND_NEXT / AI_SIGNER_NEXT for rotation); <PREFIX>_KEY_SOURCE picks
+ * the adapter, or it is inferred from which settings are present:
+ * - key: raw private key in <PREFIX>_PRIVATE_KEY (development)
+ * - keystore: encrypted JSON keystore file <PREFIX>_KEYSTORE, unlocked with <PREFIX>_KEYSTORE_PASSWORD
+ *   or the contents of <PREFIX>_KEYSTORE_PASSWORD_FILE
+ * - remote: key held by a remote signer / HSM gateway (<PREFIX>_REMOTE_SIGNER_URL, <PREFIX>_REMOTE_KEY_ID,
+ *   optional <PREFIX>_REMOTE_SIGNER_TOKEN); only digests leave the process.
+ *   <PREFIX>_REMOTE_SIGNER_URL=stub signs in-process with <PREFIX>_PRIVATE_KEY, to run the remote path locally
+ *
+ * Every adapter resolves to an ethers Signer that is not connected to a provider.
+ */
+
+import fs from 'fs/promises';
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+
+export const KEY_SOURCES = ['key', 'keystore', 'remote'];
+
+const SECP256K1_N = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+// ============ Remote signing ============
+
+/**
+ * Remote signer / HSM gateway protocol:
+ * - GET  {url}/keys/{keyId}       -> { address }
+ * - POST {url}/keys/{keyId}/sign  { digest } -> { signature } (r || s, with or without the v byte)
+ */
+export class HttpRemoteSignerClient {
+  /**
+   * @param {Object} options - { url, token, timeoutMs }
+   */
+  constructor({ url, token, timeoutMs = Number(process.env.REMOTE_SIGNER_TIMEOUT_MS || 5000) }) {
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async getAddress(keyId) {
+    const { address } = await this._request('GET', `/keys/${encodeURIComponent(keyId)}`);
+    return address;
+  }
+
+  async signDigest(keyId, digest) {
+    const { signature } = await this._request('POST', `/keys/${encodeURIComponent(keyId)}/sign`, { digest });
+    return signature;
+  }
+
+  async _request(method, path, body) {
+    const response = await fetch(this.url + path, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(this.token ? { authorization: `Bearer ${this.token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Remote signer returned ${response.status}${result.error ? `: ${result.error}` : ''}`);
+    }
+    return result;
+  }
+}
+
+/**
+ * In-process stand-in for a remote signer; like an HSM it returns r || s without the v byte
+ */
+export class StubRemoteSignerClient {
+  constructor(privateKey) {
+    this.signingKey = new ethers.SigningKey(privateKey);
+    this.address = ethers.computeAddress(this.signingKey.publicKey);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signDigest(keyId, digest) {
+    const { r, s } = this.signingKey.sign(digest);
+    return ethers.concat([r, s]);
+  }
+}
+
+/**
+ * ethers Signer whose key lives behind a remote signer client; hashing happens locally
+ */
+export class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {Object} client - { getAddress(keyId), signDigest(keyId, digest) }
+   * @param {string} keyId - Key identifier at the remote signer
+   * @param {string} address - Address of that key (see RemoteSigner.create)
+   */
+  constructor(client, keyId, address, provider = null) {
+    super(provider);
+    this.client = client;
+    this.keyId = keyId;
+    this.address = ethers.getAddress(address);
+  }
+
+  /**
+   * Look up the key's address at the remote signer
+   */
+  static async create(client, keyId) {
+    return new RemoteSigner(client, keyId, await client.getAddress(keyId));
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.client, this.keyId, this.address, provider);
+  }
+
+  async signTransaction(tx) {
+    tx = ethers.copyRequest(tx);
+    const { to, from } = await ethers.resolveProperties({
+      to: tx.to ? ethers.resolveAddress(tx.to, this.provider) : undefined,
+      from: tx.from ? ethers.resolveAddress(tx.from, this.provider) : undefined
+    });
+    if (to != null) tx.to = to;
+    if (from != null) {
+      if (ethers.getAddress(from) !== this.address) {
+        throw new Error('Transaction from address does not match the remote signer');
+      }
+      delete tx.from;
+    }
+
+    const unsigned = ethers.Transaction.from(tx);
+    unsigned.signature = await this._signDigest(unsigned.unsignedHash);
+    return unsigned.serialized;
+  }
+
+  async signMessage(message) {
+    return (await this._signDigest(ethers.hashMessage(message))).serialized;
+  }
+
+  async signTypedData(domain, types, value) {
+    return (await this._signDigest(ethers.TypedDataEncoder.hash(domain, types, value))).serialized;
+  }
+
+  /**
+   * Remote signature as a canonical (low-s) Ethereum signature with the recovery byte for this key
+   */
+  async _signDigest(digest) {
+    const bytes = ethers.getBytes(await this.client.signDigest(this.keyId, digest));
+    if (bytes.length !== 64 && bytes.length !== 65) {
+      throw new Error(`Remote signer returned a ${bytes.length}-byte signature`);
+    }
+
+    const r = ethers.hexlify(bytes.slice(0, 32));
+    let s = BigInt(ethers.hexlify(bytes.slice(32, 64)));
+    if (s > SECP256K1_N / 2n) s = SECP256K1_N - s; // HSMs do not enforce low-s (EIP-2)
+
+    for (const yParity of [0, 1]) {
+      const signature = ethers.Signature.from({ r, s: ethers.toBeHex(s, 32), yParity });
+      if (ethers.recoverAddress(digest, signature) === this.address) return signature;
+    }
+    throw new Error('Remote signature does not match the configured key');
+  }
+}
+
+// ============ Loading ============
+
+/**
+ * Key source configured under a prefix, or null when no key is configured
+ */
+export function getKeySource(prefix, env = process.env) {
+  const explicit = env[`${prefix}_KEY_SOURCE`];
+  if (explicit) {
+    if (!KEY_SOURCES.includes(explicit)) {
+      throw new Error(`${prefix}_KEY_SOURCE must be one of ${KEY_SOURCES.join(', ')}`);
+    }
+    return explicit;
+  }
+
+  if (env[`${prefix}_KEYSTORE`]) return 'keystore';
+  if (env[`${prefix}_REMOTE_SIGNER_URL`]) return 'remote';
+  if (env[`${prefix}_PRIVATE_KEY`]) return 'key';
+  return null;
+}
+
+/**
+ * Load the signer configured under a prefix
+ * @param {string} prefix - e.g. BACKEND, AI_SIGNER, AI_SIGNER_NEXT
+ * @returns {Object|null} { signer, source, address }, or null when no key is configured
+ * @throws {Error} When the key is configured but cannot be loaded (missing password, unreachable signer, ...)
+ */
+export async function loadSigner(prefix, env = process.env) {
+  const source = getKeySource(prefix, env);
+  if (!source) return null;
+
+  const setting = (name) => {
+    const value = env[`${prefix}_${name}`];
+    if (!value) throw new Error(`${prefix}_${name} is required for ${prefix}_KEY_SOURCE=${source}`);
+    return value;
+  };
+
+  let signer;
+  switch (source) {
+    case 'key':
+      signer = new ethers.Wallet(setting('PRIVATE_KEY'));
+      break;
+
+    case 'keystore': {
+      const json = await fs.readFile(setting('KEYSTORE'), 'utf8');
+      const password = env[`${prefix}_KEYSTORE_PASSWORD_FILE`]
+        ? (await fs.readFile(env[`${prefix}_KEYSTORE_PASSWORD_FILE`], 'utf8')).trim()
+        : setting('KEYSTORE_PASSWORD');
+      const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+      signer = new ethers.Wallet(wallet.privateKey);
+      break;
+    }
+
+    case 'remote': {
+      const url = setting('REMOTE_SIGNER_URL');
+      const client = url === 'stub'
+        ? new StubRemoteSignerClient(setting('PRIVATE_KEY'))
+        : new HttpRemoteSignerClient({ url, token: env[`${prefix}_REMOTE_SIGNER_TOKEN`] });
+      signer = await RemoteSigner.create(client, url === 'stub' ? 'stub' : setting('REMOTE_KEY_ID'));
+      break;
+    }
+  }
+
+  logger.info({ prefix, source, address: signer.address }, 'Signer loaded');
+  return { signer, source, address: signer.address };
+}
@@ -0,0 +1,279 @@
+/**
+ * TerraCare Ledger v2.0 - Signer Rotation Service
+ *
+ * Replaces a backend signing key without downtime:
+ * - rotate: load the next key (<PREFIX>_NEXT_*, see signerProvider.js), grant it the current key's
+ *   ActivityRegistry roles, wait for the grants to be mined, then switch to it. The current key keeps
+ *   its roles, so transactions and proofs it already signed stay valid
+ * - retire: revoke the old key's roles once its queued transactions are mined and
+ *   SIGNER_RETIRE_GRACE_SECONDS have passed (proofs it signed may still be waiting in a batch)
+ *
+ * Signers:
+ * - backend (BACKEND_*): ORACLE_ROLE, plus DEFAULT_ADMIN_ROLE if the current key holds it
+ * - ai (AI_SIGNER_*): VALIDATOR_ROLE
+ *
+ * Role changes are sent by the backend signer, which needs DEFAULT_ADMIN_ROLE on ActivityRegistry.
+ * With several instances, rotate each of them (grants already mined are skipped), then retire once.
+ */
+
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import { MultiChainConfig } from '../multiChainConfig.js';
+import { getKeySource, loadSigner } from './signerProvider.js';
+
+export const SIGNERS = {
+  backend: { prefix: 'BACKEND', roles: ['ORACLE_ROLE'], optionalRoles: ['DEFAULT_ADMIN_ROLE'] },
+  ai: { prefix: 'AI_SIGNER', roles: ['VALIDATOR_ROLE'], optionalRoles: [] }
+};
+
+export class SignerRotationError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SignerRotationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const SIGNER_ROTATION_ERROR_STATUS = {
+  UNKNOWN_SIGNER: 404,
+  NO_NEXT_SIGNER: 409,
+  NEXT_SIGNER_UNAVAILABLE: 503,
+  ALREADY_ACTIVE: 409,
+  ROTATION_IN_PROGRESS: 409,
+  NO_BACKEND_SIGNER: 503,
+  REGISTRY_UNAVAILABLE: 503,
+  ROLE_UPDATE_FAILED: 502,
+  ROLE_UPDATE_PENDING: 504,
+  SIGNER_ACTIVE: 409,
+  RETIRE_TOO_EARLY: 409,
+  SIGNER_BUSY: 409
+};
+
+class SignerRotationService {
+  /**
+   * @param {Object} options - { contractService, aiSigner, sources, retireGraceSeconds }
+   *   sources: key source of each current signer ({ backend, ai }), for status
+   */
+  constructor({
+    contractService,
+    aiSigner,
+    sources = { backend: getKeySource('BACKEND'), ai: getKeySource('AI_SIGNER') },
+    retireGraceSeconds = Number(process.env.SIGNER_RETIRE_GRACE_SECONDS || 600)
+  } = {}) {
+    if (!contractService || !aiSigner) {
+      throw new Error('SignerRotationService requires a ContractService and an AISignerService');
+    }
+
+    this.contractService = contractService;
+    this.aiSigner = aiSigner;
+    this.sources = { ...sources };
+    this.retireGraceSeconds = retireGraceSeconds;
+
+    this.rotating = new Set();
+    this.retiring = new Map(); // `${name}:${address}` -> { name, address, rotatedAt, txManager }
+  }
+
+  _config(name) {
+    const config = SIGNERS[name];
+    if (!config) {
+      throw new SignerRotationError('UNKNOWN_SIGNER', `Unknown signer: ${name}`);
+    }
+    return config;
+  }
+
+  _current(name) {
+    return name === 'backend' ? this.contractService.backendWallet : this.aiSigner.wallet;
+  }
+
+  _requireRoleAdmin() {
+    if (!this.contractService.contracts.ActivityRegistry) {
+      throw new SignerRotationError('REGISTRY_UNAVAILABLE', 'ActivityRegistry is not configured');
+    }
+    if (!this.contractService.txManager) {
+      throw new SignerRotationError('NO_BACKEND_SIGNER', 'Role changes need a backend signer');
+    }
+  }
+
+  async _heldRoles(config, address) {
+    const roles = [...config.roles, ...config.optionalRoles];
+    const held = await Promise.all(roles.map(role => this.contractService.hasActivityRegistryRole(role, address)));
+    return roles.filter((role, i) => held[i]);
+  }
+
+  // Queue a grant/revoke with the current backend signer and wait for it to be mined
+  async _changeRole(action, role, address, reference) {
+    const txManager = this.contractService.txManager;
+    const submitted = action === 'grant'
+      ? await this.contractService.grantActivityRegistryRole(role, address, reference)
+      : await this.contractService.revokeActivityRegistryRole(role, address, reference);
+    const job = await txManager.wait(submitted.jobId);
+
+    if (job.status === 'FAILED') {
+      throw new SignerRotationError('ROLE_UPDATE_FAILED', `Could not ${action} ${role}`, {
+        jobId: job.jobId,
+        reason: job.error
+      });
+    }
+    if (job.status !== 'CONFIRMED') {
+      throw new SignerRotationError('ROLE_UPDATE_PENDING', `${role} ${action} is not mined yet; retry to continue`, {
+        jobId: job.jobId
+      });
+    }
+    return job;
+  }
+
+  /**
+   * Switch a signer to its <PREFIX>_NEXT key after granting that key the current one's roles
+   * @param {string} name - backend | ai
+   * @returns {Object} { name, address, previousAddress, source, granted, retireAfter }
+   * @throws {SignerRotationError}
+   */
+  async rotate(name) {
+    const config = this._config(name);
+    if (this.rotating.has(name)) {
+      throw new SignerRotationError('ROTATION_IN_PROGRESS', `A ${name} signer rotation is already running`);
+    }
+
+    this.rotating.add(name);
+    try {
+      let next;
+      try {
+        next = await loadSigner(`${config.prefix}_NEXT`);
+      } catch (error) {
+        throw new SignerRotationError('NEXT_SIGNER_UNAVAILABLE', `Could not load ${config.prefix}_NEXT: ${error.message}`);
+      }
+      if (!next) {
+        throw new SignerRotationError('NO_NEXT_SIGNER', `No ${config.prefix}_NEXT key is configured`);
+      }
+
+      const current = this._current(name);
+      if (current && current.address === next.address) {
+        throw new SignerRotationError('ALREADY_ACTIVE', `${next.address} is already the ${name} signer`);
+      }
+      this._requireRoleAdmin();
+
+      // Required roles always; optional ones (DEFAULT_ADMIN_ROLE) only if the current key holds them
+      const held = current ? await this._heldRoles(config, current.address) : [];
+      const roles = [...config.roles, ...config.optionalRoles.filter(role => held.includes(role))];
+
+      const reference = `rotate:${name}:${Date.now()}`;
+      const granted = [];
+      for (const role of roles) {
+        if (await this.contractService.hasActivityRegistryRole(role, next.address)) continue;
+        await this._changeRole('grant', role, next.address, reference);
+        granted.push(role);
+      }
+
+      const rotatedAt = Date.now();
+      let previousTxManager = null;
+      if (name === 'backend') {
+        const previous = this.contractService.setBackendSigner(next.signer);
+        previousTxManager = previous.txManager;
+
+        // Core identity/access/record/audit writes share the backend signer unless configured separately
+        const terracare = MultiChainConfig.chains.find(chain => chain.id === 'terracare');
+        if (terracare?.signer && terracare.signer.address === current?.address) {
+          MultiChainConfig.setSigner('terracare', next.signer);
+        }
+      } else {
+        this.aiSigner.setSigner(next.signer);
+      }
+      this.sources[name] = next.source;
+
+      if (current) {
+        this.retiring.set(`${name}:${current.address}`, {
+          name,
+          address: current.address,
+          rotatedAt,
+          txManager: previousTxManager
+        });
+      }
+
+      logger.info({ name, from: current?.address, to: next.address, granted }, 'Signer rotated');
+      return {
+        name,
+        address: next.address,
+        previousAddress: current?.address || null,
+        source: next.source,
+        granted,
+        retireAfter: current ? new Date(rotatedAt + this.retireGraceSeconds * 1000).toISOString() : null
+      };
+    } finally {
+      this.rotating.delete(name);
+    }
+  }
+
+  /**
+   * Revoke a replaced key's ActivityRegistry roles
+   * @param {string} name - backend | ai
+   * @param {string} address - The replaced key's address
+   * @returns {Object} { name, address, revoked }
+   * @throws {SignerRotationError}
+   */
+  async retire(name, address) {
+    const config = this._config(name);
+    address = ethers.getAddress(address);
+
+    if (this._current(name)?.address === address) {
+      throw new SignerRotationError('SIGNER_ACTIVE', `${address} is still the active ${name} signer`);
+    }
+
+    // Only known for keys this instance rotated away from
+    const rotation = this.retiring.get(`${name}:${address}`);
+    if (rotation) {
+      const retireAfter = rotation.rotatedAt + this.retireGraceSeconds * 1000;
+      if (Date.now() < retireAfter) {
+        throw new SignerRotationError('RETIRE_TOO_EARLY', 'Proofs or transactions from this key may still be pending', {
+          retireAfter: new Date(retireAfter).toISOString()
+        });
+      }
+      if (rotation.txManager) {
+        const { queued, submitted } = await rotation.txManager.healthCheck();
+        if (queued + submitted > 0) {
+          throw new SignerRotationError('SIGNER_BUSY', 'The old key still has transactions to send', { queued, submitted });
+        }
+      }
+    }
+
+    this._requireRoleAdmin();
+
+    const reference = `retire:${name}:${Date.now()}`;
+    const revoked = [];
+    for (const role of await this._heldRoles(config, address)) {
+      await this._changeRole('revoke', role, address, reference);
+      revoked.push(role);
+    }
+
+    this.retiring.delete(`${name}:${address}`);
+    logger.info({ name, address, revoked }, 'Signer retired');
+    return { name, address, revoked };
+  }
+
+  /**
+   * Current signers, their ActivityRegistry roles, configured next keys and keys awaiting retirement
+   */
+  async status() {
+    const registry = Boolean(this.contractService.contracts.ActivityRegistry);
+
+    return await Promise.all(Object.entries(SIGNERS).map(async ([name, config]) => {
+      const signer = this._current(name);
+      return {
+        name,
+        address: signer?.address || null,
+        source: this.sources[name] || null,
+        roles: signer && registry ? await this._heldRoles(config, signer.address) : null,
+        next: getKeySource(`${config.prefix}_NEXT`),
+        retiring: [...this.retiring.values()]
+          .filter(rotation => rotation.name === name)
+          .map(rotation => ({
+            address: rotation.address,
+            rotatedAt: new Date(rotation.rotatedAt).toISOString(),
+            retireAfter: new Date(rotation.rotatedAt + this.retireGraceSeconds * 1000).toISOString()
+          }))
+      };
+    }));
+  }
+}
+
+export default SignerRotationService;
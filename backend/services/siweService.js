@@ -0,0 +1,197 @@
+/**
+ * TerraCare Ledger v2.0 - Sign-In with Ethereum Service
+ *
+ * EIP-4361 login:
+ * - Issues single-use nonces stored in the database
+ * - Parses and verifies signed SIWE messages (domain, chain ID, nonce, validity window, signature)
+ * - Resolves the caller's role from IdentityRegistry rather than trusting the client
+ */
+
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const REQUIRED_FIELDS = ['URI', 'Version', 'Chain ID', 'Nonce', 'Issued At'];
+
+// Allowed clock drift between wallet and server
+const CLOCK_SKEW_MS = 60 * 1000;
+
+export class SiweError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SiweError';
+    this.code = code;
+  }
+}
+
+class SiweService {
+  /**
+   * @param {Object} options - { prisma, contractService, domain, chainId, nonceTtlMs }
+   */
+  constructor({ prisma, contractService, domain, chainId, nonceTtlMs = 10 * 60 * 1000 }) {
+    this.prisma = prisma;
+    this.contractService = contractService;
+    this.domain = domain;
+    this.chainId = Number(chainId);
+    this.nonceTtlMs = nonceTtlMs;
+  }
+
+  /**
+   * Issue a fresh single-use nonce
+   * @returns {Object} { nonce, expiresAt, domain, chainId }
+   */
+  async createNonce() {
+    const now = new Date();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(now.getTime() + this.nonceTtlMs);
+
+    // Opportunistic cleanup of stale nonces
+    await this.prisma.authNonce.deleteMany({ where: { expiresAt: { lt: now } } });
+    await this.prisma.authNonce.create({ data: { nonce, expiresAt } });
+
+    return {
+      nonce,
+      expiresAt: expiresAt.toISOString(),
+      domain: this.domain,
+      chainId: this.chainId
+    };
+  }
+
+  /**
+   * Parse an EIP-4361 message
+   * @param {string} message - Plain-text SIWE message
+   * @returns {Object} Parsed fields
+   */
+  parseMessage(message) {
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+
+    if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+      throw new SiweError('INVALID_MESSAGE', 'Missing SIWE header');
+    }
+    const origin = lines[0].slice(0, -HEADER_SUFFIX.length);
+    const schemeMatch = origin.match(/^([a-zA-Z][a-zA-Z0-9+\-.]*):\/\/(.+)$/);
+    const scheme = schemeMatch ? schemeMatch[1] : null;
+    const domain = schemeMatch ? schemeMatch[2] : origin;
+
+    const address = lines[1];
+    if (!address || !ethers.isAddress(address) || ethers.getAddress(address) !== address) {
+      throw new SiweError('INVALID_MESSAGE', 'Address must be EIP-55 checksummed');
+    }
+
+    const uriIndex = lines.findIndex(line => line.startsWith('URI: '));
+    if (uriIndex < 4 || lines[2] !== '' || lines[uriIndex - 1] !== '') {
+      throw new SiweError('INVALID_MESSAGE', 'Malformed SIWE message body');
+    }
+    const statement = lines.slice(3, uriIndex - 1).join('\n') || null;
+
+    const fields = {};
+    let resources = [];
+    for (let i = uriIndex; i < lines.length; i++) {
+      const line = lines[i];
+      if (line === 'Resources:') {
+        resources = lines.slice(i + 1).filter(Boolean).map(r => r.replace(/^- /, ''));
+        break;
+      }
+      const match = line.match(/^([A-Za-z ]+): (.+)$/);
+      if (!match) {
+        throw new SiweError('INVALID_MESSAGE', `Unexpected line: ${line}`);
+      }
+      fields[match[1]] = match[2];
+    }
+
+    const missing = REQUIRED_FIELDS.filter(field => !fields[field]);
+    if (missing.length > 0) {
+      throw new SiweError('INVALID_MESSAGE', `Missing fields: ${missing.join(', ')}`);
+    }
+
+    return {
+      scheme,
+      domain,
+      address,
+      statement,
+      uri: fields['URI'],
+      version: fields['Version'],
+      chainId: Number(fields['Chain ID']),
+      nonce: fields['Nonce'],
+      issuedAt: fields['Issued At'],
+      expirationTime: fields['Expiration Time'] || null,
+      notBefore: fields['Not Before'] || null,
+      requestId: fields['Request ID'] || null,
+      resources
+    };
+  }
+
+  /**
+   * Verify a signed SIWE message and consume its nonce
+   * @param {string} message - Plain-text SIWE message
+   * @param {string} signature - personal_sign signature over the message
+   * @returns {Object} { address, role, userId, fields }
+   */
+  async verify(message, signature) {
+    const fields = this.parseMessage(message);
+    const now = Date.now();
+
+    if (fields.version !== '1') {
+      throw new SiweError('INVALID_MESSAGE', `Unsupported SIWE version ${fields.version}`);
+    }
+    if (fields.domain !== this.domain) {
+      throw new SiweError('DOMAIN_MISMATCH', `Message domain ${fields.domain} does not match ${this.domain}`);
+    }
+    if (fields.chainId !== this.chainId) {
+      throw new SiweError('CHAIN_MISMATCH', `Message chain ID ${fields.chainId} does not match ${this.chainId}`);
+    }
+
+    const issuedAt = Date.parse(fields.issuedAt);
+    if (Number.isNaN(issuedAt) || issuedAt - CLOCK_SKEW_MS > now) {
+      throw new SiweError('INVALID_MESSAGE', 'Invalid Issued At');
+    }
+    if (fields.expirationTime) {
+      const expiresAt = Date.parse(fields.expirationTime);
+      if (Number.isNaN(expiresAt) || expiresAt <= now) {
+        throw new SiweError('MESSAGE_EXPIRED', 'SIWE message has expired');
+      }
+    }
+    if (fields.notBefore) {
+      const notBefore = Date.parse(fields.notBefore);
+      if (Number.isNaN(notBefore) || notBefore - CLOCK_SKEW_MS > now) {
+        throw new SiweError('MESSAGE_NOT_YET_VALID', 'SIWE message is not yet valid');
+      }
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw new SiweError('INVALID_SIGNATURE', 'Signature could not be recovered');
+    }
+    if (recovered !== fields.address) {
+      throw new SiweError('INVALID_SIGNATURE', 'Signature does not match message address');
+    }
+
+    // Consume the nonce atomically so a message can only be used once
+    const consumed = await this.prisma.authNonce.updateMany({
+      where: { nonce: fields.nonce, usedAt: null, expiresAt: { gt: new Date(now) } },
+      data: { usedAt: new Date(now) }
+    });
+    if (consumed.count !== 1) {
+      throw new SiweError('INVALID_NONCE', 'Nonce is unknown, expired or already used');
+    }
+
+    const identity = await this.contractService.getIdentity(fields.address);
+
+    logger.info({
+      address: fields.address,
+      role: identity.role
+    }, 'SIWE login verified');
+
+    return {
+      address: fields.address,
+      role: identity.role,
+      userId: identity.userId,
+      fields
+    };
+  }
+}
+
+export default SiweService;
@@ -0,0 +1,99 @@
+/**
+ * TerraCare Ledger v2.0 - Submission Guard Service
+ *
+ * Replay protection for device-signed activity submissions:
+ * - Rejects readings outside the freshness window (SUBMISSION_MAX_AGE_SECONDS, plus clock skew)
+ * - Records each accepted activity ID in the database; a second claim inside the window is a replay
+ * - Seen entries are kept for the freshness window; older resubmissions are already stale, since the
+ *   device signature covers the timestamp
+ */
+
+import logger from '../logger.js';
+import defaultPrisma from '../db.js';
+
+// Allowed clock drift between device and server
+const CLOCK_SKEW_SECONDS = 60;
+
+// Expired entries are purged at most this often
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+export class SubmissionGuardError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SubmissionGuardError';
+    this.code = code;
+  }
+}
+
+export const SUBMISSION_ERROR_STATUS = {
+  STALE_SUBMISSION: 400,
+  FUTURE_SUBMISSION: 400,
+  REPLAYED_SUBMISSION: 409
+};
+
+class SubmissionGuardService {
+  /**
+   * @param {Object} options - { prisma, maxAgeSeconds }
+   */
+  constructor({
+    prisma = defaultPrisma,
+    maxAgeSeconds = Number(process.env.SUBMISSION_MAX_AGE_SECONDS || 3600)
+  } = {}) {
+    this.prisma = prisma;
+    this.maxAgeSeconds = maxAgeSeconds;
+    this.lastCleanup = 0;
+  }
+
+  /**
+   * Claim an activity ID for a submission; each ID can be claimed once
+   * @param {Object} submission - { activityId, deviceId, userId, timestamp } (timestamp in seconds)
+   * @throws {SubmissionGuardError} STALE_SUBMISSION, FUTURE_SUBMISSION or REPLAYED_SUBMISSION
+   */
+  async claim({ activityId, deviceId, userId, timestamp }) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (timestamp < now - this.maxAgeSeconds) {
+      throw new SubmissionGuardError('STALE_SUBMISSION', `Reading is older than ${this.maxAgeSeconds} seconds`);
+    }
+    if (timestamp > now + CLOCK_SKEW_SECONDS) {
+      throw new SubmissionGuardError('FUTURE_SUBMISSION', 'Reading timestamp is in the future');
+    }
+
+    await this._cleanup();
+
+    try {
+      await this.prisma.seenSubmission.create({
+        data: {
+          activityId,
+          deviceId,
+          userId,
+          expiresAt: new Date((now + this.maxAgeSeconds + CLOCK_SKEW_SECONDS) * 1000)
+        }
+      });
+    } catch (error) {
+      // Unique constraint on activityId
+      if (error.code === 'P2002') {
+        logger.warn({ activityId, deviceId, userId }, 'Replayed submission rejected');
+        throw new SubmissionGuardError('REPLAYED_SUBMISSION', 'This reading has already been submitted');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Release a claim after a failure the device should be able to retry
+   */
+  async release(activityId) {
+    await this.prisma.seenSubmission.deleteMany({ where: { activityId } });
+  }
+
+  // Opportunistic cleanup of expired entries
+  async _cleanup() {
+    if (Date.now() - this.lastCleanup < CLEANUP_INTERVAL_MS) return;
+    this.lastCleanup = Date.now();
+
+    await this.prisma.seenSubmission.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+  }
+}
+
+export default SubmissionGuardService;
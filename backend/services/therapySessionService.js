@@ -0,0 +1,151 @@
+/**
+ * TerraCare Ledger v2.0 - Therapy Session Service
+ *
+ * Plausibility checks for caregiver-reported therapy completions:
+ * - Duration between 1 and THERAPY_MAX_SESSION_MINUTES
+ * - Completion date not in the future and not older than THERAPY_MAX_AGE_SECONDS
+ * - A caregiver's sessions ([completionDate - duration, completionDate]) must not overlap
+ *
+ * Accepted sessions are stored as TherapySession rows, which is what the overlap check reads.
+ */
+
+import logger from '../logger.js';
+import defaultPrisma from '../db.js';
+
+// Allowed clock drift between caregiver device and server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+export class TherapySessionError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TherapySessionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const THERAPY_SESSION_ERROR_STATUS = {
+  INVALID_DURATION: 400,
+  FUTURE_COMPLETION_DATE: 400,
+  STALE_COMPLETION_DATE: 400,
+  DUPLICATE_SESSION: 409,
+  OVERLAPPING_SESSION: 409
+};
+
+class TherapySessionService {
+  /**
+   * @param {Object} options - { prisma, maxSessionMinutes, maxAgeSeconds }
+   */
+  constructor({
+    prisma = defaultPrisma,
+    maxSessionMinutes = Number(process.env.THERAPY_MAX_SESSION_MINUTES || 240),
+    maxAgeSeconds = Number(process.env.THERAPY_MAX_AGE_SECONDS || 7 * 24 * 60 * 60)
+  } = {}) {
+    this.prisma = prisma;
+    this.maxSessionMinutes = maxSessionMinutes;
+    this.maxAgeSeconds = maxAgeSeconds;
+  }
+
+  /**
+   * Reject implausible durations and completion dates
+   * @param {Object} session - { duration (minutes), completedAt (Date) }
+   * @throws {TherapySessionError} INVALID_DURATION, FUTURE_COMPLETION_DATE or STALE_COMPLETION_DATE
+   */
+  assertPlausible({ duration, completedAt }) {
+    if (duration < 1 || duration > this.maxSessionMinutes) {
+      throw new TherapySessionError(
+        'INVALID_DURATION',
+        `Session duration must be between 1 and ${this.maxSessionMinutes} minutes`
+      );
+    }
+
+    const now = Date.now();
+    if (completedAt.getTime() > now + CLOCK_SKEW_MS) {
+      throw new TherapySessionError('FUTURE_COMPLETION_DATE', 'Completion date is in the future');
+    }
+    if (completedAt.getTime() < now - this.maxAgeSeconds * 1000) {
+      throw new TherapySessionError(
+        'STALE_COMPLETION_DATE',
+        `Completion date is older than ${this.maxAgeSeconds} seconds`
+      );
+    }
+  }
+
+  /**
+   * Record a session for its caregiver; fails if it duplicates or overlaps one already recorded
+   * @param {Object} session - { activityId, caregiverAddress, patientUserId, therapyType, duration, completedAt, valueScore }
+   * @throws {TherapySessionError} DUPLICATE_SESSION or OVERLAPPING_SESSION
+   */
+  async claim({ activityId, caregiverAddress, patientUserId, therapyType, duration, completedAt, valueScore }) {
+    const caregiver = caregiverAddress.toLowerCase();
+    const startedAt = new Date(completedAt.getTime() - duration * 60 * 1000);
+
+    const overlapping = await this.prisma.therapySession.findFirst({
+      where: {
+        caregiverAddress: caregiver,
+        startedAt: { lt: completedAt },
+        completedAt: { gt: startedAt }
+      }
+    });
+
+    if (overlapping?.activityId === activityId) {
+      throw new TherapySessionError('DUPLICATE_SESSION', 'This therapy session has already been recorded', {
+        activityId
+      });
+    }
+    if (overlapping) {
+      logger.warn({ activityId, caregiver, overlapping: overlapping.activityId }, 'Overlapping therapy session rejected');
+      throw new TherapySessionError('OVERLAPPING_SESSION', 'Caregiver already recorded a session in this time window', {
+        activityId: overlapping.activityId,
+        startedAt: overlapping.startedAt,
+        completedAt: overlapping.completedAt
+      });
+    }
+
+    try {
+      await this.prisma.therapySession.create({
+        data: {
+          activityId,
+          caregiverAddress: caregiver,
+          patientUserId,
+          therapyType,
+          duration,
+          startedAt,
+          completedAt,
+          valueScore
+        }
+      });
+    } catch (error) {
+      // Unique constraint on activityId
+      if (error.code === 'P2002') {
+        throw new TherapySessionError('DUPLICATE_SESSION', 'This therapy session has already been recorded', {
+          activityId
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * A recorded session, or null
+   */
+  async get(activityId) {
+    return await this.prisma.therapySession.findUnique({ where: { activityId } });
+  }
+
+  /**
+   * Link a recorded session to its transaction job
+   */
+  async attachJob(activityId, jobId) {
+    await this.prisma.therapySession.update({ where: { activityId }, data: { jobId } });
+  }
+
+  /**
+   * Drop a session that could not be queued, so the caregiver can resubmit it
+   */
+  async release(activityId) {
+    await this.prisma.therapySession.deleteMany({ where: { activityId } });
+  }
+}
+
+export default TherapySessionService;
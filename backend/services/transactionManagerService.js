@@ -0,0 +1,491 @@
+/**
+ * TerraCare Ledger v2.0 - Transaction Manager Service
+ *
+ * Outbox for backend-signed writes, one manager per chain + signer:
+ * - Persists every write as an OutboundTransaction job before it is signed
+ * - Assigns nonces locally and broadcasts one job at a time, so concurrent callers never collide
+ * - Watches submitted jobs for receipts; rebroadcasts (fixed gas price) or fee-bumps stuck ones
+ * - Requeues unsent jobs and resumes watching submitted ones after a restart
+ */
+
+import { ethers } from 'ethers';
+import logger from '../logger.js';
+import defaultPrisma from '../db.js';
+
+// Geth/Besu reject replacements that bump the price by less than 10%
+const MIN_REPLACEMENT_BUMP_PERCENT = 10n;
+const GAS_LIMIT_BUFFER_PERCENT = 20n;
+
+// Broadcast errors after which the node may still have accepted the transaction
+const TRANSIENT_ERROR_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR'];
+
+// One manager per chain + signer address; a second manager would hand out the same nonces
+const managers = new Map();
+let managersStarted = false;
+
+/**
+ * Get (or create) the transaction manager for a signer
+ * Managers created after startTransactionManagers() start immediately.
+ * @param {Object} options - { prisma, signer, chain, txOverrides }
+ * @returns {TransactionManagerService|null} null when no signer is configured
+ */
+export function getTransactionManager({ prisma, signer, chain = 'terracare', txOverrides } = {}) {
+  if (!signer) return null;
+
+  const key = `${chain}:${signer.address}`;
+  if (!managers.has(key)) {
+    const manager = new TransactionManagerService({ prisma, signer, chain, txOverrides });
+    managers.set(key, manager);
+
+    if (managersStarted) {
+      manager.start().catch(error => {
+        logger.error({ chain, error: error.message }, 'Failed to start transaction manager');
+      });
+    }
+  }
+  return managers.get(key);
+}
+
+/**
+ * Start every manager, including ones created later
+ */
+export async function startTransactionManagers() {
+  managersStarted = true;
+  await Promise.all([...managers.values()].map(manager => manager.start()));
+}
+
+export function stopTransactionManagers() {
+  managersStarted = false;
+  managers.forEach(manager => manager.stop());
+}
+
+/**
+ * Health of every manager
+ */
+export async function getTransactionManagersHealth() {
+  return await Promise.all([...managers.values()].map(manager => manager.healthCheck()));
+}
+
+/**
+ * Job status by ID, whichever manager owns it
+ * @returns {Object|null} { jobId, chain, kind, reference, status, nonce, txHash, blockNumber, attempts, error, ... }
+ */
+export async function getTransactionJob(jobId, prisma = defaultPrisma) {
+  const job = await prisma.outboundTransaction.findUnique({ where: { id: jobId } });
+  return job ? serializeJob(job) : null;
+}
+
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    chain: job.chain,
+    kind: job.kind,
+    reference: job.reference,
+    status: job.status,
+    from: job.fromAddress,
+    to: job.toAddress,
+    nonce: job.nonce,
+    txHash: job.txHash,
+    blockNumber: job.blockNumber,
+    attempts: job.attempts,
+    error: job.error,
+    createdAt: job.createdAt,
+    confirmedAt: job.confirmedAt
+  };
+}
+
+class TransactionManagerService {
+  /**
+   * @param {Object} options - { prisma, signer, chain, txOverrides }
+   *   txOverrides.gasPrice fixes the gas price (PoA chains); otherwise the node's fee data is used
+   */
+  constructor({ prisma = defaultPrisma, signer, chain = 'terracare', txOverrides = {} } = {}) {
+    if (!signer || !signer.provider) {
+      throw new Error('TransactionManagerService requires a connected signer');
+    }
+
+    this.prisma = prisma;
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.chain = chain;
+    this.address = signer.address;
+    this.txOverrides = txOverrides;
+
+    this.pollInterval = Number(process.env.TX_POLL_INTERVAL_MS || 3000);
+    this.stuckAfterMs = Number(process.env.TX_STUCK_AFTER_MS || 60000);
+    this.maxReplacements = Number(process.env.TX_MAX_REPLACEMENTS || 5);
+    this.gasBumpPercent = BigInt(process.env.TX_GAS_BUMP_PERCENT || 15);
+    this.confirmations = Number(process.env.TX_CONFIRMATIONS || 1);
+
+    // Broadcasts are chained so nonces are assigned in submission order
+    this.queue = Promise.resolve();
+    this.nextNonce = null;
+
+    // jobId => [resolve] for callers blocked in wait()
+    this.waiters = new Map();
+
+    this.running = false;
+    this.timer = null;
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+   * Requeue unsent jobs and start watching submitted ones
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    const queued = await this.prisma.outboundTransaction.findMany({
+      where: { chain: this.chain, fromAddress: this.address, status: 'QUEUED' },
+      orderBy: { createdAt: 'asc' }
+    });
+    queued.forEach(job => this._enqueue(job.id));
+
+    logger.info({ chain: this.chain, address: this.address, requeued: queued.length }, 'Transaction manager started');
+    this._schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        logger.error({ chain: this.chain, error: error.message }, 'Transaction manager sync failed');
+      } finally {
+        if (this.running) this._schedule(this.pollInterval);
+      }
+    }, delay);
+  }
+
+  // ============ Submission ============
+
+  /**
+   * Persist a write and queue it for broadcast
+   * @param {Object} tx - { to, data, value, kind, reference }
+   *   A job with the same kind + reference that has not failed is returned instead of a duplicate
+   * @returns {Object} Job status (see getStatus)
+   */
+  async submit({ to, data, value = 0n, kind, reference = null }) {
+    if (reference !== null) {
+      const existing = await this.prisma.outboundTransaction.findFirst({
+        where: { chain: this.chain, kind, reference: String(reference), status: { not: 'FAILED' } }
+      });
+      if (existing) return serializeJob(existing);
+    }
+
+    const job = await this.prisma.outboundTransaction.create({
+      data: {
+        chain: this.chain,
+        fromAddress: this.address,
+        toAddress: ethers.getAddress(to),
+        data,
+        value: value.toString(),
+        kind,
+        reference: reference === null ? null : String(reference),
+        status: 'QUEUED'
+      }
+    });
+
+    this._enqueue(job.id);
+    return serializeJob(job);
+  }
+
+  async getStatus(jobId) {
+    return await getTransactionJob(jobId, this.prisma);
+  }
+
+  /**
+   * Wait until a job is confirmed or failed
+   * @param {string} jobId - Job ID returned by submit()
+   * @param {number} timeoutMs - Give up waiting after this long; the job keeps running
+   * @returns {Object} Latest job status
+   */
+  async wait(jobId, timeoutMs = Number(process.env.TX_WAIT_TIMEOUT_MS || 30000)) {
+    // Register before reading so a job finishing in between is not missed
+    let release;
+    const finished = new Promise(resolve => { release = resolve; });
+    this.waiters.set(jobId, [...(this.waiters.get(jobId) || []), release]);
+
+    let timer;
+    try {
+      const current = await this.getStatus(jobId);
+      if (!current || current.status === 'CONFIRMED' || current.status === 'FAILED') {
+        return current;
+      }
+
+      await Promise.race([finished, new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })]);
+      return await this.getStatus(jobId);
+    } finally {
+      clearTimeout(timer);
+      const remaining = (this.waiters.get(jobId) || []).filter(waiter => waiter !== release);
+      if (remaining.length) this.waiters.set(jobId, remaining);
+      else this.waiters.delete(jobId);
+    }
+  }
+
+  _enqueue(jobId) {
+    this.queue = this.queue
+      .then(() => this._broadcast(jobId))
+      .catch(error => {
+        logger.error({ jobId, error: error.message }, 'Transaction broadcast failed');
+      });
+  }
+
+  async _broadcast(jobId) {
+    const job = await this.prisma.outboundTransaction.findUnique({ where: { id: jobId } });
+    if (!job || job.status !== 'QUEUED') return;
+
+    const request = { to: job.toAddress, data: job.data, value: BigInt(job.value) };
+
+    // Estimate first: a reverting call fails the job without consuming a nonce
+    let gasLimit;
+    try {
+      const estimate = await this.signer.estimateGas(request);
+      gasLimit = estimate * (100n + GAS_LIMIT_BUFFER_PERCENT) / 100n;
+    } catch (error) {
+      await this._finish(job.id, {
+        status: 'FAILED',
+        error: error.reason || error.shortMessage || error.message
+      });
+      return;
+    }
+
+    const nonce = await this._allocateNonce();
+    let persisted = false;
+
+    try {
+      const gasPrice = await this._gasPrice();
+      const signed = await this.signer.signTransaction(await this.signer.populateTransaction({
+        ...request,
+        nonce,
+        gasLimit,
+        gasPrice
+      }));
+      const txHash = ethers.Transaction.from(signed).hash;
+
+      // Persist before broadcasting so a crash in between is recovered by rebroadcast; only a job
+      // still QUEUED moves on, so another worker's or a rebroadcast's progress is never overwritten
+      const { count } = await this.prisma.outboundTransaction.updateMany({
+        where: { id: job.id, status: 'QUEUED' },
+        data: {
+          status: 'SUBMITTED',
+          nonce,
+          gasLimit: gasLimit.toString(),
+          gasPrice: gasPrice.toString(),
+          txHash,
+          txHashes: [txHash],
+          rawTx: signed,
+          attempts: 1,
+          lastBroadcastAt: new Date()
+        }
+      });
+      if (count !== 1) {
+        // The nonce was never sent; resync rather than leave a gap
+        this.nextNonce = null;
+        logger.warn({ jobId: job.id, nonce }, 'Job left QUEUED before it was submitted, not broadcasting');
+        return;
+      }
+      persisted = true;
+
+      await this.provider.broadcastTransaction(signed);
+
+      logger.info({ jobId: job.id, kind: job.kind, nonce, txHash }, 'Transaction submitted');
+    } catch (error) {
+      if (persisted && TRANSIENT_ERROR_CODES.includes(error.code)) {
+        // The node may have the transaction; the monitor rebroadcasts it once it counts as stuck
+        logger.warn({ jobId: job.id, nonce, error: error.message }, 'Broadcast outcome unknown, will retry');
+        return;
+      }
+
+      // Resync from the node; an unsent nonce is free again
+      this.nextNonce = null;
+
+      if (this._isNonceError(error)) {
+        logger.warn({ jobId: job.id, nonce, error: error.message }, 'Nonce out of sync, requeueing');
+        await this.prisma.outboundTransaction.update({
+          where: { id: job.id },
+          data: { status: 'QUEUED', nonce: null, txHash: null, txHashes: [], rawTx: null, attempts: 0 }
+        });
+        this._enqueue(job.id);
+        return;
+      }
+
+      await this._finish(job.id, { status: 'FAILED', error: error.shortMessage || error.message });
+    }
+  }
+
+  async _allocateNonce() {
+    if (this.nextNonce === null) {
+      const [pending, highest] = await Promise.all([
+        this.provider.getTransactionCount(this.address, 'pending'),
+        this.prisma.outboundTransaction.findFirst({
+          where: { chain: this.chain, fromAddress: this.address, status: 'SUBMITTED' },
+          orderBy: { nonce: 'desc' },
+          select: { nonce: true }
+        })
+      ]);
+
+      // Submitted jobs may have dropped out of the node's pool; never reuse their nonces
+      this.nextNonce = Math.max(pending, highest ? highest.nonce + 1 : 0);
+    }
+    return this.nextNonce++;
+  }
+
+  async _gasPrice() {
+    if (this.txOverrides.gasPrice !== undefined) {
+      return BigInt(this.txOverrides.gasPrice);
+    }
+    const feeData = await this.provider.getFeeData();
+    return feeData.gasPrice ?? 0n;
+  }
+
+  _isNonceError(error) {
+    return error.code === 'NONCE_EXPIRED' || /nonce too low|invalid nonce/i.test(error.message || '');
+  }
+
+  // ============ Monitoring ============
+
+  /**
+   * Check submitted jobs for receipts and rebroadcast stuck ones
+   */
+  async sync() {
+    const submitted = await this.prisma.outboundTransaction.findMany({
+      where: { chain: this.chain, fromAddress: this.address, status: 'SUBMITTED' },
+      orderBy: { nonce: 'asc' }
+    });
+    if (submitted.length === 0) return;
+
+    const [head, minedNonce] = await Promise.all([
+      this.provider.getBlockNumber(),
+      this.provider.getTransactionCount(this.address, 'latest')
+    ]);
+
+    for (const job of submitted) {
+      const receipt = await this._findReceipt(job);
+
+      if (receipt) {
+        if (head - receipt.blockNumber + 1 < this.confirmations) continue;
+
+        await this._finish(job.id, {
+          status: receipt.status === 1 ? 'CONFIRMED' : 'FAILED',
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          error: receipt.status === 1 ? null : 'Transaction reverted',
+          confirmedAt: new Date()
+        });
+        logger.info({ jobId: job.id, kind: job.kind, txHash: receipt.hash, status: receipt.status }, 'Transaction mined');
+        continue;
+      }
+
+      if (job.nonce < minedNonce) {
+        // The nonce was used by a transaction we did not send (e.g. the same key used elsewhere)
+        await this._finish(job.id, { status: 'FAILED', error: 'Nonce consumed by another transaction' });
+        logger.error({ jobId: job.id, nonce: job.nonce }, 'Transaction nonce consumed externally');
+        continue;
+      }
+
+      if (Date.now() - job.lastBroadcastAt.getTime() >= this.stuckAfterMs) {
+        await this._rebroadcast(job);
+      }
+    }
+  }
+
+  // Any of the job's broadcasts may be the one that was mined
+  async _findReceipt(job) {
+    for (const hash of [...job.txHashes].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  async _rebroadcast(job) {
+    const fixedPrice = this.txOverrides.gasPrice !== undefined;
+    const replacements = job.txHashes.length - 1;
+
+    try {
+      if (fixedPrice || replacements >= this.maxReplacements) {
+        // Same signed transaction again (node restarted or dropped it from its pool)
+        await this.provider.broadcastTransaction(job.rawTx).catch(error => {
+          if (!/already known|known transaction/i.test(error.message || '')) throw error;
+        });
+        await this.prisma.outboundTransaction.update({
+          where: { id: job.id },
+          data: { attempts: { increment: 1 }, lastBroadcastAt: new Date() }
+        });
+        logger.warn({ jobId: job.id, nonce: job.nonce, txHash: job.txHash }, 'Rebroadcast stuck transaction');
+        return;
+      }
+
+      // Same nonce, higher price
+      const bump = this.gasBumpPercent > MIN_REPLACEMENT_BUMP_PERCENT ? this.gasBumpPercent : MIN_REPLACEMENT_BUMP_PERCENT;
+      const previous = BigInt(job.gasPrice);
+      const current = await this._gasPrice();
+      const bumped = previous * (100n + bump) / 100n + 1n;
+      const gasPrice = current > bumped ? current : bumped;
+
+      const signed = await this.signer.signTransaction(await this.signer.populateTransaction({
+        to: job.toAddress,
+        data: job.data,
+        value: BigInt(job.value),
+        nonce: job.nonce,
+        gasLimit: BigInt(job.gasLimit),
+        gasPrice
+      }));
+      const txHash = ethers.Transaction.from(signed).hash;
+
+      await this.prisma.outboundTransaction.update({
+        where: { id: job.id },
+        data: {
+          gasPrice: gasPrice.toString(),
+          txHash,
+          txHashes: { push: txHash },
+          rawTx: signed,
+          attempts: { increment: 1 },
+          lastBroadcastAt: new Date()
+        }
+      });
+      await this.provider.broadcastTransaction(signed);
+
+      logger.warn({ jobId: job.id, nonce: job.nonce, txHash, gasPrice: gasPrice.toString() }, 'Replaced stuck transaction');
+    } catch (error) {
+      logger.error({ jobId: job.id, nonce: job.nonce, error: error.message }, 'Failed to rebroadcast transaction');
+    }
+  }
+
+  // ============ Helpers ============
+
+  async _finish(jobId, data) {
+    await this.prisma.outboundTransaction.update({ where: { id: jobId }, data });
+
+    const waiters = this.waiters.get(jobId) || [];
+    this.waiters.delete(jobId);
+    waiters.forEach(resolve => resolve());
+  }
+
+  async healthCheck() {
+    const [queued, submitted] = await Promise.all([
+      this.prisma.outboundTransaction.count({ where: { chain: this.chain, fromAddress: this.address, status: 'QUEUED' } }),
+      this.prisma.outboundTransaction.count({ where: { chain: this.chain, fromAddress: this.address, status: 'SUBMITTED' } })
+    ]);
+    return {
+      status: this.running ? 'running' : 'stopped',
+      chain: this.chain,
+      address: this.address,
+      queued,
+      submitted
+    };
+  }
+}
+
+export default TransactionManagerService;
@@ -0,0 +1,231 @@
+/**
+ * ActivityBatcherService: batching buffered activities, mapping finished batch jobs back onto
+ * their items from the receipt's ActivityRegistry events, and isolating items that fail a batch
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import ActivityBatcherService from '../services/activityBatcherService.js';
+import { createMemoryPrisma } from './helpers/memoryPrisma.js';
+
+const REGISTRY_ADDRESS = '0x00000000000000000000000000000000000000a1';
+const OTHER_ADDRESS = '0x00000000000000000000000000000000000000b2';
+
+const registryInterface = new ethers.Interface([
+  'event ActivityRecorded(bytes32 indexed activityId, bytes32 indexed userId, uint8 activityType, uint256 valueScore, bytes32 dataHash)',
+  'event ActivityRewarded(bytes32 indexed activityId, bytes32 indexed userId, uint256 mineAmount, uint256 valueScore)'
+]);
+
+const id = (label) => ethers.id(label);
+
+function eventLog(address, name, values) {
+  const { data, topics } = registryInterface.encodeEventLog(name, values);
+  return { address, data, topics };
+}
+
+// ContractService double: each batch becomes an outbox job the test finishes by hand
+function createFakeContracts(prisma) {
+  const fake = {
+    batches: [],
+    receipts: new Map(),
+    contracts: { ActivityRegistry: { target: REGISTRY_ADDRESS, interface: registryInterface } },
+    provider: { getTransactionReceipt: async (hash) => fake.receipts.get(hash) },
+    recordActivityBatch: async (items, reference) => {
+      const job = await prisma.outboundTransaction.create({
+        data: { chain: 'terracare', kind: 'activity.batch', reference, status: 'SUBMITTED' }
+      });
+      fake.batches.push({ jobId: job.id, activityIds: items.map(item => item.activityId) });
+      return { jobId: job.id, status: job.status };
+    }
+  };
+  return fake;
+}
+
+describe('ActivityBatcherService', () => {
+  let prisma;
+  let contracts;
+  let batcher;
+  let released;
+
+  beforeEach(() => {
+    prisma = createMemoryPrisma({ defaults: { batchedActivity: { status: 'BUFFERED' } } });
+    contracts = createFakeContracts(prisma);
+    released = [];
+    batcher = new ActivityBatcherService({
+      contractService: contracts,
+      prisma,
+      submissionGuard: { release: async (activityId) => { released.push(activityId); } },
+      maxBatchSize: 2
+    });
+  });
+
+  const enqueue = (label, valueScore = 100, userId = id('user-1')) => batcher.enqueue({
+    activityId: id(label),
+    userId,
+    activityType: 0,
+    dataHash: id(`${label}-data`),
+    valueScore,
+    userAddress: OTHER_ADDRESS
+  });
+
+  const item = async (label) => batcher.getStatus(id(label));
+
+  const finishJob = async (jobId, data) => {
+    await prisma.outboundTransaction.update({ where: { id: jobId }, data });
+  };
+
+  describe('flushing', () => {
+    it('submits buffered items oldest first, maxBatchSize per job', async () => {
+      batcher.maxBatchSize = 10;
+      for (const label of ['a', 'b', 'c', 'd', 'e']) await enqueue(label);
+      batcher.maxBatchSize = 2;
+
+      await batcher.flush();
+
+      assert.deepEqual(
+        contracts.batches.map(batch => batch.activityIds),
+        [[id('a'), id('b')], [id('c'), id('d')], [id('e')]]
+      );
+      const submitted = await item('c');
+      assert.equal(submitted.status, 'SUBMITTED');
+      assert.equal(submitted.jobId, contracts.batches[1].jobId);
+    });
+
+    it('flushes as soon as a full batch is buffered', async () => {
+      await enqueue('a');
+      assert.equal(contracts.batches.length, 0);
+
+      await enqueue('b');
+      await batcher.flushing;
+
+      assert.equal(contracts.batches.length, 1);
+      assert.equal((await item('a')).status, 'SUBMITTED');
+    });
+
+    it('returns the existing item for a repeated activity ID', async () => {
+      const first = await enqueue('a', 100);
+      const again = await enqueue('a', 900);
+
+      assert.equal(again.valueScore, first.valueScore);
+      assert.equal(prisma.$rows('batchedActivity').length, 1);
+    });
+
+    it('counts buffered and submitted points as pending', async () => {
+      batcher.maxBatchSize = 10;
+      await enqueue('a', 100);
+      await enqueue('b', 250);
+      await batcher.flush();
+      await enqueue('c', 50);
+      await enqueue('other', 999, id('user-2'));
+
+      assert.equal(await batcher.getPendingPoints(id('user-1')), 400);
+    });
+  });
+
+  describe('settlement', () => {
+    it('marks emitted activities recorded and the rest of the batch skipped', async () => {
+      await enqueue('a');
+      await enqueue('b');
+      await batcher.flushing;
+      const [{ jobId }] = contracts.batches;
+
+      const txHash = id('batch-tx');
+      contracts.receipts.set(txHash, {
+        logs: [
+          eventLog(REGISTRY_ADDRESS, 'ActivityRecorded', [id('a'), id('user-1'), 0, 80, id('a-data')]),
+          eventLog(REGISTRY_ADDRESS, 'ActivityRewarded', [id('a'), id('user-1'), 8n * 10n ** 17n, 80]),
+          // Same event from an unrelated contract must not count
+          eventLog(OTHER_ADDRESS, 'ActivityRecorded', [id('b'), id('user-1'), 0, 100, id('b-data')])
+        ]
+      });
+      await finishJob(jobId, { status: 'CONFIRMED', txHash });
+
+      await batcher.settle();
+
+      const recorded = await item('a');
+      assert.equal(recorded.status, 'RECORDED');
+      assert.equal(recorded.recordedScore, 80);
+      assert.equal(recorded.mineAmount, (8n * 10n ** 17n).toString());
+      assert.equal(recorded.txHash, txHash);
+
+      const skipped = await item('b');
+      assert.equal(skipped.status, 'SKIPPED');
+      assert.equal(skipped.error, 'Activity already recorded');
+    });
+
+    it('records a zero reward for activities recorded without ActivityRewarded', async () => {
+      await enqueue('a');
+      await enqueue('b');
+      await batcher.flushing;
+      const [{ jobId }] = contracts.batches;
+
+      const txHash = id('capped-tx');
+      contracts.receipts.set(txHash, {
+        logs: [
+          eventLog(REGISTRY_ADDRESS, 'ActivityRecorded', [id('a'), id('user-1'), 0, 100, id('a-data')]),
+          eventLog(REGISTRY_ADDRESS, 'ActivityRecorded', [id('b'), id('user-1'), 0, 100, id('b-data')])
+        ]
+      });
+      await finishJob(jobId, { status: 'CONFIRMED', txHash });
+
+      await batcher.settle();
+
+      assert.equal((await item('b')).status, 'RECORDED');
+      assert.equal((await item('b')).mineAmount, '0');
+    });
+
+    it('resubmits the items of a failed batch one per job', async () => {
+      await enqueue('a');
+      await enqueue('b');
+      await batcher.flushing;
+      const [{ jobId }] = contracts.batches;
+      await finishJob(jobId, { status: 'FAILED', error: 'Proof expired' });
+
+      await batcher.settle();
+
+      assert.deepEqual(contracts.batches.slice(1).map(batch => batch.activityIds), [[id('a')], [id('b')]]);
+      for (const [i, label] of ['a', 'b'].entries()) {
+        const resubmitted = await item(label);
+        assert.equal(resubmitted.status, 'SUBMITTED');
+        assert.equal(resubmitted.jobId, contracts.batches[i + 1].jobId);
+      }
+    });
+
+    it('fails only the item that fails on its own and releases its claim', async () => {
+      await enqueue('a');
+      await enqueue('b');
+      await batcher.flushing;
+      await finishJob(contracts.batches[0].jobId, { status: 'FAILED', error: 'Proof expired' });
+      await batcher.settle();
+
+      const [, single, healthy] = contracts.batches;
+      await finishJob(single.jobId, { status: 'FAILED', error: 'Proof expired' });
+      const txHash = id('single-tx');
+      contracts.receipts.set(txHash, {
+        logs: [eventLog(REGISTRY_ADDRESS, 'ActivityRecorded', [id('b'), id('user-1'), 0, 100, id('b-data')])]
+      });
+      await finishJob(healthy.jobId, { status: 'CONFIRMED', txHash });
+
+      await batcher.settle();
+
+      const failed = await item('a');
+      assert.equal(failed.status, 'FAILED');
+      assert.equal(failed.error, 'Proof expired');
+      assert.equal((await item('b')).status, 'RECORDED');
+      assert.deepEqual(released, [id('a')]);
+      assert.equal(contracts.batches.length, 3);
+    });
+
+    it('leaves items of unfinished batches submitted', async () => {
+      await enqueue('a');
+      await enqueue('b');
+      await batcher.flushing;
+
+      await batcher.settle();
+
+      assert.equal((await item('a')).status, 'SUBMITTED');
+      assert.equal(await batcher.getPendingPoints(id('user-1')), 200);
+    });
+  });
+});
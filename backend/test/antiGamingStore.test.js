@@ -0,0 +1,150 @@
+/**
+ * Anti-gaming state stores: the memory and Prisma adapters behave the same for
+ * activity windows, data hash counts and TTL eviction
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MemoryAntiGamingStore,
+  PrismaAntiGamingStore,
+  createAntiGamingStore
+} from '../services/antiGamingStore.js';
+import { createMemoryPrisma } from './helpers/memoryPrisma.js';
+
+const createPrisma = () => createMemoryPrisma({ defaults: { antiGamingDataHash: { count: 1 } } });
+
+const adapters = {
+  memory: (options = {}) => new MemoryAntiGamingStore(options),
+  prisma: (options = {}) => new PrismaAntiGamingStore({ prisma: options.prisma || createPrisma(), ...options })
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+for (const [driver, createStore] of Object.entries(adapters)) {
+  describe(`${driver} anti-gaming store`, () => {
+    it('returns the user\'s activities since the window start, including the new one', async () => {
+      const store = createStore();
+      const hourAgo = Date.now() - 60 * 60 * 1000;
+
+      await store.recordActivity('user-1', { activityType: 0, deviceId: 'watch-1' }, hourAgo);
+      await store.recordActivity('user-2', { activityType: 1, deviceId: null }, hourAgo);
+      const entries = await store.recordActivity('user-1', { activityType: 1, deviceId: 'watch-2' }, hourAgo);
+
+      assert.deepEqual(entries.map(e => [e.activityType, e.deviceId]), [[0, 'watch-1'], [1, 'watch-2']]);
+      assert.ok(entries.every(e => typeof e.timestamp === 'number'));
+    });
+
+    it('leaves out activities before the window start', async () => {
+      const store = createStore();
+
+      await store.recordActivity('user-1', { activityType: 0, deviceId: 'watch-1' }, 0);
+      await sleep(5);
+      const entries = await store.recordActivity('user-1', { activityType: 0, deviceId: 'watch-1' }, Date.now() - 1);
+
+      assert.equal(entries.length, 1);
+    });
+
+    it('counts repeated data hashes and tracks when they were last seen', async () => {
+      const store = createStore();
+
+      assert.equal(await store.getDataHash('0xabc'), null);
+
+      await store.recordDataHash('0xabc');
+      const first = await store.getDataHash('0xabc');
+      assert.equal(first.count, 1);
+
+      await sleep(5);
+      await store.recordDataHash('0xabc');
+      const second = await store.getDataHash('0xabc');
+      assert.equal(second.count, 2);
+      assert.ok(second.lastSeenAt > first.lastSeenAt);
+    });
+
+    it('treats data hashes past their TTL as unseen', async () => {
+      const store = createStore({ hashTtlMs: 0 });
+
+      await store.recordDataHash('0xabc');
+
+      assert.equal(await store.getDataHash('0xabc'), null);
+    });
+
+    it('evicts expired activities and hashes', async () => {
+      const store = createStore({ activityTtlMs: 50, hashTtlMs: 50 });
+
+      await store.recordActivity('user-1', { activityType: 0, deviceId: 'watch-1' }, 0);
+      await store.recordDataHash('0xabc');
+      assert.deepEqual(
+        await store.stats().then(({ trackedUsers, dataHashes }) => ({ trackedUsers, dataHashes })),
+        { trackedUsers: 1, dataHashes: 1 }
+      );
+
+      await sleep(60);
+      store.lastEviction = 0;
+      await store.recordDataHash('0xdef');
+
+      const stats = await store.stats();
+      assert.equal(stats.driver, driver);
+      assert.equal(stats.trackedUsers, 0);
+      assert.equal(await store.getDataHash('0xabc'), null);
+    });
+  });
+}
+
+describe('memory anti-gaming store bounds', () => {
+  it('drops the least recently seen hashes past maxHashes', async () => {
+    const store = new MemoryAntiGamingStore({ maxHashes: 2 });
+
+    await store.recordDataHash('0xa');
+    await store.recordDataHash('0xb');
+    await store.recordDataHash('0xa');
+    await store.recordDataHash('0xc');
+
+    assert.equal(await store.getDataHash('0xb'), null);
+    assert.equal((await store.getDataHash('0xa')).count, 2);
+    assert.notEqual(await store.getDataHash('0xc'), null);
+  });
+});
+
+describe('prisma anti-gaming store tables', () => {
+  it('deletes expired rows when evicting', async () => {
+    const prisma = createPrisma();
+    const store = new PrismaAntiGamingStore({ prisma, activityTtlMs: 50, hashTtlMs: 50 });
+
+    await store.recordActivity('user-1', { activityType: 0, deviceId: 'watch-1' }, 0);
+    await store.recordDataHash('0xabc');
+    await sleep(60);
+    store.lastEviction = 0;
+    await store.recordDataHash('0xdef');
+
+    assert.equal(prisma.$rows('antiGamingActivity').length, 0);
+    assert.deepEqual(prisma.$rows('antiGamingDataHash').map(row => row.dataHash), ['0xdef']);
+  });
+
+
+  it('shares activity and hash state between instances on the same database', async () => {
+    const prisma = createPrisma();
+    const first = new PrismaAntiGamingStore({ prisma });
+    const second = new PrismaAntiGamingStore({ prisma });
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+
+    await first.recordActivity('user-1', { activityType: 0, deviceId: 'watch-1' }, hourAgo);
+    await first.recordDataHash('0xabc');
+
+    const entries = await second.recordActivity('user-1', { activityType: 0, deviceId: 'watch-1' }, hourAgo);
+    assert.equal(entries.length, 2);
+    assert.equal((await second.getDataHash('0xabc')).count, 1);
+  });
+});
+
+describe('createAntiGamingStore', () => {
+  it('builds the configured adapter', () => {
+    assert.ok(createAntiGamingStore({ driver: 'memory' }) instanceof MemoryAntiGamingStore);
+    assert.ok(createAntiGamingStore({ driver: 'prisma', prisma: createPrisma() }) instanceof PrismaAntiGamingStore);
+  });
+
+  it('rejects unknown drivers and a Prisma adapter without a client', () => {
+    assert.throws(() => createAntiGamingStore({ driver: 'redis' }), /Unknown ANTI_GAMING_STORE: redis/);
+    assert.throws(() => createAntiGamingStore({ driver: 'prisma' }), /requires a Prisma client/);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Service API keys: issuing, checking and revoking keys against an in-memory database, and the
+ * scope checks (requireScope, requireRole with a scope) that admit API-key principals to routes
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import { ethers } from 'ethers';
+import ApiKeyService, { ApiKeyError } from '../services/apiKeyService.js';
+import {
+  authenticate,
+  configureAuth,
+  generateToken,
+  requireRole,
+  requireScope,
+  SERVICE_ROLE
+} from '../middleware/auth.js';
+import { createMemoryPrisma } from './helpers/memoryPrisma.js';
+
+const SERVICE_ADDRESS = ethers.getAddress('0x00000000000000000000000000000000000000b2');
+
+const createPrisma = () => createMemoryPrisma({
+  defaults: { serviceApiKey: { address: null, lastUsedAt: null, lastUsedIp: null, revokedAt: null, revokedBy: null } },
+  unique: { serviceApiKey: [['keyHash'], ['keyPrefix']] }
+});
+
+const apiKeyError = (code) => (error) => error instanceof ApiKeyError && error.code === code;
+
+describe('ApiKeyService', () => {
+  let prisma;
+  let apiKeys;
+
+  beforeEach(() => {
+    prisma = createPrisma();
+    apiKeys = new ApiKeyService({ prisma });
+  });
+
+  const issue = (options = {}) => apiKeys.create({
+    name: 'heartware-sync',
+    scopes: ['activity:write'],
+    createdBy: '0xadmin',
+    ...options
+  });
+
+  describe('create', () => {
+    it('returns the key once and stores only its hash', async () => {
+      const { key, apiKey } = await issue({ scopes: ['activity:write', 'activity:read', 'activity:write'] });
+
+      assert.match(key, /^tcl_/);
+      assert.equal(apiKey.keyHash, undefined);
+      assert.deepEqual(apiKey.scopes, ['activity:write', 'activity:read']);
+      assert.equal(apiKey.keyPrefix, key.slice(0, 12));
+
+      const [row] = prisma.$rows('serviceApiKey');
+      assert.equal(row.keyHash, crypto.createHash('sha256').update(key).digest('hex'));
+      assert.ok(!JSON.stringify(row).includes(key));
+    });
+
+    it('expires keys after the default lifetime', async () => {
+      const { apiKey } = await issue();
+
+      const days = (apiKey.expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+      assert.ok(days > 89.99 && days <= 90);
+    });
+
+    it('rejects unknown scopes and address scopes without an address', async () => {
+      await assert.rejects(issue({ scopes: ['activity:write', 'records:write'] }), apiKeyError('UNKNOWN_SCOPE'));
+      await assert.rejects(issue({ scopes: ['records:read'] }), apiKeyError('ADDRESS_REQUIRED'));
+
+      const { apiKey } = await issue({ scopes: ['records:read'], address: SERVICE_ADDRESS.toLowerCase() });
+      assert.equal(apiKey.address, SERVICE_ADDRESS);
+      assert.equal(prisma.$rows('serviceApiKey').length, 1);
+    });
+  });
+
+  describe('authenticate', () => {
+    it('returns the key\'s principal', async () => {
+      const { key, apiKey } = await issue({ scopes: ['records:read'], address: SERVICE_ADDRESS });
+
+      assert.deepEqual(await apiKeys.authenticate(key, { ip: '10.0.0.1' }), {
+        id: apiKey.id,
+        name: 'heartware-sync',
+        address: SERVICE_ADDRESS,
+        scopes: ['records:read']
+      });
+    });
+
+    it('rejects malformed and unknown keys', async () => {
+      await issue();
+
+      await assert.rejects(apiKeys.authenticate('not-a-key'), apiKeyError('INVALID_API_KEY'));
+      await assert.rejects(apiKeys.authenticate(undefined), apiKeyError('INVALID_API_KEY'));
+      await assert.rejects(apiKeys.authenticate(`tcl_${'x'.repeat(43)}`), apiKeyError('INVALID_API_KEY'));
+    });
+
+    it('rejects expired keys', async () => {
+      const { key } = await issue({ expiresInDays: -1 });
+
+      await assert.rejects(apiKeys.authenticate(key), apiKeyError('API_KEY_EXPIRED'));
+    });
+
+    it('rejects a revoked key at once, even while its validity is cached', async () => {
+      const { key, apiKey } = await issue();
+      await apiKeys.authenticate(key);
+
+      await apiKeys.revoke(apiKey.id, { revokedBy: '0xadmin' });
+
+      await assert.rejects(apiKeys.authenticate(key), apiKeyError('API_KEY_REVOKED'));
+    });
+
+    it('records the last use at most once a minute', async () => {
+      const { key } = await issue();
+
+      await apiKeys.authenticate(key, { ip: '10.0.0.1' });
+      await apiKeys.authenticate(key, { ip: '10.0.0.2' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      const [row] = prisma.$rows('serviceApiKey');
+      assert.ok(row.lastUsedAt instanceof Date);
+      assert.equal(row.lastUsedIp, '10.0.0.1');
+    });
+  });
+
+  describe('revoke and list', () => {
+    it('lists active keys newest first, and revoked ones on request', async () => {
+      const { apiKey: first } = await issue({ name: 'first' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const { apiKey: second } = await issue({ name: 'second' });
+      await apiKeys.revoke(first.id, { revokedBy: '0xadmin' });
+
+      assert.deepEqual((await apiKeys.list()).map(k => k.name), ['second']);
+      assert.deepEqual((await apiKeys.list({ includeRevoked: true })).map(k => k.id), [second.id, first.id]);
+      assert.ok((await apiKeys.list()).every(k => k.keyHash === undefined));
+    });
+
+    it('rejects unknown and already revoked keys', async () => {
+      const { apiKey } = await issue();
+      await apiKeys.revoke(apiKey.id, { revokedBy: '0xadmin' });
+
+      await assert.rejects(apiKeys.revoke(apiKey.id, { revokedBy: '0xadmin' }), apiKeyError('API_KEY_ALREADY_REVOKED'));
+      await assert.rejects(apiKeys.revoke('missing', { revokedBy: '0xadmin' }), apiKeyError('API_KEY_NOT_FOUND'));
+    });
+  });
+});
+
+describe('API key scope enforcement', () => {
+  let apiKeys;
+  let server;
+  let base;
+
+  before(async () => {
+    apiKeys = new ApiKeyService({ prisma: createPrisma() });
+    configureAuth({ sessions: { isActive: async () => true }, apiKeys });
+
+    // Routes guarded like routes/activity.js, routes/revenue.js and an admin-only route
+    const app = express();
+    const principal = (req, res) => res.json({ user: req.user });
+    app.get('/activity/status', authenticate, requireScope('activity:read'), principal);
+    app.get('/revenue/distribution', authenticate, requireRole(['Admin', 'System'], 'revenue:read'), principal);
+    app.post('/admin/keys', authenticate, requireRole(['Admin']), principal);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    configureAuth({ sessions: null });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const call = async (path, headers = {}, method = 'GET') => {
+    const response = await fetch(`${base}${path}`, { method, headers });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const keyWith = async (scopes, options = {}) => (await apiKeys.create({
+    name: 'sofie-systems',
+    scopes,
+    address: SERVICE_ADDRESS,
+    createdBy: '0xadmin',
+    ...options
+  })).key;
+
+  it('admits a key holding the route\'s scope as a service principal', async () => {
+    const key = await keyWith(['activity:read']);
+
+    const { status, body } = await call('/activity/status', { 'x-api-key': key });
+
+    assert.equal(status, 200);
+    assert.equal(body.user.role, SERVICE_ROLE);
+    assert.equal(body.user.address, SERVICE_ADDRESS);
+    assert.equal(body.user.service, 'sofie-systems');
+    assert.deepEqual(body.user.scopes, ['activity:read']);
+  });
+
+  it('refuses a key without the route\'s scope', async () => {
+    const key = await keyWith(['activity:write', 'revenue:read']);
+
+    const { status, body } = await call('/activity/status', { 'x-api-key': key });
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'INSUFFICIENT_SCOPE');
+    assert.equal(body.required, 'activity:read');
+    assert.deepEqual(body.current, ['activity:write', 'revenue:read']);
+  });
+
+  it('admits keys to role-restricted routes only through the route\'s scope', async () => {
+    const reader = await keyWith(['revenue:read']);
+    const writer = await keyWith(['activity:write']);
+
+    assert.equal((await call('/revenue/distribution', { 'x-api-key': reader })).status, 200);
+
+    const refused = await call('/revenue/distribution', { 'x-api-key': writer });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'INSUFFICIENT_SCOPE');
+  });
+
+  it('refuses keys on role-restricted routes without a scope, whatever they hold', async () => {
+    const key = await keyWith(['activity:write', 'activity:read', 'records:read', 'revenue:read']);
+
+    const { status, body } = await call('/admin/keys', { 'x-api-key': key }, 'POST');
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+    assert.equal(body.current, SERVICE_ROLE);
+  });
+
+  it('leaves users signed in with a JWT to their role checks', async () => {
+    const patient = generateToken({ address: SERVICE_ADDRESS, role: 'Patient', userId: 'user-1', sid: 'session-1' });
+    const admin = generateToken({ address: SERVICE_ADDRESS, role: 'Admin', userId: 'user-2', sid: 'session-2' });
+
+    assert.equal((await call('/activity/status', { authorization: `Bearer ${patient}` })).status, 200);
+    assert.equal((await call('/revenue/distribution', { authorization: `Bearer ${patient}` })).body.code, 'FORBIDDEN');
+    assert.equal((await call('/revenue/distribution', { authorization: `Bearer ${admin}` })).status, 200);
+  });
+
+  it('refuses revoked, expired and unknown keys with 401', async () => {
+    const revoked = await apiKeys.create({ name: 'old', scopes: ['activity:read'], createdBy: '0xadmin' });
+    await apiKeys.revoke(revoked.apiKey.id, { revokedBy: '0xadmin' });
+    const expired = await keyWith(['activity:read'], { expiresInDays: -1 });
+
+    for (const [key, code] of [
+      [revoked.key, 'API_KEY_REVOKED'],
+      [expired, 'API_KEY_EXPIRED'],
+      [`tcl_${'x'.repeat(43)}`, 'INVALID_API_KEY']
+    ]) {
+      const { status, body } = await call('/activity/status', { 'x-api-key': key });
+      assert.equal(status, 401);
+      assert.equal(body.code, code);
+    }
+  });
+
+  it('refuses API keys when the server has no key service', async () => {
+    const key = await keyWith(['activity:read']);
+    configureAuth({ sessions: { isActive: async () => true } });
+
+    try {
+      const { status, body } = await call('/activity/status', { 'x-api-key': key });
+      assert.equal(status, 401);
+      assert.equal(body.code, 'INVALID_API_KEY');
+    } finally {
+      configureAuth({ sessions: { isActive: async () => true }, apiKeys });
+    }
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * ContractService.verifyDevice: device-signed readings against a HarmonicAdapter double, including
+ * readings resent with a timestamp the device did not sign
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import ContractService from '../services/contractService.js';
+
+const DEVICE_ID = 'heartware-watch-01';
+const USER_ID = 'user-1';
+const DATA = { heartRate: 72, quality: 90, completeness: 95, sampledAt: 1700000000 };
+
+// Sign a reading the way a wearable does
+async function signReading(wallet, { deviceId = DEVICE_ID, userId = USER_ID, data = DATA, timestamp }) {
+  const message = ethers.keccak256(
+    ethers.solidityPacked(
+      ['string', 'bytes32', 'bytes', 'uint64'],
+      [deviceId, ethers.encodeBytes32String(userId), ethers.toUtf8Bytes(JSON.stringify(data)), timestamp]
+    )
+  );
+  return wallet.signMessage(ethers.getBytes(message));
+}
+
+// HarmonicAdapter double holding one certified device bound to `userId` and `deviceKey`
+function createAdapter({ deviceKey, userId = USER_ID, certified = true }) {
+  return {
+    isDeviceCertified: async () => certified,
+    getCertification: async () => ({ tier: 3n, certifiedAt: 1n, expiresAt: 0n, isRevoked: !certified }),
+    getDeviceBinding: async () => ({ deviceKey, userIdentity: ethers.encodeBytes32String(userId), boundAt: 1n }),
+    userRevocations: async () => 0n
+  };
+}
+
+describe('ContractService.verifyDevice', () => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  let device;
+  let contracts;
+
+  beforeEach(() => {
+    device = ethers.Wallet.createRandom();
+    contracts = new ContractService({ signer: null });
+    contracts.contracts.HarmonicAdapter = createAdapter({ deviceKey: device.address });
+  });
+
+  it('accepts a reading signed by the bound device key', async () => {
+    const signature = await signReading(device, { timestamp });
+
+    const { valid, code, device: info } = await contracts.verifyDevice(DEVICE_ID, USER_ID, DATA, timestamp, signature);
+
+    assert.equal(valid, true);
+    assert.equal(code, null);
+    assert.equal(info.tier, 'Gold');
+  });
+
+  it('rejects a reading resent with a fresh timestamp', async () => {
+    const signature = await signReading(device, { timestamp: timestamp - 7200 });
+
+    const { valid, code } = await contracts.verifyDevice(DEVICE_ID, USER_ID, DATA, timestamp, signature);
+
+    assert.equal(valid, false);
+    assert.equal(code, 'DEVICE_KEY_MISMATCH');
+  });
+
+  it('rejects readings from other keys, other users and uncertified devices', async () => {
+    const signature = await signReading(device, { timestamp });
+
+    const forged = await signReading(ethers.Wallet.createRandom(), { timestamp });
+    assert.equal((await contracts.verifyDevice(DEVICE_ID, USER_ID, DATA, timestamp, forged)).code, 'DEVICE_KEY_MISMATCH');
+
+    assert.equal((await contracts.verifyDevice(DEVICE_ID, 'user-2', DATA, timestamp, signature)).code, 'DEVICE_NOT_BOUND');
+
+    contracts.contracts.HarmonicAdapter = createAdapter({ deviceKey: device.address, certified: false });
+    assert.equal((await contracts.verifyDevice(DEVICE_ID, USER_ID, DATA, timestamp, signature)).code, 'DEVICE_NOT_CERTIFIED');
+  });
+
+  it('accepts nothing without the device registry', async () => {
+    const signature = await signReading(device, { timestamp });
+    delete contracts.contracts.HarmonicAdapter;
+
+    const { valid, code } = await contracts.verifyDevice(DEVICE_ID, USER_ID, DATA, timestamp, signature);
+
+    assert.equal(valid, false);
+    assert.equal(code, 'DEVICE_REGISTRY_UNAVAILABLE');
+  });
+});
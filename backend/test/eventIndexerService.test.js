@@ -0,0 +1,111 @@
+/**
+ * EventIndexerService: ending caregiver sessions when an AccessRevoked event is indexed, for
+ * revokes that were still pending when the relay answered
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import EventIndexerService from '../services/eventIndexerService.js';
+import SessionService from '../services/sessionService.js';
+import { createMemoryPrisma } from './helpers/memoryPrisma.js';
+
+const ACCESS_CONTROL_ADDRESS = '0x00000000000000000000000000000000000000a3';
+const PATIENT = ethers.getAddress('0x00000000000000000000000000000000000000b2');
+const CAREGIVER = ethers.getAddress('0x00000000000000000000000000000000000000c3');
+
+const accessControl = new ethers.Interface([
+  'event AccessGranted(address indexed patient, address indexed caregiver, uint256 expiresAt)',
+  'event AccessRevoked(address indexed patient, address indexed caregiver)'
+]);
+
+// Provider double serving AccessControl logs added by the test
+function createFakeChain() {
+  const chain = { blockNumber: 10, logs: [] };
+
+  chain.provider = {
+    getBlockNumber: async () => chain.blockNumber,
+    getBlock: async (number) => ({ number, hash: ethers.id(`block-${number}`), timestamp: 1700000000 + number }),
+    getLogs: async ({ address, topics: [topics], fromBlock, toBlock }) => chain.logs.filter(log => (
+      log.address === address &&
+      topics.includes(log.topics[0]) &&
+      log.blockNumber >= fromBlock &&
+      log.blockNumber <= toBlock
+    ))
+  };
+
+  chain.emit = (name, args, blockNumber) => {
+    const { data, topics } = accessControl.encodeEventLog(name, args);
+    chain.logs.push({
+      address: ACCESS_CONTROL_ADDRESS,
+      data,
+      topics,
+      blockNumber,
+      index: chain.logs.length,
+      transactionHash: ethers.id(`tx-${chain.logs.length}`)
+    });
+  };
+
+  return chain;
+}
+
+describe('EventIndexerService', () => {
+  let prisma;
+  let chain;
+  let sessions;
+  let indexer;
+
+  beforeEach(() => {
+    prisma = createMemoryPrisma({ defaults: { authSession: { revokedAt: null } } });
+    chain = createFakeChain();
+    sessions = new SessionService({ prisma, contractService: {} });
+
+    const contractService = {
+      provider: chain.provider,
+      contracts: {
+        AccessControl: { interface: accessControl, getAddress: async () => ACCESS_CONTROL_ADDRESS }
+      }
+    };
+    indexer = new EventIndexerService({ contractService, prisma });
+    indexer.confirmations = 0;
+    indexer.useSessions(sessions);
+  });
+
+  const openSession = (address) => sessions.createSession({ address, role: 'Caregiver', userId: 'caregiver-1' });
+
+  it('revokes the caregiver\'s sessions once the revoke is indexed', async () => {
+    const { sessionId } = await openSession(CAREGIVER);
+    const other = await openSession(PATIENT);
+    await indexer.sync();
+    assert.equal(await sessions.isActive(sessionId), true);
+
+    chain.emit('AccessGranted', [PATIENT, CAREGIVER, 0], 11);
+    chain.emit('AccessRevoked', [PATIENT, CAREGIVER], 12);
+    chain.blockNumber = 12;
+    await indexer.sync();
+
+    const [revoked] = prisma.$rows('authSession').filter(row => row.id === sessionId);
+    assert.equal(revoked.revokedReason, 'ACCESS_REVOKED');
+    assert.equal(await sessions.isActive(sessionId), false);
+    assert.equal(await sessions.isActive(other.sessionId), true);
+  });
+
+  it('waits for the configured confirmations', async () => {
+    const { sessionId } = await openSession(CAREGIVER);
+    indexer.confirmations = 2;
+
+    chain.emit('AccessRevoked', [PATIENT, CAREGIVER], 10);
+    await indexer.sync();
+    assert.equal(await sessions.isActive(sessionId), true);
+
+    chain.blockNumber = 12;
+    await indexer.sync();
+    assert.equal(await sessions.isActive(sessionId), false);
+  });
+
+  it('does not follow AccessControl without a session service', async () => {
+    indexer.useSessions(null);
+
+    assert.equal(await indexer.sync(), null);
+  });
+});
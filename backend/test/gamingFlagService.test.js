@@ -0,0 +1,124 @@
+/**
+ * GamingFlagService: reviewing flags, and burning MINE at most once per confirmed flag
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import GamingFlagService, { GamingFlagError } from '../services/gamingFlagService.js';
+import { createMemoryPrisma } from './helpers/memoryPrisma.js';
+
+const USER_ADDRESS = '0x00000000000000000000000000000000000000b2';
+
+const DETECTION = {
+  alerts: [{ type: 'SYBIL_VELOCITY', severity: 'HIGH' }, { type: 'TIMESTAMP', severity: 'LOW' }],
+  activityCount: 80
+};
+
+// ContractService double: burns are queued outbox jobs, optionally failing
+function createFakeContracts() {
+  const fake = {
+    balance: ethers.parseEther('100'),
+    burns: [],
+    failBurn: false,
+    getLiquidMineBalance: async () => fake.balance,
+    burnMine: async (address, amount, reference) => {
+      // Let a concurrent confirm run in between, like a real outbox write would
+      await new Promise(resolve => setImmediate(resolve));
+      if (fake.failBurn) throw new Error('Outbox unavailable');
+      fake.burns.push({ address, amount, reference });
+      return { jobId: `job-${fake.burns.length}`, status: 'QUEUED' };
+    }
+  };
+  return fake;
+}
+
+describe('GamingFlagService', () => {
+  let contracts;
+  let flags;
+
+  beforeEach(() => {
+    contracts = createFakeContracts();
+    flags = new GamingFlagService({
+      prisma: createMemoryPrisma({
+        defaults: {
+          gamingFlag: { status: 'OPEN', reviewedBy: null, reviewNote: null, reviewedAt: null, burnAmount: null, burnJobId: null }
+        }
+      }),
+      contractService: contracts
+    });
+  });
+
+  const raise = (userAddress = USER_ADDRESS) => flags.record({
+    userId: 'user-1',
+    userAddress,
+    activityType: 0,
+    detection: DETECTION,
+    action: 'BLOCKED'
+  });
+
+  const flagError = (code) => (error) => error instanceof GamingFlagError && error.code === code;
+
+  it('stores the non-LOW alerts at the highest severity', async () => {
+    const flag = await raise();
+
+    assert.equal(flag.status, 'OPEN');
+    assert.equal(flag.severity, 'HIGH');
+    assert.deepEqual(flag.alerts.map(a => a.type), ['SYBIL_VELOCITY']);
+  });
+
+  it('confirms a flag and queues the burn', async () => {
+    const { flagId } = await raise();
+
+    const confirmed = await flags.confirm(flagId, { reviewer: '0xadmin', burnAmount: '5' });
+
+    assert.equal(confirmed.status, 'CONFIRMED');
+    assert.equal(confirmed.burnAmount, ethers.parseEther('5').toString());
+    assert.equal(confirmed.burnJobId, 'job-1');
+    assert.deepEqual(contracts.burns, [{ address: USER_ADDRESS, amount: ethers.parseEther('5'), reference: flagId }]);
+  });
+
+  it('queues one burn when two reviewers confirm at once', async () => {
+    const { flagId } = await raise();
+
+    const results = await Promise.allSettled([
+      flags.confirm(flagId, { reviewer: '0xadmin-1', burnAmount: '5' }),
+      flags.confirm(flagId, { reviewer: '0xadmin-2', burnAmount: '5' })
+    ]);
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+    assert.ok(flagError('FLAG_ALREADY_REVIEWED')(results.find(r => r.status === 'rejected').reason));
+    assert.equal(contracts.burns.length, 1);
+  });
+
+  it('reopens the flag when the burn cannot be queued', async () => {
+    const { flagId } = await raise();
+    contracts.failBurn = true;
+
+    await assert.rejects(flags.confirm(flagId, { reviewer: '0xadmin', burnAmount: '5' }), /Outbox unavailable/);
+
+    const reopened = await flags.get(flagId);
+    assert.equal(reopened.status, 'OPEN');
+    assert.equal(reopened.burnAmount, null);
+  });
+
+  it('refuses burns it cannot make without touching the flag', async () => {
+    const { flagId } = await raise(null);
+    await assert.rejects(flags.confirm(flagId, { reviewer: '0xadmin', burnAmount: '5' }), flagError('USER_ADDRESS_UNKNOWN'));
+
+    const { flagId: other } = await raise();
+    contracts.balance = ethers.parseEther('1');
+    await assert.rejects(flags.confirm(other, { reviewer: '0xadmin', burnAmount: '5' }), flagError('INSUFFICIENT_MINE'));
+
+    assert.equal((await flags.get(other)).status, 'OPEN');
+    assert.equal(contracts.burns.length, 0);
+  });
+
+  it('refuses to review a flag twice', async () => {
+    const { flagId } = await raise();
+    await flags.clear(flagId, { reviewer: '0xadmin' });
+
+    await assert.rejects(flags.confirm(flagId, { reviewer: '0xadmin' }), flagError('FLAG_ALREADY_REVIEWED'));
+    await assert.rejects(flags.clear('missing', { reviewer: '0xadmin' }), flagError('FLAG_NOT_FOUND'));
+  });
+});
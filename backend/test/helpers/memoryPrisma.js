@@ -0,0 +1,235 @@
+/**
+ * In-memory stand-in for the Prisma client, injected through the services' `prisma` option
+ *
+ * Covers the delegate calls the services make (find*, create, update*, upsert, delete*, count,
+ * aggregate _sum, groupBy, $transaction) with equality and not/in/notIn/gt/gte/lt/lte filters, orderBy,
+ * take, distinct and select.
+ * Schema details are opt-in per model: { defaults: { model: { field: value } } } fills
+ * @default columns on create, and { unique: { model: [['field', ...]] } } makes a duplicate
+ * create fail with P2002, like the database would.
+ */
+
+class PrismaError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const clone = (value) => structuredClone(value);
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+function matchesValue(actual, condition) {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return comparable(actual) === comparable(condition);
+  }
+
+  return Object.entries(condition).every(([op, expected]) => {
+    const a = comparable(actual);
+    const e = comparable(expected);
+    switch (op) {
+      case 'equals': return a === e;
+      case 'not': return !matchesValue(actual, expected);
+      case 'in': return expected.map(comparable).includes(a);
+      case 'notIn': return !expected.map(comparable).includes(a);
+      case 'gt': return a !== null && a !== undefined && a > e;
+      case 'gte': return a !== null && a !== undefined && a >= e;
+      case 'lt': return a !== null && a !== undefined && a < e;
+      case 'lte': return a !== null && a !== undefined && a <= e;
+      case 'contains': return typeof a === 'string' && a.includes(e);
+      case 'has': return Array.isArray(actual) && actual.map(comparable).includes(e);
+      default: throw new Error(`Unsupported filter: ${op}`);
+    }
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition === undefined) return true;
+    if (field === 'AND') return [].concat(condition).every(w => matches(row, w));
+    if (field === 'OR') return condition.some(w => matches(row, w));
+    if (field === 'NOT') return ![].concat(condition).some(w => matches(row, w));
+
+    // Compound unique keys: where: { address_kind: { address, kind } }
+    if (!(field in row) && condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      return matches(row, condition);
+    }
+    return matchesValue(row[field], condition);
+  });
+}
+
+function applyUpdate(row, data) {
+  for (const [field, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value)) {
+      if ('increment' in value) row[field] = row[field] + value.increment;
+      else if ('decrement' in value) row[field] = row[field] - value.decrement;
+      else if ('push' in value) row[field] = [...(row[field] || []), ...[].concat(value.push)];
+      else if ('set' in value) row[field] = value.set;
+      else row[field] = value;
+    } else {
+      row[field] = value;
+    }
+  }
+  row.updatedAt = new Date();
+  return row;
+}
+
+function sortRows(rows, orderBy) {
+  const orders = [].concat(orderBy || []);
+  return rows.sort((x, y) => {
+    for (const order of orders) {
+      const [[field, direction]] = Object.entries(order);
+      const a = comparable(x[field]);
+      const b = comparable(y[field]);
+      if (a === b) continue;
+      // Nulls sort last, as in Postgres ascending order
+      if (a === null || a === undefined) return 1;
+      if (b === null || b === undefined) return -1;
+      return (a < b ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function project(row, select) {
+  if (!row) return null;
+  if (!select) return clone(row);
+  return clone(Object.fromEntries(Object.keys(select).filter(k => select[k]).map(k => [k, row[k]])));
+}
+
+function createDelegate(name, rows, { uniqueKeys, defaults }, nextId) {
+  const assertUnique = (candidate, ignore = null) => {
+    for (const fields of uniqueKeys) {
+      const clash = rows.find(row => row !== ignore && fields.every(f => comparable(row[f]) === comparable(candidate[f])));
+      if (clash) {
+        throw new PrismaError('P2002', `Unique constraint failed on ${name}(${fields.join(', ')})`);
+      }
+    }
+  };
+
+  const findOne = (where) => rows.find(row => matches(row, where)) || null;
+
+  const findMany = ({ where, orderBy, take, skip = 0, select, distinct } = {}) => {
+    let found = sortRows(rows.filter(row => matches(row, where)), orderBy);
+    if (distinct) {
+      const seen = new Set();
+      found = found.filter(row => {
+        const key = JSON.stringify(distinct.map(field => comparable(row[field])));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    const sliced = found.slice(skip, take === undefined ? undefined : skip + take);
+    return sliced.map(row => project(row, select));
+  };
+
+  const create = ({ data, select }) => {
+    const now = new Date();
+    const row = { id: nextId(name), createdAt: now, updatedAt: now, ...clone(defaults), ...clone(data) };
+    assertUnique(row);
+    rows.push(row);
+    return project(row, select);
+  };
+
+  const update = ({ where, data, select }) => {
+    const row = findOne(where);
+    if (!row) throw new PrismaError('P2025', `No ${name} record found to update`);
+    const updated = applyUpdate(clone(row), data);
+    assertUnique(updated, row);
+    Object.assign(row, updated);
+    return project(row, select);
+  };
+
+  return {
+    findUnique: async ({ where, select }) => project(findOne(where), select),
+    findFirst: async ({ where, orderBy, select } = {}) => findMany({ where, orderBy, take: 1, select })[0] || null,
+    findMany: async (args) => findMany(args),
+    count: async ({ where } = {}) => rows.filter(row => matches(row, where)).length,
+    aggregate: async ({ where, _sum = {} }) => {
+      const found = rows.filter(row => matches(row, where));
+      const sums = Object.fromEntries(Object.keys(_sum).map(field => [
+        field,
+        found.length ? found.reduce((total, row) => total + (row[field] || 0), 0) : null
+      ]));
+      return { _sum: sums };
+    },
+    groupBy: async ({ by, where }) => findMany({ where, distinct: by })
+      .map(row => Object.fromEntries(by.map(field => [field, row[field]]))),
+    create: async (args) => create(args),
+    createMany: async ({ data, skipDuplicates = false }) => {
+      let count = 0;
+      for (const item of data) {
+        try {
+          create({ data: item });
+          count++;
+        } catch (error) {
+          if (!(skipDuplicates && error.code === 'P2002')) throw error;
+        }
+      }
+      return { count };
+    },
+    update: async (args) => update(args),
+    updateMany: async ({ where, data }) => {
+      const targets = rows.filter(row => matches(row, where));
+      targets.forEach(row => applyUpdate(row, data));
+      return { count: targets.length };
+    },
+    upsert: async ({ where, create: createData, update: updateData, select }) => (
+      findOne(where)
+        ? update({ where, data: updateData, select })
+        : create({ data: { ...createData }, select })
+    ),
+    delete: async ({ where }) => {
+      const row = findOne(where);
+      if (!row) throw new PrismaError('P2025', `No ${name} record found to delete`);
+      rows.splice(rows.indexOf(row), 1);
+      return clone(row);
+    },
+    deleteMany: async ({ where } = {}) => {
+      const targets = rows.filter(row => matches(row, where));
+      targets.forEach(row => rows.splice(rows.indexOf(row), 1));
+      return { count: targets.length };
+    }
+  };
+}
+
+/**
+ * @param {Object} options - { defaults: { modelName: { field: value } }, unique: { modelName: [[field, ...], ...] } }
+ * @returns {Object} Prisma-like client; `client.$rows(model)` exposes the stored rows
+ */
+export function createMemoryPrisma({ defaults = {}, unique = {} } = {}) {
+  const tables = new Map();
+  const delegates = new Map();
+  let sequence = 0;
+  const nextId = (name) => `${name}-${++sequence}`;
+
+  const table = (name) => {
+    if (!tables.has(name)) tables.set(name, []);
+    return tables.get(name);
+  };
+
+  const client = new Proxy({}, {
+    get(target, prop) {
+      if (prop === 'then' || typeof prop !== 'string') return undefined;
+      if (prop === '$rows') return (name) => table(name);
+      if (prop === '$disconnect') return async () => {};
+      if (prop === '$transaction') {
+        return async (work) => (typeof work === 'function' ? work(client) : Promise.all(work));
+      }
+      if (!delegates.has(prop)) {
+        delegates.set(prop, createDelegate(prop, table(prop), {
+          uniqueKeys: unique[prop] || [],
+          defaults: defaults[prop] || {}
+        }, nextId));
+      }
+      return delegates.get(prop);
+    }
+  });
+
+  return client;
+}
+
+export default createMemoryPrisma;
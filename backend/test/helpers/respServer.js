@@ -0,0 +1,164 @@
+/**
+ * In-process stand-in for a Redis-compatible server, for testing RespClient and the redis rate
+ * limit store without a real server
+ *
+ * Speaks RESP2 on a local port and implements the commands they send: AUTH, SELECT, GET,
+ * SET (PX, NX), INCR, DECR, PTTL, PEXPIRE, DEL and QUIT, with key expiry and one keyspace per database.
+ * `server.stalled = true` leaves commands unanswered; `server.dropConnections()` closes every client.
+ */
+
+import net from 'net';
+
+const reply = {
+  ok: () => '+OK\r\n',
+  error: (message) => `-${message}\r\n`,
+  integer: (value) => `:${value}\r\n`,
+  bulk: (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`)
+};
+
+/**
+ * Parse one command (array of bulk strings) at the start of the buffer
+ * @returns {Object|null} { args, offset }, null if the buffer ends first
+ */
+function parseCommand(buffer) {
+  const readLine = (offset) => {
+    const end = buffer.indexOf('\r\n', offset);
+    return end === -1 ? null : { line: buffer.toString('utf8', offset, end), next: end + 2 };
+  };
+
+  const header = readLine(0);
+  if (!header) return null;
+  const count = Number(header.line.slice(1));
+  const args = [];
+  let offset = header.next;
+  for (let i = 0; i < count; i++) {
+    const length = readLine(offset);
+    if (!length) return null;
+    const size = Number(length.line.slice(1));
+    if (buffer.length < length.next + size + 2) return null;
+    args.push(buffer.toString('utf8', length.next, length.next + size));
+    offset = length.next + size + 2;
+  }
+  return { args, offset };
+}
+
+/**
+ * @param {Object} options - { password } required with AUTH before other commands when set
+ * @returns {Promise<net.Server>} Listening server; `server.url` is its redis:// URL,
+ *   `server.commands` every command received ([db, ...args]) and `server.keys(db)` the live keyspace
+ */
+export function startRespServer({ password = null } = {}) {
+  const databases = new Map();
+  const sockets = new Set();
+
+  const keyspace = (db) => {
+    if (!databases.has(db)) databases.set(db, new Map());
+    return databases.get(db);
+  };
+
+  const live = (db, key) => {
+    const keys = keyspace(db);
+    const entry = keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const addToInteger = (db, key, amount) => {
+    const entry = live(db, key) || { value: '0', expiresAt: null };
+    if (!/^-?\d+$/.test(entry.value)) return reply.error('ERR value is not an integer or out of range');
+    entry.value = String(Number(entry.value) + amount);
+    keyspace(db).set(key, entry);
+    return reply.integer(entry.value);
+  };
+
+  const execute = (session, [name, ...args]) => {
+    const command = name.toUpperCase();
+    const { db } = session;
+    server.commands.push([db, command, ...args]);
+
+    if (command === 'AUTH') {
+      const given = args[args.length - 1];
+      if (!password) return reply.error('ERR AUTH <password> called without any password configured');
+      if (given !== password) return reply.error('WRONGPASS invalid username-password pair');
+      session.authenticated = true;
+      return reply.ok();
+    }
+    if (password && !session.authenticated) return reply.error('NOAUTH Authentication required.');
+
+    switch (command) {
+      case 'SELECT':
+        session.db = Number(args[0]);
+        return reply.ok();
+      case 'GET':
+        return reply.bulk(live(db, args[0])?.value ?? null);
+      case 'SET': {
+        const [key, value, ...flags] = args;
+        const upper = flags.map(flag => flag.toUpperCase());
+        if (upper.includes('NX') && live(db, key)) return reply.bulk(null);
+        const px = upper.indexOf('PX');
+        keyspace(db).set(key, { value, expiresAt: px === -1 ? null : Date.now() + Number(flags[px + 1]) });
+        return reply.ok();
+      }
+      case 'INCR':
+        return addToInteger(db, args[0], 1);
+      case 'DECR':
+        return addToInteger(db, args[0], -1);
+      case 'PTTL': {
+        const entry = live(db, args[0]);
+        if (!entry) return reply.integer(-2);
+        return reply.integer(entry.expiresAt === null ? -1 : entry.expiresAt - Date.now());
+      }
+      case 'PEXPIRE': {
+        const entry = live(db, args[0]);
+        if (!entry) return reply.integer(0);
+        entry.expiresAt = Date.now() + Number(args[1]);
+        return reply.integer(1);
+      }
+      case 'DEL':
+        return reply.integer(args.filter(key => live(db, key) && keyspace(db).delete(key)).length);
+      case 'QUIT':
+        session.quit = true;
+        return reply.ok();
+      default:
+        return reply.error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  const server = net.createServer(socket => {
+    const session = { db: 0, authenticated: false, quit: false };
+    let buffer = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let command;
+      while ((command = parseCommand(buffer))) {
+        buffer = buffer.subarray(command.offset);
+        if (server.stalled) continue;
+        socket.write(execute(session, command.args));
+        if (session.quit) socket.end();
+      }
+    });
+  });
+
+  server.commands = [];
+  server.stalled = false;
+  server.keys = (db = 0) => keyspace(db);
+  server.dropConnections = () => sockets.forEach(socket => socket.destroy());
+  server.stop = () => new Promise(resolve => {
+    server.dropConnections();
+    server.close(resolve);
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    server.url = `redis://127.0.0.1:${server.address().port}`;
+    resolve(server);
+  }));
+}
+
+export default startRespServer;
@@ -0,0 +1,180 @@
+/**
+ * requireValidator: validator-signed requests checked against PoAConsensus, with the GovernanceBridge
+ * fallback for accounts PoAConsensus does not know
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { ethers } from 'ethers';
+import ContractService, { VALIDATOR_STATUSES } from '../services/contractService.js';
+import { generateOracleSignature, requireValidator } from '../middleware/oracleAuth.js';
+
+const PATH = '/validator/heartbeat';
+const BODY = { blockNumber: 42 };
+
+// PoAConsensus and GovernanceBridge doubles: validator standing per address
+function createValidatorSet() {
+  const set = { poa: new Map(), bridge: new Set() };
+
+  set.PoAConsensus = {
+    getValidator: async (account) => ({
+      status: BigInt(VALIDATOR_STATUSES.indexOf(set.poa.get(account) || 'Inactive')),
+      name: set.poa.has(account) ? 'node-1' : '',
+      reputation: 90n
+    })
+  };
+  set.GovernanceBridge = {
+    isValidator: async (account) => set.bridge.has(account)
+  };
+
+  return set;
+}
+
+describe('requireValidator', () => {
+  let contracts;
+  let validators;
+  let server;
+  let base;
+
+  before(async () => {
+    contracts = new ContractService({ signer: null });
+
+    const app = express();
+    app.use(express.json());
+    app.post(PATH, requireValidator(contracts), (req, res) => res.json({ validator: req.validator }));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    validators = createValidatorSet();
+    contracts.quorumContracts = { PoAConsensus: validators.PoAConsensus, GovernanceBridge: validators.GovernanceBridge };
+  });
+
+  // Send BODY as `wallet`, signed the way generateOracleSignature signs for validators
+  const send = async (wallet, { address = wallet.address, timestamp = Math.floor(Date.now() / 1000), body = BODY } = {}) => {
+    const response = await fetch(`${base}${PATH}`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-validator-address': address,
+        'x-validator-timestamp': String(timestamp),
+        'x-validator-signature': await generateOracleSignature(wallet, 'POST', PATH, BODY, timestamp)
+      },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  describe('signature', () => {
+    let wallet;
+
+    beforeEach(() => {
+      wallet = ethers.Wallet.createRandom();
+      validators.poa.set(wallet.address, 'Active');
+    });
+
+    it('admits an active validator\'s signed request', async () => {
+      const { status, body } = await send(wallet);
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.validator, {
+        address: wallet.address,
+        status: 'Active',
+        source: 'PoAConsensus',
+        name: 'node-1',
+        reputation: 90
+      });
+    });
+
+    it('requires all three validator headers', async () => {
+      const response = await fetch(`${base}${PATH}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-validator-address': wallet.address },
+        body: JSON.stringify(BODY)
+      });
+
+      assert.equal(response.status, 401);
+      assert.equal((await response.json()).code, 'VALIDATOR_AUTH_REQUIRED');
+    });
+
+    it('rejects signatures by another key, over another body, or out of time', async () => {
+      const impostor = await send(ethers.Wallet.createRandom(), { address: wallet.address });
+      assert.equal(impostor.status, 401);
+      assert.equal(impostor.body.code, 'INVALID_SIGNATURE');
+
+      const tampered = await send(wallet, { body: { blockNumber: 43 } });
+      assert.equal(tampered.status, 401);
+      assert.equal(tampered.body.code, 'INVALID_SIGNATURE');
+
+      const stale = await send(wallet, { timestamp: Math.floor(Date.now() / 1000) - 301 });
+      assert.equal(stale.status, 401);
+      assert.equal(stale.body.code, 'STALE_REQUEST');
+    });
+  });
+
+  describe('validator standing', () => {
+    it('refuses suspended, revoked and inactive validators', async () => {
+      for (const [status, code] of [
+        ['Suspended', 'VALIDATOR_SUSPENDED'],
+        ['Revoked', 'VALIDATOR_REVOKED'],
+        ['Inactive', 'NOT_VALIDATOR']
+      ]) {
+        const wallet = ethers.Wallet.createRandom();
+        validators.poa.set(wallet.address, status);
+
+        const response = await send(wallet);
+        assert.equal(response.status, 403, status);
+        assert.equal(response.body.code, code);
+      }
+    });
+
+    it('falls back to GovernanceBridge for accounts PoAConsensus does not know', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      validators.bridge.add(wallet.address);
+
+      const { status, body } = await send(wallet);
+
+      assert.equal(status, 200);
+      assert.equal(body.validator.source, 'GovernanceBridge');
+      assert.equal(body.validator.status, 'Active');
+    });
+
+    it('does not let GovernanceBridge override a suspension in PoAConsensus', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      validators.poa.set(wallet.address, 'Suspended');
+      validators.bridge.add(wallet.address);
+
+      assert.equal((await send(wallet)).body.code, 'VALIDATOR_SUSPENDED');
+    });
+
+    it('uses GovernanceBridge alone when PoAConsensus is not deployed', async () => {
+      const member = ethers.Wallet.createRandom();
+      validators.bridge.add(member.address);
+      contracts.quorumContracts = { GovernanceBridge: validators.GovernanceBridge };
+
+      assert.equal((await send(member)).status, 200);
+      assert.equal((await send(ethers.Wallet.createRandom())).body.code, 'NOT_VALIDATOR');
+    });
+
+    it('answers 503 without a validator set and 500 when the lookup fails', async () => {
+      const wallet = ethers.Wallet.createRandom();
+
+      contracts.quorumContracts = {};
+      const unavailable = await send(wallet);
+      assert.equal(unavailable.status, 503);
+      assert.equal(unavailable.body.code, 'VALIDATOR_CHECK_UNAVAILABLE');
+
+      contracts.quorumContracts = { PoAConsensus: { getValidator: async () => { throw new Error('RPC quorum not reached'); } } };
+      const failed = await send(wallet);
+      assert.equal(failed.status, 500);
+      assert.equal(failed.body.code, 'VALIDATOR_CHECK_FAILED');
+    });
+  });
+});
@@ -0,0 +1,446 @@
+/**
+ * OracleQuorumService: collecting peer co-signatures for high-value proofs, checking quorum
+ * signatures the way ActivityRegistry does, and the checks a peer makes against the chain and the
+ * recorded therapy sessions before co-signing
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ethers } from 'ethers';
+import AISignerService from '../services/aiSignerService.js';
+import OracleQuorumService, { OracleQuorumError, ORACLE_QUORUM_ERROR_STATUS } from '../services/oracleQuorumService.js';
+import TherapySessionService from '../services/therapySessionService.js';
+import { recoverActivityProofSigners, signActivityProof } from '../services/activityProof.js';
+import { createMemoryPrisma } from './helpers/memoryPrisma.js';
+
+const REGISTRY_ADDRESS = '0x00000000000000000000000000000000000000a1';
+const USER_ADDRESS = '0x00000000000000000000000000000000000000b2';
+const CAREGIVER_ADDRESS = '0x00000000000000000000000000000000000000C3';
+
+const THERAPY_EVIDENCE = {
+  userId: 'patient-1',
+  caregiver: CAREGIVER_ADDRESS,
+  completionDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+  adherenceScore: 0.9,
+  outcomeMetrics: { improvement: 0.5 }
+};
+const THERAPY_DATA_HASH = ethers.id('physio');
+
+// What the caregiver reported and the signing oracle recorded as a TherapySession
+const SESSION = { duration: 45, therapyType: 'physio' };
+
+const therapyScoreInput = (evidence = THERAPY_EVIDENCE, session = SESSION) => ({
+  duration: session.duration,
+  adherenceScore: evidence.adherenceScore,
+  outcomeMetrics: evidence.outcomeMetrics,
+  therapyType: session.therapyType
+});
+
+// Activity IDs as routes/activity.js derives them
+const therapyActivityId = ({ userId, caregiver, completionDate }) => ethers.keccak256(
+  ethers.solidityPacked(
+    ['bytes32', 'address', 'uint256', 'bytes32'],
+    [ethers.encodeBytes32String(userId), caregiver, Date.parse(completionDate), THERAPY_DATA_HASH]
+  )
+);
+const contributionActivityId = (userId, datasetHash, dataType) => ethers.keccak256(
+  ethers.solidityPacked(
+    ['bytes32', 'bytes32', 'bytes32'],
+    [ethers.encodeBytes32String(userId), datasetHash, ethers.id(dataType)]
+  )
+);
+
+// ContractService double: IdentityRegistry users, AccessControl grants and the patient's RecordRegistry record
+function createFakeChain() {
+  const chain = {
+    users: new Map([[THERAPY_EVIDENCE.userId, USER_ADDRESS]]),
+    grants: new Set([`${USER_ADDRESS}:${CAREGIVER_ADDRESS}`.toLowerCase()]),
+    contribution: {
+      pending: true,
+      record: { dataHash: ethers.id('dataset-1'), dataSize: 10 * 1024 * 1024, isAnonymized: true, dataType: ethers.id('fitness') }
+    },
+    getUserAddress: async (userId) => chain.users.get(userId) || null,
+    checkAccess: async (patient, caregiver) => chain.grants.has(`${patient}:${caregiver}`.toLowerCase()),
+    getContributionStatus: async () => chain.contribution
+  };
+  return chain;
+}
+
+const createSigner = (wallet) => new AISignerService({ signer: wallet, chainId: 1337, activityRegistry: REGISTRY_ADDRESS });
+
+// Stand-in for a peer's POST /api/oracle/cosign: checks the oracle request signature, then co-signs
+function startPeer(quorum) {
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const reply = (status, body) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      server.requests++;
+
+      const { 'x-oracle-address': requester, 'x-oracle-timestamp': timestamp, 'x-oracle-signature': signature } = req.headers;
+      const message = `${req.method}:${req.url}:${timestamp}:${raw}`;
+      if (ethers.verifyMessage(message, signature).toLowerCase() !== requester.toLowerCase()) {
+        return reply(401, { code: 'INVALID_SIGNATURE' });
+      }
+
+      try {
+        const { proof, evidence } = JSON.parse(raw);
+        reply(200, { signature: await quorum.cosign({ proof, evidence, requester }) });
+      } catch (error) {
+        reply(ORACLE_QUORUM_ERROR_STATUS[error.code] || 500, { code: error.code });
+      }
+    });
+  });
+  server.requests = 0;
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    server.url = `http://127.0.0.1:${server.address().port}/api/oracle/cosign`;
+    resolve(server);
+  }));
+}
+
+describe('OracleQuorumService', () => {
+  const wallets = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const outsider = ethers.Wallet.createRandom();
+  const oracles = wallets.map(w => w.address);
+  const servers = [];
+  const chain = createFakeChain();
+  const therapySessions = new TherapySessionService({ prisma: createMemoryPrisma() });
+
+  const createQuorum = (wallet, options = {}) => new OracleQuorumService({
+    aiSigner: createSigner(wallet),
+    contractService: chain,
+    therapySessions,
+    quorum: 3,
+    minValueScore: 50,
+    peers: [],
+    oracles,
+    ...options
+  });
+
+  // The signing oracle and two peers that agree with its scoring
+  let signing;
+  let peerUrls;
+
+  const recordSession = (evidence, session = SESSION) => therapySessions.claim({
+    activityId: therapyActivityId(evidence),
+    caregiverAddress: evidence.caregiver,
+    patientUserId: evidence.userId,
+    therapyType: session.therapyType,
+    duration: session.duration,
+    completedAt: new Date(evidence.completionDate),
+    valueScore: 0
+  });
+
+  before(async () => {
+    await recordSession(THERAPY_EVIDENCE);
+    for (const wallet of wallets.slice(1)) {
+      servers.push(await startPeer(createQuorum(wallet)));
+    }
+    peerUrls = servers.map(server => server.url);
+    signing = createQuorum(wallets[0], { peers: peerUrls });
+  });
+
+  after(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+  const therapyProof = async (quorum, valueScore, { evidence = THERAPY_EVIDENCE, userAddress = USER_ADDRESS } = {}) => (
+    quorum.aiSigner.signActivityProof({
+      activityId: therapyActivityId(evidence),
+      userId: evidence.userId,
+      activityType: 1,
+      dataHash: THERAPY_DATA_HASH,
+      valueScore: valueScore ?? await quorum.aiSigner.calculateTherapyValueScore(therapyScoreInput(evidence)),
+      userAddress
+    })
+  );
+
+  const quorumError = async (promise, code, message = /./) => {
+    await assert.rejects(promise, (error) => error instanceof OracleQuorumError && error.code === code && message.test(error.message));
+  };
+
+  describe('requiredSignatures', () => {
+    it('asks for the quorum only from the minimum value score up', () => {
+      assert.equal(signing.requiredSignatures(49), 1);
+      assert.equal(signing.requiredSignatures(50), 3);
+      assert.equal(createQuorum(wallets[0], { quorum: 1 }).requiredSignatures(100), 1);
+    });
+
+    it('defaults to the registry\'s quorumMinValueScore of 100', () => {
+      const quorum = createQuorum(wallets[0], { minValueScore: undefined });
+
+      assert.equal(quorum.minValueScore, 100);
+      assert.equal(quorum.requiredSignatures(99), 1);
+    });
+  });
+
+  describe('attest', () => {
+    it('returns low-value proofs unchanged without asking the peers', async () => {
+      const requests = servers.map(server => server.requests);
+      const proof = await therapyProof(signing, 10);
+
+      assert.equal(await signing.attest(proof, THERAPY_EVIDENCE), proof);
+      assert.deepEqual(servers.map(server => server.requests), requests);
+    });
+
+    it('combines the peer co-signatures in ascending signer order', async () => {
+      const proof = await therapyProof(signing);
+      assert.ok(proof.valueScore >= 50);
+
+      const attested = await signing.attest(proof, THERAPY_EVIDENCE);
+
+      const expected = [...oracles].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+      assert.deepEqual(attested.signers, expected);
+      assert.deepEqual(recoverActivityProofSigners(signing.aiSigner.proofDomain, attested, attested.signature), expected);
+      assert.deepEqual(signing.verifyQuorum(attested), { valid: true, signers: expected, required: 3 });
+    });
+
+    it('fails when a peer refuses and the quorum is not reached', async () => {
+      // Claims 20 points more than the therapy evidence supports; peers allow 5
+      const score = await signing.aiSigner.calculateTherapyValueScore(therapyScoreInput());
+      const proof = await therapyProof(signing, Math.min(100, score + 20));
+
+      await quorumError(signing.attest(proof, THERAPY_EVIDENCE), 'QUORUM_NOT_REACHED');
+    });
+
+    it('reaches a smaller quorum when one peer is unreachable', async () => {
+      const quorum = createQuorum(wallets[0], {
+        quorum: 2,
+        peers: ['http://127.0.0.1:1/api/oracle/cosign', peerUrls[0]],
+        timeoutMs: 1000
+      });
+
+      const attested = await quorum.attest(await therapyProof(quorum), THERAPY_EVIDENCE);
+
+      assert.equal(attested.signers.length, 2);
+      assert.ok(quorum.verifyQuorum(attested).valid);
+    });
+
+    it('does not count co-signatures from oracles outside the configured set', async () => {
+      const quorum = createQuorum(wallets[0], { oracles: [wallets[0].address, wallets[1].address], peers: peerUrls });
+
+      await quorumError(quorum.attest(await therapyProof(quorum), THERAPY_EVIDENCE), 'QUORUM_NOT_REACHED');
+    });
+  });
+
+  describe('verifyQuorum', () => {
+    const signAll = async (proof, signers) => Promise.all(
+      signers.map(wallet => signActivityProof(wallet, signing.aiSigner.proofDomain, proof))
+    );
+
+    it('rejects repeated, out-of-order, unknown and too few signers', async () => {
+      const proof = await therapyProof(signing, 80);
+      const [a, b, c] = [...wallets].sort((x, y) => (BigInt(x.address) < BigInt(y.address) ? -1 : 1));
+
+      const check = async (signers) => signing.verifyQuorum({ ...proof, signature: ethers.concat(await signAll(proof, signers)) });
+
+      assert.equal((await check([a, b, c])).valid, true);
+      assert.equal((await check([a, a, b])).valid, false);
+      assert.equal((await check([c, b, a])).valid, false);
+      assert.equal((await check([a, b])).valid, false);
+
+      const withOutsider = [a, b, outsider].sort((x, y) => (BigInt(x.address) < BigInt(y.address) ? -1 : 1));
+      assert.equal((await check(withOutsider)).valid, false);
+    });
+
+    it('rejects a malformed signature', async () => {
+      const proof = await therapyProof(signing, 80);
+
+      assert.deepEqual(signing.verifyQuorum({ ...proof, signature: '0x1234' }), { valid: false, signers: [], required: 3 });
+    });
+  });
+
+  describe('cosign', () => {
+    let peer;
+
+    before(() => {
+      peer = createQuorum(wallets[1]);
+    });
+
+    it('co-signs a proof the evidence supports', async () => {
+      const proof = await therapyProof(signing);
+
+      const signature = await peer.cosign({ proof, evidence: THERAPY_EVIDENCE, requester: wallets[0].address });
+
+      assert.deepEqual(recoverActivityProofSigners(peer.aiSigner.proofDomain, proof, signature), [wallets[1].address]);
+    });
+
+    it('refuses proofs not signed by the requesting oracle', async () => {
+      const proof = await therapyProof(signing);
+      await quorumError(peer.cosign({ proof, evidence: THERAPY_EVIDENCE, requester: wallets[2].address }), 'UNKNOWN_ORACLE');
+
+      const foreign = await therapyProof(createQuorum(outsider));
+      await quorumError(peer.cosign({ proof: foreign, evidence: THERAPY_EVIDENCE, requester: outsider.address }), 'UNKNOWN_ORACLE');
+    });
+
+    it('refuses malformed and stale proofs', async () => {
+      const proof = await therapyProof(signing);
+      await quorumError(
+        peer.cosign({ proof: { ...proof, signature: '0x1234' }, evidence: THERAPY_EVIDENCE, requester: wallets[0].address }),
+        'INVALID_PROOF'
+      );
+
+      const stale = createQuorum(wallets[1], { maxProofAgeSeconds: -1 });
+      await quorumError(stale.cosign({ proof, evidence: THERAPY_EVIDENCE, requester: wallets[0].address }), 'STALE_PROOF');
+    });
+
+    it('refuses proofs scored with another model or for another user', async () => {
+      const otherModel = await signing.aiSigner.signActivityProof({
+        activityId: therapyActivityId(THERAPY_EVIDENCE),
+        userId: THERAPY_EVIDENCE.userId,
+        activityType: 1,
+        dataHash: THERAPY_DATA_HASH,
+        valueScore: 60,
+        userAddress: USER_ADDRESS,
+        modelHash: ethers.id('other-model')
+      });
+      await quorumError(
+        peer.cosign({ proof: otherModel, evidence: THERAPY_EVIDENCE, requester: wallets[0].address }),
+        'MODEL_MISMATCH'
+      );
+
+      const proof = await therapyProof(signing);
+      await quorumError(
+        peer.cosign({ proof, evidence: { ...THERAPY_EVIDENCE, userId: 'patient-2' }, requester: wallets[0].address }),
+        'EVIDENCE_MISMATCH'
+      );
+    });
+
+    it('refuses proofs that do not pay the user\'s registered address', async () => {
+      const elsewhere = await therapyProof(signing, undefined, { userAddress: outsider.address });
+      await quorumError(
+        peer.cosign({ proof: elsewhere, evidence: THERAPY_EVIDENCE, requester: wallets[0].address }),
+        'EVIDENCE_MISMATCH',
+        /registered address/
+      );
+
+      const unregistered = { ...THERAPY_EVIDENCE, userId: 'patient-9' };
+      const proof = await therapyProof(signing, undefined, { evidence: unregistered });
+      await quorumError(
+        peer.cosign({ proof, evidence: unregistered, requester: wallets[0].address }),
+        'EVIDENCE_MISMATCH',
+        /registered address/
+      );
+    });
+
+    it('refuses therapy completions by caregivers without an access grant', async () => {
+      const evidence = { ...THERAPY_EVIDENCE, caregiver: outsider.address };
+      await recordSession(evidence);
+      const proof = await therapyProof(signing, undefined, { evidence });
+
+      await quorumError(
+        peer.cosign({ proof, evidence, requester: wallets[0].address }),
+        'EVIDENCE_MISMATCH',
+        /no access/
+      );
+    });
+
+    it('refuses therapy completions without a recorded session', async () => {
+      const unrecorded = { ...THERAPY_EVIDENCE, completionDate: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString() };
+      const proof = await therapyProof(signing, undefined, { evidence: unrecorded });
+      await quorumError(
+        peer.cosign({ proof, evidence: unrecorded, requester: wallets[0].address }),
+        'EVIDENCE_MISMATCH',
+        /No therapy session/
+      );
+
+      // Evidence for another session than the proof's
+      await quorumError(
+        peer.cosign({ proof: await therapyProof(signing), evidence: unrecorded, requester: wallets[0].address }),
+        'EVIDENCE_MISMATCH',
+        /does not match/
+      );
+    });
+
+    it('scores therapy from the recorded session, not the evidence', async () => {
+      const evidence = { ...THERAPY_EVIDENCE, completionDate: new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString() };
+      await recordSession(evidence, { duration: 5, therapyType: 'physio' });
+      const reported = await signing.aiSigner.calculateTherapyValueScore(therapyScoreInput(evidence));
+      const proof = await therapyProof(signing, reported, { evidence });
+
+      await quorumError(
+        peer.cosign({ proof, evidence: { ...evidence, duration: 45 }, requester: wallets[0].address }),
+        'SCORE_NOT_SUPPORTED'
+      );
+    });
+
+    describe('data contributions', () => {
+      const evidence = { userId: THERAPY_EVIDENCE.userId, dataType: 'fitness' };
+
+      const contributionProof = async (valueScore, { dataHash = chain.contribution.record.dataHash } = {}) => (
+        signing.aiSigner.signActivityProof({
+          activityId: contributionActivityId(evidence.userId, dataHash, evidence.dataType),
+          userId: evidence.userId,
+          activityType: 2,
+          dataHash,
+          valueScore,
+          userAddress: USER_ADDRESS
+        })
+      );
+
+      const recordScore = () => peer.aiSigner.calculateDataValueScore({
+        ...chain.contribution.record,
+        dataType: evidence.dataType,
+        uniquenessScore: 100
+      });
+
+      it('co-signs a proof over the pending on-chain record', async () => {
+        const proof = await contributionProof(await recordScore());
+
+        assert.ok(await peer.cosign({ proof, evidence, requester: wallets[0].address }));
+      });
+
+      it('refuses proofs for another dataset or a record already rewarded', async () => {
+        const other = await contributionProof(10, { dataHash: ethers.id('dataset-2') });
+        await quorumError(peer.cosign({ proof: other, evidence, requester: wallets[0].address }), 'EVIDENCE_MISMATCH');
+
+        const proof = await contributionProof(await recordScore());
+        await quorumError(
+          peer.cosign({ proof, evidence: { ...evidence, dataType: 'genomic' }, requester: wallets[0].address }),
+          'EVIDENCE_MISMATCH'
+        );
+
+        chain.contribution = { ...chain.contribution, pending: false };
+        try {
+          await quorumError(peer.cosign({ proof, evidence, requester: wallets[0].address }), 'EVIDENCE_MISMATCH');
+        } finally {
+          chain.contribution = { ...chain.contribution, pending: true };
+        }
+      });
+
+      it('scores size and anonymization from the record, not the evidence', async () => {
+        const { record } = chain.contribution;
+        const claimed = await recordScore();
+        chain.contribution = { ...chain.contribution, record: { ...record, dataSize: 1024, isAnonymized: false } };
+        try {
+          const proof = await contributionProof(claimed);
+          await quorumError(
+            peer.cosign({
+              proof,
+              evidence: { ...evidence, dataSize: record.dataSize, isAnonymized: record.isAnonymized },
+              requester: wallets[0].address
+            }),
+            'SCORE_NOT_SUPPORTED'
+          );
+        } finally {
+          chain.contribution = { ...chain.contribution, record };
+        }
+      });
+    });
+
+    it('refuses scores above its own by more than the tolerance', async () => {
+      const score = await peer.aiSigner.calculateTherapyValueScore(therapyScoreInput());
+      const withinTolerance = await therapyProof(signing, score + 5);
+      const beyondTolerance = await therapyProof(signing, score + 6);
+
+      assert.ok(await peer.cosign({ proof: withinTolerance, evidence: THERAPY_EVIDENCE, requester: wallets[0].address }));
+      await assert.rejects(
+        peer.cosign({ proof: beyondTolerance, evidence: THERAPY_EVIDENCE, requester: wallets[0].address }),
+        (error) => error.code === 'SCORE_NOT_SUPPORTED' && error.details.claimed === score + 6 && error.details.score === score
+      );
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Rate limiting middleware: route-class and per-user budgets, role budgets, RateLimit-* headers,
+ * the 429 body, and behaviour while the shared store is unreachable
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { ethers } from 'ethers';
+import { configureRateLimits, createLimiter, routeClassLimiter } from '../middleware/rateLimit.js';
+import { generateToken, userRateLimit } from '../middleware/auth.js';
+import { startRespServer } from './helpers/respServer.js';
+
+const WINDOW_MS = 60 * 1000;
+
+const tokenFor = (role = 'Patient') => generateToken({
+  address: ethers.Wallet.createRandom().address,
+  role,
+  userId: 'user-1',
+  sid: 'session-1'
+});
+
+// Serve `limiters` in front of a route that always succeeds
+function startApp(...limiters) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', ...limiters);
+  app.all('/api/*', (req, res) => res.json({ ok: true }));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}/api`;
+      server.request = async (path, { method = 'GET', token } = {}) => {
+        const response = await fetch(`${base}${path}`, {
+          method,
+          headers: token ? { authorization: `Bearer ${token}` } : {}
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+      };
+      resolve(server);
+    });
+  });
+}
+
+const stop = (server) => new Promise(resolve => server.close(resolve));
+
+describe('rate limiting', () => {
+  const servers = [];
+
+  before(() => {
+    configureRateLimits({ store: 'memory' });
+  });
+
+  after(() => Promise.all(servers.map(stop)));
+
+  const start = async (...limiters) => {
+    const server = await startApp(...limiters);
+    servers.push(server);
+    return server;
+  };
+
+  describe('route classes', () => {
+    let app;
+
+    before(async () => {
+      app = await start(routeClassLimiter({
+        webhooks: { windowMs: WINDOW_MS, max: 1 },
+        oracle: { windowMs: WINDOW_MS, max: 1 },
+        reads: { windowMs: WINDOW_MS, max: 3, roles: { Admin: 5 } },
+        writes: { windowMs: WINDOW_MS, max: 2 }
+      }));
+    });
+
+    it('sends RateLimit-* headers counting down the budget', async () => {
+      const token = tokenFor();
+
+      const remaining = [];
+      for (let i = 0; i < 3; i++) {
+        const { status, headers } = await app.request('/records', { token });
+        assert.equal(status, 200);
+        assert.equal(headers.get('ratelimit-limit'), '3');
+        assert.ok(Number(headers.get('ratelimit-reset')) > 0 && Number(headers.get('ratelimit-reset')) <= 60);
+        remaining.push(headers.get('ratelimit-remaining'));
+      }
+
+      assert.deepEqual(remaining, ['2', '1', '0']);
+    });
+
+    it('answers 429 with Retry-After once the budget is spent', async () => {
+      const token = tokenFor();
+      await app.request('/records', { method: 'POST', token });
+      await app.request('/records', { method: 'POST', token });
+
+      const { status, headers, body } = await app.request('/records', { method: 'POST', token });
+
+      assert.equal(status, 429);
+      assert.equal(headers.get('ratelimit-remaining'), '0');
+      assert.equal(body.code, 'RATE_LIMIT');
+      assert.equal(body.limiter, 'writes');
+      assert.ok(body.retryAfter > 0 && body.retryAfter <= 60);
+      assert.equal(headers.get('retry-after'), String(body.retryAfter));
+    });
+
+    it('counts each route class against its own budget', async () => {
+      const token = tokenFor();
+      await app.request('/records', { method: 'POST', token });
+      await app.request('/records', { method: 'POST', token });
+
+      const read = await app.request('/records', { token });
+      assert.equal(read.status, 200);
+      assert.equal(read.headers.get('ratelimit-limit'), '3');
+
+      const webhook = await app.request('/revenue/webhook', { method: 'POST', token });
+      assert.equal(webhook.headers.get('ratelimit-limit'), '1');
+      const cosign = await app.request('/oracle/cosign', { method: 'POST', token });
+      assert.equal(cosign.headers.get('ratelimit-limit'), '1');
+    });
+
+    it('keeps a budget per authenticated address, and per IP without a token', async () => {
+      const first = tokenFor();
+      await app.request('/records', { method: 'POST', token: first });
+      await app.request('/records', { method: 'POST', token: first });
+      assert.equal((await app.request('/records', { method: 'POST', token: first })).status, 429);
+
+      const second = await app.request('/records', { method: 'POST', token: tokenFor() });
+      assert.equal(second.status, 200);
+      assert.equal(second.headers.get('ratelimit-remaining'), '1');
+
+      const anonymous = await app.request('/records', { method: 'POST' });
+      assert.equal(anonymous.status, 200);
+      assert.equal(anonymous.headers.get('ratelimit-remaining'), '1');
+    });
+
+    it('gives roles with their own budget that budget', async () => {
+      const { headers } = await app.request('/records', { token: tokenFor('Admin') });
+
+      assert.equal(headers.get('ratelimit-limit'), '5');
+      assert.equal(headers.get('ratelimit-remaining'), '4');
+    });
+
+    it('ignores tokens that do not verify', async () => {
+      const { headers } = await app.request('/records', { token: `${tokenFor('Admin')}x` });
+
+      assert.equal(headers.get('ratelimit-limit'), '3');
+    });
+  });
+
+  describe('userRateLimit', () => {
+    it('limits a single route per user under the name it is given', async () => {
+      const app = await start(userRateLimit('profile-export', WINDOW_MS, 2));
+      const token = tokenFor();
+
+      await app.request('/profile/export', { token });
+      const { headers } = await app.request('/profile/export', { token });
+      assert.equal(headers.get('ratelimit-limit'), '2');
+
+      const { status, body } = await app.request('/profile/export', { token });
+      assert.equal(status, 429);
+      assert.equal(body.limiter, 'user-profile-export');
+    });
+
+    it('requires a name, unique across limiters', () => {
+      assert.throws(() => userRateLimit(), /requires a limiter name/);
+      assert.throws(() => userRateLimit(60000, 10), /requires a limiter name/);
+
+      userRateLimit('profile-import');
+      assert.throws(() => userRateLimit('profile-import'), /Rate limiter user-profile-import already exists/);
+    });
+  });
+
+  describe('shared store', () => {
+    let redis;
+
+    before(async () => {
+      redis = await startRespServer();
+    });
+
+    after(async () => {
+      configureRateLimits({ store: 'memory' });
+      await redis.stop();
+    });
+
+    it('keys per-user counters by the limiter name and address', async () => {
+      configureRateLimits({ store: 'redis', redisUrl: redis.url, redisPrefix: 'terracare:rl:' });
+      const app = await start(userRateLimit('data-contribution', WINDOW_MS, 5));
+      const address = ethers.Wallet.createRandom().address;
+      const token = generateToken({ address, role: 'Patient', userId: 'user-1', sid: 'session-1' });
+
+      await app.request('/data-contribution', { method: 'POST', token });
+      const { headers } = await app.request('/data-contribution', { method: 'POST', token });
+
+      assert.equal(headers.get('ratelimit-remaining'), '3');
+      assert.equal(redis.keys(0).get(`terracare:rl:user-data-contribution:${address.toLowerCase()}`).value, '2');
+    });
+
+    it('lets requests through while the store is unreachable when failing open', async () => {
+      configureRateLimits({ store: 'redis', redisUrl: 'redis://127.0.0.1:1', failOpen: true });
+      const app = await start(createLimiter({ name: 'fail-open', windowMs: WINDOW_MS, max: 1 }));
+
+      const { status, headers } = await app.request('/records');
+
+      assert.equal(status, 200);
+      assert.equal(headers.get('ratelimit-limit'), null);
+    });
+
+    it('answers 503 while the store is unreachable when failing closed', async () => {
+      configureRateLimits({ store: 'redis', redisUrl: 'redis://127.0.0.1:1', failOpen: false });
+      const app = await start(createLimiter({ name: 'fail-closed', windowMs: WINDOW_MS, max: 1 }));
+
+      const { status, body } = await app.request('/records');
+
+      assert.equal(status, 503);
+      assert.equal(body.code, 'RATE_LIMIT_UNAVAILABLE');
+    });
+  });
+});
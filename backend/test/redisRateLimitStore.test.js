@@ -0,0 +1,237 @@
+/**
+ * Redis rate limit store and its RESP client, against an in-process Redis stand-in:
+ * connection setup, pipelining, dropped connections, and fixed-window counters with expiry
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import RespClient, { RespError } from '../services/respClient.js';
+import { RedisRateLimitStore, MemoryRateLimitStore, createRateLimitStore } from '../services/rateLimitStore.js';
+import { startRespServer } from './helpers/respServer.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RespClient', () => {
+  let server;
+  const clients = [];
+
+  before(async () => {
+    server = await startRespServer({ password: 's3cret' });
+  });
+
+  after(async () => {
+    await Promise.all(clients.map(client => client.quit()));
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.commands.length = 0;
+    server.stalled = false;
+  });
+
+  const connect = (path = '/2', options) => {
+    const url = new URL(server.url);
+    url.username = 'limiter';
+    url.password = 's3cret';
+    url.pathname = path;
+    const client = new RespClient(url.toString(), options);
+    clients.push(client);
+    return client;
+  };
+
+  it('authenticates and selects the database from the URL before the first command', async () => {
+    const client = connect('/2');
+
+    assert.equal(await client.command('SET', 'greeting', 'hello'), 'OK');
+
+    assert.deepEqual(server.commands.map(([, ...args]) => args), [
+      ['AUTH', 'limiter', 's3cret'],
+      ['SELECT', '2'],
+      ['SET', 'greeting', 'hello']
+    ]);
+    assert.equal(server.keys(2).get('greeting').value, 'hello');
+    assert.equal(server.keys(0).has('greeting'), false);
+    assert.equal(client.label, `redis://${new URL(server.url).host}`);
+  });
+
+  it('fails the command when authentication is rejected', async () => {
+    const url = new URL(server.url);
+    url.password = 'wrong';
+    const client = new RespClient(url.toString());
+
+    await assert.rejects(client.command('GET', 'greeting'), (error) => error instanceof RespError && /WRONGPASS/.test(error.message));
+  });
+
+  it('answers pipelined commands in order and rejects on an error reply', async () => {
+    const client = connect();
+
+    assert.deepEqual(
+      await client.pipeline([['SET', 'counter', 5], ['INCR', 'counter'], ['GET', 'counter'], ['GET', 'missing']]),
+      ['OK', 6, '6', null]
+    );
+
+    await client.command('SET', 'text', 'abc');
+    await assert.rejects(client.pipeline([['INCR', 'text'], ['GET', 'text']]), RespError);
+    // The connection stays usable after an error reply
+    assert.equal(await client.command('GET', 'text'), 'abc');
+  });
+
+  it('fails pending commands when the connection drops and reconnects on the next one', async () => {
+    const client = connect();
+    await client.command('SET', 'counter', 1);
+
+    server.stalled = true;
+    const pending = client.command('INCR', 'counter');
+    await sleep(20);
+    server.dropConnections();
+    await assert.rejects(pending, /closed/);
+
+    server.stalled = false;
+    assert.equal(await client.command('INCR', 'counter'), 2);
+  });
+
+  it('drops the connection when a command is not answered in time', async () => {
+    const client = connect('/2', { commandTimeoutMs: 50 });
+    await client.command('SET', 'counter', 1);
+    const socket = client.socket;
+
+    server.stalled = true;
+    await assert.rejects(client.command('INCR', 'counter'), /closed/);
+
+    // A late answer must not be matched to a later command, so the next one uses a new connection
+    server.stalled = false;
+    assert.equal(socket.destroyed, true);
+    assert.equal(await client.command('GET', 'counter'), '1');
+  });
+
+  it('rejects non-Redis URLs', () => {
+    assert.throws(() => new RespClient('http://127.0.0.1:6379'), /Unsupported Redis URL protocol: http:/);
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startRespServer();
+    client = new RespClient(server.url);
+  });
+
+  after(async () => {
+    await client.quit();
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.keys(0).clear();
+  });
+
+  const createStore = (windowMs = 60000, prefix = 'terracare:rl:writes:') => {
+    const store = new RedisRateLimitStore({ client, prefix });
+    store.init({ windowMs });
+    return store;
+  };
+
+  it('starts a window that expires after windowMs and counts hits in it', async () => {
+    const store = createStore(60000);
+    const before = Date.now();
+
+    const first = await store.increment('0xabc');
+    const second = await store.increment('0xabc');
+
+    assert.equal(first.totalHits, 1);
+    assert.equal(second.totalHits, 2);
+    assert.ok(first.resetTime.getTime() >= before + 59000 && first.resetTime.getTime() <= Date.now() + 60000);
+    assert.ok(server.keys(0).get('terracare:rl:writes:0xabc').expiresAt <= before + 60000 + 50);
+
+    const current = await store.get('0xabc');
+    assert.equal(current.totalHits, 2);
+    assert.ok(Math.abs(current.resetTime - second.resetTime) < 50);
+  });
+
+  it('keeps each prefix and key on its own counter', async () => {
+    const writes = createStore(60000, 'terracare:rl:writes:');
+    const reads = createStore(60000, 'terracare:rl:reads:');
+
+    await writes.increment('0xabc');
+    await writes.increment('0xabc');
+    await writes.increment('0xdef');
+    await reads.increment('0xabc');
+
+    assert.equal((await writes.get('0xabc')).totalHits, 2);
+    assert.equal((await writes.get('0xdef')).totalHits, 1);
+    assert.equal((await reads.get('0xabc')).totalHits, 1);
+    assert.equal(await reads.get('0xdef'), undefined);
+  });
+
+  it('starts over once the window has expired', async () => {
+    const store = createStore(50);
+
+    await store.increment('0xabc');
+    await store.increment('0xabc');
+    await sleep(60);
+
+    assert.equal(await store.get('0xabc'), undefined);
+    assert.equal((await store.increment('0xabc')).totalHits, 1);
+  });
+
+  it('restores the expiry of a counter left without one', async () => {
+    const store = createStore(60000);
+    server.keys(0).set('terracare:rl:writes:0xabc', { value: '3', expiresAt: null });
+
+    const { totalHits, resetTime } = await store.increment('0xabc');
+
+    assert.equal(totalHits, 4);
+    assert.ok(resetTime.getTime() > Date.now());
+    assert.notEqual(server.keys(0).get('terracare:rl:writes:0xabc').expiresAt, null);
+  });
+
+  it('decrements within a window and drops counters DECR recreated after it', async () => {
+    const store = createStore(200);
+
+    await store.increment('0xabc');
+    await store.increment('0xabc');
+    await store.decrement('0xabc');
+    assert.equal((await store.get('0xabc')).totalHits, 1);
+
+    await sleep(220);
+    await store.decrement('0xabc');
+    assert.equal(server.keys(0).has('terracare:rl:writes:0xabc'), false);
+  });
+
+  it('resets a key', async () => {
+    const store = createStore();
+
+    await store.increment('0xabc');
+    await store.resetKey('0xabc');
+
+    assert.equal(await store.get('0xabc'), undefined);
+  });
+
+  it('fails while the server is unreachable', async () => {
+    const unreachable = new RedisRateLimitStore({ client: new RespClient('redis://127.0.0.1:1', { connectTimeoutMs: 500 }) });
+    unreachable.init({ windowMs: 60000 });
+
+    await assert.rejects(unreachable.increment('0xabc'));
+  });
+});
+
+describe('createRateLimitStore', () => {
+  it('builds the configured adapter', () => {
+    const client = new RespClient('redis://127.0.0.1:6379');
+
+    const redis = createRateLimitStore({ driver: 'redis', client, prefix: 'terracare:rl:reads:' });
+    assert.ok(redis instanceof RedisRateLimitStore);
+    assert.equal(redis.client, client);
+    assert.equal(redis.prefix, 'terracare:rl:reads:');
+
+    assert.ok(createRateLimitStore({ driver: 'memory' }) instanceof MemoryRateLimitStore);
+    assert.ok(createRateLimitStore({ driver: 'redis', redisUrl: 'redis://cache:6380' }).client instanceof RespClient);
+  });
+
+  it('rejects unknown drivers and a redis store without a client', () => {
+    assert.throws(() => createRateLimitStore({ driver: 'memcached' }), /Unknown RATE_LIMIT_STORE: memcached/);
+    assert.throws(() => new RedisRateLimitStore(), /requires a RespClient/);
+  });
+});
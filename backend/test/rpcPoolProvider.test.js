@@ -0,0 +1,247 @@
+/**
+ * RpcPoolProvider: failover order, cooldowns after failures, lagging endpoints and the quorum vote,
+ * against in-process JSON-RPC nodes
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ethers } from 'ethers';
+import RpcPoolProvider from '../services/rpcPoolProvider.js';
+
+const CHAIN_ID = 1337;
+const COOLDOWN_MS = 200;
+
+// JSON-RPC node stand-in: answers eth_blockNumber and eth_call, or fails with HTTP 500 while down
+function startNode() {
+  const node = { blockNumber: 100, callResult: '0x01', callError: null, down: false, calls: 0 };
+
+  const answer = ({ id, method }) => {
+    if (method === 'eth_blockNumber') return { jsonrpc: '2.0', id, result: ethers.toQuantity(node.blockNumber) };
+    if (node.callError) return { jsonrpc: '2.0', id, error: node.callError };
+    return { jsonrpc: '2.0', id, result: node.callResult };
+  };
+
+  node.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      node.calls++;
+      if (node.down) {
+        res.writeHead(500);
+        return res.end('node down');
+      }
+      const payload = JSON.parse(raw);
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+
+  return new Promise(resolve => node.server.listen(0, '127.0.0.1', () => {
+    node.url = `http://127.0.0.1:${node.server.address().port}`;
+    resolve(node);
+  }));
+}
+
+describe('RpcPoolProvider', () => {
+  const nodes = [];
+  const providers = [];
+
+  before(async () => {
+    for (let i = 0; i < 3; i++) nodes.push(await startNode());
+  });
+
+  after(async () => {
+    providers.forEach(provider => provider.destroy());
+    await Promise.all(nodes.map(node => new Promise(resolve => node.server.close(resolve))));
+  });
+
+  beforeEach(() => {
+    for (const node of nodes) {
+      Object.assign(node, { blockNumber: 100, callResult: '0x01', callError: null, down: false, calls: 0 });
+    }
+  });
+
+  const createPool = (options = {}) => {
+    const provider = new RpcPoolProvider(nodes.map(node => node.url), CHAIN_ID, {
+      cooldownMs: COOLDOWN_MS,
+      healthCheckIntervalMs: 0,
+      requestTimeoutMs: 2000,
+      ...options
+    });
+    providers.push(provider);
+    return provider;
+  };
+
+  const call = (provider) => provider.send('eth_call', [{ to: ethers.ZeroAddress, data: '0x' }, 'latest']);
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  describe('failover', () => {
+    it('sends to the first configured endpoint while it is healthy', async () => {
+      const pool = createPool();
+
+      await call(pool);
+      await call(pool);
+
+      assert.deepEqual(nodes.map(node => node.calls), [2, 0, 0]);
+    });
+
+    it('moves on in configured order when endpoints fail', async () => {
+      const pool = createPool();
+      nodes[0].down = true;
+      nodes[1].down = true;
+
+      assert.equal(await call(pool), '0x01');
+
+      assert.deepEqual(nodes.map(node => node.calls), [1, 1, 1]);
+      const [first, second, third] = pool.endpointHealth();
+      assert.equal(first.available, false);
+      assert.equal(second.available, false);
+      assert.equal(third.available, true);
+      assert.match(first.lastError, /500|server response/i);
+    });
+
+    it('treats JSON-RPC errors as answers, not endpoint failures', async () => {
+      const pool = createPool();
+      nodes[0].callError = { code: 3, message: 'execution reverted', data: '0x' };
+
+      await assert.rejects(call(pool));
+
+      assert.deepEqual(nodes.map(node => node.calls), [1, 0, 0]);
+      assert.equal(pool.endpointHealth()[0].available, true);
+    });
+
+    it('throws the last error when every endpoint fails', async () => {
+      const pool = createPool();
+      nodes.forEach(node => { node.down = true; });
+
+      await assert.rejects(call(pool));
+
+      assert.deepEqual(nodes.map(node => node.calls), [1, 1, 1]);
+    });
+  });
+
+  describe('health', () => {
+    it('skips an endpoint in cooldown and tries it again once the cooldown is over', async () => {
+      const pool = createPool();
+      nodes[0].down = true;
+      await call(pool);
+      nodes[0].down = false;
+
+      await call(pool);
+      assert.equal(nodes[0].calls, 1);
+
+      await sleep(COOLDOWN_MS + 20);
+      assert.equal(pool.endpointHealth()[0].available, true);
+
+      // Ranked behind the healthy endpoints until its score recovers, but used before one in cooldown
+      nodes[1].down = true;
+      await call(pool);
+      assert.equal(nodes[0].calls, 1);
+      nodes[2].down = true;
+      await call(pool);
+      assert.equal(nodes[0].calls, 2);
+    });
+
+    it('doubles the cooldown with each consecutive failure', async () => {
+      const pool = createPool();
+      const [endpoint] = pool.endpoints;
+      nodes[0].down = true;
+
+      await call(pool);
+      const first = endpoint.cooldownUntil - Date.now();
+      await sleep(COOLDOWN_MS + 20);
+      nodes.forEach(node => { node.down = true; });
+      await assert.rejects(call(pool));
+      const second = endpoint.cooldownUntil - Date.now();
+
+      assert.equal(endpoint.consecutiveFailures, 2);
+      assert.ok(first <= COOLDOWN_MS && first > COOLDOWN_MS - 100);
+      assert.ok(second <= 2 * COOLDOWN_MS && second > 2 * COOLDOWN_MS - 100);
+    });
+
+    it('tries endpoints in cooldown when no available endpoint answers', async () => {
+      const pool = createPool();
+      nodes[0].down = true;
+      await call(pool);
+      nodes[0].down = false;
+      nodes[1].down = true;
+      nodes[2].down = true;
+
+      assert.equal(await call(pool), '0x01');
+      assert.equal(nodes[0].calls, 2);
+    });
+
+    it('ranks endpoints that lag the best block last', async () => {
+      const pool = createPool({ maxBlockLag: 5 });
+      nodes[0].blockNumber = 90;
+
+      await pool.probe();
+      await call(pool);
+
+      assert.equal(pool.endpointHealth()[0].lagging, true);
+      assert.equal(pool.rankedEndpoints()[2].index, 0);
+      assert.equal(nodes[1].calls, 2);
+
+      nodes[0].blockNumber = 100;
+      await pool.probe();
+      assert.equal(pool.endpointHealth()[0].lagging, false);
+    });
+  });
+
+  describe('quorum', () => {
+    it('returns the answer enough endpoints agree on', async () => {
+      const pool = createPool().withQuorum(2);
+      providers.push(pool);
+      nodes[2].callResult = '0x02';
+
+      assert.equal(await call(pool), '0x01');
+      assert.deepEqual(nodes.map(node => node.calls), [1, 1, 1]);
+    });
+
+    it('counts matching JSON-RPC errors as an answer', async () => {
+      const pool = createPool().withQuorum(2);
+      providers.push(pool);
+      for (const node of nodes.slice(0, 2)) {
+        node.callError = { code: 3, message: 'execution reverted', data: '0x' };
+      }
+
+      await assert.rejects(call(pool), error => !/quorum/.test(error.message));
+    });
+
+    it('fails with "RPC quorum not reached" when endpoints disagree', async () => {
+      const pool = createPool().withQuorum(2);
+      providers.push(pool);
+      nodes.forEach((node, i) => { node.callResult = ethers.toQuantity(i + 1); });
+
+      await assert.rejects(call(pool), /RPC quorum not reached/);
+    });
+
+    it('fails with "RPC quorum not reached" when too few endpoints answer', async () => {
+      const pool = createPool().withQuorum(2);
+      providers.push(pool);
+      nodes[0].down = true;
+      nodes[1].down = true;
+
+      await assert.rejects(call(pool), /RPC quorum not reached/);
+    });
+
+    it('asks endpoints in cooldown when too few are available', async () => {
+      const base = createPool();
+      const pool = base.withQuorum(2);
+      providers.push(pool);
+      nodes[0].down = true;
+      nodes[1].down = true;
+      await call(base);
+      nodes[0].down = false;
+      nodes[1].down = false;
+
+      assert.equal(await call(pool), '0x01');
+      assert.equal(pool.endpointHealth().filter(endpoint => endpoint.available).length, 3);
+    });
+
+    it('refuses a quorum larger than the pool', () => {
+      assert.throws(() => createPool({ quorum: 4 }), /RPC quorum 4 exceeds the 3 configured endpoints/);
+    });
+  });
+});
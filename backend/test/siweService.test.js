@@ -0,0 +1,125 @@
+/**
+ * SiweService: EIP-4361 login against an in-memory nonce store, covering the domain, chain ID,
+ * validity window, signer and single-use nonce checks
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import SiweService, { SiweError } from '../services/siweService.js';
+import { createMemoryPrisma } from './helpers/memoryPrisma.js';
+
+const DOMAIN = 'app.terracare.example';
+const CHAIN_ID = 1337;
+
+// EIP-4361 message as a wallet builds it
+function buildMessage({
+  domain = DOMAIN,
+  address,
+  chainId = CHAIN_ID,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime,
+  notBefore
+}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to TerraCare',
+    '',
+    `URI: https://${domain}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    ...(expirationTime ? [`Expiration Time: ${expirationTime}`] : []),
+    ...(notBefore ? [`Not Before: ${notBefore}`] : [])
+  ].join('\n');
+}
+
+describe('SiweService', () => {
+  let prisma;
+  let siwe;
+  let wallet;
+
+  beforeEach(() => {
+    prisma = createMemoryPrisma({ defaults: { authNonce: { usedAt: null } } });
+    siwe = new SiweService({
+      prisma,
+      contractService: { getIdentity: async () => ({ role: 'Patient', userId: 'user-1' }) },
+      domain: DOMAIN,
+      chainId: CHAIN_ID
+    });
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  const signIn = async (fields = {}, signer = wallet) => {
+    const nonce = fields.nonce || (await siwe.createNonce()).nonce;
+    const message = buildMessage({ address: wallet.address, ...fields, nonce });
+    return siwe.verify(message, await signer.signMessage(message));
+  };
+
+  const siweError = (code) => (error) => error instanceof SiweError && error.code === code;
+
+  it('verifies a signed message and resolves the role on-chain', async () => {
+    const { address, role, userId, fields } = await signIn();
+
+    assert.equal(address, wallet.address);
+    assert.equal(role, 'Patient');
+    assert.equal(userId, 'user-1');
+    assert.equal(fields.statement, 'Sign in to TerraCare');
+  });
+
+  it('rejects a message for another domain', async () => {
+    await assert.rejects(signIn({ domain: 'phishing.example' }), siweError('DOMAIN_MISMATCH'));
+  });
+
+  it('rejects a message for another chain', async () => {
+    await assert.rejects(signIn({ chainId: 1 }), siweError('CHAIN_MISMATCH'));
+  });
+
+  it('accepts each nonce once', async () => {
+    const { nonce } = await siwe.createNonce();
+    const message = buildMessage({ address: wallet.address, nonce });
+    const signature = await wallet.signMessage(message);
+
+    await siwe.verify(message, signature);
+
+    await assert.rejects(siwe.verify(message, signature), siweError('INVALID_NONCE'));
+  });
+
+  it('rejects unknown and expired nonces', async () => {
+    await assert.rejects(signIn({ nonce: 'f'.repeat(32) }), siweError('INVALID_NONCE'));
+
+    siwe.nonceTtlMs = -1;
+    const { nonce } = await siwe.createNonce();
+    await assert.rejects(signIn({ nonce }), siweError('INVALID_NONCE'));
+  });
+
+  it('rejects expired and not yet valid messages', async () => {
+    const minutes = (n) => new Date(Date.now() + n * 60 * 1000).toISOString();
+
+    await assert.rejects(signIn({ expirationTime: minutes(-1) }), siweError('MESSAGE_EXPIRED'));
+    await assert.rejects(signIn({ notBefore: minutes(5) }), siweError('MESSAGE_NOT_YET_VALID'));
+    await assert.rejects(signIn({ issuedAt: minutes(5) }), siweError('INVALID_MESSAGE'));
+
+    assert.ok(await signIn({ expirationTime: minutes(5), notBefore: minutes(-1) }));
+  });
+
+  it('rejects a signature from another address without consuming the nonce', async () => {
+    const { nonce } = await siwe.createNonce();
+
+    await assert.rejects(signIn({ nonce }, ethers.Wallet.createRandom()), siweError('INVALID_SIGNATURE'));
+
+    assert.ok(await signIn({ nonce }));
+  });
+
+  it('rejects malformed messages', async () => {
+    await assert.rejects(siwe.verify('hello', '0x'), siweError('INVALID_MESSAGE'));
+
+    const { nonce } = await siwe.createNonce();
+    const lowercase = buildMessage({ address: wallet.address.toLowerCase(), nonce });
+    await assert.rejects(siwe.verify(lowercase, await wallet.signMessage(lowercase)), siweError('INVALID_MESSAGE'));
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Token-gated routes: requireMINE, requireWELL and requireAccessTier against a HoldingsService
+ * reading a scripted chain, including the 403 INSUFFICIENT_BALANCE and 503 BALANCE_CHECK_UNAVAILABLE answers
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { ethers } from 'ethers';
+import HoldingsService from '../services/holdingsService.js';
+import {
+  authenticateJWT,
+  configureAuth,
+  generateToken,
+  requireAccessTier,
+  requireMINE,
+  requireWELL
+} from '../middleware/auth.js';
+
+const PREMIUM_THRESHOLD = ethers.parseEther('500');
+const ENTERPRISE_THRESHOLD = ethers.parseEther('5000');
+
+// ContractService double: holdings per address at the current block
+function createFakeChain() {
+  const chain = {
+    blockNumber: 100,
+    holdings: new Map(),
+    reads: 0,
+    contracts: { TokenEngine: {}, AccessControl: {} },
+    provider: { getBlockNumber: async () => chain.blockNumber },
+    getTokenHoldings: async (address) => {
+      chain.reads++;
+      return chain.holdings.get(address) || { mine: 0n, well: 0n, accessTier: 'Basic' };
+    },
+    getAccessTierThresholds: async () => ({ Basic: 0n, Premium: PREMIUM_THRESHOLD, Enterprise: ENTERPRISE_THRESHOLD })
+  };
+
+  chain.hold = (address, { mine = 0n, well = 0n }) => {
+    const accessTier = mine >= ENTERPRISE_THRESHOLD ? 'Enterprise' : mine >= PREMIUM_THRESHOLD ? 'Premium' : 'Basic';
+    chain.holdings.set(address, { mine, well, accessTier });
+  };
+
+  return chain;
+}
+
+describe('token-gated routes', () => {
+  let chain;
+  let server;
+  let base;
+
+  before(async () => {
+    const app = express();
+    const ok = (req, res) => res.json({ ok: true, blockNumber: req.holdings.blockNumber });
+    app.get('/export', authenticateJWT, requireMINE(1000), ok);
+    app.get('/redeem', authenticateJWT, requireWELL('0.5'), ok);
+    app.get('/analytics', authenticateJWT, requireAccessTier('Premium'), ok);
+    app.get('/integrations', authenticateJWT, requireAccessTier('Enterprise'), ok);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    configureAuth({ sessions: null });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    chain = createFakeChain();
+    configureAuth({
+      sessions: { isActive: async () => true },
+      holdings: new HoldingsService({ contractService: chain, blockCacheMs: 0 })
+    });
+  });
+
+  const userWith = (holdings) => {
+    const address = ethers.Wallet.createRandom().address;
+    chain.hold(address, holdings);
+    return generateToken({ address, role: 'Patient', userId: 'user-1', sid: 'session-1' });
+  };
+
+  const call = async (path, token) => {
+    const response = await fetch(`${base}${path}`, { headers: { authorization: `Bearer ${token}` } });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('admits holders at or above the requirement', async () => {
+    const token = userWith({ mine: ENTERPRISE_THRESHOLD, well: ethers.parseEther('0.5') });
+
+    for (const path of ['/export', '/redeem', '/analytics', '/integrations']) {
+      const { status, body } = await call(path, token);
+      assert.equal(status, 200, path);
+      assert.equal(body.blockNumber, 100);
+    }
+  });
+
+  it('answers 403 INSUFFICIENT_BALANCE with the shortfall below a MINE or WELL minimum', async () => {
+    const token = userWith({ mine: ethers.parseEther('999'), well: ethers.parseEther('0.4') });
+
+    const mine = await call('/export', token);
+    assert.equal(mine.status, 403);
+    assert.deepEqual(mine.body, {
+      error: 'Insufficient MINE balance',
+      code: 'INSUFFICIENT_BALANCE',
+      token: 'MINE',
+      required: ethers.parseEther('1000').toString(),
+      balance: ethers.parseEther('999').toString(),
+      blockNumber: 100
+    });
+
+    const well = await call('/redeem', token);
+    assert.equal(well.status, 403);
+    assert.equal(well.body.code, 'INSUFFICIENT_BALANCE');
+    assert.equal(well.body.token, 'WELL');
+    assert.equal(well.body.required, ethers.parseEther('0.5').toString());
+  });
+
+  it('answers 403 INSUFFICIENT_BALANCE with the tier threshold below an access tier', async () => {
+    const token = userWith({ mine: PREMIUM_THRESHOLD });
+
+    assert.equal((await call('/analytics', token)).status, 200);
+
+    const { status, body } = await call('/integrations', token);
+    assert.equal(status, 403);
+    assert.equal(body.code, 'INSUFFICIENT_BALANCE');
+    assert.equal(body.requiredTier, 'Enterprise');
+    assert.equal(body.accessTier, 'Premium');
+    assert.equal(body.required, ENTERPRISE_THRESHOLD.toString());
+    assert.equal(body.balance, PREMIUM_THRESHOLD.toString());
+  });
+
+  it('reads holdings again once a new block is mined', async () => {
+    const address = ethers.Wallet.createRandom().address;
+    chain.hold(address, { mine: 0n });
+    const token = generateToken({ address, role: 'Patient', userId: 'user-1', sid: 'session-1' });
+
+    assert.equal((await call('/analytics', token)).status, 403);
+    chain.hold(address, { mine: PREMIUM_THRESHOLD });
+    assert.equal((await call('/analytics', token)).status, 403);
+    assert.equal(chain.reads, 1);
+
+    chain.blockNumber = 101;
+    assert.equal((await call('/analytics', token)).status, 200);
+  });
+
+  it('answers 503 BALANCE_CHECK_UNAVAILABLE without the token contracts', async () => {
+    const token = userWith({ mine: ENTERPRISE_THRESHOLD, well: ethers.parseEther('1') });
+
+    delete chain.contracts.AccessControl;
+    assert.equal((await call('/export', token)).status, 200);
+    const tier = await call('/analytics', token);
+    assert.equal(tier.status, 503);
+    assert.equal(tier.body.code, 'BALANCE_CHECK_UNAVAILABLE');
+
+    delete chain.contracts.TokenEngine;
+    const mine = await call('/export', token);
+    assert.equal(mine.status, 503);
+    assert.equal(mine.body.code, 'BALANCE_CHECK_UNAVAILABLE');
+  });
+
+  it('answers 503 BALANCE_CHECK_UNAVAILABLE when the server has no holdings service', async () => {
+    configureAuth({ sessions: { isActive: async () => true } });
+
+    const { status, body } = await call('/redeem', userWith({ well: ethers.parseEther('1') }));
+
+    assert.equal(status, 503);
+    assert.equal(body.code, 'BALANCE_CHECK_UNAVAILABLE');
+  });
+});
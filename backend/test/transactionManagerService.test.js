@@ -0,0 +1,299 @@
+/**
+ * TransactionManagerService: nonce allocation, broadcast failures and stuck-transaction handling
+ * against an in-memory outbox and a scripted provider
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import TransactionManagerService from '../services/transactionManagerService.js';
+import { createMemoryPrisma } from './helpers/memoryPrisma.js';
+
+const TARGET = '0x000000000000000000000000000000000000dEaD';
+
+// Provider double: records broadcasts, serves receipts and nonce counts set by the test
+function createFakeChain() {
+  const chain = {
+    pendingNonce: 0,
+    minedNonce: 0,
+    blockNumber: 100,
+    gasPrice: 1000n,
+    broadcasts: [],
+    receipts: new Map(),
+    broadcastErrors: []
+  };
+
+  chain.provider = {
+    getTransactionCount: async (address, tag) => (tag === 'pending' ? chain.pendingNonce : chain.minedNonce),
+    getFeeData: async () => ({ gasPrice: chain.gasPrice }),
+    getBlockNumber: async () => chain.blockNumber,
+    getTransactionReceipt: async (hash) => chain.receipts.get(hash) || null,
+    broadcastTransaction: async (signed) => {
+      const error = chain.broadcastErrors.shift();
+      if (error) throw error;
+      chain.broadcasts.push(ethers.Transaction.from(signed));
+    }
+  };
+
+  chain.mine = (hash, status = 1) => {
+    chain.receipts.set(hash, { hash, status, blockNumber: chain.blockNumber });
+  };
+
+  return chain;
+}
+
+function createSigner(chain, { estimateGas = async () => 50000n } = {}) {
+  const wallet = ethers.Wallet.createRandom();
+  return {
+    address: wallet.address,
+    provider: chain.provider,
+    estimateGas,
+    populateTransaction: async (tx) => ({ ...tx, chainId: 1337n, type: 0 }),
+    signTransaction: (tx) => wallet.signTransaction(tx)
+  };
+}
+
+describe('TransactionManagerService', () => {
+  let prisma;
+  let chain;
+
+  beforeEach(() => {
+    prisma = createMemoryPrisma();
+    chain = createFakeChain();
+  });
+
+  const createManager = (options = {}) => new TransactionManagerService({
+    prisma,
+    signer: options.signer || createSigner(chain),
+    txOverrides: options.txOverrides
+  });
+
+  const submit = (manager, reference = null) => manager.submit({
+    to: TARGET,
+    data: '0x1234',
+    kind: 'test.call',
+    reference
+  });
+
+  const job = async (jobId) => prisma.outboundTransaction.findUnique({ where: { id: jobId } });
+
+  describe('nonce allocation', () => {
+    it('assigns consecutive nonces from the pending count in submission order', async () => {
+      chain.pendingNonce = 7;
+      const manager = createManager();
+
+      const jobs = await Promise.all([submit(manager), submit(manager), submit(manager)]);
+      await manager.queue;
+
+      const nonces = await Promise.all(jobs.map(async ({ jobId }) => (await job(jobId)).nonce));
+      assert.deepEqual(nonces, [7, 8, 9]);
+      assert.deepEqual(chain.broadcasts.map(tx => tx.nonce), [7, 8, 9]);
+    });
+
+    it('never reuses the nonce of a submitted job the node has dropped', async () => {
+      chain.pendingNonce = 3;
+      const manager = createManager();
+      await prisma.outboundTransaction.create({
+        data: { chain: 'terracare', fromAddress: manager.address, status: 'SUBMITTED', nonce: 5, txHashes: [] }
+      });
+
+      const { jobId } = await submit(manager);
+      await manager.queue;
+
+      assert.equal((await job(jobId)).nonce, 6);
+    });
+
+    it('fails a call that does not estimate without consuming a nonce', async () => {
+      let reverting = true;
+      const signer = createSigner(chain, {
+        estimateGas: async () => {
+          if (reverting) throw Object.assign(new Error('execution reverted'), { reason: 'Not authorized' });
+          return 50000n;
+        }
+      });
+      const manager = createManager({ signer });
+
+      const failed = await submit(manager);
+      await manager.queue;
+      reverting = false;
+      const next = await submit(manager);
+      await manager.queue;
+
+      const failedJob = await job(failed.jobId);
+      assert.equal(failedJob.status, 'FAILED');
+      assert.equal(failedJob.error, 'Not authorized');
+      assert.equal(failedJob.nonce, undefined);
+      assert.equal((await job(next.jobId)).nonce, 0);
+    });
+
+    it('does not submit a job that another worker moved on meanwhile', async () => {
+      let takenOver = null;
+      const signer = createSigner(chain, {
+        estimateGas: async () => {
+          if (takenOver) {
+            await prisma.outboundTransaction.update({
+              where: { id: takenOver },
+              data: { status: 'SUBMITTED', nonce: 0, txHash: '0xother' }
+            });
+            takenOver = null;
+          }
+          return 50000n;
+        }
+      });
+      const manager = createManager({ signer });
+
+      const raced = await submit(manager);
+      takenOver = raced.jobId;
+      await manager.queue;
+      const next = await submit(manager);
+      await manager.queue;
+
+      const untouched = await job(raced.jobId);
+      assert.equal(untouched.txHash, '0xother');
+      assert.equal(untouched.attempts, undefined);
+      assert.deepEqual(chain.broadcasts.map(tx => tx.nonce), [1]);
+      assert.equal((await job(next.jobId)).nonce, 1);
+    });
+
+    it('requeues with a nonce resynced from the node after a nonce error', async () => {
+      const manager = createManager();
+      chain.broadcastErrors.push(Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' }));
+
+      const first = await submit(manager);
+      // Another process used nonce 0 meanwhile; the node now reports 1
+      chain.pendingNonce = 1;
+      await manager.queue;
+      await manager.queue;
+
+      const resent = await job(first.jobId);
+      assert.equal(resent.status, 'SUBMITTED');
+      assert.equal(resent.nonce, 1);
+      assert.deepEqual(chain.broadcasts.map(tx => tx.nonce), [1]);
+    });
+
+    it('keeps the nonce of a job whose broadcast outcome is unknown', async () => {
+      const manager = createManager();
+      chain.broadcastErrors.push(Object.assign(new Error('socket hang up'), { code: 'NETWORK_ERROR' }));
+
+      const first = await submit(manager);
+      await manager.queue;
+      const second = await submit(manager);
+      await manager.queue;
+
+      const pending = await job(first.jobId);
+      assert.equal(pending.status, 'SUBMITTED');
+      assert.equal(pending.nonce, 0);
+      assert.equal((await job(second.jobId)).nonce, 1);
+    });
+
+    it('returns the existing job for a repeated kind + reference', async () => {
+      const manager = createManager();
+
+      const first = await submit(manager, 'activity-1');
+      const again = await submit(manager, 'activity-1');
+      await manager.queue;
+
+      assert.equal(again.jobId, first.jobId);
+      assert.equal(prisma.$rows('outboundTransaction').length, 1);
+    });
+
+    it('requeues unsent jobs on start', async () => {
+      const manager = createManager();
+      const queued = await prisma.outboundTransaction.create({
+        data: {
+          chain: 'terracare',
+          fromAddress: manager.address,
+          toAddress: TARGET,
+          data: '0x',
+          value: '0',
+          kind: 'test.call',
+          status: 'QUEUED'
+        }
+      });
+
+      await manager.start();
+      manager.stop();
+      await manager.queue;
+
+      assert.equal((await job(queued.id)).status, 'SUBMITTED');
+    });
+  });
+
+  describe('monitoring', () => {
+    it('confirms a mined job and wakes waiters', async () => {
+      const manager = createManager();
+      const { jobId } = await submit(manager);
+      await manager.queue;
+
+      const waiting = manager.wait(jobId, 5000);
+      chain.mine((await job(jobId)).txHash);
+      await manager.sync();
+
+      const result = await waiting;
+      assert.equal(result.status, 'CONFIRMED');
+      assert.equal(result.blockNumber, chain.blockNumber);
+    });
+
+    it('fails a job whose nonce was consumed by another transaction', async () => {
+      const manager = createManager();
+      const { jobId } = await submit(manager);
+      await manager.queue;
+
+      chain.minedNonce = 1;
+      await manager.sync();
+
+      const failed = await job(jobId);
+      assert.equal(failed.status, 'FAILED');
+      assert.equal(failed.error, 'Nonce consumed by another transaction');
+    });
+
+    it('rebroadcasts the same signed transaction when the gas price is fixed', async () => {
+      const manager = createManager({ txOverrides: { gasPrice: 0 } });
+      manager.stuckAfterMs = 0;
+      const { jobId } = await submit(manager);
+      await manager.queue;
+
+      await manager.sync();
+
+      const stuck = await job(jobId);
+      assert.equal(stuck.attempts, 2);
+      assert.deepEqual(stuck.txHashes, [stuck.txHash]);
+      assert.equal(chain.broadcasts.length, 2);
+      assert.equal(chain.broadcasts[1].hash, stuck.txHash);
+    });
+
+    it('replaces a stuck transaction at the same nonce with a bumped gas price', async () => {
+      const manager = createManager();
+      manager.stuckAfterMs = 0;
+      const { jobId } = await submit(manager);
+      await manager.queue;
+      const original = await job(jobId);
+
+      await manager.sync();
+
+      const replaced = await job(jobId);
+      assert.equal(replaced.nonce, original.nonce);
+      assert.equal(replaced.txHashes.length, 2);
+      assert.notEqual(replaced.txHash, original.txHash);
+      // 15% default bump plus one wei
+      assert.equal(BigInt(replaced.gasPrice), 1000n * 115n / 100n + 1n);
+      assert.equal(chain.broadcasts[1].nonce, original.nonce);
+    });
+
+    it('confirms a replaced job when the original broadcast is the one mined', async () => {
+      const manager = createManager();
+      manager.stuckAfterMs = 0;
+      const { jobId } = await submit(manager);
+      await manager.queue;
+      const original = await job(jobId);
+      await manager.sync();
+
+      chain.mine(original.txHash);
+      await manager.sync();
+
+      const confirmed = await job(jobId);
+      assert.equal(confirmed.status, 'CONFIRMED');
+      assert.equal(confirmed.txHash, original.txHash);
+    });
+  });
+});
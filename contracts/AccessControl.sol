@@ -8,6 +8,7 @@ import "./TokenEngine.sol";
  * @title TerracareAccessControl
  * @dev Per-record access grants/revokes with audit events
  * v2.0: Added token-gated access for premium features
+ * Grants and revokes may be relayed through a trusted ERC-2771 forwarder; they apply to the signer
  */
 contract TerracareAccessControl {
     IdentityRegistry public registry;
@@ -37,6 +38,9 @@ contract TerracareAccessControl {
     // Audit tracking
     mapping(address => AccessLog[]) public accessLogs;
     
+    // ERC-2771 forwarders allowed to relay user-signed calls
+    mapping(address => bool) public trustedForwarders;
+    
     struct AccessLog {
         address accessor;
         uint256 timestamp;
@@ -51,6 +55,7 @@ contract TerracareAccessControl {
     event EmergencyAccessGranted(address indexed patient, address indexed caregiver);
     event EmergencyAccessRevoked(address indexed patient, address indexed caregiver);
     event TokenEngineSet(address indexed tokenEngine);
+    event TrustedForwarderSet(address indexed forwarder, bool trusted);
 
     constructor(address registryAddress) {
         registry = IdentityRegistry(registryAddress);
@@ -67,14 +72,14 @@ contract TerracareAccessControl {
     }
 
     function grant(address caregiver) external {
-        _grantAccess(msg.sender, caregiver, 0);
+        _grantAccess(_msgSender(), caregiver, 0);
     }
     
     /**
      * @dev Grant time-limited access
      */
     function grantWithExpiry(address caregiver, uint256 duration) external {
-        _grantAccess(msg.sender, caregiver, block.timestamp + duration);
+        _grantAccess(_msgSender(), caregiver, block.timestamp + duration);
     }
     
     function _grantAccess(address patient, address caregiver, uint256 expiry) internal {
@@ -94,17 +99,19 @@ contract TerracareAccessControl {
     }
 
     function revoke(address caregiver) external {
-        access[msg.sender][caregiver] = false;
-        delete accessExpiry[msg.sender][caregiver];
+        address patient = _msgSender();
+        require(access[patient][caregiver], "Access not granted");
+        access[patient][caregiver] = false;
+        delete accessExpiry[patient][caregiver];
         
-        accessLogs[msg.sender].push(AccessLog({
+        accessLogs[patient].push(AccessLog({
             accessor: caregiver,
             timestamp: block.timestamp,
             action: "REVOKE",
             granted: false
         }));
         
-        emit AccessRevoked(msg.sender, caregiver);
+        emit AccessRevoked(patient, caregiver);
     }
 
     function hasAccess(address patient, address caregiver) external view returns (bool) {
@@ -254,6 +261,31 @@ contract TerracareAccessControl {
         return accessLogs[patient].length;
     }
     
+    // ============ ERC-2771 Support ============
+
+    /**
+     * @dev Trust (or stop trusting) a forwarder to relay user-signed calls
+     */
+    function setTrustedForwarder(address forwarder, bool trusted) external {
+        require(registry.isActive(msg.sender, IdentityRegistry.Role.Admin), "Not admin");
+        trustedForwarders[forwarder] = trusted;
+        emit TrustedForwarderSet(forwarder, trusted);
+    }
+
+    /**
+     * @dev Queried by ERC2771Forwarder before relaying a request
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return trustedForwarders[forwarder];
+    }
+
+    function _msgSender() internal view returns (address) {
+        if (msg.data.length >= 20 && trustedForwarders[msg.sender]) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+    
     /**
      * @dev Check and clean expired access
      */
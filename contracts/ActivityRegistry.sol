@@ -5,6 +5,8 @@ import "./TokenEngine.sol";
 import "./IdentityRegistry.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 /**
  * @title ActivityRegistry
@@ -12,13 +14,20 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * - Anti-gaming: 100 points/day/user limit
  * - Activity proofs stored on-chain with IPFS hash reference
  * - Only callable by authorized oracles/backend
+ * - Optional EIP-712 activity proofs signed by a VALIDATOR_ROLE holder (AI oracle);
+ *   requireValidatorSignature disables the unsigned entry points
+ * - Validator quorum: proofs scoring quorumMinValueScore or more need validatorQuorum distinct signers
  */
-contract ActivityRegistry is AccessControl, ReentrancyGuard {
+contract ActivityRegistry is AccessControl, ReentrancyGuard, EIP712 {
     
     bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
     bytes32 public constant VALIDATOR_ROLE = keccak256("VALIDATOR_ROLE");
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     
+    bytes32 public constant ACTIVITY_PROOF_TYPEHASH = keccak256(
+        "ActivityProof(bytes32 activityId,bytes32 userId,uint8 activityType,bytes32 dataHash,uint256 valueScore,bytes32 modelHash,address userAddress,uint256 timestamp,uint256 nonce)"
+    );
+    
     TokenEngine public tokenEngine;
     IdentityRegistry public identityRegistry;
     
@@ -43,6 +52,19 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
         bool rewarded;            // Whether MINE was minted
     }
     
+    // Validator-signed activity (EIP-712 ActivityProof)
+    struct SignedActivity {
+        bytes32 activityId;
+        bytes32 userId;
+        ActivityType activityType;
+        bytes32 dataHash;
+        uint256 valueScore;
+        bytes32 modelHash;        // Scoring model that produced valueScore
+        address userAddress;
+        uint256 timestamp;        // When the validator signed
+        uint256 nonce;            // Single-use per validator
+    }
+    
     // Storage
     mapping(bytes32 => ActivityProof) public activityProofs;
     mapping(bytes32 => uint256) public dailyPoints;  // userId + day => points
@@ -58,6 +80,14 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
     // Value score parameters (set by governance)
     mapping(ActivityType => uint256) public baseValueScores;
     
+    // Activity proofs
+    bool public requireValidatorSignature;
+    uint256 public proofValidity = 1 days;          // Max age of a signed proof
+    uint256 public constant PROOF_CLOCK_SKEW = 5 minutes;
+    mapping(address => mapping(uint256 => bool)) public usedProofNonces; // validator => nonce => used
+    uint256 public validatorQuorum = 1;             // Signers required for high-value proofs
+    uint256 public quorumMinValueScore = 100;       // Value score from which validatorQuorum applies
+    
     // Events
     event ActivityRecorded(
         bytes32 indexed activityId,
@@ -73,8 +103,17 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
         uint256 valueScore
     );
     event DailyCapReached(bytes32 indexed userId, uint256 day, uint256 cappedAmount);
+    event ActivityProofVerified(
+        bytes32 indexed activityId,
+        address indexed validator,
+        bytes32 modelHash,
+        uint256 nonce
+    );
+    event ValidatorSignatureRequirementUpdated(bool required);
+    event ProofValidityUpdated(uint256 proofValidity);
+    event ValidatorQuorumUpdated(uint256 quorum, uint256 minValueScore);
     
-    constructor(address _tokenEngine, address _identityRegistry) {
+    constructor(address _tokenEngine, address _identityRegistry) EIP712("TerraCare ActivityRegistry", "1") {
         require(_tokenEngine != address(0), "Invalid TokenEngine address");
         require(_identityRegistry != address(0), "Invalid IdentityRegistry address");
         
@@ -110,6 +149,44 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
         uint256 valueScore,
         address userAddress
     ) external onlyRole(ORACLE_ROLE) nonReentrant returns (bool) {
+        require(!requireValidatorSignature, "Validator signature required");
+        
+        _recordActivity(activityId, userId, activityType, dataHash, valueScore, userAddress, msg.sender);
+        return true;
+    }
+    
+    /**
+     * @dev Record an activity carrying validator EIP-712 ActivityProof signatures
+     * @param activity Signed activity fields
+     * @param signature 65-byte signatures by VALIDATOR_ROLE holders over the ActivityProof, concatenated
+     *        in ascending signer address order (one signature unless the proof needs a quorum)
+     */
+    function recordActivityWithProof(
+        SignedActivity calldata activity,
+        bytes calldata signature
+    ) external onlyRole(ORACLE_ROLE) nonReentrant returns (bool) {
+        address validator = _consumeProof(activity, signature);
+        _recordActivity(
+            activity.activityId,
+            activity.userId,
+            activity.activityType,
+            activity.dataHash,
+            activity.valueScore,
+            activity.userAddress,
+            validator
+        );
+        return true;
+    }
+    
+    function _recordActivity(
+        bytes32 activityId,
+        bytes32 userId,
+        ActivityType activityType,
+        bytes32 dataHash,
+        uint256 valueScore,
+        address userAddress,
+        address validator
+    ) internal {
         require(activityProofs[activityId].timestamp == 0, "Activity already recorded");
         require(valueScore > 0 && valueScore <= 100, "Invalid value score");
         require(userAddress != address(0), "Invalid user address");
@@ -132,7 +209,7 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
             timestamp: block.timestamp,
             dataHash: dataHash,
             valueScore: actualValueScore,
-            validator: msg.sender,
+            validator: validator,
             rewarded: actualValueScore > 0
         });
         
@@ -150,8 +227,6 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
             uint256 mineAmount = tokenEngine.mineActivity(userAddress, actualValueScore);
             emit ActivityRewarded(activityId, userId, mineAmount, actualValueScore);
         }
-        
-        return true;
     }
     
     /**
@@ -166,6 +241,8 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
         uint256[] calldata valueScores,
         address[] calldata userAddresses
     ) external onlyRole(ORACLE_ROLE) nonReentrant returns (uint256 rewardedCount) {
+        require(!requireValidatorSignature, "Validator signature required");
+        
         uint256 len = activityIds.length;
         require(len == userIds.length && len == activityTypes.length, "Length mismatch");
         require(len == dataHashes.length && len == valueScores.length && len == userAddresses.length, "Length mismatch");
@@ -180,12 +257,44 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
                 dataHashes[i],
                 valueScores[i],
                 userAddresses[i],
-                day
+                day,
+                msg.sender
             );
             rewardedCount++;
         }
     }
     
+    /**
+     * @dev Batch record validator-signed activities (signatures as in recordActivityWithProof)
+     * Already-recorded IDs are skipped before their proof is checked; any other invalid proof reverts the batch
+     */
+    function batchRecordActivitiesWithProof(
+        SignedActivity[] calldata activities,
+        bytes[] calldata signatures
+    ) external onlyRole(ORACLE_ROLE) nonReentrant returns (uint256 recordedCount) {
+        require(activities.length == signatures.length, "Length mismatch");
+        
+        uint256 day = block.timestamp / DAY_IN_SECONDS;
+        
+        for (uint i = 0; i < activities.length; i++) {
+            SignedActivity calldata activity = activities[i];
+            if (activityProofs[activity.activityId].timestamp != 0) continue; // Skip duplicates
+            
+            address validator = _consumeProof(activity, signatures[i]);
+            _processBatchActivity(
+                activity.activityId,
+                activity.userId,
+                activity.activityType,
+                activity.dataHash,
+                activity.valueScore,
+                activity.userAddress,
+                day,
+                validator
+            );
+            recordedCount++;
+        }
+    }
+    
     function _processBatchActivity(
         bytes32 activityId,
         bytes32 userId,
@@ -193,7 +302,8 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
         bytes32 dataHash,
         uint256 valueScore,
         address userAddress,
-        uint256 day
+        uint256 day,
+        address validator
     ) internal {
         if (activityProofs[activityId].timestamp != 0) return; // Skip duplicates
         
@@ -214,7 +324,7 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
             timestamp: block.timestamp,
             dataHash: dataHash,
             valueScore: valueScore,
-            validator: msg.sender,
+            validator: validator,
             rewarded: valueScore > 0
         });
         
@@ -231,6 +341,89 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
         }
     }
     
+    /**
+     * @dev EIP-712 digest of an ActivityProof, as signed by the validator
+     */
+    function hashActivityProof(SignedActivity calldata activity) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ACTIVITY_PROOF_TYPEHASH,
+            activity.activityId,
+            activity.userId,
+            activity.activityType,
+            activity.dataHash,
+            activity.valueScore,
+            activity.modelHash,
+            activity.userAddress,
+            activity.timestamp,
+            activity.nonce
+        )));
+    }
+    
+    /**
+     * @dev Validator signatures a proof with this value score needs
+     */
+    function requiredSignatures(uint256 valueScore) public view returns (uint256) {
+        return valueScore >= quorumMinValueScore ? validatorQuorum : 1;
+    }
+    
+    /**
+     * @dev Check a signed activity without recording it
+     * @return validator First recovered signer
+     * @return valid Whether enough distinct validators signed and the proof is fresh and unused
+     */
+    function verifyActivityProof(
+        SignedActivity calldata activity,
+        bytes calldata signature
+    ) external view returns (address validator, bool valid) {
+        uint256 count = signature.length / 65;
+        if (count == 0 || signature.length != count * 65) return (address(0), false);
+        
+        bytes32 digest = hashActivityProof(activity);
+        address last;
+        valid = count >= requiredSignatures(activity.valueScore)
+            && activity.timestamp <= block.timestamp + PROOF_CLOCK_SKEW
+            && block.timestamp <= activity.timestamp + proofValidity;
+        
+        for (uint i = 0; i < count; i++) {
+            (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature[i * 65:(i + 1) * 65]);
+            if (error != ECDSA.RecoverError.NoError) return (address(0), false);
+            if (i == 0) validator = recovered;
+            
+            valid = valid
+                && recovered > last
+                && hasRole(VALIDATOR_ROLE, recovered)
+                && !usedProofNonces[recovered][activity.nonce];
+            last = recovered;
+        }
+    }
+    
+    /**
+     * @dev Verify a signed activity and mark its nonce used by every signer
+     * @return validator The first VALIDATOR_ROLE holder that signed
+     */
+    function _consumeProof(SignedActivity calldata activity, bytes calldata signature) internal returns (address validator) {
+        require(activity.timestamp <= block.timestamp + PROOF_CLOCK_SKEW, "Proof timestamp in future");
+        require(block.timestamp <= activity.timestamp + proofValidity, "Proof expired");
+        
+        uint256 count = signature.length / 65;
+        require(count > 0 && signature.length == count * 65, "Invalid signature length");
+        require(count >= requiredSignatures(activity.valueScore), "Validator quorum not reached");
+        
+        bytes32 digest = hashActivityProof(activity);
+        address last;
+        for (uint i = 0; i < count; i++) {
+            address signer = ECDSA.recover(digest, signature[i * 65:(i + 1) * 65]);
+            require(hasRole(VALIDATOR_ROLE, signer), "Signer is not a validator");
+            require(signer > last, "Signers not in ascending order");
+            require(!usedProofNonces[signer][activity.nonce], "Proof nonce already used");
+            
+            usedProofNonces[signer][activity.nonce] = true;
+            emit ActivityProofVerified(activity.activityId, signer, activity.modelHash, activity.nonce);
+            if (i == 0) validator = signer;
+            last = signer;
+        }
+    }
+    
     /**
      * @dev Verify activity proof exists and is valid
      */
@@ -302,6 +495,33 @@ contract ActivityRegistry is AccessControl, ReentrancyGuard {
         baseValueScores[activityType] = score;
     }
     
+    /**
+     * @dev Require validator-signed proofs for every recorded activity
+     */
+    function setRequireValidatorSignature(bool required) external onlyRole(ADMIN_ROLE) {
+        requireValidatorSignature = required;
+        emit ValidatorSignatureRequirementUpdated(required);
+    }
+    
+    /**
+     * @dev Update how long a signed proof stays valid
+     */
+    function setProofValidity(uint256 validity) external onlyRole(ADMIN_ROLE) {
+        require(validity >= PROOF_CLOCK_SKEW, "Validity too short");
+        proofValidity = validity;
+        emit ProofValidityUpdated(validity);
+    }
+    
+    /**
+     * @dev Require `quorum` validator signatures on proofs scoring `minValueScore` or more
+     */
+    function setValidatorQuorum(uint256 quorum, uint256 minValueScore) external onlyRole(ADMIN_ROLE) {
+        require(quorum >= 1, "Quorum too low");
+        validatorQuorum = quorum;
+        quorumMinValueScore = minValueScore;
+        emit ValidatorQuorumUpdated(quorum, minValueScore);
+    }
+    
     /**
      * @dev Check if user can earn points today
      */
@@ -83,6 +83,9 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
     mapping(address => address) public delegates;
     mapping(address => uint256) public delegatedVotes;
     
+    // ERC-2771 forwarders allowed to relay user-signed calls
+    mapping(address => bool) public trustedForwarders;
+    
     // Events
     event PhaseTransition(GovernancePhase newPhase, uint256 timestamp);
     event ProposalCreated(
@@ -105,9 +108,10 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
     event ValidatorAdded(address indexed validator);
     event ValidatorRemoved(address indexed validator);
     event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event TrustedForwarderSet(address indexed forwarder, bool trusted);
     
     modifier onlyValidator() {
-        require(isValidator[msg.sender], "Not a validator");
+        require(isValidator[_msgSender()], "Not a validator");
         _;
     }
     
@@ -168,10 +172,10 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
     ) external returns (uint256) {
         updatePhase();
         
-        uint256 proposerVotes = getVotes(msg.sender);
+        uint256 proposerVotes = getVotes(_msgSender());
         
         if (currentPhase == GovernancePhase.PoA) {
-            require(isValidator[msg.sender], "Only validators can propose in PoA");
+            require(isValidator[_msgSender()], "Only validators can propose in PoA");
         } else {
             require(proposerVotes >= PROPOSAL_THRESHOLD, "Insufficient voting power");
         }
@@ -181,7 +185,7 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
         
         Proposal storage newProposal = proposals[proposalId];
         newProposal.id = proposalId;
-        newProposal.proposer = msg.sender;
+        newProposal.proposer = _msgSender();
         newProposal.title = title;
         newProposal.description = description;
         newProposal.callData = callData;
@@ -191,7 +195,7 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
         newProposal.executed = false;
         newProposal.canceled = false;
         
-        emit ProposalCreated(proposalId, msg.sender, title, newProposal.startTime, newProposal.endTime);
+        emit ProposalCreated(proposalId, _msgSender(), title, newProposal.startTime, newProposal.endTime);
         
         return proposalId;
     }
@@ -206,13 +210,13 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
         require(proposal.id != 0, "Proposal does not exist");
         require(block.timestamp >= proposal.startTime, "Voting not started");
         require(block.timestamp <= proposal.endTime, "Voting ended");
-        require(!proposal.hasVoted[msg.sender], "Already voted");
+        require(!proposal.hasVoted[_msgSender()], "Already voted");
         require(!proposal.canceled, "Proposal canceled");
         
-        uint256 votes = getVotes(msg.sender);
+        uint256 votes = getVotes(_msgSender());
         require(votes > 0, "No voting power");
         
-        proposal.hasVoted[msg.sender] = true;
+        proposal.hasVoted[_msgSender()] = true;
         
         if (support) {
             proposal.forVotes += votes;
@@ -220,7 +224,7 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
             proposal.againstVotes += votes;
         }
         
-        emit VoteCast(msg.sender, proposalId, support, votes);
+        emit VoteCast(_msgSender(), proposalId, support, votes);
     }
     
     /**
@@ -291,7 +295,7 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
         Proposal storage proposal = proposals[proposalId];
         require(proposal.id != 0, "Proposal does not exist");
         require(
-            msg.sender == proposal.proposer || isValidator[msg.sender],
+            _msgSender() == proposal.proposer || isValidator[_msgSender()],
             "Not authorized"
         );
         require(!proposal.executed, "Already executed");
@@ -316,10 +320,10 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
      */
     function delegate(address delegatee) external {
         require(delegatee != address(0), "Cannot delegate to zero");
-        require(delegatee != msg.sender, "Cannot delegate to self");
+        require(delegatee != _msgSender(), "Cannot delegate to self");
         
-        address currentDelegate = delegates[msg.sender];
-        uint256 senderBalance = tokenEngine.getTotalMINE(msg.sender);
+        address currentDelegate = delegates[_msgSender()];
+        uint256 senderBalance = tokenEngine.getTotalMINE(_msgSender());
         
         // Remove delegation from current
         if (currentDelegate != address(0)) {
@@ -327,24 +331,59 @@ contract GovernanceBridge is AccessControl, ReentrancyGuard {
         }
         
         // Add to new delegatee
-        delegates[msg.sender] = delegatee;
+        delegates[_msgSender()] = delegatee;
         delegatedVotes[delegatee] += senderBalance;
         
-        emit DelegateChanged(msg.sender, currentDelegate, delegatee);
+        emit DelegateChanged(_msgSender(), currentDelegate, delegatee);
     }
     
     /**
      * @dev Remove delegation
      */
     function undelegate() external {
-        address currentDelegate = delegates[msg.sender];
+        address currentDelegate = delegates[_msgSender()];
         require(currentDelegate != address(0), "Not delegating");
         
-        uint256 senderBalance = tokenEngine.getTotalMINE(msg.sender);
+        uint256 senderBalance = tokenEngine.getTotalMINE(_msgSender());
         delegatedVotes[currentDelegate] -= senderBalance;
-        delegates[msg.sender] = address(0);
+        delegates[_msgSender()] = address(0);
         
-        emit DelegateChanged(msg.sender, currentDelegate, address(0));
+        emit DelegateChanged(_msgSender(), currentDelegate, address(0));
+    }
+    
+    // ============ ERC-2771 Support ============
+
+    /**
+     * @dev Trust (or stop trusting) a forwarder to relay user-signed calls
+     */
+    function setTrustedForwarder(address forwarder, bool trusted) external onlyRole(ADMIN_ROLE) {
+        trustedForwarders[forwarder] = trusted;
+        emit TrustedForwarderSet(forwarder, trusted);
+    }
+
+    /**
+     * @dev Queried by ERC2771Forwarder before relaying a request
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return trustedForwarders[forwarder];
+    }
+
+    function _msgSender() internal view override returns (address) {
+        if (msg.data.length >= 20 && trustedForwarders[msg.sender]) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    function _msgData() internal view override returns (bytes calldata) {
+        if (msg.data.length >= 20 && trustedForwarders[msg.sender]) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    function _contextSuffixLength() internal view override returns (uint256) {
+        return 20;
     }
     
     /**
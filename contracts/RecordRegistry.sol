@@ -8,6 +8,9 @@ import "./ActivityRegistry.sol";
  * @title RecordRegistry
  * @dev Stores hashes/pointers (no PHI). Patients write; caregivers read if granted.
  * v2.0: Added data contribution tracking that triggers ActivityRegistry logging
+ * Record updates may be relayed through a trusted ERC-2771 forwarder; they apply to the signer
+ * A contribution past the reward cooldown is left pending (eligibleForRewards) until the oracle
+ * logs it with a validator-signed DataValidation proof for the stored record
  */
 contract RecordRegistry {
     
@@ -24,8 +27,8 @@ contract RecordRegistry {
         uint256 totalUpdates;
         uint256 totalDataSize;
         uint256 anonymizedContributions;
-        uint256 lastContributionTime;
-        bool eligibleForRewards;
+        uint256 lastContributionTime;   // Last contribution that qualified for a reward
+        bool eligibleForRewards;        // Current record awaits logDataContribution
     }
 
     TerracareAccessControl public accessControl;
@@ -36,6 +39,9 @@ contract RecordRegistry {
     mapping(address => bytes32[]) public userRecordHistory;
     mapping(bytes32 => bool) public supportedDataTypes;
     
+    // ERC-2771 forwarders allowed to relay user-signed calls
+    mapping(address => bool) public trustedForwarders;
+    
     // Minimum data size to qualify for contribution reward
     uint256 public constant MIN_DATA_SIZE = 1024; // 1KB
     uint256 public constant CONTRIBUTION_REWARD_COOLDOWN = 1 days;
@@ -56,9 +62,11 @@ contract RecordRegistry {
         uint256 dataSize,
         bool isAnonymized
     );
+    event DataContributionLogged(address indexed patient, bytes32 indexed activityId, uint256 valueScore);
     event ActivityRegistrySet(address indexed activityRegistry);
     event DataTypeAdded(bytes32 indexed dataType);
     event DataTypeRemoved(bytes32 indexed dataType);
+    event TrustedForwarderSet(address indexed forwarder, bool trusted);
 
     constructor(address accessControlAddress) {
         accessControl = TerracareAccessControl(accessControlAddress);
@@ -106,7 +114,7 @@ contract RecordRegistry {
      * @dev Update record with basic info
      */
     function updateRecord(bytes32 dataHash) external {
-        _updateRecord(msg.sender, dataHash, 0, false, bytes32(0));
+        _updateRecord(_msgSender(), dataHash, 0, false, bytes32(0));
     }
     
     /**
@@ -118,7 +126,7 @@ contract RecordRegistry {
         bool isAnonymized,
         bytes32 dataType
     ) external {
-        _updateRecord(msg.sender, dataHash, dataSize, isAnonymized, dataType);
+        _updateRecord(_msgSender(), dataHash, dataSize, isAnonymized, dataType);
     }
     
     function _updateRecord(
@@ -143,19 +151,24 @@ contract RecordRegistry {
         
         userRecordHistory[patient].push(dataHash);
         
-        // Track contribution
+        // Track contribution; the cooldown runs from the last rewarded one, so check it first
+        bool eligible = _shouldRewardContribution(patient, dataSize);
         Contribution storage contrib = contributions[patient];
         contrib.totalUpdates++;
         contrib.totalDataSize += dataSize;
         if (isAnonymized) {
             contrib.anonymizedContributions++;
         }
-        contrib.lastContributionTime = block.timestamp;
+        // A pending reward belongs to the record it was tracked for
+        contrib.eligibleForRewards = eligible;
+        if (eligible) {
+            contrib.lastContributionTime = block.timestamp;
+        }
         
         emit RecordUpdated(patient, dataHash, r.version, dataSize, isAnonymized);
         
         // Trigger activity logging if eligible
-        if (_shouldRewardContribution(patient, dataSize)) {
+        if (eligible) {
             _logDataContribution(patient, dataSize, isAnonymized);
         }
     }
@@ -227,12 +240,14 @@ contract RecordRegistry {
     }
     
     /**
-     * @dev External function to log data contribution (called by oracle/backend)
+     * @dev Log a pending data contribution to ActivityRegistry (called by oracle/backend)
+     * @param activity Validator-signed DataValidation activity for the patient's current record
+     * @param signature Validator signature(s), as for ActivityRegistry.recordActivityWithProof
+     * Requires ORACLE_ROLE for this contract on ActivityRegistry
      */
     function logDataContribution(
-        address patient,
-        bytes32 activityId,
-        uint256 valueScore
+        ActivityRegistry.SignedActivity calldata activity,
+        bytes calldata signature
     ) external {
         require(
             msg.sender == authorizedActivityCaller ||
@@ -241,16 +256,16 @@ contract RecordRegistry {
         );
         require(address(activityRegistry) != address(0), "ActivityRegistry not set");
         
-        bytes32 userId = accessControl.registry().getUserId(patient);
+        address patient = activity.userAddress;
+        Contribution storage contrib = contributions[patient];
+        require(contrib.eligibleForRewards, "No pending contribution");
+        require(activity.activityType == ActivityRegistry.ActivityType.DataValidation, "Not a data contribution");
+        require(activity.dataHash == records[patient].dataHash, "Data hash mismatch");
         
-        activityRegistry.recordActivity(
-            activityId,
-            userId,
-            ActivityRegistry.ActivityType.DataValidation,
-            records[patient].dataHash,
-            valueScore,
-            patient
-        );
+        contrib.eligibleForRewards = false;
+        activityRegistry.recordActivityWithProof(activity, signature);
+        
+        emit DataContributionLogged(patient, activity.activityId, activity.valueScore);
     }
 
     function getRecord(address patient) external view returns (
@@ -348,6 +363,31 @@ contract RecordRegistry {
         return supportedDataTypes[dataType];
     }
     
+    // ============ ERC-2771 Support ============
+
+    /**
+     * @dev Trust (or stop trusting) a forwarder to relay user-signed calls
+     */
+    function setTrustedForwarder(address forwarder, bool trusted) external {
+        require(accessControl.registry().isActive(msg.sender, IdentityRegistry.Role.Admin), "Not admin");
+        trustedForwarders[forwarder] = trusted;
+        emit TrustedForwarderSet(forwarder, trusted);
+    }
+
+    /**
+     * @dev Queried by ERC2771Forwarder before relaying a request
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return trustedForwarders[forwarder];
+    }
+
+    function _msgSender() internal view returns (address) {
+        if (msg.data.length >= 20 && trustedForwarders[msg.sender]) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+    
     /**
      * @dev Batch get records (for authorized caregivers)
      */
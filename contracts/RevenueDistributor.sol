@@ -53,6 +53,9 @@ contract RevenueDistributor is AccessControl, ReentrancyGuard {
     uint256 public totalSEALInvested;
     uint256 public totalSEALPaid;
     
+    // ERC-2771 forwarders allowed to relay user-signed calls
+    mapping(address => bool) public trustedForwarders;
+    
     // Treasury addresses
     address public userBuybackTreasury;
     address public operationsTreasury;
@@ -82,6 +85,7 @@ contract RevenueDistributor is AccessControl, ReentrancyGuard {
     event SEALCapReached(address indexed investor, uint256 totalRepaid);
     event TokensBoughtBack(address indexed user, uint256 wellAmount, uint256 payment);
     event SplitUpdated(uint256 userBuybacks, uint256 investorRepayment, uint256 operations, uint256 reserve);
+    event TrustedForwarderSet(address indexed forwarder, bool trusted);
     
     constructor(
         address _tokenEngine,
@@ -244,10 +248,10 @@ contract RevenueDistributor is AccessControl, ReentrancyGuard {
         tokenEngine.burnWELL(wellAmount);
         
         // Send ETH to user
-        (bool success, ) = msg.sender.call{value: payment}("");
+        (bool success, ) = _msgSender().call{value: payment}("");
         require(success, "Payment failed");
         
-        emit TokensBoughtBack(msg.sender, wellAmount, payment);
+        emit TokensBoughtBack(_msgSender(), wellAmount, payment);
     }
     
     /**
@@ -337,6 +341,41 @@ contract RevenueDistributor is AccessControl, ReentrancyGuard {
         return sealInvestors.length > 0;
     }
     
+    // ============ ERC-2771 Support ============
+
+    /**
+     * @dev Trust (or stop trusting) a forwarder to relay user-signed calls
+     */
+    function setTrustedForwarder(address forwarder, bool trusted) external onlyRole(ADMIN_ROLE) {
+        trustedForwarders[forwarder] = trusted;
+        emit TrustedForwarderSet(forwarder, trusted);
+    }
+
+    /**
+     * @dev Queried by ERC2771Forwarder before relaying a request
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return trustedForwarders[forwarder];
+    }
+
+    function _msgSender() internal view override returns (address) {
+        if (msg.data.length >= 20 && trustedForwarders[msg.sender]) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    function _msgData() internal view override returns (bytes calldata) {
+        if (msg.data.length >= 20 && trustedForwarders[msg.sender]) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    function _contextSuffixLength() internal view override returns (uint256) {
+        return 20;
+    }
+    
     /**
      * @dev Emergency withdraw (governance only)
      */
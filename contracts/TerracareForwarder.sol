@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title TerracareForwarder
+ * @dev ERC-2771 forwarder for gas-subsidised, user-signed calls
+ * The backend relayer submits EIP-712 forward requests signed by users; targets that
+ * trust this forwarder attribute the call to the signer via _msgSender().
+ */
+contract TerracareForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("TerracareForwarder") {}
+}
@@ -54,6 +54,9 @@ contract TokenEngine is AccessControl, ReentrancyGuard {
     mapping(address => StakeInfo) public stakes;
     uint256 public totalStaked;
     
+    // ERC-2771 forwarders allowed to relay user-signed calls
+    mapping(address => bool) public trustedForwarders;
+    
     // Events
     event MineMinted(address indexed to, uint256 amount, uint256 valuePoints);
     event MineBurned(address indexed from, uint256 amount);
@@ -63,6 +66,7 @@ contract TokenEngine is AccessControl, ReentrancyGuard {
     event MineTransferEnabled(bool enabled);
     event Staked(address indexed user, uint256 amount, uint256 lockEnd);
     event Unstaked(address indexed user, uint256 amount);
+    event TrustedForwarderSet(address indexed forwarder, bool trusted);
     
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -113,10 +117,10 @@ contract TokenEngine is AccessControl, ReentrancyGuard {
      * @dev MINE transfers (initially restricted)
      */
     function transferMINE(address to, uint256 amount) external returns (bool) {
-        require(mineTransferable || hasRole(ADMIN_ROLE, msg.sender), "MINE not transferable");
-        require(_mineBalances[msg.sender] >= amount, "Insufficient MINE");
+        require(mineTransferable || hasRole(ADMIN_ROLE, _msgSender()), "MINE not transferable");
+        require(_mineBalances[_msgSender()] >= amount, "Insufficient MINE");
         
-        _mineBalances[msg.sender] -= amount;
+        _mineBalances[_msgSender()] -= amount;
         _mineBalances[to] += amount;
         return true;
     }
@@ -137,21 +141,21 @@ contract TokenEngine is AccessControl, ReentrancyGuard {
      */
     function convertMineToWell(uint256 mineAmount) external nonReentrant returns (uint256) {
         require(mineAmount >= CONVERSION_RATIO * 10**DECIMALS, "Minimum 100 MINE required");
-        require(_mineBalances[msg.sender] >= mineAmount, "Insufficient MINE balance");
+        require(_mineBalances[_msgSender()] >= mineAmount, "Insufficient MINE balance");
         
         uint256 wellAmount = mineAmount / CONVERSION_RATIO;
         
         // Burn MINE
-        _mineBalances[msg.sender] -= mineAmount;
+        _mineBalances[_msgSender()] -= mineAmount;
         totalMineSupply -= mineAmount;
-        emit MineBurned(msg.sender, mineAmount);
+        emit MineBurned(_msgSender(), mineAmount);
         
         // Mint WELL
-        _wellBalances[msg.sender] += wellAmount;
+        _wellBalances[_msgSender()] += wellAmount;
         totalWellSupply += wellAmount;
-        emit WellMinted(msg.sender, wellAmount, "conversion");
+        emit WellMinted(_msgSender(), wellAmount, "conversion");
         
-        emit Converted(msg.sender, mineAmount, wellAmount);
+        emit Converted(_msgSender(), mineAmount, wellAmount);
         return wellAmount;
     }
     
@@ -187,8 +191,8 @@ contract TokenEngine is AccessControl, ReentrancyGuard {
     }
     
     function transfer(address to, uint256 amount) external returns (bool) {
-        require(_wellBalances[msg.sender] >= amount, "Insufficient WELL");
-        _wellBalances[msg.sender] -= amount;
+        require(_wellBalances[_msgSender()] >= amount, "Insufficient WELL");
+        _wellBalances[_msgSender()] -= amount;
         _wellBalances[to] += amount;
         return true;
     }
@@ -198,15 +202,15 @@ contract TokenEngine is AccessControl, ReentrancyGuard {
     }
     
     function approve(address spender, uint256 amount) external returns (bool) {
-        _wellAllowances[msg.sender][spender] = amount;
+        _wellAllowances[_msgSender()][spender] = amount;
         return true;
     }
     
     function transferFrom(address from, address to, uint256 amount) external returns (bool) {
-        require(_wellAllowances[from][msg.sender] >= amount, "Insufficient allowance");
+        require(_wellAllowances[from][_msgSender()] >= amount, "Insufficient allowance");
         require(_wellBalances[from] >= amount, "Insufficient WELL");
         
-        _wellAllowances[from][msg.sender] -= amount;
+        _wellAllowances[from][_msgSender()] -= amount;
         _wellBalances[from] -= amount;
         _wellBalances[to] += amount;
         return true;
@@ -216,10 +220,10 @@ contract TokenEngine is AccessControl, ReentrancyGuard {
      * @dev Burn WELL tokens
      */
     function burnWELL(uint256 amount) external {
-        require(_wellBalances[msg.sender] >= amount, "Insufficient WELL");
-        _wellBalances[msg.sender] -= amount;
+        require(_wellBalances[_msgSender()] >= amount, "Insufficient WELL");
+        _wellBalances[_msgSender()] -= amount;
         totalWellSupply -= amount;
-        emit WellBurned(msg.sender, amount);
+        emit WellBurned(_msgSender(), amount);
     }
     
     // ============ Staking for Governance ============
@@ -230,37 +234,37 @@ contract TokenEngine is AccessControl, ReentrancyGuard {
      * @param lockPeriod Lock period in seconds (minimum 30 days for voting power)
      */
     function stakeMINE(uint256 amount, uint256 lockPeriod) external {
-        require(_mineBalances[msg.sender] >= amount, "Insufficient MINE");
+        require(_mineBalances[_msgSender()] >= amount, "Insufficient MINE");
         require(amount > 0, "Cannot stake 0");
         
-        _mineBalances[msg.sender] -= amount;
+        _mineBalances[_msgSender()] -= amount;
         
-        StakeInfo storage stake = stakes[msg.sender];
+        StakeInfo storage stake = stakes[_msgSender()];
         stake.amount += amount;
         stake.stakedAt = block.timestamp;
         stake.lockEnd = block.timestamp + lockPeriod;
         
         totalStaked += amount;
         
-        emit Staked(msg.sender, amount, stake.lockEnd);
+        emit Staked(_msgSender(), amount, stake.lockEnd);
     }
     
     /**
      * @dev Unstake MINE after lock period
      */
     function unstakeMINE() external {
-        StakeInfo storage stake = stakes[msg.sender];
+        StakeInfo storage stake = stakes[_msgSender()];
         require(stake.amount > 0, "No stake found");
         require(block.timestamp >= stake.lockEnd, "Stake still locked");
         
         uint256 amount = stake.amount;
         totalStaked -= amount;
         
-        delete stakes[msg.sender];
+        delete stakes[_msgSender()];
         
-        _mineBalances[msg.sender] += amount;
+        _mineBalances[_msgSender()] += amount;
         
-        emit Unstaked(msg.sender, amount);
+        emit Unstaked(_msgSender(), amount);
     }
     
     /**
@@ -282,6 +286,41 @@ contract TokenEngine is AccessControl, ReentrancyGuard {
         return _mineBalances[account] + stakes[account].amount;
     }
     
+    // ============ ERC-2771 Support ============
+
+    /**
+     * @dev Trust (or stop trusting) a forwarder to relay user-signed calls
+     */
+    function setTrustedForwarder(address forwarder, bool trusted) external onlyRole(ADMIN_ROLE) {
+        trustedForwarders[forwarder] = trusted;
+        emit TrustedForwarderSet(forwarder, trusted);
+    }
+
+    /**
+     * @dev Queried by ERC2771Forwarder before relaying a request
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return trustedForwarders[forwarder];
+    }
+
+    function _msgSender() internal view override returns (address) {
+        if (msg.data.length >= 20 && trustedForwarders[msg.sender]) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    function _msgData() internal view override returns (bytes calldata) {
+        if (msg.data.length >= 20 && trustedForwarders[msg.sender]) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    function _contextSuffixLength() internal view override returns (uint256) {
+        return 20;
+    }
+    
     // ============ Admin Functions ============
     
     /**
@@ -10,6 +10,21 @@ import {IHarmonicDevice} from "../interfaces/IHarmonicDevice.sol";
 
 contract HarmonicAdapter is IHarmonicDevice {
     
+    // ============ Types & Events ============
+    
+    /// @notice Key a certified device signs readings with, and the user it belongs to
+    struct DeviceBinding {
+        address deviceKey;
+        bytes32 userIdentity;
+        uint256 boundAt;
+    }
+    
+    event DeviceBound(
+        bytes32 indexed deviceHash,
+        address indexed deviceKey,
+        bytes32 indexed userIdentity
+    );
+    
     // ============ Storage ============
     
     address public sovereignIdentity;
@@ -28,6 +43,12 @@ contract HarmonicAdapter is IHarmonicDevice {
     // Authorized certifiers
     mapping(address => bool) public certifiers;
     
+    // Device hash => signing key and owner
+    mapping(bytes32 => DeviceBinding) private bindings;
+    
+    // User identity => revoked certifications on devices bound to them
+    mapping(bytes32 => uint256) public userRevocations;
+    
     // ============ Modifiers ============
     
     modifier onlyCertifier() {
@@ -106,6 +127,11 @@ contract HarmonicAdapter is IHarmonicDevice {
         
         cert.isRevoked = true;
         
+        bytes32 owner = bindings[_deviceHash].userIdentity;
+        if (owner != bytes32(0)) {
+            userRevocations[owner]++;
+        }
+        
         emit CertificationRevoked(_deviceHash, _reasonHash, block.timestamp);
     }
     
@@ -162,6 +188,37 @@ contract HarmonicAdapter is IHarmonicDevice {
         return userSessions[_userIdentity];
     }
     
+    // ============ Device Binding ============
+    
+    /**
+     * @notice Bind a certified device's signing key to its user (once per device)
+     * @param _deviceHash Certified device
+     * @param _deviceKey Address recovered from the device's reading signatures
+     * @param _userIdentity User the device reports for
+     */
+    function bindDevice(
+        bytes32 _deviceHash,
+        address _deviceKey,
+        bytes32 _userIdentity
+    ) external onlyCertifier {
+        require(certifications[_deviceHash].deviceHash != bytes32(0), "HarmonicAdapter: Device not certified");
+        require(_deviceKey != address(0), "HarmonicAdapter: Invalid device key");
+        require(_userIdentity != bytes32(0), "HarmonicAdapter: Invalid user");
+        require(bindings[_deviceHash].deviceKey == address(0), "HarmonicAdapter: Already bound");
+        
+        bindings[_deviceHash] = DeviceBinding({
+            deviceKey: _deviceKey,
+            userIdentity: _userIdentity,
+            boundAt: block.timestamp
+        });
+        
+        emit DeviceBound(_deviceHash, _deviceKey, _userIdentity);
+    }
+    
+    function getDeviceBinding(bytes32 _deviceHash) external view returns (DeviceBinding memory) {
+        return bindings[_deviceHash];
+    }
+    
     // ============ View Functions ============
     
     function getSession(bytes32 _sessionHash) external view returns (SessionRecord memory) {
@@ -6,13 +6,16 @@
  * 2. ActivityRegistry (activity logging with rate limits)
  * 3. RevenueDistributor (cooperative revenue model)
  * 4. GovernanceBridge (timelock transition to cooperative ownership)
+ * 5. TerracareForwarder (ERC-2771 meta-transactions relayed by the backend)
  * 
  * Links to existing IdentityRegistry and sets up SEAL investor terms.
  */
 
-const { ethers, run } = require("hardhat");
+const hre = require("hardhat");
+const { ethers, run } = hre;
 const fs = require("fs");
 const path = require("path");
+const { recordDeployment } = require("./deployment-manifest");
 
 // Configuration
 const CONFIG = {
@@ -31,6 +34,17 @@ const CONFIG = {
     ? process.env.INITIAL_VALIDATORS.split(",") 
     : [],
   
+  // AI oracle that signs activity proofs (granted VALIDATOR_ROLE on ActivityRegistry)
+  AI_SIGNER_ADDRESS: process.env.AI_SIGNER_ADDRESS || "",
+
+  // Peer oracles that co-sign high-value activity proofs, and how many signatures those need
+  // (required: at least 2, so one oracle key cannot mint high-value rewards alone)
+  ORACLE_PUBLIC_KEYS: process.env.ORACLE_PUBLIC_KEYS
+    ? process.env.ORACLE_PUBLIC_KEYS.split(",").map(a => a.trim()).filter(Boolean)
+    : [],
+  ORACLE_QUORUM: Number(process.env.ORACLE_QUORUM || 0),
+  ORACLE_QUORUM_MIN_SCORE: Number(process.env.ORACLE_QUORUM_MIN_SCORE || 100),
+  
   // Existing contract addresses (from previous deployment)
   IDENTITY_REGISTRY_ADDRESS: process.env.IDENTITY_REGISTRY_ADDRESS || "",
   ACCESS_CONTROL_ADDRESS: process.env.ACCESS_CONTROL_ADDRESS || "",
@@ -38,10 +52,37 @@ const CONFIG = {
   AUDIT_LOG_ADDRESS: process.env.AUDIT_LOG_ADDRESS || "",
 };
 
+/**
+ * ActivityRegistry is deployed requiring signed proofs and an oracle quorum, so refuse to start
+ * without an AI signer and enough distinct validators to reach ORACLE_QUORUM
+ */
+function validateOracleConfig() {
+  if (!CONFIG.AI_SIGNER_ADDRESS) {
+    throw new Error("AI_SIGNER_ADDRESS must be set: ActivityRegistry only accepts validator-signed activity proofs");
+  }
+  if (!Number.isInteger(CONFIG.ORACLE_QUORUM) || CONFIG.ORACLE_QUORUM < 2) {
+    throw new Error("ORACLE_QUORUM must be set to 2 or more");
+  }
+  if (!Number.isInteger(CONFIG.ORACLE_QUORUM_MIN_SCORE) || CONFIG.ORACLE_QUORUM_MIN_SCORE < 0) {
+    throw new Error("ORACLE_QUORUM_MIN_SCORE must be a non-negative integer");
+  }
+
+  const validators = new Set(
+    [CONFIG.AI_SIGNER_ADDRESS, ...CONFIG.ORACLE_PUBLIC_KEYS].map(address => ethers.getAddress(address))
+  );
+  if (validators.size < CONFIG.ORACLE_QUORUM) {
+    throw new Error(
+      `ORACLE_QUORUM is ${CONFIG.ORACLE_QUORUM} but AI_SIGNER_ADDRESS and ORACLE_PUBLIC_KEYS name only ${validators.size} distinct oracle(s)`
+    );
+  }
+}
+
 async function main() {
   console.log("🚀 TerraCare Ledger v2.0 - Participation Layer Deployment");
   console.log("==========================================================\n");
 
+  validateOracleConfig();
+
   const [deployer] = await ethers.getSigners();
   console.log("Deploying with account:", deployer.address);
   console.log("Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "ETH\n");
@@ -163,9 +204,25 @@ async function main() {
   console.log("  Initial validators:", validators.join(", "));
 
   // ============================================
-  // STEP 5: Link TokenEngine to existing contracts
+  // STEP 5: Deploy TerracareForwarder
+  // ============================================
+  console.log("\n📦 STEP 5: Deploying TerracareForwarder...");
+  const TerracareForwarder = await ethers.getContractFactory("TerracareForwarder");
+  const forwarder = await TerracareForwarder.deploy();
+  await forwarder.waitForDeployment();
+  deployedContracts.TerracareForwarder = await forwarder.getAddress();
+  console.log("✅ TerracareForwarder deployed to:", deployedContracts.TerracareForwarder);
+
+  // User-facing actions (conversion, buyback, proposals, votes) are relayed through the forwarder
+  for (const contract of [tokenEngine, revenueDistributor, governanceBridge]) {
+    await (await contract.setTrustedForwarder(deployedContracts.TerracareForwarder, true)).wait();
+  }
+  console.log("  ✅ Forwarder trusted by TokenEngine, RevenueDistributor and GovernanceBridge");
+
+  // ============================================
+  // STEP 6: Link TokenEngine to existing contracts
   // ============================================
-  console.log("\n🔗 STEP 5: Linking contracts...");
+  console.log("\n🔗 STEP 6: Linking contracts...");
 
   // Update IdentityRegistry with TokenEngine
   if (deployedContracts.IdentityRegistry) {
@@ -174,38 +231,63 @@ async function main() {
     console.log("✅ IdentityRegistry linked to TokenEngine");
   }
 
-  // Update AccessControl with TokenEngine
+  // Update AccessControl with TokenEngine; access grants and revokes are relayed for the patient
   if (CONFIG.ACCESS_CONTROL_ADDRESS) {
-    const accessControl = await ethers.getContractAt("AccessControl", CONFIG.ACCESS_CONTROL_ADDRESS);
+    const accessControl = await ethers.getContractAt("TerracareAccessControl", CONFIG.ACCESS_CONTROL_ADDRESS);
+    await (await accessControl.setTrustedForwarder(deployedContracts.TerracareForwarder, true)).wait();
+    console.log("✅ Forwarder trusted by AccessControl");
     // Note: setTokenEngine in AccessControl requires special permission
     console.log("⚠️  Please manually link AccessControl to TokenEngine");
   }
 
-  // Update RecordRegistry with ActivityRegistry
+  // Update RecordRegistry with ActivityRegistry; record updates are relayed for the patient
   if (CONFIG.RECORD_REGISTRY_ADDRESS) {
     const recordRegistry = await ethers.getContractAt("RecordRegistry", CONFIG.RECORD_REGISTRY_ADDRESS);
-    // Set authorized activity caller
-    await (await recordRegistry.setAuthorizedActivityCaller(deployedContracts.ActivityRegistry)).wait();
+    await (await recordRegistry.setActivityRegistry(deployedContracts.ActivityRegistry)).wait();
+    // logDataContribution records pending contributions through recordActivityWithProof
+    await (await activityRegistry.grantRole(await activityRegistry.ORACLE_ROLE(), CONFIG.RECORD_REGISTRY_ADDRESS)).wait();
     console.log("✅ RecordRegistry linked to ActivityRegistry");
+    // Set authorized activity caller (the backend wallet that queues logDataContribution)
+    await (await recordRegistry.setAuthorizedActivityCaller(deployer.address)).wait();
+    console.log("✅ Deployer authorized to log data contributions on RecordRegistry");
+    await (await recordRegistry.setTrustedForwarder(deployedContracts.TerracareForwarder, true)).wait();
+    console.log("✅ Forwarder trusted by RecordRegistry");
   }
 
   // ============================================
-  // STEP 6: Grant roles
+  // STEP 7: Grant roles
   // ============================================
-  console.log("\n🔐 STEP 6: Granting roles...");
+  console.log("\n🔐 STEP 7: Granting roles...");
 
   // Grant ORACLE_ROLE to deployer (will be transferred to backend/oracle service)
   await (await activityRegistry.grantRole(await activityRegistry.ORACLE_ROLE(), deployer.address)).wait();
   console.log("✅ ORACLE_ROLE granted to deployer on ActivityRegistry");
 
+  // Grant VALIDATOR_ROLE to the AI oracle that signs activity proofs
+  await (await activityRegistry.grantRole(await activityRegistry.VALIDATOR_ROLE(), CONFIG.AI_SIGNER_ADDRESS)).wait();
+  console.log("✅ VALIDATOR_ROLE granted to AI signer on ActivityRegistry");
+
+  // Grant VALIDATOR_ROLE to the peer oracles and require their quorum on high-value proofs
+  for (const oracle of CONFIG.ORACLE_PUBLIC_KEYS) {
+    if (oracle.toLowerCase() === CONFIG.AI_SIGNER_ADDRESS.toLowerCase()) continue;
+    await (await activityRegistry.grantRole(await activityRegistry.VALIDATOR_ROLE(), oracle)).wait();
+    console.log(`✅ VALIDATOR_ROLE granted to oracle ${oracle} on ActivityRegistry`);
+  }
+  await (await activityRegistry.setValidatorQuorum(CONFIG.ORACLE_QUORUM, CONFIG.ORACLE_QUORUM_MIN_SCORE)).wait();
+  console.log(`✅ Validator quorum set to ${CONFIG.ORACLE_QUORUM} for value scores from ${CONFIG.ORACLE_QUORUM_MIN_SCORE}`);
+
+  // Every activity must carry a validator-signed proof; the unsigned entry points are disabled
+  await (await activityRegistry.setRequireValidatorSignature(true)).wait();
+  console.log("✅ Validator signatures required on ActivityRegistry");
+
   // Grant DISTRIBUTOR_ROLE to deployer (for webhook integration)
   await (await revenueDistributor.grantRole(await revenueDistributor.DISTRIBUTOR_ROLE(), deployer.address)).wait();
   console.log("✅ DISTRIBUTOR_ROLE granted to deployer on RevenueDistributor");
 
   // ============================================
-  // STEP 7: Save deployment info
+  // STEP 8: Save deployment info
   // ============================================
-  console.log("\n💾 STEP 7: Saving deployment info...");
+  console.log("\n💾 STEP 8: Saving deployment info...");
 
   const deploymentInfo = {
     network: {
@@ -235,6 +317,12 @@ async function main() {
   const latestPath = path.join(artifactsDir, "deployment-v2-latest.json");
   fs.writeFileSync(latestPath, JSON.stringify(deploymentInfo, null, 2));
 
+  // Record in the deployment registry the backend loads addresses and ABIs from
+  const manifestPath = await recordDeployment(hre, Object.fromEntries(
+    Object.entries(deployedContracts).map(([name, address]) => [name, { address }])
+  ));
+  console.log(`✅ Deployment manifest updated: ${manifestPath}`);
+
   // Create .env.example update
   const envContent = `
 # TerraCare Ledger v2.0 - Participation Layer Contracts
@@ -242,6 +330,7 @@ TERRACARE_TOKEN_ENGINE=${deployedContracts.TokenEngine}
 TERRACARE_ACTIVITY_REGISTRY=${deployedContracts.ActivityRegistry}
 TERRACARE_REVENUE_DISTRIBUTOR=${deployedContracts.RevenueDistributor}
 TERRACARE_GOVERNANCE_BRIDGE=${deployedContracts.GovernanceBridge}
+TERRACARE_FORWARDER=${deployedContracts.TerracareForwarder}
 ${deployedContracts.IdentityRegistry ? `TERRACARE_IDENTITY_REGISTRY=${deployedContracts.IdentityRegistry}` : `TERRACARE_IDENTITY_REGISTRY=${CONFIG.IDENTITY_REGISTRY_ADDRESS}`}
 `;
 
@@ -250,10 +339,10 @@ ${deployedContracts.IdentityRegistry ? `TERRACARE_IDENTITY_REGISTRY=${deployedCo
   console.log(`✅ Environment variables saved to: ${envPath}`);
 
   // ============================================
-  // STEP 8: Verify contracts (if on public network)
+  // STEP 9: Verify contracts (if on public network)
   // ============================================
   if (network.chainId !== 1337n && network.chainId !== 31337n) {
-    console.log("\n🔍 STEP 8: Verifying contracts...");
+    console.log("\n🔍 STEP 9: Verifying contracts...");
     console.log("(Skipping verification for private network)");
     
     // Uncomment for public networks:
@@ -261,6 +350,7 @@ ${deployedContracts.IdentityRegistry ? `TERRACARE_IDENTITY_REGISTRY=${deployedCo
     // await verifyContract(deployedContracts.ActivityRegistry, [deployedContracts.TokenEngine, identityRegistryAddress]);
     // await verifyContract(deployedContracts.RevenueDistributor, [deployedContracts.TokenEngine, userTreasury, opsTreasury, reserveTreasury]);
     // await verifyContract(deployedContracts.GovernanceBridge, [deployedContracts.TokenEngine, identityRegistryAddress, validators]);
+    // await verifyContract(deployedContracts.TerracareForwarder, []);
   }
 
   // ============================================
@@ -276,7 +366,7 @@ ${deployedContracts.IdentityRegistry ? `TERRACARE_IDENTITY_REGISTRY=${deployedCo
   }
   console.log("\nNext Steps:");
   console.log("-----------");
-  console.log("1. Transfer ORACLE_ROLE to your backend/oracle service");
+  console.log("1. Transfer ORACLE_ROLE (and RecordRegistry's authorized activity caller) to your backend/oracle service");
   console.log("2. Configure webhook endpoint for RevenueDistributor");
   console.log("3. Set up AI signer service for activity validation");
   console.log("4. Update API Gateway with new contract addresses");
@@ -19,6 +19,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { recordDeployment } = require("./deployment-manifest");
 
 async function main() {
   const [deployer] = await hre.ethers.getSigners();
@@ -211,6 +212,12 @@ async function main() {
   fs.writeFileSync(deploymentPath, JSON.stringify(deployments, null, 2));
   console.log("✓ Deployment saved to:", deploymentPath);
 
+  // Record in the deployment registry the backend loads addresses and ABIs from
+  const manifestPath = await recordDeployment(hre, Object.fromEntries(
+    Object.entries(deployments.contracts).map(([name, { address }]) => [name, { address }])
+  ));
+  console.log("✓ Deployment manifest updated:", manifestPath);
+
   // Generate .env file for sibling repos
   const envContent = `
 # Terracare Ledger Deployment Configuration
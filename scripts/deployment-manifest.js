@@ -0,0 +1,53 @@
+/**
+ * TerraCare Ledger - Deployment Manifest
+ *
+ * Records deployed contracts in deployments/<chainId>.json, the registry the backend loads
+ * addresses and ABIs from (backend/services/deploymentRegistry.js). Each entry keeps the Hardhat
+ * artifact it was deployed from, a hash of that artifact's ABI and the hash of the runtime code,
+ * so the backend can detect recompiled artifacts and replaced or missing contracts.
+ *
+ * Entries are merged: deploy scripts only overwrite the contracts they deploy.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+
+/**
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {Object} contracts - { Name: { address, contract } }; contract is the Hardhat contract name
+ *   (defaults to Name), e.g. { AccessControl: { address, contract: "TerracareAccessControl" } }
+ * @returns {string} Manifest path
+ */
+async function recordDeployment(hre, contracts) {
+  const { ethers } = hre;
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+  const [deployer] = await ethers.getSigners();
+
+  const file = path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+  const manifest = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : { chainId, network: hre.network.name, contracts: {} };
+
+  for (const [name, { address, contract = name }] of Object.entries(contracts)) {
+    const artifact = await hre.artifacts.readArtifact(contract);
+    manifest.contracts[name] = {
+      address,
+      artifact: `${artifact.sourceName}:${artifact.contractName}`,
+      abiHash: ethers.id(JSON.stringify(artifact.abi)),
+      codeHash: ethers.keccak256(await ethers.provider.getCode(address)),
+      deployer: deployer.address,
+      deployedAt: new Date().toISOString(),
+    };
+  }
+
+  manifest.network = hre.network.name;
+  manifest.updatedAt = new Date().toISOString();
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+module.exports = { recordDeployment };
@@ -0,0 +1,81 @@
+/**
+ * TerraCare Ledger v2.0 - Scoring Model Registration Script
+ *
+ * Registers the backend's value-scoring models (backend/scoring-models/*.json) with
+ * LlamaAdapter so the on-chain inference audit matches what the AI oracle runs:
+ * 1. registerModel(modelHash, name, version, trainingDataHash) - signer must be an authorized operator
+ * 2. approveModel(modelHash) - only when the signer is LlamaAdapter's accessGovernor/sovereignIdentity;
+ *    otherwise approval has to be proposed through AccessGovernor
+ *
+ * The model hash is keccak256 of the model file bytes, as computed by
+ * backend/services/scoringModelRegistry.js.
+ *
+ * Usage:
+ *   TERRACARE_LLAMA_ADAPTER=0x... npx hardhat run scripts/register-scoring-models.js --network terracare
+ */
+
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+const MODELS_DIR = process.env.SCORING_MODELS_DIR || path.join(__dirname, "..", "backend", "scoring-models");
+
+function loadModels() {
+  return fs.readdirSync(MODELS_DIR)
+    .filter(f => f.endsWith(".json"))
+    .sort()
+    .map(file => {
+      const raw = fs.readFileSync(path.join(MODELS_DIR, file));
+      const model = JSON.parse(raw.toString("utf8"));
+      return {
+        file,
+        key: `${model.id}@${model.version}`,
+        name: model.name || model.id,
+        version: model.version,
+        hash: ethers.keccak256(raw),
+        trainingDataHash: model.trainingDataHash || ethers.ZeroHash
+      };
+    });
+}
+
+async function main() {
+  const adapterAddress = process.env.TERRACARE_LLAMA_ADAPTER;
+  if (!adapterAddress) {
+    throw new Error("TERRACARE_LLAMA_ADAPTER is not set");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const llama = await ethers.getContractAt("LlamaAdapter", adapterAddress, signer);
+
+  const canApprove = [await llama.accessGovernor(), await llama.sovereignIdentity()]
+    .some(a => a.toLowerCase() === signer.address.toLowerCase());
+
+  console.log("LlamaAdapter:", adapterAddress);
+  console.log("Signer:", signer.address, canApprove ? "(can approve)" : "(register only)");
+  console.log("");
+
+  for (const model of loadModels()) {
+    const onChain = await llama.getModel(model.hash);
+
+    if (onChain.modelHash === ethers.ZeroHash) {
+      await (await llama.registerModel(model.hash, model.name, model.version, model.trainingDataHash)).wait();
+      console.log(`✓ Registered ${model.key} (${model.file}): ${model.hash}`);
+    } else {
+      console.log(`• ${model.key} already registered: ${model.hash}`);
+    }
+
+    if (onChain.isApproved) {
+      console.log("  already approved");
+    } else if (canApprove) {
+      await (await llama.approveModel(model.hash)).wait();
+      console.log("  ✓ approved");
+    } else {
+      console.log("  ! not approved - propose approveModel through AccessGovernor");
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error("\n❌ Scoring model registration failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,455 @@
+/**
+ * TerraCare Ledger v2.0 - Activity Proof Test Suite
+ *
+ * Tests:
+ * - EIP-712 proofs built by the backend helpers (backend/services/activityProof.js) verify on-chain
+ * - Only VALIDATOR_ROLE signatures are accepted; the signer is stored as the proof's validator
+ * - Tampered, expired, future-dated and replayed proofs are rejected
+ * - requireValidatorSignature disables the unsigned entry points
+ * - High-value proofs need validatorQuorum distinct validator signatures
+ * - RecordRegistry logs a pending data contribution only with a signed proof for the stored record
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+describe("TerraCare Ledger v2.0 - Activity Proofs (EIP-712)", function () {
+
+  let owner, oracle, aiSigner, peerSigner, user1, other;
+  let tokenEngine, identityRegistry, activityRegistry;
+  let proofs, domain;
+
+  const MINE_PER_VALUE_POINT = ethers.parseEther("10");
+  const MODEL_HASH = ethers.keccak256(ethers.toUtf8Bytes("terracare-value@1"));
+
+  before(async function () {
+    // Same helpers the backend's AISignerService signs with
+    proofs = await import(pathToFileURL(path.join(__dirname, "..", "backend", "services", "activityProof.js")).href);
+  });
+
+  // Unsigned ActivityProof for user1; override any field
+  async function buildProof(overrides = {}) {
+    const latest = await ethers.provider.getBlock("latest");
+    return {
+      activityId: ethers.keccak256(ethers.toUtf8Bytes(`activity-${Math.random()}`)),
+      userId: ethers.encodeBytes32String("user1"),
+      activityType: 0, // BiometricStream
+      dataHash: ethers.keccak256(ethers.toUtf8Bytes("data")),
+      valueScore: 10,
+      modelHash: MODEL_HASH,
+      userAddress: user1.address,
+      timestamp: latest.timestamp,
+      nonce: proofs.newProofNonce(),
+      ...overrides,
+    };
+  }
+
+  async function signedProof(signer = aiSigner, overrides = {}) {
+    const proof = await buildProof(overrides);
+    const signature = await proofs.signActivityProof(signer, domain, proof);
+    return { proof, signature };
+  }
+
+  beforeEach(async function () {
+    [owner, oracle, aiSigner, peerSigner, user1, other] = await ethers.getSigners();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy();
+    await identityRegistry.waitForDeployment();
+
+    const TokenEngine = await ethers.getContractFactory("TokenEngine");
+    tokenEngine = await TokenEngine.deploy();
+    await tokenEngine.waitForDeployment();
+
+    const ActivityRegistry = await ethers.getContractFactory("ActivityRegistry");
+    activityRegistry = await ActivityRegistry.deploy(
+      await tokenEngine.getAddress(),
+      await identityRegistry.getAddress()
+    );
+    await activityRegistry.waitForDeployment();
+
+    await tokenEngine.grantMinterRole(await activityRegistry.getAddress());
+    await activityRegistry.grantRole(await activityRegistry.ORACLE_ROLE(), oracle.address);
+    await activityRegistry.grantRole(await activityRegistry.VALIDATOR_ROLE(), aiSigner.address);
+    await activityRegistry.grantRole(await activityRegistry.VALIDATOR_ROLE(), peerSigner.address);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    domain = proofs.activityProofDomain({
+      chainId,
+      verifyingContract: await activityRegistry.getAddress(),
+    });
+  });
+
+  describe("Typed data", function () {
+
+    it("Should match the contract's digest", async function () {
+      const proof = await buildProof();
+      expect(await activityRegistry.hashActivityProof(proofs.toActivityProofMessage(proof)))
+        .to.equal(proofs.hashActivityProof(domain, proof));
+    });
+
+    it("Should recover the validator off-chain and on-chain", async function () {
+      const { proof, signature } = await signedProof();
+
+      expect(proofs.recoverActivityProofSigner(domain, proof, signature)).to.equal(aiSigner.address);
+
+      const [validator, valid] = await activityRegistry.verifyActivityProof(
+        proofs.toActivityProofMessage(proof),
+        signature
+      );
+      expect(validator).to.equal(aiSigner.address);
+      expect(valid).to.equal(true);
+    });
+  });
+
+  describe("recordActivityWithProof", function () {
+
+    it("Should record a validator-signed activity and mint MINE", async function () {
+      const { proof, signature } = await signedProof();
+
+      await expect(
+        activityRegistry.connect(oracle).recordActivityWithProof(proofs.toActivityProofMessage(proof), signature)
+      )
+        .to.emit(activityRegistry, "ActivityProofVerified")
+        .withArgs(proof.activityId, aiSigner.address, MODEL_HASH, proof.nonce)
+        .and.to.emit(activityRegistry, "ActivityRecorded");
+
+      const [exists, stored] = await activityRegistry.verifyActivity(proof.activityId);
+      expect(exists).to.equal(true);
+      expect(stored.validator).to.equal(aiSigner.address);
+      expect(await tokenEngine.balanceOfMINE(user1.address)).to.equal(MINE_PER_VALUE_POINT * 10n);
+    });
+
+    it("Should reject signatures from non-validators", async function () {
+      const { proof, signature } = await signedProof(other);
+
+      await expect(
+        activityRegistry.connect(oracle).recordActivityWithProof(proofs.toActivityProofMessage(proof), signature)
+      ).to.be.revertedWith("Signer is not a validator");
+    });
+
+    it("Should reject tampered proofs", async function () {
+      const { proof, signature } = await signedProof();
+      const tampered = { ...proof, valueScore: 100, userAddress: other.address };
+
+      await expect(
+        activityRegistry.connect(oracle).recordActivityWithProof(proofs.toActivityProofMessage(tampered), signature)
+      ).to.be.revertedWith("Signer is not a validator");
+    });
+
+    it("Should reject expired and future-dated proofs", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      const validity = await activityRegistry.proofValidity();
+
+      const expired = await signedProof(aiSigner, { timestamp: latest.timestamp - Number(validity) - 60 });
+      await expect(
+        activityRegistry.connect(oracle).recordActivityWithProof(
+          proofs.toActivityProofMessage(expired.proof),
+          expired.signature
+        )
+      ).to.be.revertedWith("Proof expired");
+
+      const future = await signedProof(aiSigner, { timestamp: latest.timestamp + 3600 });
+      await expect(
+        activityRegistry.connect(oracle).recordActivityWithProof(
+          proofs.toActivityProofMessage(future.proof),
+          future.signature
+        )
+      ).to.be.revertedWith("Proof timestamp in future");
+    });
+
+    it("Should reject a reused nonce", async function () {
+      const first = await signedProof();
+      await activityRegistry.connect(oracle).recordActivityWithProof(
+        proofs.toActivityProofMessage(first.proof),
+        first.signature
+      );
+
+      const second = await signedProof(aiSigner, { nonce: first.proof.nonce });
+      await expect(
+        activityRegistry.connect(oracle).recordActivityWithProof(
+          proofs.toActivityProofMessage(second.proof),
+          second.signature
+        )
+      ).to.be.revertedWith("Proof nonce already used");
+    });
+
+    it("Should only allow oracle role to submit proofs", async function () {
+      const { proof, signature } = await signedProof();
+
+      await expect(
+        activityRegistry.connect(other).recordActivityWithProof(proofs.toActivityProofMessage(proof), signature)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("batchRecordActivitiesWithProof", function () {
+
+    it("Should record signed batches and skip already-recorded IDs", async function () {
+      const signed = [];
+      for (let i = 0; i < 3; i++) {
+        signed.push(await signedProof());
+      }
+
+      await activityRegistry.connect(oracle).recordActivityWithProof(
+        proofs.toActivityProofMessage(signed[0].proof),
+        signed[0].signature
+      );
+
+      const recorded = await activityRegistry.connect(oracle).batchRecordActivitiesWithProof.staticCall(
+        signed.map(s => proofs.toActivityProofMessage(s.proof)),
+        signed.map(s => s.signature)
+      );
+      expect(recorded).to.equal(2);
+
+      await activityRegistry.connect(oracle).batchRecordActivitiesWithProof(
+        signed.map(s => proofs.toActivityProofMessage(s.proof)),
+        signed.map(s => s.signature)
+      );
+
+      expect(await activityRegistry.getTotalActivities()).to.equal(3);
+      expect(await tokenEngine.balanceOfMINE(user1.address)).to.equal(MINE_PER_VALUE_POINT * 30n);
+    });
+
+    it("Should revert the batch on an invalid proof", async function () {
+      const good = await signedProof();
+      const bad = await signedProof(other);
+
+      await expect(
+        activityRegistry.connect(oracle).batchRecordActivitiesWithProof(
+          [good, bad].map(s => proofs.toActivityProofMessage(s.proof)),
+          [good, bad].map(s => s.signature)
+        )
+      ).to.be.revertedWith("Signer is not a validator");
+    });
+  });
+
+  describe("requireValidatorSignature", function () {
+
+    it("Should disable unsigned recording when required", async function () {
+      await expect(activityRegistry.setRequireValidatorSignature(true))
+        .to.emit(activityRegistry, "ValidatorSignatureRequirementUpdated")
+        .withArgs(true);
+
+      const proof = await buildProof();
+      await expect(
+        activityRegistry.connect(oracle).recordActivity(
+          proof.activityId, proof.userId, proof.activityType, proof.dataHash, proof.valueScore, proof.userAddress
+        )
+      ).to.be.revertedWith("Validator signature required");
+
+      await expect(
+        activityRegistry.connect(oracle).batchRecordActivities(
+          [proof.activityId], [proof.userId], [proof.activityType], [proof.dataHash], [proof.valueScore], [proof.userAddress]
+        )
+      ).to.be.revertedWith("Validator signature required");
+
+      const { signature } = await signedProof(aiSigner, proof);
+      await activityRegistry.connect(oracle).recordActivityWithProof(proofs.toActivityProofMessage(proof), signature);
+      expect(await tokenEngine.balanceOfMINE(user1.address)).to.equal(MINE_PER_VALUE_POINT * 10n);
+    });
+
+    it("Should only allow admin to change proof settings", async function () {
+      await expect(activityRegistry.connect(other).setRequireValidatorSignature(true)).to.be.reverted;
+      await expect(activityRegistry.connect(other).setProofValidity(3600)).to.be.reverted;
+      await expect(activityRegistry.setProofValidity(60)).to.be.revertedWith("Validity too short");
+    });
+  });
+
+  describe("Validator quorum", function () {
+
+    // Proof signed by each of `signers`, combined the way OracleQuorumService does
+    async function quorumProof(signers, overrides = {}) {
+      const proof = await buildProof(overrides);
+      const signatures = [];
+      for (const signer of signers) {
+        signatures.push(await proofs.signActivityProof(signer, domain, proof));
+      }
+      return { proof, ...proofs.combineActivityProofSignatures(domain, proof, signatures) };
+    }
+
+    beforeEach(async function () {
+      await expect(activityRegistry.setValidatorQuorum(2, 50))
+        .to.emit(activityRegistry, "ValidatorQuorumUpdated")
+        .withArgs(2, 50);
+    });
+
+    it("Should require the quorum only from the minimum value score", async function () {
+      expect(await activityRegistry.requiredSignatures(49)).to.equal(1);
+      expect(await activityRegistry.requiredSignatures(50)).to.equal(2);
+
+      const low = await signedProof(aiSigner, { valueScore: 49 });
+      await activityRegistry.connect(oracle).recordActivityWithProof(
+        proofs.toActivityProofMessage(low.proof),
+        low.signature
+      );
+
+      const high = await signedProof(aiSigner, { valueScore: 50 });
+      await expect(
+        activityRegistry.connect(oracle).recordActivityWithProof(
+          proofs.toActivityProofMessage(high.proof),
+          high.signature
+        )
+      ).to.be.revertedWith("Validator quorum not reached");
+    });
+
+    it("Should record a high-value activity signed by the quorum", async function () {
+      const { proof, signature, signers } = await quorumProof([aiSigner, peerSigner], { valueScore: 80 });
+      expect(proofs.recoverActivityProofSigners(domain, proof, signature)).to.deep.equal(signers);
+
+      const [, valid] = await activityRegistry.verifyActivityProof(proofs.toActivityProofMessage(proof), signature);
+      expect(valid).to.equal(true);
+
+      const tx = activityRegistry.connect(oracle).recordActivityWithProof(proofs.toActivityProofMessage(proof), signature);
+      await expect(tx).to.emit(activityRegistry, "ActivityProofVerified")
+        .withArgs(proof.activityId, aiSigner.address, MODEL_HASH, proof.nonce);
+      await expect(tx).to.emit(activityRegistry, "ActivityProofVerified")
+        .withArgs(proof.activityId, peerSigner.address, MODEL_HASH, proof.nonce);
+
+      expect(await tokenEngine.balanceOfMINE(user1.address)).to.equal(MINE_PER_VALUE_POINT * 80n);
+    });
+
+    it("Should not count one validator twice", async function () {
+      const proof = await buildProof({ valueScore: 80 });
+      const signature = await proofs.signActivityProof(aiSigner, domain, proof);
+      const doubled = ethers.concat([signature, signature]);
+
+      const [, valid] = await activityRegistry.verifyActivityProof(proofs.toActivityProofMessage(proof), doubled);
+      expect(valid).to.equal(false);
+
+      await expect(
+        activityRegistry.connect(oracle).recordActivityWithProof(proofs.toActivityProofMessage(proof), doubled)
+      ).to.be.revertedWith("Signers not in ascending order");
+    });
+
+    it("Should reject a quorum that includes a non-validator", async function () {
+      const { proof, signature } = await quorumProof([aiSigner, other], { valueScore: 80 });
+
+      await expect(
+        activityRegistry.connect(oracle).recordActivityWithProof(proofs.toActivityProofMessage(proof), signature)
+      ).to.be.revertedWith("Signer is not a validator");
+    });
+
+    it("Should enforce the quorum in signed batches", async function () {
+      const single = await signedProof(aiSigner, { valueScore: 80 });
+      await expect(
+        activityRegistry.connect(oracle).batchRecordActivitiesWithProof(
+          [proofs.toActivityProofMessage(single.proof)],
+          [single.signature]
+        )
+      ).to.be.revertedWith("Validator quorum not reached");
+
+      const quorum = await quorumProof([peerSigner, aiSigner], { valueScore: 80 });
+      await activityRegistry.connect(oracle).batchRecordActivitiesWithProof(
+        [proofs.toActivityProofMessage(quorum.proof)],
+        [quorum.signature]
+      );
+      expect(await tokenEngine.balanceOfMINE(user1.address)).to.equal(MINE_PER_VALUE_POINT * 80n);
+    });
+
+    it("Should only allow admin to set the quorum", async function () {
+      await expect(activityRegistry.connect(other).setValidatorQuorum(3, 10)).to.be.reverted;
+      await expect(activityRegistry.setValidatorQuorum(0, 10)).to.be.revertedWith("Quorum too low");
+    });
+  });
+
+  describe("RecordRegistry data contributions", function () {
+
+    let recordRegistry;
+    const DATA_HASH = ethers.keccak256(ethers.toUtf8Bytes("dataset-1"));
+    const VITAL_SIGNS = ethers.keccak256(ethers.toUtf8Bytes("vital_signs"));
+
+    beforeEach(async function () {
+      const AccessControl = await ethers.getContractFactory("TerracareAccessControl");
+      const accessControl = await AccessControl.deploy(await identityRegistry.getAddress());
+      await accessControl.waitForDeployment();
+
+      const RecordRegistry = await ethers.getContractFactory("RecordRegistry");
+      recordRegistry = await RecordRegistry.deploy(await accessControl.getAddress());
+      await recordRegistry.waitForDeployment();
+
+      await identityRegistry.register(owner.address, 3); // Admin
+      await recordRegistry.setActivityRegistry(await activityRegistry.getAddress());
+      await recordRegistry.setAuthorizedActivityCaller(oracle.address);
+      await activityRegistry.grantRole(await activityRegistry.ORACLE_ROLE(), await recordRegistry.getAddress());
+    });
+
+    async function contributionProof(overrides = {}) {
+      return signedProof(aiSigner, { activityType: 2, dataHash: DATA_HASH, valueScore: 25, ...overrides });
+    }
+
+    async function logContribution(signed) {
+      return recordRegistry.connect(oracle).logDataContribution(
+        proofs.toActivityProofMessage(signed.proof),
+        signed.signature
+      );
+    }
+
+    it("Should leave a contribution past the cooldown pending", async function () {
+      await expect(recordRegistry.connect(user1).updateRecordWithContribution(DATA_HASH, 2048, true, VITAL_SIGNS))
+        .to.emit(recordRegistry, "DataContributionTracked")
+        .withArgs(user1.address, 2048, true);
+
+      const contribution = await recordRegistry.getContribution(user1.address);
+      expect(contribution.eligibleForRewards).to.equal(true);
+      expect(contribution.lastContributionTime).to.be.greaterThan(0);
+    });
+
+    it("Should not track contributions inside the cooldown or below the minimum size", async function () {
+      await recordRegistry.connect(user1).updateRecordWithContribution(DATA_HASH, 2048, false, VITAL_SIGNS);
+      const { lastContributionTime } = await recordRegistry.getContribution(user1.address);
+
+      const second = ethers.keccak256(ethers.toUtf8Bytes("dataset-2"));
+      await expect(recordRegistry.connect(user1).updateRecordWithContribution(second, 2048, false, VITAL_SIGNS))
+        .not.to.emit(recordRegistry, "DataContributionTracked");
+
+      const contribution = await recordRegistry.getContribution(user1.address);
+      expect(contribution.lastContributionTime).to.equal(lastContributionTime);
+      expect(contribution.eligibleForRewards).to.equal(false);
+      expect(contribution.totalUpdates).to.equal(2);
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await expect(recordRegistry.connect(other).updateRecordWithContribution(second, 512, false, VITAL_SIGNS))
+        .not.to.emit(recordRegistry, "DataContributionTracked");
+      await expect(recordRegistry.connect(user1).updateRecordWithContribution(second, 2048, false, VITAL_SIGNS))
+        .to.emit(recordRegistry, "DataContributionTracked");
+    });
+
+    it("Should log a pending contribution through recordActivityWithProof", async function () {
+      await recordRegistry.connect(user1).updateRecordWithContribution(DATA_HASH, 2048, true, VITAL_SIGNS);
+      const signed = await contributionProof();
+
+      await expect(logContribution(signed))
+        .to.emit(recordRegistry, "DataContributionLogged")
+        .withArgs(user1.address, signed.proof.activityId, 25)
+        .and.to.emit(activityRegistry, "ActivityProofVerified");
+
+      expect(await tokenEngine.balanceOfMINE(user1.address)).to.equal(MINE_PER_VALUE_POINT * 25n);
+      expect((await recordRegistry.getContribution(user1.address)).eligibleForRewards).to.equal(false);
+
+      await expect(logContribution(await contributionProof())).to.be.revertedWith("No pending contribution");
+    });
+
+    it("Should only log a signed DataValidation proof for the stored record", async function () {
+      await recordRegistry.connect(user1).updateRecordWithContribution(DATA_HASH, 2048, true, VITAL_SIGNS);
+
+      await expect(logContribution(await contributionProof({ dataHash: ethers.ZeroHash })))
+        .to.be.revertedWith("Data hash mismatch");
+      await expect(logContribution(await contributionProof({ activityType: 0 })))
+        .to.be.revertedWith("Not a data contribution");
+
+      const forged = await contributionProof();
+      await expect(logContribution({ ...forged, signature: (await signedProof(other)).signature }))
+        .to.be.revertedWith("Signer is not a validator");
+
+      await expect(
+        recordRegistry.connect(other).logDataContribution(
+          proofs.toActivityProofMessage(forged.proof),
+          forged.signature
+        )
+      ).to.be.revertedWith("Not authorized");
+    });
+  });
+});
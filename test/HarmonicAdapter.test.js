@@ -0,0 +1,69 @@
+/**
+ * TerraCare Ledger - HarmonicAdapter Device Binding Test Suite
+ *
+ * Tests:
+ * - Certified devices can be bound to a signing key and user once
+ * - Only certifiers can bind
+ * - Revoking a bound device's certification counts against its user
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("HarmonicAdapter - Device Binding", function () {
+
+  let certifier, deviceKey, other;
+  let harmonic;
+
+  const deviceHash = ethers.id("bracelet-001");
+  const userIdentity = ethers.encodeBytes32String("alice");
+
+  beforeEach(async function () {
+    [certifier, deviceKey, other] = await ethers.getSigners();
+
+    const HarmonicAdapter = await ethers.getContractFactory("HarmonicAdapter");
+    harmonic = await HarmonicAdapter.deploy(certifier.address, certifier.address, certifier.address);
+    await harmonic.waitForDeployment();
+
+    await harmonic.certifyDevice(deviceHash, 0, 2, 0, ethers.ZeroHash); // HeartRateMonitor, Silver
+  });
+
+  it("Should bind a certified device to a key and user", async function () {
+    await expect(harmonic.bindDevice(deviceHash, deviceKey.address, userIdentity))
+      .to.emit(harmonic, "DeviceBound")
+      .withArgs(deviceHash, deviceKey.address, userIdentity);
+
+    const binding = await harmonic.getDeviceBinding(deviceHash);
+    expect(binding.deviceKey).to.equal(deviceKey.address);
+    expect(binding.userIdentity).to.equal(userIdentity);
+    expect(binding.boundAt).to.be.gt(0);
+  });
+
+  it("Should not rebind a device", async function () {
+    await harmonic.bindDevice(deviceHash, deviceKey.address, userIdentity);
+
+    await expect(
+      harmonic.bindDevice(deviceHash, other.address, userIdentity)
+    ).to.be.revertedWith("HarmonicAdapter: Already bound");
+  });
+
+  it("Should reject binding uncertified devices", async function () {
+    await expect(
+      harmonic.bindDevice(ethers.id("unknown"), deviceKey.address, userIdentity)
+    ).to.be.revertedWith("HarmonicAdapter: Device not certified");
+  });
+
+  it("Should only allow certifiers to bind", async function () {
+    await expect(
+      harmonic.connect(other).bindDevice(deviceHash, other.address, userIdentity)
+    ).to.be.revertedWith("HarmonicAdapter: Not certifier");
+  });
+
+  it("Should count revocations against the bound user", async function () {
+    await harmonic.bindDevice(deviceHash, deviceKey.address, userIdentity);
+    await harmonic.revokeCertification(deviceHash, ethers.id("tampered"));
+
+    expect(await harmonic.isDeviceCertified(deviceHash)).to.be.false;
+    expect(await harmonic.userRevocations(userIdentity)).to.equal(1);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * TerraCare Ledger v2.0 - Meta-Transaction Test Suite
+ *
+ * Tests:
+ * - Forwarded calls are attributed to the signer, not the relayer
+ * - Relayed access grants, revocations and record updates apply to the signing patient
+ * - Forwarder trust is admin-controlled per target
+ * - Expired, replayed and untrusted-target requests are rejected
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TerraCare Ledger v2.0 - Meta-Transactions (ERC-2771)", function () {
+
+  let owner, validator, relayer, user1, user2;
+  let forwarder, tokenEngine, revenueDistributor, governanceBridge, identityRegistry;
+  let accessControl, recordRegistry;
+
+  const DAY_IN_SECONDS = 86400;
+
+  const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "gas", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint48" },
+      { name: "data", type: "bytes" },
+    ],
+  };
+
+  // Build and sign a forward request for `signer` calling `contract.method(...args)`
+  async function signRequest(signer, contract, method, args, overrides = {}) {
+    const domain = await forwarder.eip712Domain();
+    const latest = await ethers.provider.getBlock("latest");
+
+    const request = {
+      from: signer.address,
+      to: await contract.getAddress(),
+      value: 0n,
+      gas: 1000000n,
+      nonce: await forwarder.nonces(signer.address),
+      deadline: latest.timestamp + 3600,
+      data: contract.interface.encodeFunctionData(method, args),
+      ...overrides,
+    };
+
+    const signature = await signer.signTypedData(
+      {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract,
+      },
+      FORWARD_REQUEST_TYPES,
+      request
+    );
+
+    const { nonce, ...requestData } = request;
+    return { ...requestData, signature };
+  }
+
+  beforeEach(async function () {
+    [owner, validator, relayer, user1, user2] = await ethers.getSigners();
+
+    const IdentityRegistry = await ethers.getContractFactory("IdentityRegistry");
+    identityRegistry = await IdentityRegistry.deploy();
+    await identityRegistry.waitForDeployment();
+
+    const TokenEngine = await ethers.getContractFactory("TokenEngine");
+    tokenEngine = await TokenEngine.deploy();
+    await tokenEngine.waitForDeployment();
+
+    const RevenueDistributor = await ethers.getContractFactory("RevenueDistributor");
+    revenueDistributor = await RevenueDistributor.deploy(
+      await tokenEngine.getAddress(),
+      owner.address,
+      owner.address,
+      owner.address
+    );
+    await revenueDistributor.waitForDeployment();
+
+    const GovernanceBridge = await ethers.getContractFactory("GovernanceBridge");
+    governanceBridge = await GovernanceBridge.deploy(
+      await tokenEngine.getAddress(),
+      await identityRegistry.getAddress(),
+      [owner.address, validator.address]
+    );
+    await governanceBridge.waitForDeployment();
+
+    const TerracareForwarder = await ethers.getContractFactory("TerracareForwarder");
+    forwarder = await TerracareForwarder.deploy();
+    await forwarder.waitForDeployment();
+
+    const forwarderAddress = await forwarder.getAddress();
+    await tokenEngine.setTrustedForwarder(forwarderAddress, true);
+    await governanceBridge.setTrustedForwarder(forwarderAddress, true);
+
+    // v1 contracts trust forwarders set by an active IdentityRegistry Admin
+    const AccessControl = await ethers.getContractFactory("TerracareAccessControl");
+    accessControl = await AccessControl.deploy(await identityRegistry.getAddress());
+    await accessControl.waitForDeployment();
+
+    const RecordRegistry = await ethers.getContractFactory("RecordRegistry");
+    recordRegistry = await RecordRegistry.deploy(await accessControl.getAddress());
+    await recordRegistry.waitForDeployment();
+
+    await identityRegistry.register(owner.address, 3); // Admin
+    await accessControl.setTrustedForwarder(forwarderAddress, true);
+    await recordRegistry.setTrustedForwarder(forwarderAddress, true);
+
+    await tokenEngine.grantRole(await tokenEngine.MINTER_ROLE(), owner.address);
+  });
+
+  describe("Trusted forwarder configuration", function () {
+
+    it("Should report trusted forwarders", async function () {
+      expect(await tokenEngine.isTrustedForwarder(await forwarder.getAddress())).to.be.true;
+      expect(await revenueDistributor.isTrustedForwarder(await forwarder.getAddress())).to.be.false;
+    });
+
+    it("Should only allow admin to set trusted forwarders", async function () {
+      await expect(
+        tokenEngine.connect(user1).setTrustedForwarder(user1.address, true)
+      ).to.be.revertedWithCustomError(tokenEngine, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should only allow IdentityRegistry admins to set forwarders on AccessControl and RecordRegistry", async function () {
+      await expect(
+        accessControl.connect(user1).setTrustedForwarder(user1.address, true)
+      ).to.be.revertedWith("Not admin");
+      await expect(
+        recordRegistry.connect(user1).setTrustedForwarder(user1.address, true)
+      ).to.be.revertedWith("Not admin");
+    });
+
+    it("Should emit TrustedForwarderSet", async function () {
+      await expect(revenueDistributor.setTrustedForwarder(await forwarder.getAddress(), true))
+        .to.emit(revenueDistributor, "TrustedForwarderSet")
+        .withArgs(await forwarder.getAddress(), true);
+    });
+  });
+
+  describe("Forwarded calls", function () {
+
+    it("Should attribute a relayed MINE to WELL conversion to the signer", async function () {
+      await tokenEngine.connect(owner).mineActivity(user1.address, 100); // 1000 MINE
+
+      const request = await signRequest(user1, tokenEngine, "convertMineToWell", [ethers.parseEther("1000")]);
+      const userEthBefore = await ethers.provider.getBalance(user1.address);
+
+      await forwarder.connect(relayer).execute(request);
+
+      expect(await tokenEngine.balanceOf(user1.address)).to.equal(ethers.parseEther("10"));
+      expect(await tokenEngine.balanceOfMINE(user1.address)).to.equal(0);
+      expect(await tokenEngine.balanceOf(relayer.address)).to.equal(0);
+
+      // Relayer paid for gas, not the user
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(userEthBefore);
+    });
+
+    it("Should attribute relayed proposals and votes to the signer", async function () {
+      // Voting power only counts stakes locked at least 30 days beyond the current block
+      await tokenEngine.connect(owner).mineActivity(user1.address, 200);
+      await tokenEngine.connect(user1).stakeMINE(ethers.parseEther("1000"), 60 * DAY_IN_SECONDS);
+
+      const proposeRequest = await signRequest(user1, governanceBridge, "propose", [
+        "Test",
+        "Test proposal",
+        await tokenEngine.getAddress(),
+        "0x"
+      ]);
+      await forwarder.connect(relayer).execute(proposeRequest);
+
+      const proposalId = await governanceBridge.proposalCount();
+      const proposal = await governanceBridge.proposals(proposalId);
+      expect(proposal.proposer).to.equal(user1.address);
+
+      const voteRequest = await signRequest(user1, governanceBridge, "castVote", [proposalId, true]);
+      await expect(forwarder.connect(relayer).execute(voteRequest))
+        .to.emit(governanceBridge, "VoteCast")
+        .withArgs(user1.address, proposalId, true, ethers.parseEther("1000"));
+    });
+
+    it("Should apply relayed access grants and revocations to the signing patient", async function () {
+      const grantRequest = await signRequest(user1, accessControl, "grant", [user2.address]);
+      await expect(forwarder.connect(relayer).execute(grantRequest))
+        .to.emit(accessControl, "AccessGranted")
+        .withArgs(user1.address, user2.address, 0);
+
+      expect(await accessControl.hasAccess(user1.address, user2.address)).to.be.true;
+      expect(await accessControl.access(relayer.address, user2.address)).to.be.false;
+
+      const revokeRequest = await signRequest(user1, accessControl, "revoke", [user2.address]);
+      await expect(forwarder.connect(relayer).execute(revokeRequest))
+        .to.emit(accessControl, "AccessRevoked")
+        .withArgs(user1.address, user2.address);
+
+      expect(await accessControl.hasAccess(user1.address, user2.address)).to.be.false;
+    });
+
+    it("Should reject a relayed revoke of access the signer never granted", async function () {
+      const request = await signRequest(user1, accessControl, "revoke", [user2.address]);
+      await expect(forwarder.connect(relayer).execute(request)).to.be.reverted;
+      await expect(accessControl.connect(user1).revoke(user2.address)).to.be.revertedWith("Access not granted");
+    });
+
+    it("Should apply a relayed record update to the signing patient", async function () {
+      const dataHash = ethers.keccak256(ethers.toUtf8Bytes("record-v1"));
+
+      const request = await signRequest(user1, recordRegistry, "updateRecord", [dataHash]);
+      await forwarder.connect(relayer).execute(request);
+
+      const record = await recordRegistry.connect(user1).getRecord(user1.address);
+      expect(record.dataHash).to.equal(dataHash);
+      expect(record.version).to.equal(1);
+      expect((await recordRegistry.records(relayer.address)).version).to.equal(0);
+    });
+
+    it("Should still use msg.sender for direct calls from untrusted callers", async function () {
+      await tokenEngine.connect(owner).mineActivity(user1.address, 100);
+
+      // Appending an address to calldata must not let a caller impersonate someone else
+      const data = tokenEngine.interface.encodeFunctionData("convertMineToWell", [ethers.parseEther("1000")]);
+      await expect(
+        user2.sendTransaction({
+          to: await tokenEngine.getAddress(),
+          data: ethers.concat([data, user1.address]),
+        })
+      ).to.be.revertedWith("Insufficient MINE balance");
+    });
+  });
+
+  describe("Request validation", function () {
+
+    it("Should reject a replayed request", async function () {
+      await tokenEngine.connect(owner).mineActivity(user1.address, 200);
+
+      const request = await signRequest(user1, tokenEngine, "convertMineToWell", [ethers.parseEther("1000")]);
+      await forwarder.connect(relayer).execute(request);
+
+      await expect(
+        forwarder.connect(relayer).execute(request)
+      ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+    });
+
+    it("Should reject an expired request", async function () {
+      await tokenEngine.connect(owner).mineActivity(user1.address, 100);
+
+      const latest = await ethers.provider.getBlock("latest");
+      const request = await signRequest(user1, tokenEngine, "convertMineToWell", [ethers.parseEther("1000")], {
+        deadline: latest.timestamp - 1,
+      });
+
+      await expect(
+        forwarder.connect(relayer).execute(request)
+      ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderExpiredRequest");
+    });
+
+    it("Should reject a request whose signature does not match `from`", async function () {
+      await tokenEngine.connect(owner).mineActivity(user1.address, 100);
+
+      const request = await signRequest(user2, tokenEngine, "convertMineToWell", [ethers.parseEther("1000")], {
+        from: user1.address,
+      });
+
+      await expect(
+        forwarder.connect(relayer).execute(request)
+      ).to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+    });
+
+    it("Should reject targets that do not trust the forwarder", async function () {
+      const request = await signRequest(user1, revenueDistributor, "sellWell", [ethers.parseEther("1")]);
+
+      await expect(
+        forwarder.connect(relayer).execute(request)
+      ).to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget");
+    });
+  });
+});